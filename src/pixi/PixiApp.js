@@ -406,6 +406,11 @@ class PixiApp {
       // Could add global effects here
     });
 
+    // Spectators go straight to the board, whatever state the game is in
+    eventBus.subscribe('lobby.game.watching', () => {
+      this.sceneManager.showScene('game');
+    });
+
     // Listen for game state updates to trigger scene transitions
     eventBus.subscribe('game.state.updated', (data) => {
       if (data.newState && data.newState.gameStatus === 'IN_PROGRESS') {
@@ -420,6 +425,12 @@ class PixiApp {
       this.sceneManager.showScene('lobby');
     });
 
+    // Game vanished while we were reconnecting - give the message time to show
+    eventBus.subscribe('game.session.expired', () => {
+      console.log('🎮 PixiApp: Game session expired, returning to lobby');
+      setTimeout(() => this.sceneManager.showScene('lobby'), 3000);
+    });
+
     // Listen for connection status
     eventBus.subscribe('game.connection.established', () => {
       // Could show connection indicator
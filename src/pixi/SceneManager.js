@@ -2,6 +2,9 @@ import { gsap } from 'gsap';
 import LobbyScene from './scenes/LobbyScene';
 //import GameScene from './scenes/GameScene'; 
 import GameScene from './scenes/game-scene/GameScene';
+import ReplayScene from './scenes/ReplayScene';
+import SummaryScene from './scenes/SummaryScene';
+import HistoryScene from './scenes/HistoryScene';
 
 /**
  * SceneManager - Handles scene transitions and management
@@ -107,6 +110,21 @@ class SceneManager {
           scene = new GameScene();
           console.log('🎬 GameScene created successfully');
           break;
+        case 'replay':
+          console.log('🎬 Creating ReplayScene...');
+          scene = new ReplayScene();
+          console.log('🎬 ReplayScene created successfully');
+          break;
+        case 'summary':
+          console.log('🎬 Creating SummaryScene...');
+          scene = new SummaryScene();
+          console.log('🎬 SummaryScene created successfully');
+          break;
+        case 'history':
+          console.log('🎬 Creating HistoryScene...');
+          scene = new HistoryScene();
+          console.log('🎬 HistoryScene created successfully');
+          break;
         default:
           console.error(`Unknown scene: ${sceneName}`);
           return null;
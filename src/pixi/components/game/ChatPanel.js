@@ -0,0 +1,297 @@
+// src/pixi/components/game/ChatPanel.js
+
+import * as PIXI from 'pixi.js';
+import eventBus from '../../../utils/EventBus';
+import chatService, { QUICK_EMOTES } from '../../../services/ChatService';
+import Panel from '../ui/Panel';
+import Button from '../ui/Button';
+import TextInput from '../ui/TextInput';
+import Avatar from '../ui/Avatar';
+
+const LINE_SPACING = 4;
+const NOTICE_COLOR = '#aaaaaa';
+const ERROR_COLOR = '#ff8888';
+
+/**
+ * ChatPanel - Chat log, message input and quick emote row
+ * Used in the game scene and the waiting room. Clicking another player's
+ * line mutes them; clicking the "muted" notice unmutes them again.
+ */
+class ChatPanel extends PIXI.Container {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      width: 200,
+      height: 230,
+      fontSize: 12,
+      ...options
+    };
+
+    this.entries = chatService.getHistory(); // Chat messages and local notices, oldest first
+    this.unsubscribers = [];
+    this.sendControls = []; // Input, Send and emote buttons - hidden when read-only
+
+    this.createPanel();
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Create panel visuals
+   */
+  createPanel() {
+    const { width, height } = this.options;
+
+    this.background = new Panel({
+      width,
+      height,
+      backgroundColor: 0x1e1e3a,
+      borderColor: 0x4a4a6a,
+      borderWidth: 2,
+      cornerRadius: 10,
+      alpha: 0.9
+    });
+    this.addChild(this.background);
+
+    const title = new PIXI.Text('💬 Chat', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 13,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    title.x = 10;
+    title.y = 6;
+    this.addChild(title);
+
+    // Emote row and input sit at the bottom, the log fills the rest
+    const emoteHeight = 24;
+    const inputHeight = 28;
+    this.emoteRowY = height - emoteHeight - 8;
+    this.inputY = this.emoteRowY - inputHeight - 6;
+
+    this.logTop = 26;
+    this.logHeight = this.inputY - this.logTop - 6;
+
+    this.logContainer = new PIXI.Container();
+    this.logContainer.x = 10;
+    this.logContainer.y = this.logTop;
+    this.addChild(this.logContainer);
+
+    const logMask = new PIXI.Graphics();
+    logMask.rect(0, this.logTop, width, this.logHeight);
+    logMask.fill({ color: 0xffffff });
+    this.addChild(logMask);
+    this.logContainer.mask = logMask;
+
+    this.input = new TextInput({
+      placeholder: 'Say something...',
+      width: width - 74,
+      height: inputHeight,
+      fontSize: this.options.fontSize,
+      padding: 8,
+      maxLength: 120,
+      allowedPattern: /./,
+      uppercase: false
+    });
+    this.input.x = 8;
+    this.input.y = this.inputY;
+    this.input.onSubmit = () => this.submit();
+    this.addChild(this.input);
+    this.sendControls.push(this.input);
+
+    const sendButton = new Button({
+      text: 'Send',
+      width: 56,
+      height: inputHeight,
+      fontSize: 12,
+      cornerRadius: 6
+    });
+    sendButton.x = width - 64;
+    sendButton.y = this.inputY;
+    sendButton.onButtonClick = () => this.submit();
+    this.addChild(sendButton);
+    this.sendControls.push(sendButton);
+
+    this.createEmoteRow(emoteHeight);
+  }
+
+  /**
+   * One button per quick emote, spread across the panel
+   */
+  createEmoteRow(emoteHeight) {
+    const spacing = 6;
+    const buttonWidth = (this.options.width - 16 - spacing * (QUICK_EMOTES.length - 1)) / QUICK_EMOTES.length;
+
+    QUICK_EMOTES.forEach((emote, index) => {
+      const button = new Button({
+        text: emote,
+        width: buttonWidth,
+        height: emoteHeight,
+        fontSize: 12,
+        cornerRadius: 12,
+        backgroundColor: 0x4a4a6a,
+        hoverColor: 0x5a5a8a
+      });
+      button.x = 8 + index * (buttonWidth + spacing);
+      button.y = this.emoteRowY;
+      button.onButtonClick = () => chatService.sendEmote(emote);
+      this.addChild(button);
+      this.sendControls.push(button);
+    });
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.unsubscribers.push(
+      eventBus.subscribe('chat.message', (entry) => {
+        this.entries.push(entry);
+        this.render();
+      }),
+
+      eventBus.subscribe('chat.cleared', () => {
+        this.entries = [];
+        this.render();
+      }),
+
+      eventBus.subscribe('chat.mute.changed', ({ playerId, playerName, muted }) => {
+        const name = playerName || 'Player';
+
+        if (muted) {
+          this.entries = this.entries.filter(entry => entry.playerId !== playerId || entry.notice);
+          this.addNotice(`🔇 ${name} muted (click to unmute)`, { playerId, playerName: name });
+        } else {
+          this.entries = this.entries.filter(entry => !(entry.notice && entry.playerId === playerId));
+          this.addNotice(`🔊 ${name} unmuted`);
+        }
+      }),
+
+      eventBus.subscribe('chat.rate.limited', ({ message }) => {
+        this.addNotice(message, { color: ERROR_COLOR });
+      })
+    );
+  }
+
+  // =========================================================================
+  // SENDING
+  // =========================================================================
+
+  submit() {
+    if (chatService.sendMessage(this.input.getText())) {
+      this.input.setText('');
+    }
+  }
+
+  // =========================================================================
+  // RENDERING
+  // =========================================================================
+
+  /**
+   * Local-only line (mutes, rate limits)
+   */
+  addNotice(text, extra = {}) {
+    this.entries.push({ notice: true, text, ...extra });
+    this.render();
+  }
+
+  /**
+   * Draw the newest lines that fit, bottom-aligned
+   */
+  render() {
+    this.logContainer.removeChildren().forEach(child => child.destroy({ children: true }));
+
+    let y = this.logHeight;
+
+    for (let i = this.entries.length - 1; i >= 0 && y > 0; i--) {
+      const line = this.createLine(this.entries[i]);
+      y -= line.height + LINE_SPACING;
+      line.y = y;
+      this.logContainer.addChild(line);
+    }
+
+    // Keep the history bounded - anything scrolled off the top is gone
+    const overflow = this.entries.length - this.logContainer.children.length;
+    if (overflow > 0) {
+      this.entries.splice(0, overflow);
+    }
+  }
+
+  createLine(entry) {
+    const text = entry.notice
+      ? entry.text
+      : entry.type === 'emote'
+        ? `${entry.playerName} ➜ ${entry.text}`
+        : `${entry.playerName}: ${entry.text}`;
+
+    let fill = '#ffffff';
+    if (entry.notice) fill = entry.color || NOTICE_COLOR;
+    else if (entry.own) fill = '#ffd700';
+    else if (entry.type === 'emote') fill = '#b39dff';
+
+    // Players' lines start with their avatar, notices don't
+    const avatarSize = entry.notice ? 0 : this.options.fontSize + 4;
+    const textOffset = avatarSize ? avatarSize + 6 : 0;
+
+    const line = new PIXI.Container();
+    const lineText = new PIXI.Text(text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: this.options.fontSize,
+      fontStyle: entry.notice || entry.type === 'emote' ? 'italic' : 'normal',
+      fill,
+      wordWrap: true,
+      breakWords: true,
+      wordWrapWidth: this.options.width - 20 - textOffset
+    });
+    lineText.x = textOffset;
+    line.addChild(lineText);
+
+    if (avatarSize) {
+      line.addChild(new Avatar({ size: avatarSize, avatar: entry.avatar }));
+    }
+
+    // Others' lines mute them, the mute notice unmutes
+    const canToggleMute = entry.playerId && (entry.notice || !entry.own);
+    if (canToggleMute) {
+      line.eventMode = 'static';
+      line.cursor = 'pointer';
+      line.on('pointertap', () => chatService.toggleMute(entry.playerId, entry.playerName));
+    }
+
+    return line;
+  }
+
+  /**
+   * Hide the input and emotes (spectators can read but not talk)
+   */
+  setReadOnly(readOnly) {
+    this.sendControls.forEach(control => {
+      control.visible = !readOnly;
+    });
+    if (readOnly) {
+      this.input.blur();
+    }
+  }
+
+  /**
+   * Reload the log from the chat history and clear the input
+   */
+  reset() {
+    this.entries = chatService.getHistory();
+    this.input.setText('');
+    this.input.blur();
+    this.render();
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    super.destroy({ children: true });
+  }
+}
+
+export default ChatPanel;
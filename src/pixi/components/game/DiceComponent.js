@@ -1,10 +1,22 @@
 import * as PIXI from 'pixi.js';
 import { gsap } from 'gsap';
 import eventBus from '../../../utils/EventBus';
+import { DIE_CHOICES } from '../../../utils/moveOptions';
+
+// Pointer travel before a press on a die counts as a drag instead of a click
+const DRAG_THRESHOLD = 6;
 
 /**
  * DiceComponent - Clean, fast, and user-friendly dual dice
  * Focuses on quick, satisfying animations without the physics overhead
+ *
+ * While moves are on offer (setAssignableDice) each die - and the total,
+ * for the sum - can be clicked to select it or dragged onto a piece.
+ * Dice played this roll grey out; on doubles either die plays the pair's
+ * moves. Callbacks get the die choice the moves use:
+ * - onDieSelected(dieUsed|null)
+ * - onDieDragged(dieUsed, globalPoint)
+ * - onDieDropped(dieUsed, globalPoint)
  */
 class DiceComponent extends PIXI.Container {
   constructor(options = {}) {
@@ -25,6 +37,17 @@ class DiceComponent extends PIXI.Container {
     this.dice2 = null;
     this.rollButton = null;
     this.totalDisplay = null;
+
+    // Die assignment - null while no moves are on offer
+    this.assignableDice = null;
+    this.usedDice = new Set(); // Played this roll, greyed out until the next
+    this.selectedDie = null;
+    this.pickedDie = null; // Last die picked up - the one a move greys out
+    this.drag = null;
+    this.returnTween = null;
+    this.onDieSelected = null;
+    this.onDieDragged = null;
+    this.onDieDropped = null;
     
     // Single animation timeline
     this.rollAnimation = null;
@@ -42,6 +65,7 @@ class DiceComponent extends PIXI.Container {
     this.createDice();
     this.createUI();
     this.setupInteraction();
+    this.setupDieAssignment();
     this.startIdleAnimation();
   }
 
@@ -91,6 +115,14 @@ class DiceComponent extends PIXI.Container {
     const diceFace = new PIXI.Container();
     dieContainer.addChild(diceFace);
     dieContainer.diceFace = diceFace;
+
+    // Ring shown while the die is selected for a move
+    const selectionRing = new PIXI.Graphics();
+    selectionRing.roundRect(-4, -4, this.size + 8, this.size + 8, 10);
+    selectionRing.stroke({ color: 0xffd700, width: 3 });
+    selectionRing.visible = false;
+    dieContainer.addChild(selectionRing);
+    dieContainer.selectionRing = selectionRing;
     
     this.updateDiceFace(diceFace, 1);
     this.addChild(dieContainer);
@@ -123,9 +155,24 @@ class DiceComponent extends PIXI.Container {
     this.rollButton.y = this.size - 40;
     this.addChild(this.rollButton);
     
-    // Total display
+    // Total display - doubles as the token for the sum while assigning dice
     this.totalDisplay = new PIXI.Container();
     this.totalDisplay.alpha = 0;
+
+    const sumChip = new PIXI.Graphics();
+    sumChip.roundRect(-55, -16, 110, 32, 16);
+    sumChip.fill({ color: 0xffffff, alpha: 0.9 });
+    sumChip.stroke({ color: 0xffd700, width: 2 });
+    sumChip.visible = false;
+    this.totalDisplay.addChild(sumChip);
+    this.totalDisplay.sumChip = sumChip;
+
+    const sumRing = new PIXI.Graphics();
+    sumRing.roundRect(-59, -20, 118, 40, 20);
+    sumRing.stroke({ color: 0xffd700, width: 3 });
+    sumRing.visible = false;
+    this.totalDisplay.addChild(sumRing);
+    this.totalDisplay.selectionRing = sumRing;
     
     const totalText = new PIXI.Text('Total: 2', {
       fontFamily: 'Arial, sans-serif',
@@ -151,20 +198,20 @@ class DiceComponent extends PIXI.Container {
     
     // Hover effects
     this.on('pointerover', () => {
-      if (this.enabled && !this.isRolling) {
+      if (this.enabled && !this.isRolling && !this.assignableDice) {
         this.showHoverEffect();
       }
     });
     
     this.on('pointerout', () => {
-      if (this.enabled && !this.isRolling) {
+      if (this.enabled && !this.isRolling && !this.assignableDice) {
         this.hideHoverEffect();
       }
     });
     
     // Click to roll
     this.on('pointerdown', () => {
-      if (this.enabled && !this.isRolling) {
+      if (this.enabled && !this.isRolling && !this.assignableDice) {
         this.handleRollClick();
       }
     });
@@ -214,6 +261,8 @@ class DiceComponent extends PIXI.Container {
   startRollingAnimation() {
     if (this.isRolling) return;
     
+    this.setAssignableDice(null);
+    this.clearUsedDice();
     this.isRolling = true;
     this.enabled = false;
     
@@ -427,6 +476,230 @@ class DiceComponent extends PIXI.Container {
     });
   }
 
+  // =========================================================================
+  // DIE ASSIGNMENT
+  // =========================================================================
+
+  getAssignmentTokens() {
+    return {
+      [DIE_CHOICES.DIE1]: this.dice1,
+      [DIE_CHOICES.DIE2]: this.dice2,
+      [DIE_CHOICES.SUM]: this.totalDisplay
+    };
+  }
+
+  setupDieAssignment() {
+    Object.entries(this.getAssignmentTokens()).forEach(([dieUsed, token]) => {
+      token.on('pointerdown', (event) => {
+        if (!this.canAssign(dieUsed) || this.drag) return;
+        event.stopPropagation();
+        this.startDrag(token, dieUsed, event.global);
+      });
+
+      token.on('globalpointermove', (event) => {
+        if (this.drag?.token === token) {
+          this.updateDrag(event.global);
+        }
+      });
+
+      token.on('pointerup', (event) => this.endDrag(token, event.global));
+      token.on('pointerupoutside', (event) => this.endDrag(token, event.global));
+    });
+  }
+
+  /**
+   * Dice that can be played right now
+   * @param {Array|null} choices - 'die1', 'die2', 'sum' - null ends assignment
+   */
+  setAssignableDice(choices) {
+    this.cancelDrag();
+    this.assignableDice = choices && choices.length > 0 ? new Set(choices) : null;
+    this.selectedDie = null;
+    this.pickedDie = null;
+    this.updateAssignmentVisuals();
+  }
+
+  /**
+   * Grey out a die as soon as its move is sent (the sum uses both) - the
+   * rest wait for the next options
+   * @param {string} dieUsed - Die choice of the move
+   */
+  markDieUsed(dieUsed) {
+    this.cancelDrag();
+
+    if (dieUsed === DIE_CHOICES.SUM) {
+      Object.values(DIE_CHOICES).forEach(choice => this.usedDice.add(choice));
+    } else {
+      this.usedDice.add(this.getPlayedDie(dieUsed));
+      this.usedDice.add(DIE_CHOICES.SUM);
+    }
+
+    this.assignableDice = null;
+    this.selectedDie = null;
+    this.pickedDie = null;
+    this.updateAssignmentVisuals();
+  }
+
+  /**
+   * A new roll - every die is back in play
+   */
+  clearUsedDice() {
+    this.usedDice.clear();
+    this.updateAssignmentVisuals();
+  }
+
+  /**
+   * Die that a move with this choice spends - on doubles the one the player
+   * picked up, or whichever of the pair is still unplayed
+   */
+  getPlayedDie(dieUsed) {
+    if (this.pickedDie && this.getPlayableChoice(this.pickedDie) === dieUsed) {
+      return this.pickedDie;
+    }
+
+    const twin = this.getTwin(dieUsed);
+    return this.usedDice.has(dieUsed) && twin ? twin : dieUsed;
+  }
+
+  /**
+   * Die choice the moves on offer play with this die - on doubles a die
+   * with no options of its own plays its twin's
+   */
+  getPlayableChoice(dieUsed) {
+    if (!this.assignableDice) return null;
+    if (this.assignableDice.has(dieUsed)) return dieUsed;
+
+    const twin = this.getTwin(dieUsed);
+    return twin && this.assignableDice.has(twin) ? twin : null;
+  }
+
+  /**
+   * The other die when both show the same value
+   */
+  getTwin(dieUsed) {
+    if (dieUsed === DIE_CHOICES.SUM) return null;
+
+    const other = dieUsed === DIE_CHOICES.DIE1 ? DIE_CHOICES.DIE2 : DIE_CHOICES.DIE1;
+    return this.currentValues[dieUsed] === this.currentValues[other] ? other : null;
+  }
+
+  canAssign(dieUsed) {
+    return !this.isRolling && !this.usedDice.has(dieUsed) && Boolean(this.getPlayableChoice(dieUsed));
+  }
+
+  updateAssignmentVisuals() {
+    Object.entries(this.getAssignmentTokens()).forEach(([dieUsed, token]) => {
+      const available = this.canAssign(dieUsed);
+      const greyed = this.usedDice.has(dieUsed);
+
+      token.interactive = available;
+      token.cursor = available ? 'grab' : 'default';
+      token.selectionRing.visible = this.selectedDie === dieUsed;
+
+      if (dieUsed === DIE_CHOICES.SUM) {
+        token.sumChip.visible = available;
+        token.totalText.style.fill = greyed ? '#999999' : '#333333';
+      } else {
+        token.alpha = greyed ? 0.35 : 1;
+      }
+    });
+  }
+
+  selectDie(dieUsed) {
+    this.selectedDie = dieUsed;
+    this.pickedDie = dieUsed;
+    this.updateAssignmentVisuals();
+
+    if (this.onDieSelected) {
+      this.onDieSelected(dieUsed && this.getPlayableChoice(dieUsed));
+    }
+  }
+
+  startDrag(token, dieUsed, globalPoint) {
+    // A die still flying back lands first
+    this.returnTween?.progress(1);
+
+    this.drag = {
+      token,
+      dieUsed,
+      start: { x: token.x, y: token.y },
+      pointerStart: this.toLocal(globalPoint),
+      moved: false
+    };
+
+    this.idleAnimation?.pause();
+  }
+
+  updateDrag(globalPoint) {
+    const { token, dieUsed, start, pointerStart } = this.drag;
+    const pointer = this.toLocal(globalPoint);
+    const dx = pointer.x - pointerStart.x;
+    const dy = pointer.y - pointerStart.y;
+
+    if (!this.drag.moved) {
+      if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+      this.drag.moved = true;
+      token.cursor = 'grabbing';
+      this.addChild(token); // Drag above the other die
+      if (this.selectedDie !== dieUsed) {
+        this.selectDie(dieUsed);
+      }
+    }
+
+    token.x = start.x + dx;
+    token.y = start.y + dy;
+
+    if (this.onDieDragged) {
+      this.onDieDragged(this.getPlayableChoice(dieUsed), { x: globalPoint.x, y: globalPoint.y });
+    }
+  }
+
+  /**
+   * A press without travel toggles the selection, a drag drops the die
+   */
+  endDrag(token, globalPoint) {
+    if (this.drag?.token !== token) return;
+
+    const { dieUsed, moved } = this.drag;
+    this.returnDraggedToken();
+
+    if (!moved) {
+      this.selectDie(this.selectedDie === dieUsed ? null : dieUsed);
+      return;
+    }
+
+    this.selectedDie = null;
+    this.pickedDie = dieUsed;
+    this.updateAssignmentVisuals();
+
+    if (this.onDieDropped) {
+      this.onDieDropped(this.getPlayableChoice(dieUsed), { x: globalPoint.x, y: globalPoint.y });
+    }
+  }
+
+  cancelDrag() {
+    if (this.drag) {
+      this.returnDraggedToken();
+    }
+  }
+
+  returnDraggedToken() {
+    const { token, start } = this.drag;
+    this.drag = null;
+
+    this.returnTween = gsap.to(token, {
+      x: start.x,
+      y: start.y,
+      duration: 0.2,
+      ease: 'power2.out',
+      onComplete: () => {
+        this.returnTween = null;
+        if (!this.drag) this.idleAnimation?.resume();
+      }
+    });
+  }
+
   // Public API methods
   setEnabled(enabled) {
     this.enabled = enabled;
@@ -438,6 +711,7 @@ class DiceComponent extends PIXI.Container {
     this.currentValues = { die1: die1Value, die2: die2Value };
     this.updateDiceFace(this.dice1.diceFace, die1Value);
     this.updateDiceFace(this.dice2.diceFace, die2Value);
+    this.clearUsedDice();
     this.showTotal();
   }
 
@@ -479,8 +753,14 @@ class DiceComponent extends PIXI.Container {
     if (this.idleAnimation) {
       this.idleAnimation.kill();
     }
+    if (this.returnTween) {
+      this.returnTween.kill();
+    }
     
-    gsap.killTweensOf([this, this.dice1, this.dice2]);
+    gsap.killTweensOf([this, this.dice1, this.dice2, this.totalDisplay]);
+    this.onDieSelected = null;
+    this.onDieDragged = null;
+    this.onDieDropped = null;
     super.destroy();
   }
 }
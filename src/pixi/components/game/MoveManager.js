@@ -1,5 +1,7 @@
 import * as PIXI from 'pixi.js';
 import { gsap } from 'gsap';
+import { describeMoveOption } from '../../../utils/moveOptions';
+import TextInput from '../ui/TextInput';
 
 /**
  * MoveManager - Handles game move interactions and visualization
@@ -29,9 +31,36 @@ class MoveManager extends PIXI.Container {
   init() {
     this.interactive = false; // FIXED: Container shouldn't be interactive
     this.alpha = 0; // Hidden by default
+
+    // Moves picked by clicking pieces on the board
+    if (this.piecesContainer) {
+      this.piecesContainer.onMoveOptionSelected = (move) => {
+        if (!this.isProcessingMove) {
+          this.selectMove(move);
+        }
+      };
+    }
+
+    this.setupKeyboardListener();
     console.log('MoveManager: Initialized');
   }
 
+  /**
+   * Setup keyboard shortcuts - number keys pick the matching panel option
+   */
+  setupKeyboardListener() {
+    this.keyboardHandler = (event) => {
+      if (!this.movePanel || this.isProcessingMove || TextInput.isTyping() || !/^[1-9]$/.test(event.key)) return;
+
+      const move = this.currentMoves.find(m => m.number === parseInt(event.key, 10));
+      if (move) {
+        this.selectMove(move);
+      }
+    };
+
+    document.addEventListener('keydown', this.keyboardHandler);
+  }
+
   /**
    * Show available moves with visual feedback
    * FIXED: Proper cleanup and single-call handling
@@ -60,7 +89,7 @@ class MoveManager extends PIXI.Container {
     // Create move selection panel (rawMessage not needed anymore)
     this.createMovePanel(moves);
     
-    // Highlight pieces that can move (future enhancement)
+    // Highlight pieces that can move on the board
     this.highlightMovablePieces(moves);
   }
 
@@ -119,7 +148,7 @@ class MoveManager extends PIXI.Container {
     });
     
     // Instructions
-    const instructions = new PIXI.Text('Click a move option to make your selection', {
+    const instructions = new PIXI.Text('Drag a die onto a piece, click a glowing piece, a move option, or press its number', {
       fontFamily: 'Arial, sans-serif',
       fontSize: 12,
       fill: '#ffdd44',
@@ -300,6 +329,7 @@ class MoveManager extends PIXI.Container {
     });
 
     const optionContainer = new PIXI.Container();
+    optionContainer.move = move;
     const yPos = 55 + (index * 35);
     
     // Button background
@@ -350,7 +380,7 @@ class MoveManager extends PIXI.Container {
     });
     
     // Move text
-    const moveText = new PIXI.Text(`${move.number}. ${move.description}`, {
+    const moveText = new PIXI.Text(`${move.number}. ${describeMoveOption(move)}`, {
       fontFamily: 'Arial, sans-serif',
       fontSize: 14,
       fill: '#ffffff',
@@ -367,6 +397,39 @@ class MoveManager extends PIXI.Container {
     this.movePanel.addChild(optionContainer);
   }
 
+  /**
+   * Fade the panel options that don't play the die picked in DiceComponent
+   * @param {string|null} dieUsed - 'die1', 'die2', 'sum' or null for all
+   */
+  setActiveDie(dieUsed) {
+    if (this.piecesContainer) {
+      this.piecesContainer.setActiveDie(dieUsed);
+    }
+
+    if (!this.movePanel) return;
+
+    this.movePanel.children
+      .filter(child => child.move)
+      .forEach(child => {
+        child.alpha = !dieUsed || child.move.dieUsed === dieUsed ? 1 : 0.35;
+      });
+  }
+
+  /**
+   * Submit the move for a die dropped on the board
+   * @param {string} dieUsed - 'die1', 'die2' or 'sum'
+   * @param {Object} globalPoint - Where the die was dropped
+   */
+  dropDie(dieUsed, globalPoint) {
+    const option = this.piecesContainer?.getMoveOptionAt(globalPoint);
+
+    if (option && option.dieUsed === dieUsed && !this.isProcessingMove) {
+      this.selectMove(option);
+    } else {
+      this.setActiveDie(null);
+    }
+  }
+
   /**
    * Handle move selection
    * FIXED: No auto-hide timer, proper state management
@@ -405,7 +468,7 @@ class MoveManager extends PIXI.Container {
   showMoveConfirmation(move) {
     if (!this.movePanel) return;
     
-    const confirmation = new PIXI.Text(`✓ Selected: ${move.description}`, {
+    const confirmation = new PIXI.Text(`✓ Selected: ${describeMoveOption(move)}`, {
       fontFamily: 'Arial, sans-serif',
       fontSize: 16,
       fontWeight: 'bold',
@@ -468,12 +531,16 @@ class MoveManager extends PIXI.Container {
   }
 
   /**
-   * Highlight pieces that can move (future enhancement)
+   * Highlight pieces that can move so they can be clicked on the board
    */
   highlightMovablePieces(moves) {
-    // TODO: Parse move descriptions to identify piece IDs
-    // TODO: Add glow effects to movable pieces on board
-    console.log('MoveManager: Would highlight pieces for moves:', moves.length);
+    moves.forEach(move => {
+      if (move.pieceId) this.highlightedPieces.add(move.pieceId);
+    });
+
+    if (this.piecesContainer) {
+      this.piecesContainer.setMovablePieces(moves);
+    }
   }
 
   /**
@@ -541,7 +608,10 @@ class MoveManager extends PIXI.Container {
    */
   clearHighlights() {
     this.highlightedPieces.clear();
-    // TODO: Remove glow effects from pieces
+
+    if (this.piecesContainer && !this.piecesContainer.destroyed) {
+      this.piecesContainer.clearMovablePieces();
+    }
   }
 
   /**
@@ -568,6 +638,11 @@ class MoveManager extends PIXI.Container {
     
     // Kill all animations
     gsap.killTweensOf(this);
+
+    // Remove keyboard listener
+    if (this.keyboardHandler) {
+      document.removeEventListener('keydown', this.keyboardHandler);
+    }
     
     // Clear all components
     this.clearMovePanel();
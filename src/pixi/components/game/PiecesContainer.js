@@ -2,12 +2,26 @@
 
 import * as PIXI from 'pixi.js';
 import { gsap } from 'gsap';
-import { backendToPixel, getPieceHomePositions, generateStepByStepPath } from '../../utils/coordinateUtils';
+import {
+  backendToPixel,
+  getPieceHomePositions,
+  generateStepByStepPath,
+  getPathIndex
+} from '../../utils/coordinateUtils';
+import { getMoveOptionsForDie } from '../../../utils/moveOptions';
 import eventBus from '../../../utils/EventBus';
 
+const PIECE_COLORS = {
+  red: 0xff4444,
+  blue: 0x4444ff,
+  green: 0x44ff44,
+  yellow: 0xffdd44
+};
+
 /**
  * PiecesContainer - Manages all game pieces
- * Handles piece positioning, animations, and state updates
+ * Handles piece positioning, animations, state updates, click-to-move and
+ * dice dropped onto pieces
  */
 class PiecesContainer extends PIXI.Container {
   constructor(options = {}) {
@@ -23,10 +37,34 @@ class PiecesContainer extends PIXI.Container {
       green: [],
       yellow: []
     };
+
+    // Click-to-move state
+    this.moveOptions = []; // Every option on offer, whichever die is picked
+    this.movablePieceIds = new Set();
+    this.selectedPiece = null;
+    this.dropTargetId = null;
+    this.previewLayer = null;
+    this.hintLayer = null;
+
+    // Callback when the player picks a move on the board
+    this.onMoveOptionSelected = null;
     
     console.log('🔴 PiecesContainer created');
     
     this.setupPieces();
+    this.createPreviewLayer();
+  }
+
+  /**
+   * Create layers for move previews and hints (on top so ghosts over a
+   * capture stay clickable)
+   */
+  createPreviewLayer() {
+    this.previewLayer = new PIXI.Container();
+    this.addChild(this.previewLayer);
+
+    this.hintLayer = new PIXI.Container();
+    this.addChild(this.hintLayer);
   }
 
   /**
@@ -72,6 +110,7 @@ class PiecesContainer extends PIXI.Container {
   piece.color = color;
   piece.index = index;
   piece.gridPosition = { ...gridPosition };
+  piece.homePosition = { ...gridPosition };
   piece.isInHome = true;
   piece.isSelected = false;
   piece.canMove = false;
@@ -87,19 +126,12 @@ class PiecesContainer extends PIXI.Container {
    * Create visual appearance of piece
    */
   createPieceVisual(piece, color) {
-    const colors = {
-      red: 0xff4444,
-      blue: 0x4444ff,
-      green: 0x44ff44,
-      yellow: 0xffdd44
-    };
-
-    const pieceSize = (this.boardSize / 15) * 0.6; // 60% of cell size
+    const pieceSize = this.getPieceSize();
 
     // Main piece body
     const body = new PIXI.Graphics();
     body.circle(0, 0, pieceSize);
-    body.fill({ color: colors[color] });
+    body.fill({ color: PIECE_COLORS[color] });
     body.stroke({ color: 0xffffff, width: 2 });
 
     // Inner highlight
@@ -202,6 +234,10 @@ class PiecesContainer extends PIXI.Container {
 
       if (piece.canMove) {
         this.showPieceHover(piece);
+
+        if (!this.selectedPiece) {
+          this.showMovePreview(piece);
+        }
       }
     });
 
@@ -210,6 +246,11 @@ class PiecesContainer extends PIXI.Container {
       this.hidePieceTooltip(piece);
 
       this.hidePieceHover(piece);
+
+      // Keep the preview pinned while a piece is selected
+      if (!this.selectedPiece) {
+        this.clearMovePreview();
+      }
     });
 
     // Click handler
@@ -295,6 +336,8 @@ class PiecesContainer extends PIXI.Container {
 
   /**
    * Handle piece click
+   * A single option is submitted straight away; with several options the
+   * piece is selected and the player picks one of the ghost destinations
    */
   handlePieceClick(piece) {
     console.log('🔴 Piece clicked:', piece.id);
@@ -305,9 +348,355 @@ class PiecesContainer extends PIXI.Container {
       color: piece.color,
       position: piece.gridPosition
     });
+
+    const options = piece.moveOptions || [];
+
+    if (options.length === 1) {
+      this.chooseMoveOption(options[0]);
+      return;
+    }
+
+    if (this.selectedPiece === piece) {
+      // Clicking the selected piece again releases it
+      this.deselectAllPieces();
+      this.clearMovePreview();
+      return;
+    }
     
     // Visual feedback
     this.selectPiece(piece);
+    this.showMovePreview(piece);
+  }
+
+  /**
+   * Submit a move option picked on the board
+   */
+  chooseMoveOption(option) {
+    console.log('🔴 Move chosen on board:', option.number, option.pieceId);
+
+    if (this.onMoveOptionSelected) {
+      this.onMoveOptionSelected(option);
+    }
+  }
+
+  // =========================================================================
+  // CLICK-TO-MOVE
+  // =========================================================================
+
+  /**
+   * Mark pieces that have legal moves and make them glow
+   * @param {Array} moveOptions - Structured move options (see utils/moveOptions)
+   */
+  setMovablePieces(moveOptions) {
+    this.clearMovablePieces();
+
+    this.moveOptions = moveOptions;
+    this.markMovablePieces(moveOptions);
+  }
+
+  markMovablePieces(moveOptions) {
+    moveOptions.forEach(option => {
+      const piece = option.pieceId ? this.pieces.get(option.pieceId) : null;
+      if (!piece) return;
+
+      if (!this.movablePieceIds.has(piece.id)) {
+        this.movablePieceIds.add(piece.id);
+        piece.moveOptions = [];
+        this.showMovableGlow(piece);
+      }
+      piece.moveOptions.push(option);
+    });
+
+    console.log('🔴 Movable pieces:', Array.from(this.movablePieceIds));
+  }
+
+  /**
+   * Remove glow, previews and selection from all pieces
+   */
+  clearMovablePieces() {
+    this.unmarkMovablePieces();
+    this.moveOptions = [];
+
+    this.deselectAllPieces();
+    this.clearMovePreview();
+    this.clearHint();
+  }
+
+  unmarkMovablePieces() {
+    this.movablePieceIds.forEach(pieceId => {
+      const piece = this.pieces.get(pieceId);
+      if (piece) {
+        piece.moveOptions = [];
+        this.hideMovableGlow(piece);
+      }
+    });
+    this.movablePieceIds.clear();
+    this.dropTargetId = null;
+  }
+
+  // =========================================================================
+  // DIE ASSIGNMENT
+  // =========================================================================
+
+  /**
+   * Only offer the options that play one die - clicking a piece then
+   * submits its move for that die
+   * @param {string|null} dieUsed - 'die1', 'die2', 'sum' or null for all
+   */
+  setActiveDie(dieUsed) {
+    this.unmarkMovablePieces();
+    this.deselectAllPieces();
+    this.clearMovePreview();
+    this.markMovablePieces(dieUsed ? getMoveOptionsForDie(this.moveOptions, dieUsed) : this.moveOptions);
+  }
+
+  /**
+   * Option for the active die whose piece is under a point (a dropped die)
+   * @param {Object} globalPoint - {x, y} in canvas coordinates
+   * @returns {Object|null} Move option
+   */
+  getMoveOptionAt(globalPoint) {
+    const point = this.toLocal(globalPoint);
+    const reach = this.boardSize / 15 / 2;
+
+    const piece = Array.from(this.movablePieceIds)
+      .map(pieceId => this.pieces.get(pieceId))
+      .find(candidate => candidate && Math.hypot(candidate.x - point.x, candidate.y - point.y) <= reach);
+
+    return piece?.moveOptions[0] || null;
+  }
+
+  /**
+   * Preview the move a die dragged over a piece would make
+   */
+  previewDropAt(globalPoint) {
+    const option = this.getMoveOptionAt(globalPoint);
+    const pieceId = option ? option.pieceId : null;
+    if (pieceId === this.dropTargetId) return;
+
+    this.dropTargetId = pieceId;
+    this.clearMovePreview();
+    if (option) {
+      this.showMovePreview(this.pieces.get(pieceId));
+    }
+  }
+
+  /**
+   * Show pulsing glow on a movable piece
+   */
+  showMovableGlow(piece) {
+    piece.canMove = true;
+    piece.cursor = 'pointer';
+    piece.moveIndicator.visible = true;
+    piece.moveIndicator.alpha = 1;
+    piece.moveIndicator.scale.set(1);
+
+    gsap.to(piece.moveIndicator.scale, {
+      x: 1.2,
+      y: 1.2,
+      duration: 0.6,
+      yoyo: true,
+      repeat: -1,
+      ease: "sine.inOut"
+    });
+    gsap.to(piece.moveIndicator, {
+      alpha: 0.5,
+      duration: 0.6,
+      yoyo: true,
+      repeat: -1,
+      ease: "sine.inOut"
+    });
+  }
+
+  /**
+   * Hide the glow on a piece
+   */
+  hideMovableGlow(piece) {
+    piece.canMove = false;
+    piece.cursor = 'default';
+
+    gsap.killTweensOf([piece.moveIndicator, piece.moveIndicator.scale]);
+    piece.moveIndicator.visible = false;
+  }
+
+  /**
+   * Show ghost pieces and stepped paths to every destination of a piece
+   */
+  showMovePreview(piece) {
+    this.clearMovePreview();
+
+    const options = piece.moveOptions || [];
+    options.forEach(option => {
+      if (!option.to) return;
+
+      const from = option.from || piece.gridPosition;
+      this.drawPreviewPath(piece.color, from, option.to);
+      this.createGhostPiece(piece, option);
+    });
+  }
+
+  /**
+   * Draw the cells a piece would hop through
+   */
+  drawPreviewPath(color, from, to, layer = this.previewLayer) {
+    // Pieces leaving home jump straight to the entry point
+    const points = getPathIndex(color, from) === -1
+      ? [backendToPixel(from.row, from.col, this.boardSize), backendToPixel(to.row, to.col, this.boardSize)]
+      : generateStepByStepPath(color, from, to, this.boardSize);
+
+    if (points.length < 2) return;
+
+    const path = new PIXI.Graphics();
+    path.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(point => path.lineTo(point.x, point.y));
+    path.stroke({ color: PIECE_COLORS[color], width: 3, alpha: 0.7 });
+
+    // Step markers
+    points.slice(1, -1).forEach(point => {
+      path.circle(point.x, point.y, 3);
+    });
+    path.fill({ color: 0xffffff, alpha: 0.9 });
+
+    layer.addChild(path);
+  }
+
+  /**
+   * Create a clickable ghost piece at a move's destination
+   */
+  createGhostPiece(piece, option, layer = this.previewLayer) {
+    const pieceSize = this.getPieceSize();
+    const pixelPos = backendToPixel(option.to.row, option.to.col, this.boardSize);
+
+    const ghost = new PIXI.Container();
+    ghost.x = pixelPos.x;
+    ghost.y = pixelPos.y;
+
+    const body = new PIXI.Graphics();
+    body.circle(0, 0, pieceSize);
+    body.fill({ color: PIECE_COLORS[piece.color], alpha: 0.35 });
+    body.stroke({ color: option.captures ? 0xff0000 : 0xffffff, width: option.captures ? 3 : 2, alpha: 0.9 });
+    ghost.addChild(body);
+
+    if (option.steps !== null) {
+      const label = new PIXI.Text(String(option.steps), {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 11,
+        fontWeight: 'bold',
+        fill: '#ffffff',
+        align: 'center'
+      });
+      label.anchor.set(0.5);
+      ghost.addChild(label);
+    }
+
+    ghost.interactive = true;
+    ghost.cursor = 'pointer';
+    ghost.on('pointerover', () => {
+      gsap.to(ghost.scale, { x: 1.15, y: 1.15, duration: 0.15 });
+    });
+    ghost.on('pointerout', () => {
+      gsap.to(ghost.scale, { x: 1, y: 1, duration: 0.15 });
+    });
+    ghost.on('pointerdown', (event) => {
+      event.stopPropagation();
+      this.chooseMoveOption(option);
+    });
+
+    ghost.alpha = 0;
+    gsap.to(ghost, { alpha: 1, duration: 0.2 });
+
+    layer.addChild(ghost);
+    return ghost;
+  }
+
+  /**
+   * Remove all move previews
+   */
+  clearMovePreview() {
+    if (!this.previewLayer) return;
+
+    this.previewLayer.children.forEach(child => {
+      gsap.killTweensOf([child, child.scale]);
+    });
+    this.previewLayer.removeChildren().forEach(child => child.destroy({ children: true }));
+  }
+
+  // =========================================================================
+  // HINTS
+  // =========================================================================
+
+  /**
+   * Highlight a suggested move: a gold ring on the piece, its path and a
+   * clickable ghost labelled with the reason
+   */
+  showHint(option, reason) {
+    this.clearHint();
+
+    const piece = option.pieceId ? this.pieces.get(option.pieceId) : null;
+    if (!piece) return;
+
+    const pieceSize = this.getPieceSize();
+
+    const ring = new PIXI.Graphics();
+    ring.circle(0, 0, pieceSize * 1.6);
+    ring.stroke({ color: 0xffd700, width: 3 });
+    ring.x = piece.x;
+    ring.y = piece.y;
+    this.hintLayer.addChild(ring);
+    gsap.to(ring.scale, { x: 1.2, y: 1.2, duration: 0.6, yoyo: true, repeat: -1, ease: 'sine.inOut' });
+
+    const target = option.to ? backendToPixel(option.to.row, option.to.col, this.boardSize) : piece;
+    if (option.to) {
+      this.drawPreviewPath(piece.color, option.from || piece.gridPosition, option.to, this.hintLayer);
+      this.createGhostPiece(piece, option, this.hintLayer);
+    }
+
+    this.hintLayer.addChild(this.createHintLabel(`💡 ${reason}`, target, pieceSize));
+  }
+
+  /**
+   * Reason bubble above the suggested destination, kept on the board
+   */
+  createHintLabel(text, position, pieceSize) {
+    const label = new PIXI.Container();
+
+    const labelText = new PIXI.Text(text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 13,
+      fontWeight: 'bold',
+      fill: '#1e1e3a'
+    });
+    labelText.anchor.set(0.5);
+
+    const width = labelText.width + 16;
+    const height = labelText.height + 8;
+    const background = new PIXI.Graphics();
+    background.roundRect(-width / 2, -height / 2, width, height, 6);
+    background.fill({ color: 0xffd700, alpha: 0.95 });
+
+    label.addChild(background);
+    label.addChild(labelText);
+
+    label.x = Math.min(Math.max(position.x, width / 2), this.boardSize - width / 2);
+    label.y = Math.max(position.y - pieceSize * 2 - height / 2, height / 2);
+
+    return label;
+  }
+
+  clearHint() {
+    if (!this.hintLayer) return;
+
+    this.hintLayer.children.forEach(child => {
+      gsap.killTweensOf([child, child.scale]);
+    });
+    this.hintLayer.removeChildren().forEach(child => child.destroy({ children: true }));
+  }
+
+  /**
+   * Get piece radius for the current board size
+   */
+  getPieceSize() {
+    return (this.boardSize / 15) * 0.6; // 60% of cell size
   }
 
   /**
@@ -323,8 +712,9 @@ class PiecesContainer extends PIXI.Container {
 
   /**
  * Update all pieces from game state - FIXED for array format
+ * @param {boolean} animate - Walk moved pieces along the path (false snaps them)
  */
-  updatePieces(piecesData) {
+  updatePieces(piecesData, animate = true) {
     if (!piecesData || !Array.isArray(piecesData)) return;
   
     console.log('🔴 Updating pieces from backend array:', piecesData.length);
@@ -332,7 +722,7 @@ class PiecesContainer extends PIXI.Container {
     piecesData.forEach((pieceData) => {
       const piece = this.pieces.get(pieceData.id);
       if (piece) {
-        this.updatePieceFromData(piece, pieceData);
+        this.updatePieceFromData(piece, pieceData, animate);
       } else {
         console.warn('🔴 Backend piece not found in container:', pieceData.id);
       }
@@ -345,7 +735,7 @@ class PiecesContainer extends PIXI.Container {
   /**
  * Update individual piece from data - FIXED field names
  */
-  updatePieceFromData(piece, data) {
+  updatePieceFromData(piece, data, animate = true) {
     // Check if position changed (backend uses row/col)
     if (data.position && 
         (data.position.row !== piece.gridPosition.row || 
@@ -357,7 +747,7 @@ class PiecesContainer extends PIXI.Container {
       this.movePieceToPosition(piece, {
         row: data.position.row,
         col: data.position.col
-      });
+      }, animate);
     }
   
     // Update state flags from backend format
@@ -416,6 +806,7 @@ class PiecesContainer extends PIXI.Container {
     // Create movement timeline
     const timeline = gsap.timeline({
       onComplete: () => {
+        piece.moveTimeline = null;
         piece.gridPosition = { ...finalGridPosition };
         piece.interactive = true;
         this.updatePieceVisualState(piece);
@@ -430,6 +821,8 @@ class PiecesContainer extends PIXI.Container {
       }
     });
 
+    piece.moveTimeline = timeline;
+
     // Animation config
     const hopHeight = 12; // Pixels to hop up
     const hopDuration = 0.12; // Duration per hop (faster for better game feel)
@@ -472,6 +865,14 @@ class PiecesContainer extends PIXI.Container {
     }, finalTime + 0.08);
   }
 
+  /**
+   * Jump any running piece animations to their end
+   * Completing (rather than killing) them keeps animation events balanced
+   */
+  finishAnimations() {
+    this.pieces.forEach(piece => piece.moveTimeline?.progress(1));
+  }
+
   /**
  * Move specific piece - FIXED logging and position format
  */
@@ -503,6 +904,7 @@ class PiecesContainer extends PIXI.Container {
     // Deselect all other pieces first
     this.deselectAllPieces();
     
+    this.selectedPiece = piece;
     piece.isSelected = true;
     piece.selectionRing.visible = true;
     
@@ -526,6 +928,25 @@ class PiecesContainer extends PIXI.Container {
     });
   }
 
+  /**
+   * Clear selection from all pieces
+   */
+  deselectAllPieces() {
+    this.pieces.forEach(piece => {
+      if (!piece.isSelected) return;
+
+      piece.isSelected = false;
+      piece.selectionRing.visible = false;
+      gsap.to(piece.scale, {
+        x: 1,
+        y: 1,
+        duration: 0.2,
+        ease: "power2.out"
+      });
+    });
+    this.selectedPiece = null;
+  }
+
   /**
    * Update piece visual state based on current data
    */
@@ -540,7 +961,7 @@ class PiecesContainer extends PIXI.Container {
     // FIXED: Keep interactive always true for tooltip to work
     // Only the click handler checks piece.canMove
     piece.interactive = true;
-    piece.buttonMode = piece.canMove; // Cursor only changes when movable
+    piece.cursor = piece.canMove ? 'pointer' : 'default'; // Cursor only changes when movable
   }
 
   /**
@@ -565,10 +986,14 @@ class PiecesContainer extends PIXI.Container {
     
     // Kill all animations
     this.pieces.forEach(piece => {
-      gsap.killTweensOf([piece, piece.scale, piece.moveIndicator, piece.selectionRing]);
+      gsap.killTweensOf([piece, piece.scale, piece.moveIndicator, piece.moveIndicator.scale, piece.selectionRing]);
     });
+    this.clearMovePreview();
+    this.clearHint();
+    this.onMoveOptionSelected = null;
     
     this.pieces.clear();
+    this.movablePieceIds.clear();
     this.playerPieces = { red: [], blue: [], green: [], yellow: [] };
     
     super.destroy();
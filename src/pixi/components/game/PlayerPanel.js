@@ -2,6 +2,8 @@
 
 import * as PIXI from 'pixi.js';
 import { gsap } from 'gsap';
+import Avatar from '../ui/Avatar';
+import { getPlayerAvatar } from '../../../utils/playerProfile';
 
 /**
  * PlayerPanel - Display player information and statistics
@@ -23,9 +25,17 @@ class PlayerPanel extends PIXI.Container {
     this.background = null;
     this.border = null;
     this.playerNameText = null;
+    this.avatar = null;
     this.turnIndicator = null;
     this.piecesStatusContainer = null;
     this.statsContainer = null;
+    this.muteButton = null;
+    this.emoteBubble = null;
+    this.teamStripe = null;
+    this.teamText = null;
+
+    // Callback when the mute toggle is clicked
+    this.onMuteToggle = null;
     
     console.log(`👤 PlayerPanel created for ${this.color}`);
     
@@ -40,7 +50,9 @@ class PlayerPanel extends PIXI.Container {
     this.createHeader();
     this.createPiecesStatus();
     this.createStats();
+    this.createTeamBadge();
     this.createTurnIndicator();
+    this.createMuteButton();
   }
 
   /**
@@ -71,6 +83,13 @@ class PlayerPanel extends PIXI.Container {
    * Create panel header with player name
    */
   createHeader() {
+    // Avatar - shown once a player takes the seat
+    this.avatar = new Avatar({ size: 28 });
+    this.avatar.x = 10;
+    this.avatar.y = 8;
+    this.avatar.visible = false;
+    this.addChild(this.avatar);
+
     // Player name
     this.playerNameText = new PIXI.Text(this.color.toUpperCase(), {
       fontFamily: 'Arial, sans-serif',
@@ -164,23 +183,9 @@ class PlayerPanel extends PIXI.Container {
     this.statsContainer.addChild(statsBg);
     
     // Create stat displays
-    this.movesText = new PIXI.Text('Moves: 0', {
-      fontFamily: 'Arial, sans-serif',
-      fontSize: 11,
-      fill: '#333333'
-    });
-    this.movesText.x = 10;
-    this.movesText.y = 8;
-    this.statsContainer.addChild(this.movesText);
-    
-    this.capturesText = new PIXI.Text('Captures: 0', {
-      fontFamily: 'Arial, sans-serif',
-      fontSize: 11,
-      fill: '#333333'
-    });
-    this.capturesText.x = 10;
-    this.capturesText.y = 25;
-    this.statsContainer.addChild(this.capturesText);
+    this.movesText = this.createStatText('Moves: 0', 5);
+    this.capturesText = this.createStatText('Captures: 0', 19);
+    this.rollsText = this.createStatText('Sixes: 0 · Doubles: 0', 33);
     
     this.statusText = new PIXI.Text('Waiting...', {
       fontFamily: 'Arial, sans-serif',
@@ -189,13 +194,45 @@ class PlayerPanel extends PIXI.Container {
       fontStyle: 'italic'
     });
     this.statusText.x = this.width - 10;
-    this.statusText.y = 8;
+    this.statusText.y = 5;
     this.statusText.anchor.x = 1;
     this.statsContainer.addChild(this.statusText);
     
     this.addChild(this.statsContainer);
   }
 
+  createStatText(text, y) {
+    const statText = new PIXI.Text(text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 11,
+      fill: '#333333'
+    });
+    statText.x = 10;
+    statText.y = y;
+    this.statsContainer.addChild(statText);
+    return statText;
+  }
+
+  /**
+   * Create team stripe and shared score (team mode only)
+   */
+  createTeamBadge() {
+    this.teamStripe = new PIXI.Graphics();
+    this.teamStripe.visible = false;
+    this.addChild(this.teamStripe);
+
+    this.teamText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 10,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    this.teamText.x = this.width - 10;
+    this.teamText.y = 1;
+    this.teamText.anchor.x = 1;
+    this.piecesStatusContainer.addChild(this.teamText);
+  }
+
   /**
    * Create turn indicator
    */
@@ -228,6 +265,28 @@ class PlayerPanel extends PIXI.Container {
     this.glowBorder = glowBorder;
   }
 
+  /**
+   * Create chat mute toggle (shown for other players only)
+   */
+  createMuteButton() {
+    this.muteButton = new PIXI.Text('🔊', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 16
+    });
+    this.muteButton.anchor.set(0.5);
+    this.muteButton.x = this.width - 52;
+    this.muteButton.y = 25;
+    this.muteButton.eventMode = 'static';
+    this.muteButton.cursor = 'pointer';
+    this.muteButton.visible = false;
+    this.muteButton.on('pointertap', () => {
+      if (this.onMuteToggle) {
+        this.onMuteToggle(this.playerData);
+      }
+    });
+    this.addChild(this.muteButton);
+  }
+
   /**
    * Get player color hex value
    */
@@ -250,9 +309,14 @@ class PlayerPanel extends PIXI.Container {
     if (!playerData) return;
     
     // Update player name if provided
-    if (playerData.name) {
-      this.playerNameText.text = playerData.name.toUpperCase();
+    const name = playerData.name || playerData.playerName;
+    if (name) {
+      this.playerNameText.text = name.toUpperCase();
     }
+
+    this.avatar.setAvatar(getPlayerAvatar(playerData));
+    this.avatar.visible = true;
+    this.playerNameText.x = 44;
     
     // Update pieces status
     if (playerData.pieces) {
@@ -363,11 +427,21 @@ class PlayerPanel extends PIXI.Container {
    */
   updateStats(stats) {
     if (stats.moves !== undefined) {
-      this.movesText.text = `Moves: ${stats.moves}`;
+      this.movesText.text = stats.distance !== undefined
+        ? `Moves: ${stats.moves} · ${stats.distance} steps`
+        : `Moves: ${stats.moves}`;
     }
     
-    if (stats.captures !== undefined) {
-      this.capturesText.text = `Captures: ${stats.captures}`;
+    const captures = stats.capturesMade ?? stats.captures;
+    if (captures !== undefined) {
+      this.capturesText.text = stats.capturesSuffered !== undefined
+        ? `Captures: ${captures} · Lost: ${stats.capturesSuffered}`
+        : `Captures: ${captures}`;
+    }
+
+    if (stats.sixes !== undefined) {
+      const decisionTime = stats.averageDecisionTime ? ` · ⏱ ${(stats.averageDecisionTime / 1000).toFixed(1)}s` : '';
+      this.rollsText.text = `Sixes: ${stats.sixes} · Doubles: ${stats.doubles}${decisionTime}`;
     }
   }
 
@@ -469,6 +543,89 @@ class PlayerPanel extends PIXI.Container {
     });
   }
 
+  /**
+   * Show the team this color plays for
+   * @param {Object|null} team - { name, score, total, accent }, null outside team mode
+   */
+  setTeam(team) {
+    this.teamStripe.visible = Boolean(team);
+
+    if (!team) {
+      this.teamText.text = '';
+      return;
+    }
+
+    this.teamStripe.clear();
+    this.teamStripe.roundRect(10, -3, this.width - 20, 6, 3);
+    this.teamStripe.fill({ color: team.accent });
+
+    this.teamText.text = `🤝 ${team.name} · ${team.score}/${team.total}`;
+    this.teamText.style.fill = team.accent;
+  }
+
+  /**
+   * Show or hide the mute toggle
+   */
+  setMuteVisible(visible) {
+    this.muteButton.visible = visible;
+  }
+
+  /**
+   * Reflect the chat mute state on the toggle
+   */
+  setMuted(muted) {
+    this.muteButton.text = muted ? '🔇' : '🔊';
+    this.muteButton.alpha = muted ? 1 : 0.6;
+  }
+
+  /**
+   * Pop a quick emote over the panel
+   */
+  showEmote(text) {
+    if (this.emoteBubble) {
+      gsap.killTweensOf([this.emoteBubble, this.emoteBubble.scale]);
+      this.emoteBubble.destroy({ children: true });
+    }
+
+    const bubble = new PIXI.Container();
+
+    const label = new PIXI.Text(text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 20,
+      fontWeight: 'bold',
+      fill: '#222222'
+    });
+    label.anchor.set(0.5);
+
+    const bubbleWidth = label.width + 30;
+    const background = new PIXI.Graphics();
+    background.roundRect(-bubbleWidth / 2, -20, bubbleWidth, 40, 20);
+    background.fill({ color: 0xffffff, alpha: 0.95 });
+    background.stroke({ color: this.getPlayerColor(), width: 3 });
+
+    bubble.addChild(background);
+    bubble.addChild(label);
+    bubble.x = this.width / 2;
+    bubble.y = this.height / 2;
+    bubble.scale.set(0);
+    this.addChild(bubble);
+    this.emoteBubble = bubble;
+
+    gsap.to(bubble.scale, { x: 1, y: 1, duration: 0.4, ease: "back.out(2)" });
+    gsap.to(bubble, {
+      y: bubble.y - 20,
+      alpha: 0,
+      duration: 0.5,
+      delay: 2,
+      onComplete: () => {
+        if (this.emoteBubble === bubble) {
+          this.emoteBubble = null;
+        }
+        bubble.destroy({ children: true });
+      }
+    });
+  }
+
   /**
    * Show player connected
    */
@@ -607,6 +764,10 @@ class PlayerPanel extends PIXI.Container {
       this.border, 
       this.glowBorder
     ]);
+
+    if (this.emoteBubble) {
+      gsap.killTweensOf([this.emoteBubble, this.emoteBubble.scale]);
+    }
     
     super.destroy();
   }
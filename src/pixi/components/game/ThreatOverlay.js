@@ -0,0 +1,152 @@
+// src/pixi/components/game/ThreatOverlay.js
+
+import * as PIXI from 'pixi.js';
+import { backendToPixel, getColorPath, getFinishIndex } from '../../utils/coordinateUtils';
+import { getCaptureChance, getPieceColor, getPiecePathIndex, isProtectedCell } from '../../../utils/ludoRules';
+import { DEFAULT_HOUSE_RULES } from '../../../utils/houseRules';
+
+const DANGER_COLOR = 0xff3333;
+const IMMUNE_COLOR = 0x33cc66;
+
+/**
+ * ThreatOverlay - Danger view for the colors we play
+ *
+ * Shades every cell of our paths an opponent could land on with their next
+ * roll (darker = likelier), tints protected safe cells green as immune, and
+ * badges each of our pieces on the board with its chance of being captured
+ * before our next turn (ludoRules.getCaptureChance).
+ *
+ * Cell shading goes on the board (BoardComponent.highlightCell), under the
+ * pieces; the badges live in this container, placed above them.
+ */
+class ThreatOverlay extends PIXI.Container {
+  constructor(options = {}) {
+    super();
+
+    this.boardComponent = options.boardComponent;
+    this.boardSize = options.boardSize || 600;
+    this.highlights = [];
+
+    this.eventMode = 'none';
+  }
+
+  /**
+   * Redraw for the given board
+   * @param {Array} pieces - Pieces from the game state
+   * @param {Array} colors - Our colors (lowercase)
+   * @param {Object} houseRules - Rules in play, defaults until known
+   */
+  update(pieces, colors, houseRules) {
+    this.clear();
+    if (!pieces || colors.length === 0) return;
+
+    houseRules = houseRules || DEFAULT_HOUSE_RULES;
+
+    this.shadeCells(pieces, colors, houseRules);
+
+    pieces
+      .filter(piece => colors.includes(getPieceColor(piece)) && getPiecePathIndex(piece) >= 0)
+      .filter(piece => getPiecePathIndex(piece) < getFinishIndex(getPieceColor(piece)))
+      .forEach(piece => this.addChild(this.createBadge(piece, pieces, houseRules)));
+  }
+
+  /**
+   * One highlight per cell of our paths - the worst chance if paths share it
+   */
+  shadeCells(pieces, colors, houseRules) {
+    const cells = new Map();
+
+    colors.forEach(color => {
+      const finishIndex = getFinishIndex(color);
+
+      getColorPath(color).forEach((cell, pathIndex) => {
+        if (pathIndex >= finishIndex) return;
+
+        const key = `${cell.row},${cell.col}`;
+        const immune = isProtectedCell(cell, houseRules);
+        const chance = immune ? 0 : getCaptureChance(pieces, color, cell, houseRules);
+        const previous = cells.get(key);
+
+        if (!previous || chance > previous.chance) {
+          cells.set(key, { cell, chance, immune });
+        }
+      });
+    });
+
+    cells.forEach(({ cell, chance, immune }) => {
+      if (immune) {
+        this.highlight(cell, IMMUNE_COLOR, 0.3);
+      } else if (chance > 0) {
+        this.highlight(cell, DANGER_COLOR, 0.15 + chance * 0.5);
+      }
+    });
+  }
+
+  highlight(cell, color, alpha) {
+    this.highlights.push(this.boardComponent.highlightCell(cell.col, cell.row, color, alpha));
+  }
+
+  /**
+   * "🛡️" on a protected cell, otherwise the capture chance
+   */
+  createBadge(piece, pieces, houseRules) {
+    const immune = isProtectedCell(piece.position, houseRules);
+    const chance = immune ? 0 : getCaptureChance(pieces, getPieceColor(piece), piece.position, houseRules);
+    const percent = Math.round(chance * 100);
+
+    const badge = new PIXI.Container();
+
+    const text = new PIXI.Text(immune ? '🛡️' : `${percent}%`, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 11,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    text.anchor.set(0.5);
+
+    const width = Math.max(text.width + 8, 20);
+    const background = new PIXI.Graphics();
+    background.roundRect(-width / 2, -8, width, 16, 8);
+    background.fill({ color: immune ? IMMUNE_COLOR : this.getDangerColor(percent), alpha: 0.95 });
+    background.stroke({ width: 1, color: 0xffffff });
+
+    badge.addChild(background);
+    badge.addChild(text);
+
+    const cellSize = this.boardSize / 15;
+    const position = backendToPixel(piece.position.row, piece.position.col, this.boardSize);
+    badge.x = position.x + cellSize * 0.45;
+    badge.y = position.y - cellSize * 0.45;
+
+    return badge;
+  }
+
+  getDangerColor(percent) {
+    if (percent === 0) return 0x2e7d32;
+    if (percent < 20) return 0xf9a825;
+    if (percent < 40) return 0xef6c00;
+    return 0xc62828;
+  }
+
+  /**
+   * Remove the shading and badges
+   */
+  clear() {
+    this.highlights.forEach(highlight => {
+      if (!highlight.destroyed) highlight.destroy();
+    });
+    this.highlights = [];
+
+    this.removeChildren().forEach(child => child.destroy({ children: true }));
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy(options) {
+    this.clear();
+    super.destroy(options);
+  }
+}
+
+export default ThreatOverlay;
@@ -0,0 +1,154 @@
+// src/pixi/components/lobby/AchievementsPanel.js
+
+import * as PIXI from 'pixi.js';
+import achievementTracker from '../../../services/AchievementTracker';
+import ModalPanel from '../ui/ModalPanel';
+
+const PANEL_WIDTH = 760;
+const PANEL_HEIGHT = 540;
+
+// Badge grid
+const COLUMNS = 3;
+const CARD_WIDTH = 224;
+const CARD_HEIGHT = 130;
+const CARD_GAP = 14;
+const GRID_Y = 80;
+
+/**
+ * AchievementsPanel - Modal gallery of every badge, unlocked or not, with
+ * progress toward the milestones (AchievementTracker)
+ */
+class AchievementsPanel extends ModalPanel {
+  constructor(options = {}) {
+    super({
+      width: PANEL_WIDTH,
+      height: PANEL_HEIGHT,
+      ...options
+    });
+
+    this.createPanel();
+  }
+
+  /**
+   * Create the badge grid - badges are drawn on show
+   */
+  createBody() {
+    this.grid = new PIXI.Container();
+    this.grid.x = (PANEL_WIDTH - (COLUMNS * CARD_WIDTH + (COLUMNS - 1) * CARD_GAP)) / 2;
+    this.grid.y = GRID_Y;
+    this.content.addChild(this.grid);
+  }
+
+  // =========================================================================
+  // RENDERING
+  // =========================================================================
+
+  render() {
+    const achievements = achievementTracker.getAchievements();
+
+    this.titleText.text = `🏅 Achievements  ${achievementTracker.getUnlockedCount()} / ${achievements.length}`;
+
+    this.grid.removeChildren().forEach(child => child.destroy({ children: true }));
+
+    achievements.forEach((achievement, index) => {
+      const card = this.createCard(achievement);
+      card.x = (index % COLUMNS) * (CARD_WIDTH + CARD_GAP);
+      card.y = Math.floor(index / COLUMNS) * (CARD_HEIGHT + CARD_GAP);
+      this.grid.addChild(card);
+    });
+  }
+
+  createCard(achievement) {
+    const unlocked = Boolean(achievement.unlockedAt);
+    const card = new PIXI.Container();
+
+    const background = new PIXI.Graphics();
+    background.roundRect(0, 0, CARD_WIDTH, CARD_HEIGHT, 12);
+    background.fill({ color: unlocked ? 0x2e2e5a : 0x24243e });
+    background.stroke({ width: 2, color: unlocked ? 0xffd700 : 0x3a3a5a });
+    card.addChild(background);
+
+    const icon = new PIXI.Text(unlocked ? achievement.icon : '🔒', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 30
+    });
+    icon.x = 14;
+    icon.y = 12;
+    icon.alpha = unlocked ? 1 : 0.6;
+    card.addChild(icon);
+
+    const title = new PIXI.Text(achievement.title, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 16,
+      fontWeight: 'bold',
+      fill: unlocked ? '#ffffff' : '#9999aa'
+    });
+    title.x = 60;
+    title.y = 18;
+    card.addChild(title);
+
+    const description = new PIXI.Text(achievement.description, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 13,
+      fill: unlocked ? '#ccccdd' : '#777788',
+      wordWrap: true,
+      wordWrapWidth: CARD_WIDTH - 28
+    });
+    description.x = 14;
+    description.y = 54;
+    card.addChild(description);
+
+    if (unlocked) {
+      card.addChild(this.createStatus(`Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`, '#ffd700'));
+    } else if (achievement.goal) {
+      card.addChild(this.createProgressBar(achievement.progress, achievement.goal));
+    } else {
+      card.addChild(this.createStatus('Locked', '#777788'));
+    }
+
+    return card;
+  }
+
+  createStatus(text, fill) {
+    const status = new PIXI.Text(text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 12,
+      fill
+    });
+    status.x = 14;
+    status.y = CARD_HEIGHT - 26;
+    return status;
+  }
+
+  /**
+   * Milestone bar with "7 / 10"
+   */
+  createProgressBar(progress, goal) {
+    const bar = new PIXI.Container();
+    bar.x = 14;
+    bar.y = CARD_HEIGHT - 24;
+
+    const width = CARD_WIDTH - 90;
+    const track = new PIXI.Graphics();
+    track.roundRect(0, 0, width, 10, 5);
+    track.fill({ color: 0x3a3a5a });
+    if (progress > 0) {
+      track.roundRect(0, 0, Math.max(10, width * progress / goal), 10, 5);
+      track.fill({ color: 0x4a9eff });
+    }
+    bar.addChild(track);
+
+    const label = new PIXI.Text(`${progress} / ${goal}`, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 12,
+      fill: '#aaaacc'
+    });
+    label.x = width + 10;
+    label.y = -2;
+    bar.addChild(label);
+
+    return bar;
+  }
+}
+
+export default AchievementsPanel;
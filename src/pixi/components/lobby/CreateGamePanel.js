@@ -5,6 +5,11 @@ import { gsap } from 'gsap';
 import eventBus from '../../../utils/EventBus';
 import Button from '../ui/Button';
 import Panel from '../ui/Panel';
+import { BOT_LEVELS, BOT_LEVEL_LABELS } from '../../../utils/botStrategies';
+import { DEFAULT_HOUSE_RULES, normalizeHouseRules } from '../../../utils/houseRules';
+
+// null = no bots, empty seats wait for people
+const BOT_OPTIONS = [null, BOT_LEVELS.EASY, BOT_LEVELS.NORMAL, BOT_LEVELS.HARD];
 
 /**
  * CreateGamePanel - Animated panel for creating new games
@@ -16,10 +21,17 @@ class CreateGamePanel extends PIXI.Container {
     this.panel = null;
     this.titleText = null;
     this.createButton = null;
+    this.offlineButton = null;
+    this.botLevelButton = null;
     this.loadingSpinner = null;
     this.statusText = null;
     
     this.isCreating = false;
+    this.botLevel = BOT_OPTIONS[0];
+    this.rules = { ...DEFAULT_HOUSE_RULES };
+
+    // Callback - opens the house rules step: ({ rules, confirmText, onConfirm(rules) })
+    this.onConfigureRules = null;
     
     console.log('🎮 CreateGamePanel created');
     
@@ -48,6 +60,9 @@ class CreateGamePanel extends PIXI.Container {
     // Create description text
     this.createDescription();
 
+    // Create bot difficulty toggle
+    this.createBotLevelButton();
+
     // Create main button
     this.createButton = new Button({
       text: 'Create New Game',
@@ -60,14 +75,17 @@ class CreateGamePanel extends PIXI.Container {
       cornerRadius: 10
     });
     this.createButton.x = 50;
-    this.createButton.y = 250;
+    this.createButton.y = 210;
     this.addChild(this.createButton);
 
     // Setup button interaction
     this.createButton.onButtonClick = () => {
-      this.handleCreateGame();
+      this.configureRules('Create Game', () => this.handleCreateGame());
     };
 
+    // Create offline (pass-and-play) buttons
+    this.createOfflineButtons();
+
     // Create loading spinner (hidden initially)
     this.createLoadingSpinner();
 
@@ -78,6 +96,50 @@ class CreateGamePanel extends PIXI.Container {
     this.setupPanelHover();
   }
 
+  /**
+   * Create the toggle that fills empty seats with bots
+   */
+  createBotLevelButton() {
+    this.botLevelButton = new Button({
+      text: this.getBotLevelLabel(),
+      width: 200,
+      height: 36,
+      backgroundColor: 0x4a4a6a,
+      hoverColor: 0x3a3a5a,
+      textColor: 0xFFFFFF,
+      fontSize: 14,
+      cornerRadius: 8
+    });
+    this.botLevelButton.x = 50;
+    this.botLevelButton.y = 160;
+    this.botLevelButton.onButtonClick = () => {
+      this.cycleBotLevel();
+    };
+    this.addChild(this.botLevelButton);
+  }
+
+  /**
+   * Create offline play button
+   */
+  createOfflineButtons() {
+    this.offlineButton = new Button({
+      text: '📴 Play Offline',
+      width: 200,
+      height: 45,
+      backgroundColor: 0x4a6a9a,
+      hoverColor: 0x3a5a8a,
+      textColor: 0xFFFFFF,
+      fontSize: 15,
+      cornerRadius: 10
+    });
+    this.offlineButton.x = 50;
+    this.offlineButton.y = 285;
+    this.offlineButton.onButtonClick = () => {
+      this.configureRules('Start Offline', () => this.handleCreateOfflineGame());
+    };
+    this.addChild(this.offlineButton);
+  }
+
   /**
    * Create title text
    */
@@ -111,12 +173,12 @@ class CreateGamePanel extends PIXI.Container {
     });
 
     const descText = new PIXI.Text(
-      'Start a new Ludo game and invite friends to join!\n\nYou\'ll get a game code to share.',
+      'Invite friends, add bots, or play offline on this device.',
       descStyle
     );
     descText.anchor.set(0.5);
     descText.x = 150;
-    descText.y = 150;
+    descText.y = 120;
     this.addChild(descText);
   }
 
@@ -128,7 +190,7 @@ class CreateGamePanel extends PIXI.Container {
     this.loadingSpinner.lineStyle(4, 0x4CAF50, 1);
     this.loadingSpinner.arc(0, 0, 20, 0, Math.PI * 1.5);
     this.loadingSpinner.x = 150;
-    this.loadingSpinner.y = 280;
+    this.loadingSpinner.y = 240;
     this.loadingSpinner.visible = false;
     this.addChild(this.loadingSpinner);
 
@@ -158,7 +220,7 @@ class CreateGamePanel extends PIXI.Container {
     this.statusText = new PIXI.Text('', statusStyle);
     this.statusText.anchor.set(0.5);
     this.statusText.x = 150;
-    this.statusText.y = 330;
+    this.statusText.y = 365;
     this.addChild(this.statusText);
   }
 
@@ -223,6 +285,46 @@ class CreateGamePanel extends PIXI.Container {
     });
   }
 
+  /**
+   * Let the host pick house rules, then create
+   * Creates straight away if no settings step is wired up
+   */
+  configureRules(confirmText, create) {
+    if (this.isCreating) return;
+
+    if (!this.onConfigureRules) {
+      create();
+      return;
+    }
+
+    this.onConfigureRules({
+      rules: this.rules,
+      confirmText,
+      onConfirm: (rules) => {
+        this.rules = rules;
+        create();
+      }
+    });
+  }
+
+  /**
+   * Open the settings step again with a finished game's rules (rematch)
+   * @param {Object} options - { rules, local }
+   */
+  setupRematch({ rules, local = false } = {}) {
+    this.resetToIdle();
+
+    if (rules) {
+      this.rules = normalizeHouseRules(rules);
+    }
+
+    if (local) {
+      this.configureRules('Start Offline', () => this.handleCreateOfflineGame());
+    } else {
+      this.configureRules('Create Game', () => this.handleCreateGame());
+    }
+  }
+
   /**
    * Handle create game button click
    */
@@ -239,24 +341,66 @@ class CreateGamePanel extends PIXI.Container {
     
     // Also call GameService directly as backup
     import('../../../services/GameService').then(({ default: gameService }) => {
-      gameService.createGame();
+      gameService.createGame(this.getCreateOptions());
     });
   }
 
+  /**
+   * Handle offline game button click - human seats are played on this device
+   */
+  handleCreateOfflineGame() {
+    if (this.isCreating) return;
+
+    console.log(`🎮 CreateGamePanel: Starting offline game (${this.rules.playerCount} players)...`);
+
+    this.isCreating = true;
+    this.showCreating('Starting offline game...');
+
+    import('../../../services/GameService').then(({ default: gameService }) => {
+      gameService.createLocalGame(this.getCreateOptions());
+    });
+  }
+
+  /**
+   * Bot level chosen in the panel, table size and house rules from the settings step
+   */
+  getCreateOptions() {
+    return {
+      playerCount: this.rules.playerCount,
+      botLevel: this.botLevel,
+      rules: { ...this.rules }
+    };
+  }
+
+  /**
+   * Cycle bot difficulty: off, easy, normal, hard
+   */
+  cycleBotLevel() {
+    const index = BOT_OPTIONS.indexOf(this.botLevel);
+    this.botLevel = BOT_OPTIONS[(index + 1) % BOT_OPTIONS.length];
+    this.botLevelButton.setText(this.getBotLevelLabel());
+  }
+
+  getBotLevelLabel() {
+    return this.botLevel ? `🤖 Bots: ${BOT_LEVEL_LABELS[this.botLevel]}` : '🤖 Bots: Off';
+  }
+
   /**
    * Show creating state with loading animation
    */
-  showCreating() {
-    // Disable button and show loading
+  showCreating(statusMessage = 'Creating your game...') {
+    // Disable buttons and show loading
     this.createButton.setEnabled(false);
     this.createButton.setText('Creating...');
+    this.offlineButton.setEnabled(false);
+    this.botLevelButton.setEnabled(false);
     
     // Show loading spinner
     this.loadingSpinner.visible = true;
     this.spinAnimation.play();
     
     // Show status
-    this.statusText.text = 'Creating your game...';
+    this.statusText.text = statusMessage;
     
     // Add pulsing effect to panel
     gsap.to(this.panel, {
@@ -369,9 +513,11 @@ class CreateGamePanel extends PIXI.Container {
   resetToIdle() {
     this.stopLoading();
     
-    // Reset button
+    // Reset buttons
     this.createButton.setEnabled(true);
     this.createButton.setText('Create New Game');
+    this.offlineButton.setEnabled(true);
+    this.botLevelButton.setEnabled(true);
     
     // Clear status
     this.statusText.text = '';
@@ -403,6 +549,8 @@ class CreateGamePanel extends PIXI.Container {
     // Destroy children
     if (this.panel) this.panel.destroy();
     if (this.createButton) this.createButton.destroy();
+    if (this.offlineButton) this.offlineButton.destroy();
+    if (this.botLevelButton) this.botLevelButton.destroy();
     
     super.destroy();
   }
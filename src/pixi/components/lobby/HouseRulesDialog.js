@@ -0,0 +1,239 @@
+// src/pixi/components/lobby/HouseRulesDialog.js
+
+import * as PIXI from 'pixi.js';
+import { gsap } from 'gsap';
+import Button from '../ui/Button';
+import Panel from '../ui/Panel';
+import {
+  DEFAULT_HOUSE_RULES,
+  HOUSE_RULE_TOGGLES,
+  PLAYER_COUNT_OPTIONS,
+  normalizeHouseRules
+} from '../../../utils/houseRules';
+
+const DIALOG_WIDTH = 460;
+const DIALOG_HEIGHT = 532;
+const ROW_HEIGHT = 46;
+
+const ON_COLORS = [0x4CAF50, 0x45a049];
+const OFF_COLORS = [0x555566, 0x666677];
+
+/**
+ * HouseRulesDialog - Settings step shown before a game is created
+ * show({ rules, confirmText, onConfirm }) - onConfirm receives the chosen rules
+ */
+class HouseRulesDialog extends PIXI.Container {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      canvasWidth: 1200,
+      canvasHeight: 800,
+      ...options
+    };
+
+    this.rules = { ...DEFAULT_HOUSE_RULES };
+    this.onConfirm = null;
+    this.playerCountButtons = new Map();
+    this.toggleButtons = new Map();
+
+    this.createDialog();
+    this.visible = false;
+  }
+
+  /**
+   * Create overlay, panel, option rows and buttons
+   */
+  createDialog() {
+    const { canvasWidth, canvasHeight } = this.options;
+
+    this.overlay = new PIXI.Graphics();
+    this.overlay.rect(0, 0, canvasWidth, canvasHeight);
+    this.overlay.fill({ color: 0x000000, alpha: 0.6 });
+    this.overlay.eventMode = 'static';
+    this.overlay.on('pointerdown', (e) => e.stopPropagation());
+    this.addChild(this.overlay);
+
+    this.content = new PIXI.Container();
+    this.content.x = (canvasWidth - DIALOG_WIDTH) / 2;
+    this.content.y = (canvasHeight - DIALOG_HEIGHT) / 2;
+    this.addChild(this.content);
+
+    this.content.addChild(new Panel({
+      width: DIALOG_WIDTH,
+      height: DIALOG_HEIGHT,
+      backgroundColor: 0x2a2a4a,
+      borderColor: 0x4a4a6a,
+      borderWidth: 3,
+      cornerRadius: 20
+    }));
+
+    const title = new PIXI.Text('⚙️ House Rules', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 26,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    title.anchor.set(0.5, 0);
+    title.x = DIALOG_WIDTH / 2;
+    title.y = 18;
+    this.content.addChild(title);
+
+    this.createPlayerCountRow(70);
+
+    HOUSE_RULE_TOGGLES.forEach(({ key, label }, index) => {
+      this.createToggleRow(key, label, 70 + ROW_HEIGHT * (index + 1));
+    });
+
+    this.createActionButtons();
+  }
+
+  createLabel(text, y) {
+    const label = new PIXI.Text(text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 16,
+      fill: '#dddddd'
+    });
+    label.x = 30;
+    label.y = y + (34 - label.height) / 2;
+    this.content.addChild(label);
+  }
+
+  /**
+   * "Players" with one button per table size
+   */
+  createPlayerCountRow(y) {
+    this.createLabel('Players', y);
+
+    PLAYER_COUNT_OPTIONS.forEach((count, index) => {
+      const button = new Button({
+        text: `${count}`,
+        width: 50,
+        height: 34,
+        fontSize: 16,
+        cornerRadius: 8
+      });
+      button.x = DIALOG_WIDTH - 30 - (PLAYER_COUNT_OPTIONS.length - index) * 58 + 8;
+      button.y = y;
+      button.onButtonClick = () => {
+        this.rules.playerCount = count;
+        this.refresh();
+      };
+      this.content.addChild(button);
+      this.playerCountButtons.set(count, button);
+    });
+  }
+
+  /**
+   * Rule label with an On/Off switch
+   */
+  createToggleRow(key, label, y) {
+    this.createLabel(label, y);
+
+    const button = new Button({
+      text: 'On',
+      width: 80,
+      height: 34,
+      fontSize: 15,
+      cornerRadius: 17
+    });
+    button.x = DIALOG_WIDTH - 30 - 80;
+    button.y = y;
+    button.onButtonClick = () => {
+      this.rules[key] = !this.rules[key];
+      this.refresh();
+    };
+    this.content.addChild(button);
+    this.toggleButtons.set(key, button);
+  }
+
+  createActionButtons() {
+    const buttonY = DIALOG_HEIGHT - 64;
+    const buttonWidth = (DIALOG_WIDTH - 80) / 2;
+
+    this.cancelButton = new Button({
+      text: 'Cancel',
+      width: buttonWidth,
+      height: 44,
+      fontSize: 16,
+      backgroundColor: 0x555555,
+      hoverColor: 0x666666,
+      pressedColor: 0x444444
+    });
+    this.cancelButton.x = 30;
+    this.cancelButton.y = buttonY;
+    this.cancelButton.onButtonClick = () => this.hide();
+    this.content.addChild(this.cancelButton);
+
+    this.confirmButton = new Button({
+      text: 'Create Game',
+      width: buttonWidth,
+      height: 44,
+      fontSize: 16,
+      backgroundColor: 0x4CAF50,
+      hoverColor: 0x45a049
+    });
+    this.confirmButton.x = 50 + buttonWidth;
+    this.confirmButton.y = buttonY;
+    this.confirmButton.onButtonClick = () => this.handleConfirm();
+    this.content.addChild(this.confirmButton);
+  }
+
+  /**
+   * Redraw buttons from the current rules
+   */
+  refresh() {
+    this.playerCountButtons.forEach((button, count) => {
+      const selected = this.rules.playerCount === count;
+      button.setColors(...(selected ? [0x4a9eff, 0x357abd] : OFF_COLORS));
+    });
+
+    this.toggleButtons.forEach((button, key) => {
+      const on = this.rules[key];
+      button.setText(on ? 'On' : 'Off');
+      button.setColors(...(on ? ON_COLORS : OFF_COLORS));
+    });
+  }
+
+  handleConfirm() {
+    const rules = normalizeHouseRules(this.rules);
+    this.hide();
+
+    if (this.onConfirm) {
+      this.onConfirm(rules);
+    }
+  }
+
+  // =========================================================================
+  // SHOW / HIDE
+  // =========================================================================
+
+  /**
+   * @param {Object} options - { rules, confirmText, onConfirm(rules) }
+   */
+  show({ rules = DEFAULT_HOUSE_RULES, confirmText = 'Create Game', onConfirm = null } = {}) {
+    this.rules = normalizeHouseRules(rules);
+    this.onConfirm = onConfirm;
+    this.confirmButton.setText(confirmText);
+    this.refresh();
+
+    this.visible = true;
+    this.content.alpha = 0;
+    gsap.to(this.content, { alpha: 1, duration: 0.25 });
+  }
+
+  hide() {
+    this.visible = false;
+    this.onConfirm = null;
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    gsap.killTweensOf(this.content);
+    super.destroy({ children: true });
+  }
+}
+
+export default HouseRulesDialog;
@@ -8,7 +8,7 @@ import Panel from '../ui/Panel';
 import TextInput from '../ui/TextInput';
 
 /**
- * JoinGamePanel - Panel for joining existing games
+ * JoinGamePanel - Panel for joining existing games (or watching them as a spectator)
  */
 class JoinGamePanel extends PIXI.Container {
   constructor() {
@@ -18,10 +18,12 @@ class JoinGamePanel extends PIXI.Container {
     this.titleText = null;
     this.gameIdInput = null;
     this.joinButton = null;
+    this.watchButton = null;
     this.loadingSpinner = null;
     this.statusText = null;
     
     this.isJoining = false;
+    this.isWatching = false; // Current request is a watch, not a join
     this.gameIdValue = '';
     
     console.log('🔗 JoinGamePanel created');
@@ -57,6 +59,9 @@ class JoinGamePanel extends PIXI.Container {
     // Create join button
     this.createJoinButton();
 
+    // Create watch (spectate) button
+    this.createWatchButton();
+
     // Create loading spinner (hidden initially)
     this.createLoadingSpinner();
 
@@ -157,7 +162,7 @@ class JoinGamePanel extends PIXI.Container {
     this.joinButton = new Button({
       text: 'Join Game',
       width: 200,
-      height: 60,
+      height: 50,
       backgroundColor: 0x2196F3,
       hoverColor: 0x1976D2,
       textColor: 0xFFFFFF,
@@ -166,7 +171,7 @@ class JoinGamePanel extends PIXI.Container {
       enabled: false // Disabled until game ID is entered
     });
     this.joinButton.x = 50;
-    this.joinButton.y = 260;
+    this.joinButton.y = 255;
     this.addChild(this.joinButton);
 
     // Setup button interaction
@@ -175,6 +180,30 @@ class JoinGamePanel extends PIXI.Container {
     };
   }
 
+  /**
+   * Create watch button - spectate without taking a seat
+   */
+  createWatchButton() {
+    this.watchButton = new Button({
+      text: '👁️ Watch',
+      width: 200,
+      height: 36,
+      backgroundColor: 0x4a4a6a,
+      hoverColor: 0x3a3a5a,
+      textColor: 0xFFFFFF,
+      fontSize: 16,
+      cornerRadius: 10,
+      enabled: false
+    });
+    this.watchButton.x = 50;
+    this.watchButton.y = 313;
+    this.addChild(this.watchButton);
+
+    this.watchButton.onButtonClick = () => {
+      this.handleWatchGame();
+    };
+  }
+
   /**
    * Create loading spinner
    */
@@ -213,7 +242,7 @@ class JoinGamePanel extends PIXI.Container {
     this.statusText = new PIXI.Text('', statusStyle);
     this.statusText.anchor.set(0.5);
     this.statusText.x = 150;
-    this.statusText.y = 350;
+    this.statusText.y = 372;
     this.addChild(this.statusText);
   }
 
@@ -269,6 +298,17 @@ class JoinGamePanel extends PIXI.Container {
     });
 
     // Listen for connection status
+    eventBus.subscribe('lobby.game.watching', () => {
+      this.onGameWatched();
+    });
+
+    // Join/watch rejected (e.g. GAME_NOT_FOUND)
+    eventBus.subscribe('game.error', (data) => {
+      if (this.isJoining) {
+        this.onGameJoinFailed(data.error || data.message || 'Failed to join game');
+      }
+    });
+
     eventBus.subscribe('game.connection.lost', () => {
       this.onConnectionLost();
     });
@@ -284,6 +324,7 @@ class JoinGamePanel extends PIXI.Container {
   updateJoinButtonState() {
     const isValidGameId = this.gameIdValue.length >= 4; // Minimum game ID length
     this.joinButton.setEnabled(isValidGameId && !this.isJoining);
+    this.watchButton.setEnabled(isValidGameId && !this.isJoining);
   }
 
   /**
@@ -295,6 +336,7 @@ class JoinGamePanel extends PIXI.Container {
     console.log('🔗 JoinGamePanel: Joining game:', this.gameIdValue);
     
     this.isJoining = true;
+    this.isWatching = false;
     this.showJoining();
     
     // Send join game request through EventBus
@@ -306,6 +348,31 @@ class JoinGamePanel extends PIXI.Container {
     });
   }
 
+  /**
+   * Handle watch button click
+   */
+  handleWatchGame() {
+    if (this.isJoining || !this.gameIdValue.trim()) return;
+
+    console.log('🔗 JoinGamePanel: Watching game:', this.gameIdValue);
+
+    this.isJoining = true;
+    this.isWatching = true;
+    this.showJoining();
+
+    import('../../../services/GameService').then(({ default: gameService }) => {
+      gameService.watchGame(this.gameIdValue);
+    });
+  }
+
+  /**
+   * Fill in a game ID and join it (used for invite links)
+   */
+  joinGameById(gameId) {
+    this.gameIdInput.setText(gameId);
+    this.handleJoinGame();
+  }
+
   /**
    * Show joining state with loading animation
    */
@@ -313,14 +380,21 @@ class JoinGamePanel extends PIXI.Container {
     // Disable input and button
     this.gameIdInput.setEnabled(false);
     this.joinButton.setEnabled(false);
-    this.joinButton.setText('Joining...');
+    this.watchButton.setEnabled(false);
+    if (this.isWatching) {
+      this.watchButton.setText('Connecting...');
+    } else {
+      this.joinButton.setText('Joining...');
+    }
     
     // Show loading spinner
     this.loadingSpinner.visible = true;
     this.spinAnimation.play();
     
     // Show status
-    this.statusText.text = `Joining game ${this.gameIdValue}...`;
+    this.statusText.text = this.isWatching
+      ? `Watching game ${this.gameIdValue}...`
+      : `Joining game ${this.gameIdValue}...`;
     
     // Add pulsing effect to panel
     gsap.to(this.panel, {
@@ -357,6 +431,14 @@ class JoinGamePanel extends PIXI.Container {
     // Panel will be hidden by LobbyScene transition
   }
 
+  /**
+   * Spectating started - the game scene takes over from here
+   */
+  onGameWatched() {
+    console.log('🔗 JoinGamePanel: Watching game');
+    this.resetToIdle();
+  }
+
   /**
    * Handle failed game join
    */
@@ -395,6 +477,7 @@ class JoinGamePanel extends PIXI.Container {
     this.statusText.style.fill = '#ff8844';
     this.gameIdInput.setEnabled(false);
     this.joinButton.setEnabled(false);
+    this.watchButton.setEnabled(false);
   }
 
   /**
@@ -437,6 +520,8 @@ class JoinGamePanel extends PIXI.Container {
     // Reset input and button
     this.gameIdInput.setEnabled(true);
     this.joinButton.setText('Join Game');
+    this.watchButton.setText('👁️ Watch');
+    this.isWatching = false;
     this.updateJoinButtonState();
     
     // Clear status
@@ -451,6 +536,7 @@ class JoinGamePanel extends PIXI.Container {
   setEnabled(enabled) {
     this.gameIdInput.setEnabled(enabled);
     this.joinButton.setEnabled(enabled && this.gameIdValue.length >= 4);
+    this.watchButton.setEnabled(enabled && this.gameIdValue.length >= 4);
     this.interactive = enabled;
     this.alpha = enabled ? 1 : 0.5;
   }
@@ -486,6 +572,7 @@ class JoinGamePanel extends PIXI.Container {
     }
 
     this.isJoining = false;
+    this.isWatching = false;
   }
 
   /**
@@ -504,6 +591,7 @@ class JoinGamePanel extends PIXI.Container {
     if (this.panel) this.panel.destroy();
     if (this.gameIdInput) this.gameIdInput.destroy();
     if (this.joinButton) this.joinButton.destroy();
+    if (this.watchButton) this.watchButton.destroy();
 
     super.destroy();
   }
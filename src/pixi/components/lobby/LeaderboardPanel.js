@@ -0,0 +1,154 @@
+// src/pixi/components/lobby/LeaderboardPanel.js
+
+import * as PIXI from 'pixi.js';
+import matchHistory from '../../../services/MatchHistory';
+import ModalPanel from '../ui/ModalPanel';
+import Avatar from '../ui/Avatar';
+
+const PANEL_WIDTH = 640;
+const PANEL_HEIGHT = 560;
+const ROW_HEIGHT = 36;
+const ROWS_PER_PAGE = 10;
+
+// Column x positions inside the panel
+const COLUMNS = {
+  rank: 28,
+  avatar: 70,
+  name: 106,
+  rating: 340,
+  games: 430,
+  wins: 500,
+  winRate: 566
+};
+
+const RANK_LABELS = ['🥇', '🥈', '🥉'];
+
+/**
+ * LeaderboardPanel - Modal table of everyone's Elo rating from games saved
+ * on this device (MatchHistory), best first
+ */
+class LeaderboardPanel extends ModalPanel {
+  constructor(options = {}) {
+    super({
+      width: PANEL_WIDTH,
+      height: PANEL_HEIGHT,
+      title: '🏆 Leaderboard',
+      rowHeight: ROW_HEIGHT,
+      ...options
+    });
+
+    this.ratings = [];
+    this.loaded = false;
+    this.showBots = true;
+
+    this.createPanel();
+  }
+
+  /**
+   * Create the bots toggle, headers, rows and pager
+   */
+  createBody() {
+    this.botsButton = this.addButton('', 150, 32, PANEL_WIDTH - 220, 18, () => {
+      this.showBots = !this.showBots;
+      this.page = 0;
+      this.render();
+    }, { backgroundColor: 0x4a4a6a, hoverColor: 0x5a5a8a });
+
+    this.createHeaders([['#', COLUMNS.rank], ['Player', COLUMNS.avatar], ['Rating', COLUMNS.rating],
+      ['Games', COLUMNS.games], ['Wins', COLUMNS.wins], ['Win %', COLUMNS.winRate]], 76);
+
+    this.rowsContainer = new PIXI.Container();
+    this.rowsContainer.y = 104;
+    this.content.addChild(this.rowsContainer);
+
+    this.emptyText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 18,
+      fill: '#aaaaaa',
+      align: 'center'
+    });
+    this.emptyText.anchor.set(0.5);
+    this.emptyText.x = PANEL_WIDTH / 2;
+    this.emptyText.y = 280;
+    this.content.addChild(this.emptyText);
+
+    this.createPager();
+  }
+
+  getVisibleRatings() {
+    return this.showBots ? this.ratings : this.ratings.filter(rating => !rating.bot);
+  }
+
+  // =========================================================================
+  // RENDERING
+  // =========================================================================
+
+  render() {
+    const ratings = this.getVisibleRatings();
+    const pageCount = Math.max(1, Math.ceil(ratings.length / ROWS_PER_PAGE));
+    this.page = Math.min(this.page, pageCount - 1);
+
+    this.rowsContainer.removeChildren().forEach(child => child.destroy({ children: true }));
+
+    ratings
+      .slice(this.page * ROWS_PER_PAGE, (this.page + 1) * ROWS_PER_PAGE)
+      .forEach((rating, index) => {
+        const row = this.createRow(rating, this.page * ROWS_PER_PAGE + index);
+        row.y = index * ROW_HEIGHT;
+        this.rowsContainer.addChild(row);
+      });
+
+    if (!this.loaded) {
+      this.emptyText.text = 'Loading ratings...';
+    } else if (ratings.length === 0) {
+      this.emptyText.text = 'No rated games yet.\nFinish a game and everyone at the table gets a rating!';
+    } else {
+      this.emptyText.text = '';
+    }
+
+    this.botsButton.setText(this.showBots ? '🤖 Bots: shown' : '🤖 Bots: hidden');
+    this.updatePager(pageCount);
+  }
+
+  createRow(rating, rank) {
+    const row = this.createTableRow(rank, [
+      [RANK_LABELS[rank] || `${rank + 1}`, COLUMNS.rank],
+      [rating.name, COLUMNS.name],
+      [`${rating.rating}`, COLUMNS.rating, { fontWeight: 'bold', fill: '#ffd700' }],
+      [`${rating.games}`, COLUMNS.games],
+      [`${rating.wins}`, COLUMNS.wins],
+      [`${Math.round((rating.wins / Math.max(1, rating.games)) * 100)}%`, COLUMNS.winRate, { fill: '#aaaaaa' }]
+    ]);
+
+    const avatar = new Avatar({ size: 24, avatar: rating.avatar });
+    avatar.x = COLUMNS.avatar;
+    avatar.y = 4;
+    row.addChild(avatar);
+
+    return row;
+  }
+
+  // =========================================================================
+  // SHOW / HIDE
+  // =========================================================================
+
+  async show() {
+    this.loaded = false;
+    this.page = 0;
+    this.ratings = [];
+    super.show();
+
+    try {
+      this.ratings = await matchHistory.getRatings();
+    } catch (error) {
+      console.error('🏆 LeaderboardPanel: Could not load ratings', error);
+    }
+
+    if (!this.visible || this.destroyed) return;
+
+    this.loaded = true;
+    this.render();
+  }
+}
+
+export default LeaderboardPanel;
@@ -0,0 +1,254 @@
+// src/pixi/components/lobby/LobbyBrowserPanel.js
+
+import * as PIXI from 'pixi.js';
+import eventBus from '../../../utils/EventBus';
+import lobbyService, { getModeLabel } from '../../../services/LobbyService';
+import Button from '../ui/Button';
+import ModalPanel from '../ui/ModalPanel';
+
+const PANEL_WIDTH = 760;
+const PANEL_HEIGHT = 520;
+const ROW_HEIGHT = 40;
+const ROWS_PER_PAGE = 8;
+const AGE_REFRESH_MS = 15000;
+
+// Seats filter steps (minimum free seats)
+const SEAT_FILTERS = [
+  { label: 'Seats: any', minFreeSeats: 0 },
+  { label: 'Seats: 1+ free', minFreeSeats: 1 },
+  { label: 'Seats: 2+ free', minFreeSeats: 2 },
+  { label: 'Seats: 3 free', minFreeSeats: 3 }
+];
+
+// Column x positions inside the panel
+const COLUMNS = {
+  game: 24,
+  host: 150,
+  seats: 340,
+  mode: 430,
+  age: 560,
+  join: 644
+};
+
+/**
+ * "3m", "1h 5m" - how long a game has been waiting
+ */
+function formatAge(createdAt) {
+  const minutes = Math.floor((Date.now() - createdAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * LobbyBrowserPanel - Modal list of open games with filters and one-click Join
+ * Listens to LobbyService while open; onJoinGame(gameId) is called on Join.
+ */
+class LobbyBrowserPanel extends ModalPanel {
+  constructor(options = {}) {
+    super({
+      width: PANEL_WIDTH,
+      height: PANEL_HEIGHT,
+      title: '🌐 Open Games',
+      rowHeight: ROW_HEIGHT,
+      ...options
+    });
+
+    this.games = [];
+    this.loaded = false;
+    this.seatFilterIndex = 0;
+    this.modeFilter = 'all';
+    this.ageTimer = null;
+    this.unsubscribers = [];
+
+    // Callback
+    this.onJoinGame = null;
+
+    this.createPanel();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create filters, headers, rows and pager
+   */
+  createBody() {
+    this.createFilters();
+    this.createHeaders([['Game', COLUMNS.game], ['Host', COLUMNS.host], ['Seats', COLUMNS.seats],
+      ['Mode', COLUMNS.mode], ['Waiting', COLUMNS.age]], 120);
+
+    this.rowsContainer = new PIXI.Container();
+    this.rowsContainer.y = 148;
+    this.content.addChild(this.rowsContainer);
+
+    this.emptyText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 18,
+      fill: '#aaaaaa',
+      align: 'center'
+    });
+    this.emptyText.anchor.set(0.5);
+    this.emptyText.x = PANEL_WIDTH / 2;
+    this.emptyText.y = 300;
+    this.content.addChild(this.emptyText);
+
+    this.createPager();
+  }
+
+  createFilters() {
+    const filterStyle = { backgroundColor: 0x4a4a6a, hoverColor: 0x5a5a8a };
+
+    this.seatFilterButton = this.addButton(SEAT_FILTERS[0].label, 170, 32, 24, 70, () => {
+      this.seatFilterIndex = (this.seatFilterIndex + 1) % SEAT_FILTERS.length;
+      this.seatFilterButton.setText(SEAT_FILTERS[this.seatFilterIndex].label);
+      this.page = 0;
+      this.render();
+    }, filterStyle);
+
+    this.modeFilterButton = this.addButton('Mode: all', 170, 32, 206, 70, () => {
+      this.cycleModeFilter();
+    }, filterStyle);
+
+    this.addButton('🔄 Refresh', 120, 32, PANEL_WIDTH - 144, 70, () => lobbyService.refresh());
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.unsubscribers.push(
+      eventBus.subscribe('lobby.games.updated', () => {
+        if (!this.visible) return;
+
+        this.loaded = true;
+        this.render();
+      })
+    );
+  }
+
+  // =========================================================================
+  // FILTERS
+  // =========================================================================
+
+  getFilters() {
+    return {
+      minFreeSeats: SEAT_FILTERS[this.seatFilterIndex].minFreeSeats,
+      mode: this.modeFilter
+    };
+  }
+
+  /**
+   * All → each mode currently listed → All
+   */
+  cycleModeFilter() {
+    const modes = ['all', ...lobbyService.getModes()];
+    const index = modes.indexOf(this.modeFilter);
+    this.modeFilter = modes[(index + 1) % modes.length];
+
+    this.modeFilterButton.setText(`Mode: ${this.modeFilter === 'all' ? 'all' : getModeLabel(this.modeFilter)}`);
+    this.page = 0;
+    this.render();
+  }
+
+  // =========================================================================
+  // RENDERING
+  // =========================================================================
+
+  render() {
+    this.games = lobbyService.getGames(this.getFilters());
+
+    const pageCount = Math.max(1, Math.ceil(this.games.length / ROWS_PER_PAGE));
+    this.page = Math.min(this.page, pageCount - 1);
+
+    this.rowsContainer.removeChildren().forEach(child => child.destroy({ children: true }));
+
+    this.games
+      .slice(this.page * ROWS_PER_PAGE, (this.page + 1) * ROWS_PER_PAGE)
+      .forEach((game, index) => {
+        const row = this.createRow(game, index);
+        row.y = index * ROW_HEIGHT;
+        this.rowsContainer.addChild(row);
+      });
+
+    if (!this.loaded) {
+      this.emptyText.text = 'Loading open games...';
+    } else if (this.games.length === 0) {
+      this.emptyText.text = lobbyService.getGames().length === 0
+        ? 'No open games right now.\nCreate one and invite your friends!'
+        : 'No games match these filters.';
+    } else {
+      this.emptyText.text = '';
+    }
+
+    this.updatePager(pageCount);
+  }
+
+  createRow(game, index) {
+    const isFull = game.seatsFilled >= game.maxSeats;
+
+    const row = this.createTableRow(index, [
+      [game.gameId, COLUMNS.game, { fontWeight: 'bold', fill: '#ffd700' }],
+      [game.hostName, COLUMNS.host],
+      [`${game.seatsFilled}/${game.maxSeats}`, COLUMNS.seats, isFull ? { fill: '#ff8888' } : {}],
+      [getModeLabel(game.mode), COLUMNS.mode],
+      [formatAge(game.createdAt), COLUMNS.age, { fill: '#aaaaaa' }]
+    ]);
+
+    const joinButton = new Button({
+      text: isFull ? 'Full' : 'Join',
+      width: 92,
+      height: 28,
+      fontSize: 14,
+      cornerRadius: 6,
+      backgroundColor: 0x4CAF50,
+      hoverColor: 0x45a049,
+      enabled: !isFull
+    });
+    joinButton.x = COLUMNS.join;
+    joinButton.y = 4;
+    joinButton.onButtonClick = () => {
+      if (this.onJoinGame) {
+        this.onJoinGame(game.gameId);
+      }
+    };
+    row.addChild(joinButton);
+
+    return row;
+  }
+
+  // =========================================================================
+  // SHOW / HIDE
+  // =========================================================================
+
+  show() {
+    this.loaded = false;
+    this.page = 0;
+    super.show();
+
+    lobbyService.startBrowsing();
+
+    // Keep the "Waiting" column current
+    clearInterval(this.ageTimer);
+    this.ageTimer = setInterval(() => this.render(), AGE_REFRESH_MS);
+  }
+
+  hide() {
+    if (!this.visible) return;
+
+    super.hide();
+    lobbyService.stopBrowsing();
+    clearInterval(this.ageTimer);
+    this.ageTimer = null;
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.hide();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    super.destroy();
+  }
+}
+
+export default LobbyBrowserPanel;
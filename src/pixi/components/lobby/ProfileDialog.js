@@ -0,0 +1,412 @@
+// src/pixi/components/lobby/ProfileDialog.js
+
+import * as PIXI from 'pixi.js';
+import { gsap } from 'gsap';
+import Button from '../ui/Button';
+import Panel from '../ui/Panel';
+import TextInput from '../ui/TextInput';
+import Avatar from '../ui/Avatar';
+import PlayerIdentity from '../../../utils/PlayerIdentity';
+import {
+  AVATAR_BACKGROUNDS,
+  AVATAR_EMOJIS,
+  DEFAULT_AVATAR,
+  DISPLAY_NAME_CHAR_PATTERN,
+  MAX_DISPLAY_NAME_LENGTH,
+  PIXEL_GRID_SIZE,
+  decodePixels,
+  encodePixels,
+  normalizeDisplayName
+} from '../../../utils/playerProfile';
+
+const DIALOG_WIDTH = 520;
+const DIALOG_HEIGHT = 520;
+
+const EMOJIS_PER_ROW = 6;
+const EMOJI_SIZE = 60;
+const EMOJI_GAP = 12;
+const CELL_SIZE = 24;
+const EDITOR_Y = 214;
+
+const SELECTED_COLORS = [0x4a9eff, 0x357abd];
+const IDLE_COLORS = [0x555566, 0x666677];
+
+/**
+ * ProfileDialog - Lobby step for the player's display name and avatar
+ * Pick an emoji or draw on a small grid; saved through PlayerIdentity.
+ * show({ onSave }) - onSave receives the saved profile
+ */
+class ProfileDialog extends PIXI.Container {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      canvasWidth: 1200,
+      canvasHeight: 800,
+      ...options
+    };
+
+    this.mode = 'pick'; // 'pick', 'draw'
+    this.emoji = DEFAULT_AVATAR.emoji;
+    this.cells = decodePixels(null);
+    this.backgroundColor = DEFAULT_AVATAR.background;
+    this.paintValue = null; // Cell value while dragging across the grid
+    this.onSave = null;
+
+    this.emojiButtons = new Map();
+    this.swatches = [];
+
+    this.createDialog();
+    this.visible = false;
+  }
+
+  /**
+   * Create overlay, panel, name input, avatar editors and buttons
+   */
+  createDialog() {
+    const { canvasWidth, canvasHeight } = this.options;
+
+    this.overlay = new PIXI.Graphics();
+    this.overlay.rect(0, 0, canvasWidth, canvasHeight);
+    this.overlay.fill({ color: 0x000000, alpha: 0.6 });
+    this.overlay.eventMode = 'static';
+    this.overlay.on('pointerdown', (e) => e.stopPropagation());
+    this.addChild(this.overlay);
+
+    this.content = new PIXI.Container();
+    this.content.x = (canvasWidth - DIALOG_WIDTH) / 2;
+    this.content.y = (canvasHeight - DIALOG_HEIGHT) / 2;
+    this.addChild(this.content);
+
+    this.content.addChild(new Panel({
+      width: DIALOG_WIDTH,
+      height: DIALOG_HEIGHT,
+      backgroundColor: 0x2a2a4a,
+      borderColor: 0x4a4a6a,
+      borderWidth: 3,
+      cornerRadius: 20
+    }));
+
+    const title = new PIXI.Text('👤 Your Profile', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 26,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    title.anchor.set(0.5, 0);
+    title.x = DIALOG_WIDTH / 2;
+    title.y = 18;
+    this.content.addChild(title);
+
+    this.createNameRow();
+    this.createModeRow();
+    this.createEmojiPicker();
+    this.createPixelEditor();
+    this.createActionButtons();
+  }
+
+  /**
+   * Live preview next to the display name input
+   */
+  createNameRow() {
+    this.preview = new Avatar({ size: 72, borderColor: 0xffffff });
+    this.preview.x = 30;
+    this.preview.y = 70;
+    this.content.addChild(this.preview);
+
+    const label = new PIXI.Text('Display name', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 16,
+      fill: '#dddddd'
+    });
+    label.x = 122;
+    label.y = 70;
+    this.content.addChild(label);
+
+    this.nameInput = new TextInput({
+      placeholder: 'Your name',
+      width: DIALOG_WIDTH - 152,
+      height: 40,
+      fontSize: 18,
+      backgroundColor: 0x444444,
+      placeholderColor: 0xAAAAAA,
+      maxLength: MAX_DISPLAY_NAME_LENGTH,
+      allowedPattern: DISPLAY_NAME_CHAR_PATTERN,
+      uppercase: false
+    });
+    this.nameInput.x = 122;
+    this.nameInput.y = 98;
+    this.nameInput.onTextChange = () => this.errorText.text = '';
+    this.nameInput.onSubmit = () => this.handleSave();
+    this.content.addChild(this.nameInput);
+  }
+
+  /**
+   * Pick / Draw tabs and the background color swatches
+   */
+  createModeRow() {
+    this.pickButton = this.createTab('😀 Pick', 30, 'pick');
+    this.drawButton = this.createTab('✏️ Draw', 130, 'draw');
+
+    AVATAR_BACKGROUNDS.forEach((color, index) => {
+      const swatch = new PIXI.Graphics();
+      swatch.x = 262 + index * 38;
+      swatch.y = 176;
+      swatch.eventMode = 'static';
+      swatch.cursor = 'pointer';
+      swatch.on('pointerdown', () => {
+        this.backgroundColor = color;
+        this.refresh();
+      });
+      this.content.addChild(swatch);
+      this.swatches.push({ color, swatch });
+    });
+  }
+
+  createTab(text, x, mode) {
+    const button = new Button({
+      text,
+      width: 90,
+      height: 32,
+      fontSize: 14,
+      cornerRadius: 16
+    });
+    button.x = x;
+    button.y = 160;
+    button.onButtonClick = () => {
+      this.mode = mode;
+      this.refresh();
+    };
+    this.content.addChild(button);
+    return button;
+  }
+
+  createEmojiPicker() {
+    this.emojiPicker = new PIXI.Container();
+    this.emojiPicker.x = (DIALOG_WIDTH - (EMOJIS_PER_ROW * (EMOJI_SIZE + EMOJI_GAP) - EMOJI_GAP)) / 2;
+    this.emojiPicker.y = EDITOR_Y;
+    this.content.addChild(this.emojiPicker);
+
+    AVATAR_EMOJIS.forEach((emoji, index) => {
+      const button = new Button({
+        text: emoji,
+        width: EMOJI_SIZE,
+        height: EMOJI_SIZE,
+        fontSize: 30,
+        cornerRadius: 12
+      });
+      button.x = (index % EMOJIS_PER_ROW) * (EMOJI_SIZE + EMOJI_GAP);
+      button.y = Math.floor(index / EMOJIS_PER_ROW) * (EMOJI_SIZE + EMOJI_GAP);
+      button.onButtonClick = () => {
+        this.emoji = emoji;
+        this.refresh();
+      };
+      this.emojiPicker.addChild(button);
+      this.emojiButtons.set(emoji, button);
+    });
+  }
+
+  /**
+   * Click or drag across the grid to paint; the first cell decides on or off
+   */
+  createPixelEditor() {
+    const gridSize = PIXEL_GRID_SIZE * CELL_SIZE;
+
+    this.pixelEditor = new PIXI.Container();
+    this.pixelEditor.x = (DIALOG_WIDTH - gridSize) / 2;
+    this.pixelEditor.y = EDITOR_Y;
+    this.content.addChild(this.pixelEditor);
+
+    this.grid = new PIXI.Graphics();
+    this.grid.eventMode = 'static';
+    this.grid.cursor = 'crosshair';
+    this.grid.hitArea = new PIXI.Rectangle(0, 0, gridSize, gridSize);
+    this.grid.on('pointerdown', (e) => this.paintAt(e, true));
+    this.grid.on('pointermove', (e) => this.paintAt(e, false));
+    this.grid.on('pointerup', () => this.paintValue = null);
+    this.grid.on('pointerupoutside', () => this.paintValue = null);
+    this.pixelEditor.addChild(this.grid);
+
+    this.clearButton = new Button({
+      text: 'Clear',
+      width: 70,
+      height: 32,
+      fontSize: 14,
+      backgroundColor: 0x555555,
+      hoverColor: 0x666666
+    });
+    this.clearButton.x = gridSize + 20;
+    this.clearButton.y = gridSize - 32;
+    this.clearButton.onButtonClick = () => {
+      this.cells = decodePixels(null);
+      this.refresh();
+    };
+    this.pixelEditor.addChild(this.clearButton);
+  }
+
+  paintAt(event, start) {
+    if (!start && this.paintValue === null) return;
+
+    const point = event.getLocalPosition(this.grid);
+    const col = Math.floor(point.x / CELL_SIZE);
+    const row = Math.floor(point.y / CELL_SIZE);
+    if (col < 0 || row < 0 || col >= PIXEL_GRID_SIZE || row >= PIXEL_GRID_SIZE) return;
+
+    const index = row * PIXEL_GRID_SIZE + col;
+    if (start) {
+      this.paintValue = !this.cells[index];
+    }
+    if (this.cells[index] === this.paintValue) return;
+
+    this.cells[index] = this.paintValue;
+    this.refresh();
+  }
+
+  createActionButtons() {
+    const buttonY = DIALOG_HEIGHT - 64;
+    const buttonWidth = (DIALOG_WIDTH - 80) / 2;
+
+    this.errorText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 14,
+      fill: '#ff6b6b'
+    });
+    this.errorText.anchor.set(0.5, 0);
+    this.errorText.x = DIALOG_WIDTH / 2;
+    this.errorText.y = buttonY - 30;
+    this.content.addChild(this.errorText);
+
+    this.cancelButton = new Button({
+      text: 'Cancel',
+      width: buttonWidth,
+      height: 44,
+      fontSize: 16,
+      backgroundColor: 0x555555,
+      hoverColor: 0x666666,
+      pressedColor: 0x444444
+    });
+    this.cancelButton.x = 30;
+    this.cancelButton.y = buttonY;
+    this.cancelButton.onButtonClick = () => this.hide();
+    this.content.addChild(this.cancelButton);
+
+    this.saveButton = new Button({
+      text: 'Save Profile',
+      width: buttonWidth,
+      height: 44,
+      fontSize: 16,
+      backgroundColor: 0x4CAF50,
+      hoverColor: 0x45a049
+    });
+    this.saveButton.x = 50 + buttonWidth;
+    this.saveButton.y = buttonY;
+    this.saveButton.onButtonClick = () => this.handleSave();
+    this.content.addChild(this.saveButton);
+  }
+
+  /**
+   * Avatar built from the current editor state - a blank drawing falls back to the emoji
+   */
+  getAvatar() {
+    if (this.mode === 'draw' && this.cells.some(Boolean)) {
+      return { pixels: encodePixels(this.cells), background: this.backgroundColor };
+    }
+    return { emoji: this.emoji, background: this.backgroundColor };
+  }
+
+  /**
+   * Redraw tabs, swatches, editors and preview from the current state
+   */
+  refresh() {
+    this.pickButton.setColors(...(this.mode === 'pick' ? SELECTED_COLORS : IDLE_COLORS));
+    this.drawButton.setColors(...(this.mode === 'draw' ? SELECTED_COLORS : IDLE_COLORS));
+    this.emojiPicker.visible = this.mode === 'pick';
+    this.pixelEditor.visible = this.mode === 'draw';
+
+    this.emojiButtons.forEach((button, emoji) => {
+      button.setColors(...(emoji === this.emoji ? SELECTED_COLORS : IDLE_COLORS));
+    });
+
+    this.swatches.forEach(({ color, swatch }) => {
+      swatch.clear();
+      swatch.circle(0, 0, 14).fill({ color });
+      if (color === this.backgroundColor) {
+        swatch.stroke({ width: 3, color: 0xffffff });
+      }
+    });
+
+    this.drawGrid();
+    this.preview.setAvatar(this.getAvatar());
+  }
+
+  drawGrid() {
+    this.grid.clear();
+
+    this.cells.forEach((on, index) => {
+      const x = (index % PIXEL_GRID_SIZE) * CELL_SIZE;
+      const y = Math.floor(index / PIXEL_GRID_SIZE) * CELL_SIZE;
+      this.grid.rect(x + 1, y + 1, CELL_SIZE - 2, CELL_SIZE - 2);
+      this.grid.fill({ color: on ? 0xffffff : 0x3a3a5a });
+    });
+  }
+
+  handleSave() {
+    const displayName = normalizeDisplayName(this.nameInput.getText());
+    if (!displayName) {
+      this.errorText.text = 'Enter a display name';
+      return;
+    }
+
+    const profile = PlayerIdentity.saveProfile({ displayName, avatar: this.getAvatar() });
+    const onSave = this.onSave;
+    this.hide();
+
+    if (onSave && profile) {
+      onSave(profile);
+    }
+  }
+
+  // =========================================================================
+  // SHOW / HIDE
+  // =========================================================================
+
+  /**
+   * Open on the saved profile (or a blank one)
+   * @param {Object} options - { onSave(profile) }
+   */
+  show({ onSave = null } = {}) {
+    const profile = PlayerIdentity.getProfile();
+    const avatar = profile?.avatar || DEFAULT_AVATAR;
+
+    this.onSave = onSave;
+    this.mode = avatar.pixels ? 'draw' : 'pick';
+    this.emoji = avatar.emoji || DEFAULT_AVATAR.emoji;
+    this.cells = decodePixels(avatar.pixels);
+    this.backgroundColor = avatar.background;
+    this.nameInput.setText(profile?.displayName || '');
+    this.errorText.text = '';
+    this.refresh();
+
+    this.visible = true;
+    this.content.alpha = 0;
+    gsap.to(this.content, { alpha: 1, duration: 0.25 });
+    this.nameInput.focus();
+  }
+
+  hide() {
+    this.visible = false;
+    this.onSave = null;
+    this.paintValue = null;
+    this.nameInput.blur();
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    gsap.killTweensOf(this.content);
+    super.destroy({ children: true });
+  }
+}
+
+export default ProfileDialog;
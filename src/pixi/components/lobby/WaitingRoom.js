@@ -4,6 +4,17 @@ import * as PIXI from 'pixi.js';
 import { gsap } from 'gsap';
 import eventBus from '../../../utils/EventBus';
 import Panel from '../ui/Panel';
+import Button from '../ui/Button';
+import Avatar from '../ui/Avatar';
+import { buildInviteLink, copyToClipboard, isShareableGameId } from '../../../utils/inviteLinks';
+import { DEFAULT_HOUSE_RULES, describeHouseRules, getSeatCount } from '../../../utils/houseRules';
+import { TURN_ORDER } from '../../../utils/ludoRules';
+import { BOT_LEVELS } from '../../../utils/botStrategies';
+import { getPlayerAvatar, isBotPlayer } from '../../../utils/playerProfile';
+import gameService from '../../../services/GameService';
+
+// The four home corners, clockwise from top-left (server color names)
+const SEAT_COLORS = TURN_ORDER.map(color => color.toUpperCase());
 
 /**
  * WaitingRoom - Shows players waiting for game to start
@@ -17,10 +28,27 @@ class WaitingRoom extends PIXI.Container {
     this.gameIdText = null;
     this.playersContainer = null;
     this.statusText = null;
+    this.rulesText = null;
+    this.inviteButton = null;
+    this.inviteFeedbackTimer = null;
+    this.colorPicker = null;
+    this.colorSwatches = new Map();
+    this.readyButton = null;
+    this.countdownTimer = null;
+    this.hostControls = null;
+    this.lockButton = null;
+    this.startEarlyButton = null;
     this.waitingAnimation = null;
     
     this.gameId = '';
     this.players = [];
+    this.rules = null;
+    this.countdownSeconds = null; // null = no countdown running
+    this.hostId = null;
+    this.locked = false;
+
+    // Callback - asks before a host action: ({ title, message, confirmText, onConfirm })
+    this.onConfirmAction = null;
     
     console.log('⏳ WaitingRoom created');
     
@@ -35,7 +63,7 @@ class WaitingRoom extends PIXI.Container {
     // Create background panel
     this.panel = new Panel({
       width: 600,
-      height: 300,
+      height: 400,
       backgroundColor: 0x3a2a4a,
       borderColor: 0x6a4a7a,
       borderWidth: 3,
@@ -49,11 +77,23 @@ class WaitingRoom extends PIXI.Container {
     // Create game ID display
     this.createGameIdDisplay();
 
+    // Create invite link button
+    this.createInviteButton();
+
+    // Create color picker and ready toggle
+    this.createSeatControls();
+
     // Create players container
     this.createPlayersContainer();
 
     // Create status text
     this.createStatusText();
+
+    // Create host-only room controls
+    this.createHostControls();
+
+    // Create house rules summary
+    this.createRulesText();
   }
 
   /**
@@ -71,7 +111,7 @@ class WaitingRoom extends PIXI.Container {
     this.titleText = new PIXI.Text('⏳ Waiting Room', titleStyle);
     this.titleText.anchor.set(0.5);
     this.titleText.x = 300;
-    this.titleText.y = 50;
+    this.titleText.y = 40;
     this.addChild(this.titleText);
   }
 
@@ -90,17 +130,107 @@ class WaitingRoom extends PIXI.Container {
     this.gameIdText = new PIXI.Text('Game ID: ----', gameIdStyle);
     this.gameIdText.anchor.set(0.5);
     this.gameIdText.x = 300;
-    this.gameIdText.y = 90;
+    this.gameIdText.y = 80;
     this.addChild(this.gameIdText);
   }
 
+  /**
+   * Create "Copy invite link" button next to the game ID
+   */
+  createInviteButton() {
+    this.inviteButton = new Button({
+      text: '🔗 Copy invite link',
+      width: 150,
+      height: 32,
+      fontSize: 13,
+      backgroundColor: 0x4a6a9a,
+      hoverColor: 0x3a5a8a
+    });
+    this.inviteButton.x = 430;
+    this.inviteButton.y = 64;
+    this.inviteButton.visible = false;
+    this.inviteButton.onButtonClick = () => this.copyInviteLink();
+    this.addChild(this.inviteButton);
+  }
+
+  /**
+   * Copy a ?game= link for this game to the clipboard
+   */
+  async copyInviteLink() {
+    if (!isShareableGameId(this.gameId)) return;
+
+    const link = buildInviteLink(this.gameId);
+    const copied = await copyToClipboard(link);
+
+    console.log(copied ? '⏳ WaitingRoom: Invite link copied:' : '⏳ WaitingRoom: Could not copy invite link:', link);
+
+    if (copied) {
+      this.inviteButton.setText('✅ Link copied!');
+    } else {
+      // Let them copy it by hand
+      this.inviteButton.setText('❌ Copy failed');
+      this.statusText.text = link;
+    }
+
+    clearTimeout(this.inviteFeedbackTimer);
+    this.inviteFeedbackTimer = setTimeout(() => {
+      this.inviteButton.setText('🔗 Copy invite link');
+    }, 2000);
+  }
+
+  /**
+   * Create the color palette (one swatch per home corner) and ready toggle
+   */
+  createSeatControls() {
+    this.colorPicker = new PIXI.Container();
+    this.colorPicker.x = 50;
+    this.colorPicker.y = 112;
+    this.colorPicker.visible = false;
+    this.addChild(this.colorPicker);
+
+    const label = new PIXI.Text('Your color:', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 16,
+      fill: '#cccccc'
+    });
+    label.anchor.set(0, 0.5);
+    this.colorPicker.addChild(label);
+
+    SEAT_COLORS.forEach((color, index) => {
+      const swatch = new PIXI.Graphics();
+      swatch.x = label.width + 30 + index * 44;
+      swatch.eventMode = 'static';
+      swatch.on('pointerdown', () => this.handleColorClick(color));
+      swatch.on('pointerover', () => {
+        if (swatch.cursor === 'pointer') gsap.to(swatch.scale, { x: 1.15, y: 1.15, duration: 0.15 });
+      });
+      swatch.on('pointerout', () => gsap.to(swatch.scale, { x: 1, y: 1, duration: 0.15 }));
+      this.colorPicker.addChild(swatch);
+      this.colorSwatches.set(color, swatch);
+    });
+
+    this.readyButton = new Button({
+      text: '✋ Ready up',
+      width: 120,
+      height: 32,
+      fontSize: 14,
+      backgroundColor: 0x555566,
+      hoverColor: 0x666677
+    });
+    this.readyButton.x = 430;
+    this.readyButton.y = 100;
+    this.readyButton.visible = false;
+    this.readyButton.onButtonClick = () => this.toggleReady();
+    this.addChild(this.readyButton);
+  }
+
   /**
    * Create players container
    */
   createPlayersContainer() {
     this.playersContainer = new PIXI.Container();
     this.playersContainer.x = 50;
-    this.playersContainer.y = 130;
+    this.playersContainer.y = 145;
     this.addChild(this.playersContainer);
   }
 
@@ -118,17 +248,92 @@ class WaitingRoom extends PIXI.Container {
     this.statusText = new PIXI.Text('Waiting for players to join...', statusStyle);
     this.statusText.anchor.set(0.5);
     this.statusText.x = 300;
-    this.statusText.y = 250;
+    this.statusText.y = 292;
     this.addChild(this.statusText);
   }
 
+  /**
+   * Create lock / start-early buttons (shown to the host only)
+   */
+  createHostControls() {
+    this.hostControls = new PIXI.Container();
+    this.hostControls.x = 130;
+    this.hostControls.y = 312;
+    this.hostControls.visible = false;
+    this.addChild(this.hostControls);
+
+    this.lockButton = new Button({
+      text: '🔒 Lock room',
+      width: 150,
+      height: 32,
+      fontSize: 14,
+      backgroundColor: 0x4a4a6a,
+      hoverColor: 0x5a5a8a
+    });
+    this.lockButton.onButtonClick = () => this.confirmLockRoom();
+    this.hostControls.addChild(this.lockButton);
+
+    this.startEarlyButton = new Button({
+      text: '🤖 Start with bots',
+      width: 170,
+      height: 32,
+      fontSize: 14,
+      backgroundColor: 0x4a6a9a,
+      hoverColor: 0x3a5a8a
+    });
+    this.startEarlyButton.x = 170;
+    this.startEarlyButton.onButtonClick = () => this.confirmStartEarly();
+    this.hostControls.addChild(this.startEarlyButton);
+  }
+
+  /**
+   * Create read-only house rules summary (bottom of the panel)
+   */
+  createRulesText() {
+    this.rulesText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 13,
+      fill: '#bbaacc',
+      align: 'center',
+      wordWrap: true,
+      wordWrapWidth: 560
+    });
+    this.rulesText.anchor.set(0.5);
+    this.rulesText.x = 300;
+    this.rulesText.y = 372;
+    this.addChild(this.rulesText);
+  }
+
+  /**
+   * Show the game's house rules
+   */
+  setRules(rules) {
+    this.rules = rules;
+    this.rulesText.text = rules ? `📜 ${describeHouseRules(rules).join(' · ')}` : '';
+    this.updateStatus();
+  }
+
   /**
    * Setup event listeners
    */
   setupEventListeners() {
+    eventBus.subscribe('game.rules.updated', (data) => {
+      this.setRules(data.rules);
+    });
+
+    // Everyone is ready - server counts down to the start (0 = cancelled)
+    eventBus.subscribe('lobby.countdown', (data) => {
+      if (data.seconds > 0) {
+        this.startCountdown(data.seconds);
+      } else {
+        this.cancelCountdown();
+      }
+    });
+
     // Listen for game state updates (player join/leave)
     eventBus.subscribe('game.state.updated', (data) => {
       if (data.newState && data.newState.players) {
+        this.setRoomInfo(data.newState);
         this.updatePlayers(data.newState.players);
       }
     });
@@ -146,6 +351,11 @@ class WaitingRoom extends PIXI.Container {
   setGameId(gameId) {
     this.gameId = gameId;
     this.gameIdText.text = `Game ID: ${gameId}`;
+
+    // Offline games can't be joined from another device
+    this.inviteButton.visible = isShareableGameId(gameId);
+
+    this.setRules(gameService.getHouseRules());
     
     // Add pulsing animation to game ID
     gsap.to(this.gameIdText, {
@@ -162,10 +372,247 @@ class WaitingRoom extends PIXI.Container {
    */
   updatePlayers(players) {
     this.players = players;
+
+    // Someone changed their mind before the server's cancel arrived
+    if (this.countdownSeconds !== null && !this.isEveryoneReady()) {
+      this.cancelCountdown();
+    }
+
     this.renderPlayers();
+    this.updateSeatControls();
+    this.updateHostControls();
     this.updateStatus();
   }
 
+  // =========================================================================
+  // HOST CONTROLS
+  // =========================================================================
+
+  /**
+   * Pick up who hosts the room and whether it's locked
+   */
+  setRoomInfo(state) {
+    this.hostId = state.hostId ?? state.players.find(player => player.host)?.id ?? null;
+    this.locked = Boolean(state.locked ?? state.roomLocked);
+    this.titleText.text = this.locked ? '⏳ Waiting Room 🔒' : '⏳ Waiting Room';
+  }
+
+  isHost(player) {
+    return Boolean(this.hostId) && player.id === this.hostId;
+  }
+
+  /**
+   * True if this client hosts an online room
+   */
+  amHost() {
+    const me = this.getMyPlayer();
+    return Boolean(me) && this.isHost(me) && !gameService.isLocalGame() && !gameService.isSpectating();
+  }
+
+  updateHostControls() {
+    const amHost = this.amHost();
+    this.hostControls.visible = amHost;
+    if (!amHost) return;
+
+    this.lockButton.setText(this.locked ? '🔓 Unlock room' : '🔒 Lock room');
+
+    // Nothing to fill once every seat is taken
+    this.startEarlyButton.setEnabled(this.getEmptySeats() > 0 && this.countdownSeconds === null);
+  }
+
+  /**
+   * Seats the game deals out - in a 2-player team game everyone has two
+   */
+  getSeatCount() {
+    return getSeatCount(this.rules || DEFAULT_HOUSE_RULES);
+  }
+
+  getEmptySeats() {
+    return Math.max(0, this.getSeatCount() - this.players.length);
+  }
+
+  getPlayerName(player) {
+    return player.playerName || player.name || 'this player';
+  }
+
+  /**
+   * Hand the action to the scene's confirmation dialog (or just run it)
+   */
+  confirmAction(options) {
+    if (this.onConfirmAction) {
+      this.onConfirmAction(options);
+    } else {
+      options.onConfirm();
+    }
+  }
+
+  confirmKick(player) {
+    const name = this.getPlayerName(player);
+
+    this.confirmAction({
+      title: '👢 Kick Player',
+      message: `Remove ${name} from the room? Their seat opens up for someone else.`,
+      confirmText: 'Kick',
+      onConfirm: () => gameService.kickPlayer(player.id)
+    });
+  }
+
+  confirmTransferHost(player) {
+    const name = this.getPlayerName(player);
+
+    this.confirmAction({
+      title: '👑 Transfer Host',
+      message: `Make ${name} the host? You'll lose the host controls.`,
+      confirmText: 'Make Host',
+      onConfirm: () => gameService.transferHost(player.id)
+    });
+  }
+
+  confirmLockRoom() {
+    const locked = !this.locked;
+
+    this.confirmAction({
+      title: locked ? '🔒 Lock Room' : '🔓 Unlock Room',
+      message: locked
+        ? 'Nobody else will be able to join until you unlock the room.'
+        : 'Anyone with the game ID will be able to join again.',
+      confirmText: locked ? 'Lock' : 'Unlock',
+      onConfirm: () => gameService.setRoomLocked(locked)
+    });
+  }
+
+  confirmStartEarly() {
+    const emptySeats = this.getEmptySeats();
+
+    this.confirmAction({
+      title: '🤖 Start Now',
+      message: `Start the game now? ${emptySeats} empty seat${emptySeats === 1 ? '' : 's'} will be filled with bots.`,
+      confirmText: 'Start',
+      onConfirm: () => gameService.startGameEarly(BOT_LEVELS.NORMAL)
+    });
+  }
+
+  // =========================================================================
+  // COLOR & READY
+  // =========================================================================
+
+  /**
+   * This client's entry in the player list (null for spectators)
+   */
+  getMyPlayer() {
+    const myId = gameService.getSessionId();
+    return this.players.find(player => player.id === myId) || null;
+  }
+
+  getPlayerColors(player) {
+    return (player.colors || (player.color ? [player.color] : [])).map(color => String(color).toUpperCase());
+  }
+
+  /**
+   * Colors held by everyone except this client
+   */
+  getTakenColors() {
+    const me = this.getMyPlayer();
+    return new Set(
+      this.players
+        .filter(player => player !== me)
+        .flatMap(player => this.getPlayerColors(player))
+    );
+  }
+
+  /**
+   * Bots never hold up the start
+   */
+  isReady(player) {
+    return isBotPlayer(player) || Boolean(player.ready);
+  }
+
+  isEveryoneReady() {
+    return this.players.length > 0 && this.players.every(player => this.isReady(player));
+  }
+
+  /**
+   * Redraw the palette and ready toggle from the latest player list
+   * Offline seats are fixed and always ready, so the controls stay hidden
+   */
+  updateSeatControls() {
+    const me = this.getMyPlayer();
+    const canChoose = Boolean(me) && !gameService.isLocalGame() && !gameService.isSpectating();
+
+    this.colorPicker.visible = canChoose;
+    this.readyButton.visible = canChoose;
+    if (!canChoose) return;
+
+    const myColors = this.getPlayerColors(me);
+    const taken = this.getTakenColors();
+
+    this.colorSwatches.forEach((swatch, color) => {
+      const isMine = myColors.includes(color);
+      const isTaken = taken.has(color);
+
+      swatch.clear();
+      swatch.circle(0, 0, 14).fill({ color: this.getPixiColor(color), alpha: isTaken ? 0.25 : 1 });
+      if (isMine) {
+        swatch.circle(0, 0, 18).stroke({ width: 3, color: 0xffffff });
+      }
+      if (isTaken) {
+        swatch.moveTo(-8, -8).lineTo(8, 8).moveTo(8, -8).lineTo(-8, 8).stroke({ width: 3, color: 0x222222 });
+      }
+
+      // Locked while taken, and once ready
+      swatch.cursor = !isTaken && !isMine && !me.ready ? 'pointer' : 'default';
+    });
+
+    this.readyButton.setText(me.ready ? '✅ Ready' : '✋ Ready up');
+    this.readyButton.setColors(...(me.ready ? [0x4CAF50, 0x45a049] : [0x555566, 0x666677]));
+  }
+
+  handleColorClick(color) {
+    const me = this.getMyPlayer();
+    if (!me || me.ready) return;
+    if (this.getTakenColors().has(color) || this.getPlayerColors(me).includes(color)) return;
+
+    console.log('⏳ WaitingRoom: Choosing color', color);
+    gameService.chooseColor(color);
+  }
+
+  toggleReady() {
+    const me = this.getMyPlayer();
+    if (!me) return;
+
+    gameService.setReady(!me.ready);
+  }
+
+  /**
+   * Show "Starting in 3..." ticking down to the start
+   */
+  startCountdown(seconds) {
+    clearInterval(this.countdownTimer);
+    this.countdownSeconds = seconds;
+    this.updateStatus();
+    this.updateHostControls();
+
+    this.countdownTimer = setInterval(() => {
+      this.countdownSeconds = Math.max(0, this.countdownSeconds - 1);
+      this.updateStatus();
+
+      if (this.countdownSeconds === 0) {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+      }
+    }, 1000);
+  }
+
+  cancelCountdown() {
+    if (this.countdownSeconds === null) return;
+
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+    this.countdownSeconds = null;
+    this.updateStatus();
+    this.updateHostControls();
+  }
+
   /**
    * Render players in the waiting room
    */
@@ -194,6 +641,11 @@ class WaitingRoom extends PIXI.Container {
     bg.endFill();
     card.addChild(bg);
 
+    const avatar = new Avatar({ size: 40, avatar: getPlayerAvatar(player) });
+    avatar.x = 10;
+    avatar.y = 10;
+    card.addChild(avatar);
+
     // Player name
     const nameStyle = new PIXI.TextStyle({
       fontFamily: 'Arial, sans-serif',
@@ -202,11 +654,23 @@ class WaitingRoom extends PIXI.Container {
       fill: '#ffffff'
     });
 
-    const nameText = new PIXI.Text(player.playerName || `Player ${index + 1}`, nameStyle);
-    nameText.x = 15;
-    nameText.y = 10;
+    const name = player.playerName || `Player ${index + 1}`;
+    const nameText = new PIXI.Text(this.isHost(player) ? `👑 ${name}` : name, nameStyle);
+    nameText.x = 58;
+    nameText.y = 8;
     card.addChild(nameText);
 
+    // Ready state
+    const readyText = new PIXI.Text(this.isReady(player) ? '✅ Ready' : '⏳ Not ready', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 12,
+      fill: this.isReady(player) ? '#4CAF50' : '#aaaaaa'
+    });
+    readyText.anchor.set(1, 0);
+    readyText.x = 208;
+    readyText.y = 8;
+    card.addChild(readyText);
+
     // Player colors
     if (player.colors) {
       player.colors.forEach((color, colorIndex) => {
@@ -215,14 +679,31 @@ class WaitingRoom extends PIXI.Container {
         colorCircle.beginFill(pixiColor);
         colorCircle.drawCircle(0, 0, 8);
         colorCircle.endFill();
-        colorCircle.x = 15 + (colorIndex * 25);
-        colorCircle.y = 40;
+        colorCircle.x = 66 + (colorIndex * 25);
+        colorCircle.y = 41;
         card.addChild(colorCircle);
       });
     }
 
-    // Connection status
-    const statusColor = player.human ? 0x4CAF50 : 0x888888;
+    // Bot badge with difficulty
+    if (isBotPlayer(player)) {
+      const level = player.botLevel || player.difficulty;
+      const badgeStyle = new PIXI.TextStyle({
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 13,
+        fontWeight: 'bold',
+        fill: '#b39dff'
+      });
+
+      const badgeText = new PIXI.Text(level ? `🤖 ${String(level).toUpperCase()}` : '🤖 BOT', badgeStyle);
+      badgeText.anchor.set(1, 0);
+      badgeText.x = 235;
+      badgeText.y = 35;
+      card.addChild(badgeText);
+    }
+
+    // Connection status (purple for bots)
+    const statusColor = isBotPlayer(player) ? 0x9c7cff : (player.human ? 0x4CAF50 : 0x888888);
     const statusCircle = new PIXI.Graphics();
     statusCircle.beginFill(statusColor);
     statusCircle.drawCircle(0, 0, 5);
@@ -231,6 +712,15 @@ class WaitingRoom extends PIXI.Container {
     statusCircle.y = 15;
     card.addChild(statusCircle);
 
+    // Host tools on everyone else's card
+    if (this.amHost() && player.id !== this.hostId) {
+      this.addCardButton(card, '✕', 112, () => this.confirmKick(player));
+
+      if (!isBotPlayer(player)) {
+        this.addCardButton(card, '👑', 142, () => this.confirmTransferHost(player));
+      }
+    }
+
     // Add entrance animation
     card.alpha = 0;
     card.scale.set(0.8);
@@ -245,6 +735,22 @@ class WaitingRoom extends PIXI.Container {
     return card;
   }
 
+  addCardButton(card, text, x, onClick) {
+    const button = new Button({
+      text,
+      width: 26,
+      height: 22,
+      fontSize: 12,
+      cornerRadius: 6,
+      backgroundColor: 0x5a5a7a,
+      hoverColor: 0x6a6a9a
+    });
+    button.x = x;
+    button.y = 30;
+    button.onButtonClick = onClick;
+    card.addChild(button);
+  }
+
   /**
    * Convert color string to PIXI color
    */
@@ -263,15 +769,25 @@ class WaitingRoom extends PIXI.Container {
    */
   updateStatus() {
     const playerCount = this.players.length;
-    
-  if (playerCount < 2) {
-    this.statusText.text = `Waiting for players... (${playerCount}/4)`;
-    this.statusText.style.fill = '#cccccc';
-  } else {
-    this.statusText.text = `Game full! (${playerCount}/2) - Starting soon...`;
-    this.statusText.style.fill = '#4CAF50';
+    const maxPlayers = this.getSeatCount();
+    const readyCount = this.players.filter(player => this.isReady(player)).length;
+
+    if (this.countdownSeconds !== null) {
+      this.statusText.text = this.countdownSeconds > 0
+        ? `🚀 Starting in ${this.countdownSeconds}...`
+        : '🚀 Starting...';
+      this.statusText.style.fill = '#4CAF50';
+    } else if (playerCount < maxPlayers) {
+      this.statusText.text = `Waiting for players... (${playerCount}/${maxPlayers}) · ${readyCount} ready`;
+      this.statusText.style.fill = '#cccccc';
+    } else if (readyCount < playerCount) {
+      this.statusText.text = `Game full! Waiting for everyone to be ready (${readyCount}/${playerCount})`;
+      this.statusText.style.fill = '#ffdd44';
+    } else {
+      this.statusText.text = `Everyone's ready! (${playerCount}/${maxPlayers})`;
+      this.statusText.style.fill = '#4CAF50';
+    }
   }
-}
 
  /**
   * Start waiting animation
@@ -325,13 +841,27 @@ class WaitingRoom extends PIXI.Container {
    // Clear game ID
    this.gameId = '';
    this.gameIdText.text = 'Game ID: ';
+   this.inviteButton.visible = false;
+   this.inviteButton.setText('🔗 Copy invite link');
+   clearTimeout(this.inviteFeedbackTimer);
 
-   // Clear players
+   // Clear players, seat controls and countdown
    this.players = [];
    this.playersContainer.removeChildren();
-
-   // Reset status text
+   this.colorPicker.visible = false;
+   this.readyButton.visible = false;
+   clearInterval(this.countdownTimer);
+   this.countdownTimer = null;
+   this.countdownSeconds = null;
+   this.hostId = null;
+   this.locked = false;
+   this.hostControls.visible = false;
+   this.titleText.text = '⏳ Waiting Room';
+
+   // Reset status text and rules
    this.statusText.text = 'Waiting for players...';
+   this.rules = null;
+   this.rulesText.text = '';
 
    // Stop any ongoing animations
    this.stopWaitingAnimation();
@@ -345,6 +875,8 @@ class WaitingRoom extends PIXI.Container {
    console.log('⏳ WaitingRoom: Destroying...');
 
    this.stopWaitingAnimation();
+   clearTimeout(this.inviteFeedbackTimer);
+   clearInterval(this.countdownTimer);
 
    // Kill all animations
    gsap.killTweensOf([this, this.panel, this.statusText, this.gameIdText]);
@@ -0,0 +1,83 @@
+// src/pixi/components/ui/Avatar.js
+
+import * as PIXI from 'pixi.js';
+import {
+  DEFAULT_AVATAR,
+  PIXEL_GRID_SIZE,
+  decodePixels,
+  normalizeAvatar
+} from '../../../utils/playerProfile';
+
+/**
+ * Avatar - Rounded tile showing a player's picked emoji or drawn pixel grid
+ */
+class Avatar extends PIXI.Container {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      size: 32,
+      avatar: DEFAULT_AVATAR,
+      borderColor: null,
+      ...options
+    };
+
+    this.avatar = null;
+
+    this.background = new PIXI.Graphics();
+    this.addChild(this.background);
+
+    this.pixels = new PIXI.Graphics();
+    this.addChild(this.pixels);
+
+    this.emojiText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: Math.round(this.options.size * 0.62)
+    });
+    this.emojiText.anchor.set(0.5);
+    this.emojiText.x = this.options.size / 2;
+    this.emojiText.y = this.options.size / 2;
+    this.addChild(this.emojiText);
+
+    this.setAvatar(this.options.avatar);
+  }
+
+  /**
+   * @param {Object} avatar - { emoji | pixels, background } (playerProfile.js)
+   */
+  setAvatar(avatar) {
+    this.avatar = normalizeAvatar(avatar) || { ...DEFAULT_AVATAR };
+    this.draw();
+  }
+
+  draw() {
+    const { size, borderColor } = this.options;
+    const { emoji, pixels, background } = this.avatar;
+
+    this.background.clear();
+    this.background.roundRect(0, 0, size, size, size * 0.25);
+    this.background.fill({ color: background });
+    if (borderColor !== null) {
+      this.background.stroke({ width: 2, color: borderColor });
+    }
+
+    // Drawn grid sits inside a small margin so the rounded corners stay clear
+    this.pixels.clear();
+    if (pixels) {
+      const inset = size * 0.12;
+      const cellSize = (size - inset * 2) / PIXEL_GRID_SIZE;
+
+      decodePixels(pixels).forEach((on, index) => {
+        if (!on) return;
+        const col = index % PIXEL_GRID_SIZE;
+        const row = Math.floor(index / PIXEL_GRID_SIZE);
+        this.pixels.rect(inset + col * cellSize, inset + row * cellSize, cellSize, cellSize);
+      });
+      this.pixels.fill({ color: 0xffffff });
+    }
+
+    this.emojiText.text = pixels ? '' : emoji;
+  }
+}
+
+export default Avatar;
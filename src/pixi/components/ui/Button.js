@@ -199,6 +199,20 @@ class Button extends PIXI.Container {
     this.options.text = text;
   }
 
+  /**
+   * Update button colors (e.g. for toggles)
+   */
+  setColors(backgroundColor, hoverColor = null) {
+    this.options.backgroundColor = backgroundColor;
+    if (hoverColor !== null) {
+      this.options.hoverColor = hoverColor;
+    }
+
+    if (this.enabled) {
+      this.drawBackground(this.isHovered ? this.options.hoverColor : this.options.backgroundColor);
+    }
+  }
+
   /**
    * Set enabled state
    */
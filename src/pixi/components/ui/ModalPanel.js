@@ -0,0 +1,217 @@
+// src/pixi/components/ui/ModalPanel.js
+
+import * as PIXI from 'pixi.js';
+import { gsap } from 'gsap';
+import Button from './Button';
+import Panel from './Panel';
+
+/**
+ * ModalPanel - Base for the lobby's full-screen panels
+ * Dims the canvas, swallows clicks behind the panel and centers a titled box
+ * with a close button. Subclasses call createPanel() once their own state is
+ * set, build the rest in createBody() and redraw in render().
+ * Also has the column table helpers (headers, striped rows, pager).
+ */
+class ModalPanel extends PIXI.Container {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      canvasWidth: 1200,
+      canvasHeight: 800,
+      width: 640,
+      height: 480,
+      title: '',
+      rowHeight: 40,
+      ...options
+    };
+
+    this.page = 0;
+    this.visible = false;
+  }
+
+  /**
+   * Create overlay, panel, title and close button, then the subclass body
+   */
+  createPanel() {
+    const { canvasWidth, canvasHeight, width, height } = this.options;
+
+    // Dim the lobby and swallow clicks behind the panel
+    this.overlay = new PIXI.Graphics();
+    this.overlay.rect(0, 0, canvasWidth, canvasHeight);
+    this.overlay.fill({ color: 0x000000, alpha: 0.6 });
+    this.overlay.eventMode = 'static';
+    this.overlay.on('pointerdown', (e) => e.stopPropagation());
+    this.addChild(this.overlay);
+
+    this.content = new PIXI.Container();
+    this.content.x = (canvasWidth - width) / 2;
+    this.content.y = (canvasHeight - height) / 2;
+    this.addChild(this.content);
+
+    this.content.addChild(new Panel({
+      width,
+      height,
+      backgroundColor: 0x1e1e3a,
+      borderColor: 0x4a4a6a,
+      borderWidth: 3,
+      cornerRadius: 20
+    }));
+
+    this.titleText = new PIXI.Text(this.options.title, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 26,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    this.titleText.x = 24;
+    this.titleText.y = 18;
+    this.content.addChild(this.titleText);
+
+    this.addButton('✕', 40, 36, width - 60, 16, () => this.hide(), {
+      backgroundColor: 0x555555,
+      hoverColor: 0x666666
+    });
+
+    this.createBody();
+  }
+
+  /**
+   * Override to add the panel's own content
+   */
+  createBody() {}
+
+  /**
+   * Override to redraw the content
+   */
+  render() {}
+
+  addButton(text, width, height, x, y, onClick, extra = {}) {
+    const button = new Button({
+      text,
+      width,
+      height,
+      fontSize: 14,
+      cornerRadius: 8,
+      ...extra
+    });
+    button.x = x;
+    button.y = y;
+    button.onButtonClick = onClick;
+    this.content.addChild(button);
+    return button;
+  }
+
+  // =========================================================================
+  // TABLE
+  // =========================================================================
+
+  /**
+   * @param {Array} headers - [label, x] pairs
+   */
+  createHeaders(headers, y) {
+    const headerStyle = {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 14,
+      fontWeight: 'bold',
+      fill: '#888899'
+    };
+
+    headers.forEach(([label, x]) => {
+      const header = new PIXI.Text(label, headerStyle);
+      header.x = x;
+      header.y = y;
+      this.content.addChild(header);
+    });
+  }
+
+  /**
+   * Striped row with one text per column
+   * @param {number} index - Row number, picks the stripe color
+   * @param {Array} cells - [text, x, extraStyle] per column
+   */
+  createTableRow(index, cells) {
+    const { width, rowHeight } = this.options;
+    const row = new PIXI.Container();
+
+    const background = new PIXI.Graphics();
+    background.roundRect(12, 0, width - 24, rowHeight - 4, 6);
+    background.fill({ color: index % 2 === 0 ? 0x2a2a4a : 0x24243e });
+    row.addChild(background);
+
+    const textStyle = {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 15,
+      fill: '#ffffff'
+    };
+
+    cells.forEach(([text, x, extra = {}]) => {
+      const cell = new PIXI.Text(text, { ...textStyle, ...extra });
+      cell.x = x;
+      cell.y = (rowHeight - 4 - cell.height) / 2;
+      row.addChild(cell);
+    });
+
+    return row;
+  }
+
+  /**
+   * ◀ Page 1 / 3 ▶ along the bottom - the arrows call setPage()
+   */
+  createPager() {
+    const { width, height } = this.options;
+    const pagerY = height - 44;
+
+    this.prevButton = this.addButton('◀', 40, 30, width / 2 - 110, pagerY, () => this.setPage(this.page - 1));
+    this.nextButton = this.addButton('▶', 40, 30, width / 2 + 70, pagerY, () => this.setPage(this.page + 1));
+
+    this.pageText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 14,
+      fill: '#cccccc'
+    });
+    this.pageText.anchor.set(0.5);
+    this.pageText.x = width / 2;
+    this.pageText.y = pagerY + 15;
+    this.content.addChild(this.pageText);
+  }
+
+  updatePager(pageCount) {
+    this.pageText.text = `Page ${this.page + 1} / ${pageCount}`;
+    this.prevButton.setEnabled(this.page > 0);
+    this.nextButton.setEnabled(this.page < pageCount - 1);
+  }
+
+  setPage(page) {
+    this.page = Math.max(0, page);
+    this.render();
+  }
+
+  // =========================================================================
+  // SHOW / HIDE
+  // =========================================================================
+
+  show() {
+    this.visible = true;
+    this.render();
+
+    this.content.alpha = 0;
+    this.content.scale.set(0.95);
+    gsap.to(this.content, { alpha: 1, duration: 0.25 });
+    gsap.to(this.content.scale, { x: 1, y: 1, duration: 0.25, ease: 'back.out(1.7)' });
+  }
+
+  hide() {
+    this.visible = false;
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    gsap.killTweensOf([this.content, this.content.scale]);
+    super.destroy({ children: true });
+  }
+}
+
+export default ModalPanel;
@@ -0,0 +1,64 @@
+// src/pixi/components/ui/SectionPanel.js
+
+import * as PIXI from 'pixi.js';
+import Panel from './Panel';
+
+/**
+ * Text placed at (x, y) - the building block of the stats tables
+ */
+export function createCell(text, x, y, style) {
+  const cell = new PIXI.Text(text, style);
+  cell.x = x;
+  cell.y = y;
+  return cell;
+}
+
+/**
+ * SectionPanel - Titled box for a block of stats (summary and history screens)
+ * Positioned by { x, y }; content is added as children below the title.
+ */
+class SectionPanel extends PIXI.Container {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      title: '',
+      x: 0,
+      y: 0,
+      width: 300,
+      height: 200,
+      ...options
+    };
+
+    this.x = this.options.x;
+    this.y = this.options.y;
+
+    this.createSection();
+  }
+
+  /**
+   * Create the background and title
+   */
+  createSection() {
+    const { title, width, height } = this.options;
+
+    this.addChild(new Panel({
+      width,
+      height,
+      backgroundColor: 0x2a2a4a,
+      borderColor: 0x4a4a6a,
+      borderWidth: 2,
+      cornerRadius: 14
+    }));
+
+    this.titleText = createCell(title, 16, 12, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 17,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    this.addChild(this.titleText);
+  }
+}
+
+export default SectionPanel;
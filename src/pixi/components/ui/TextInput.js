@@ -3,6 +3,9 @@
 import * as PIXI from 'pixi.js';
 import { gsap } from 'gsap';
 
+// Input currently receiving keystrokes (only one at a time)
+let focusedInput = null;
+
 /**
  * TextInput - PixiJS text input field
  * Note: This is a simplified version. For production, consider using HTML input overlays
@@ -24,6 +27,8 @@ class TextInput extends PIXI.Container {
       cornerRadius: 5,
       padding: 10,
       maxLength: 20,
+      allowedPattern: /[A-Z0-9]/i, // Characters accepted (game IDs by default)
+      uppercase: true,
       ...options
     };
     
@@ -34,8 +39,9 @@ class TextInput extends PIXI.Container {
     this.text = '';
     this.enabled = true;
     
-    // Callback
+    // Callbacks
     this.onTextChange = null;
+    this.onSubmit = null; // Enter pressed - blurs instead when not set
     
     this.createInput();
     this.setupInteraction();
@@ -115,11 +121,16 @@ class TextInput extends PIXI.Container {
         this.text = this.text.slice(0, -1);
         this.updateDisplay();
       } else if (event.key === 'Enter') {
+        if (this.onSubmit) {
+          this.onSubmit(this.text);
+        } else {
+          this.blur();
+        }
+      } else if (event.key === 'Escape') {
         this.blur();
       } else if (event.key.length === 1 && this.text.length < this.options.maxLength) {
-        // Only allow alphanumeric characters for game IDs
-        if (/[A-Z0-9]/i.test(event.key)) {
-          this.text += event.key.toUpperCase();
+        if (this.options.allowedPattern.test(event.key)) {
+          this.text += this.options.uppercase ? event.key.toUpperCase() : event.key;
           this.updateDisplay();
         }
       }
@@ -133,6 +144,11 @@ class TextInput extends PIXI.Container {
    */
   focus() {
     if (!this.enabled) return;
+
+    if (focusedInput && focusedInput !== this) {
+      focusedInput.blur();
+    }
+    focusedInput = this;
     
     this.isFocused = true;
     this.drawBackground(true);
@@ -153,6 +169,10 @@ class TextInput extends PIXI.Container {
    * Blur the input
    */
   blur() {
+    if (focusedInput === this) {
+      focusedInput = null;
+    }
+
     this.isFocused = false;
     this.drawBackground(false);
     this.cursor.visible = false;
@@ -221,10 +241,20 @@ class TextInput extends PIXI.Container {
     }
   }
 
+  /**
+   * True while any input is taking keystrokes, so keyboard shortcuts
+   * elsewhere can stand aside
+   */
+  static isTyping() {
+    return focusedInput !== null;
+  }
+
   /**
    * Cleanup
    */
   destroy() {
+    this.blur();
+
     // Remove keyboard listener
     if (this.keyboardHandler) {
       document.removeEventListener('keydown', this.keyboardHandler);
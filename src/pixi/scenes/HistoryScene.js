@@ -0,0 +1,371 @@
+// src/pixi/scenes/HistoryScene.js
+
+import * as PIXI from 'pixi.js';
+import { gsap } from 'gsap';
+import eventBus from '../../utils/EventBus';
+import matchHistory from '../../services/MatchHistory';
+import replayRecorder from '../../services/ReplayRecorder';
+import Button from '../components/ui/Button';
+import Panel from '../components/ui/Panel';
+import SectionPanel, { createCell } from '../components/ui/SectionPanel';
+import { HISTORY_COLORS, getCareerStats } from '../../utils/careerStats';
+
+const BASE_WIDTH = 1200;
+const BASE_HEIGHT = 800;
+
+const PLAYER_COLORS = {
+  red: 0xff4444,
+  green: 0x44ff44,
+  yellow: 0xffff44,
+  blue: 0x4444ff
+};
+
+const CARDS = { x: 60, y: 80, width: 200, height: 84, spacing: 20 };
+const COLORS_SECTION = { x: 60, y: 190, width: 340, height: 300 };
+const GAMES_SECTION = { x: 420, y: 190, width: 720, height: 500 };
+
+const GAMES_PER_PAGE = 9;
+const GAME_ROW_HEIGHT = 48;
+
+/**
+ * HistoryScene - Career stats and the list of finished games saved by
+ * MatchHistory, with their replays when one was kept
+ */
+class HistoryScene extends PIXI.Container {
+  constructor() {
+    super();
+
+    this.games = [];
+    this.page = 0;
+    this.content = null;
+
+    console.log('📚 HistoryScene created');
+
+    this.setupScene();
+  }
+
+  // =========================================================================
+  // SCENE SETUP
+  // =========================================================================
+
+  setupScene() {
+    const background = new PIXI.Graphics();
+    background.rect(0, 0, BASE_WIDTH, BASE_HEIGHT);
+    background.fill({ color: 0x1a1a2e });
+    this.addChild(background);
+
+    const title = new PIXI.Text('📚 MATCH HISTORY', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 32,
+      fontWeight: 'bold',
+      fill: '#ffd700'
+    });
+    title.anchor.set(0.5, 0);
+    title.x = BASE_WIDTH / 2;
+    title.y = 16;
+    this.addChild(title);
+
+    this.lobbyButton = new Button({
+      text: '← Back to Lobby',
+      width: 200,
+      height: 48,
+      fontSize: 16,
+      backgroundColor: 0x666666,
+      hoverColor: 0x555555
+    });
+    this.lobbyButton.x = (BASE_WIDTH - 200) / 2;
+    this.lobbyButton.y = BASE_HEIGHT - 90;
+    this.lobbyButton.onButtonClick = () => {
+      eventBus.emit('pixi.scene.change', { scene: 'lobby' });
+    };
+    this.addChild(this.lobbyButton);
+  }
+
+  // =========================================================================
+  // SCENE LIFECYCLE
+  // =========================================================================
+
+  async onShow() {
+    this.renderMessage('Loading history...');
+
+    try {
+      this.games = await matchHistory.getGames();
+      this.page = 0;
+      this.render();
+    } catch (error) {
+      console.error('📚 HistoryScene: Could not load history', error);
+      this.renderMessage('Match history is not available in this browser');
+    }
+  }
+
+  /**
+   * Replace the content with a single centered line
+   */
+  renderMessage(text) {
+    this.resetContent();
+
+    const message = createCell(text, BASE_WIDTH / 2, BASE_HEIGHT / 2, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 18,
+      fill: '#888888'
+    });
+    message.anchor.set(0.5);
+    this.content.addChild(message);
+  }
+
+  render() {
+    this.resetContent();
+
+    if (this.games.length === 0) {
+      this.renderMessage('No finished games yet - play one and it will show up here');
+      return;
+    }
+
+    const career = getCareerStats(this.games);
+    this.createCareerCards(career);
+    this.createColorTable(career);
+    this.createGameList();
+
+    this.content.alpha = 0;
+    gsap.to(this.content, { alpha: 1, duration: 0.4 });
+  }
+
+  resetContent() {
+    if (this.content) {
+      gsap.killTweensOf(this.content);
+      this.content.destroy({ children: true });
+    }
+
+    this.content = new PIXI.Container();
+    this.addChild(this.content);
+  }
+
+  // =========================================================================
+  // CAREER
+  // =========================================================================
+
+  createCareerCards(career) {
+    const streak = career.currentStreak;
+    const cards = [
+      [`${career.games}`, 'Games played'],
+      [formatPercent(career.winRate), `Win rate (${career.wins}-${career.losses})`],
+      [streak ? `${streak.result === 'win' ? '🔥' : '🧊'} ${streak.length}${streak.result === 'win' ? 'W' : 'L'}` : '–', 'Current streak'],
+      [`${career.bestWinStreak}`, 'Best win streak'],
+      [formatPosition(career.averagePosition), 'Average finish']
+    ];
+
+    cards.forEach(([value, label], index) => {
+      const card = new PIXI.Container();
+      card.x = CARDS.x + index * (CARDS.width + CARDS.spacing);
+      card.y = CARDS.y;
+      this.content.addChild(card);
+
+      card.addChild(new Panel({
+        width: CARDS.width,
+        height: CARDS.height,
+        backgroundColor: 0x2a2a4a,
+        borderColor: 0x4a4a6a,
+        borderWidth: 2,
+        cornerRadius: 14
+      }));
+
+      const valueText = createCell(value, CARDS.width / 2, 12, {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 30,
+        fontWeight: 'bold',
+        fill: '#ffffff'
+      });
+      valueText.anchor.x = 0.5;
+      card.addChild(valueText);
+
+      const labelText = createCell(label, CARDS.width / 2, 56, {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 13,
+        fill: '#aaaacc'
+      });
+      labelText.anchor.x = 0.5;
+      card.addChild(labelText);
+    });
+  }
+
+  /**
+   * Games, win rate and average finish for each color played
+   */
+  createColorTable(career) {
+    const section = new SectionPanel({ title: '🎨 By color', ...COLORS_SECTION });
+    this.content.addChild(section);
+
+    const headerStyle = { fontFamily: 'Arial, sans-serif', fontSize: 13, fill: '#999999' };
+    [['Color', 20], ['Games', 120], ['Win rate', 180], ['Avg finish', 260]].forEach(([label, x]) => {
+      section.addChild(createCell(label, x, 50, headerStyle));
+    });
+
+    HISTORY_COLORS.forEach((color, index) => {
+      const y = 80 + index * 52;
+      const stats = career.byColor[color];
+
+      const rowBg = new PIXI.Graphics();
+      rowBg.roundRect(10, y, COLORS_SECTION.width - 20, 44, 8);
+      rowBg.fill({ color: 0x1f1f3a });
+      rowBg.circle(32, y + 22, 9);
+      rowBg.fill({ color: PLAYER_COLORS[color] });
+      section.addChild(rowBg);
+
+      const rowStyle = { fontFamily: 'Arial, sans-serif', fontSize: 15, fill: stats.games > 0 ? '#ffffff' : '#666666' };
+      section.addChild(createCell(color[0].toUpperCase() + color.slice(1), 50, y + 13, rowStyle));
+      section.addChild(createCell(`${stats.games}`, 120, y + 13, rowStyle));
+      section.addChild(createCell(formatPercent(stats.winRate), 180, y + 13, rowStyle));
+      section.addChild(createCell(formatPosition(stats.averagePosition), 260, y + 13, rowStyle));
+    });
+  }
+
+  // =========================================================================
+  // GAME LIST
+  // =========================================================================
+
+  /**
+   * One page of games, newest first
+   */
+  createGameList() {
+    const section = new SectionPanel({ title: '🕑 Recent games', ...GAMES_SECTION });
+    this.content.addChild(section);
+    const pageCount = Math.ceil(this.games.length / GAMES_PER_PAGE);
+    const games = this.games.slice(this.page * GAMES_PER_PAGE, (this.page + 1) * GAMES_PER_PAGE);
+
+    games.forEach((game, index) => {
+      section.addChild(this.createGameRow(game, 48 + index * GAME_ROW_HEIGHT));
+    });
+
+    if (pageCount > 1) {
+      section.addChild(this.createPager(pageCount));
+    }
+  }
+
+  createGameRow(game, y) {
+    const row = new PIXI.Container();
+    row.y = y;
+
+    const rowBg = new PIXI.Graphics();
+    rowBg.roundRect(10, 0, GAMES_SECTION.width - 20, GAME_ROW_HEIGHT - 6, 8);
+    rowBg.fill({ color: game.result === 'win' ? 0x2e4a2e : 0x1f1f3a });
+    row.addChild(rowBg);
+
+    const style = { fontFamily: 'Arial, sans-serif', fontSize: 14, fill: '#ffffff' };
+
+    row.addChild(createCell(formatDate(game.endedAt), 22, 12, { ...style, fontSize: 13, fill: '#aaaacc' }));
+
+    row.addChild(createCell(
+      game.result === 'win' ? '🏆 Won' : `${ordinal(game.position)} place`,
+      150,
+      12,
+      { ...style, fontWeight: 'bold', fill: game.result === 'win' ? '#ffd700' : '#ff8888' }
+    ));
+
+    const dots = new PIXI.Graphics();
+    (game.colors || []).forEach((color, index) => {
+      dots.circle(262 + index * 20, 21, 8);
+      dots.fill({ color: PLAYER_COLORS[color] || 0xffffff });
+    });
+    row.addChild(dots);
+
+    const opponents = (game.players || [])
+      .filter(player => player.playerId !== game.playerId)
+      .map(player => player.playerName);
+    row.addChild(createCell(truncate(`vs ${opponents.join(', ')}`, 28), 310, 12, style));
+
+    const stats = game.stats || {};
+    row.addChild(createCell(`${stats.moves || 0} moves · 💥 ${stats.capturesMade || 0}`, 530, 12, {
+      ...style,
+      fontSize: 13,
+      fill: '#aaaacc'
+    }));
+
+    if (game.replay) {
+      const replayButton = new Button({
+        text: '▶',
+        width: 44,
+        height: 30,
+        fontSize: 14,
+        backgroundColor: 0x4caf50,
+        hoverColor: 0x45a049
+      });
+      replayButton.x = GAMES_SECTION.width - 64;
+      replayButton.y = 6;
+      replayButton.onButtonClick = () => replayRecorder.openReplay(game.replay);
+      row.addChild(replayButton);
+    }
+
+    return row;
+  }
+
+  createPager(pageCount) {
+    const pager = new PIXI.Container();
+    pager.x = GAMES_SECTION.width - 190;
+    pager.y = 8;
+
+    const previousButton = new Button({ text: '◀', width: 40, height: 28, fontSize: 14 });
+    previousButton.onButtonClick = () => this.showPage(this.page - 1);
+    previousButton.setEnabled(this.page > 0);
+
+    const pageText = createCell(`${this.page + 1} / ${pageCount}`, 95, 6, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 14,
+      fill: '#aaaacc'
+    });
+    pageText.anchor.x = 0.5;
+
+    const nextButton = new Button({ text: '▶', width: 40, height: 28, fontSize: 14 });
+    nextButton.x = 150;
+    nextButton.onButtonClick = () => this.showPage(this.page + 1);
+    nextButton.setEnabled(this.page < pageCount - 1);
+
+    pager.addChild(previousButton);
+    pager.addChild(pageText);
+    pager.addChild(nextButton);
+
+    return pager;
+  }
+
+  showPage(page) {
+    const pageCount = Math.ceil(this.games.length / GAMES_PER_PAGE);
+    this.page = Math.max(0, Math.min(pageCount - 1, page));
+    this.render();
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    if (this.content) {
+      gsap.killTweensOf(this.content);
+    }
+    super.destroy({ children: true });
+  }
+}
+
+function formatPercent(rate) {
+  return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+function formatPosition(position) {
+  return position === null ? '–' : position.toFixed(1);
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function ordinal(position) {
+  return `${position}${['th', 'st', 'nd', 'rd'][position] || 'th'}`;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+export default HistoryScene;
@@ -7,6 +7,22 @@ import CreateGamePanel from '../components/lobby/CreateGamePanel';
 import JoinGamePanel from '../components/lobby/JoinGamePanel';
 import WaitingRoom from '../components/lobby/WaitingRoom';
 import LobbyBackground from '../components/lobby/LobbyBackground';
+import LobbyBrowserPanel from '../components/lobby/LobbyBrowserPanel';
+import LeaderboardPanel from '../components/lobby/LeaderboardPanel';
+import AchievementsPanel from '../components/lobby/AchievementsPanel';
+import HouseRulesDialog from '../components/lobby/HouseRulesDialog';
+import ProfileDialog from '../components/lobby/ProfileDialog';
+import Avatar from '../components/ui/Avatar';
+import Button from '../components/ui/Button';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import ChatPanel from '../components/game/ChatPanel';
+import replayRecorder from '../../services/ReplayRecorder';
+import gameService from '../../services/GameService';
+import PlayerIdentity from '../../utils/PlayerIdentity';
+import { clearInviteParam, getInviteGameId, isShareableGameId } from '../../utils/inviteLinks';
+
+// How long to wait for the server to answer an invite-link join
+const INVITE_JOIN_TIMEOUT = 10000;
 
 /**
  * LobbyScene - Main lobby interface with animated panels
@@ -26,11 +42,39 @@ class LobbyScene extends Container { // Refactored inheritance
         this.createGamePanel = null;
         this.joinGamePanel = null;
         this.waitingRoom = null;
+        this.loadReplayButton = null;
+        this.browseButton = null;
+        this.historyButton = null;
+        this.leaderboardButton = null;
+        this.lobbyBrowser = null;
+        this.leaderboardPanel = null;
+        this.achievementsButton = null;
+        this.achievementsPanel = null;
+        this.houseRulesDialog = null;
+        this.profileDialog = null;
+        this.profileButton = null;
+        this.profileAvatar = null;
+        this.chatPanel = null;
+
+        // Invite link (?game=ID) join in progress
+        this.pendingInviteGameId = null;
+        this.inviteTimer = null;
+        this.inviteDialog = null;
+        this.hostActionDialog = null;
+
+        // Rules to set up again when arriving from a finished game's Rematch
+        this.pendingRematch = null;
 
         console.log('🏠 LobbyScene created (1200×800 base)');
 
         this.setupScene();
         this.setupEventListeners();
+        this.handleInviteLink();
+
+        // First visit: ask for a name before anything else (invites go straight in)
+        if (!PlayerIdentity.hasProfile() && !this.pendingInviteGameId) {
+            this.profileDialog.show();
+        }
     }
 
     /**
@@ -59,16 +103,179 @@ class LobbyScene extends Container { // Refactored inheritance
 
         // Create waiting room (hidden initially)
         this.waitingRoom = new WaitingRoom();
-        // Centered horizontally, slightly above center vertically
+        // Centered horizontally, under the title
         this.waitingRoom.x = this.BASE_WIDTH * 0.25;  // 300 (25% from left)
-        this.waitingRoom.y = this.BASE_HEIGHT * 0.3125;  // 250 (31.25% from top)
+        this.waitingRoom.y = this.BASE_HEIGHT * 0.225;  // 180 (just under the title)
         this.waitingRoom.visible = false;
+        this.waitingRoom.onConfirmAction = (options) => this.showHostActionDialog(options);
         this.addChild(this.waitingRoom);
 
+        // Waiting room chat, right under the waiting room
+        this.chatPanel = new ChatPanel({ width: 600, height: 190, fontSize: 14 });
+        this.chatPanel.x = this.BASE_WIDTH * 0.25;  // 300 (lined up with waiting room)
+        this.chatPanel.y = this.BASE_HEIGHT * 0.7375;  // 590
+        this.chatPanel.visible = false;
+        this.addChild(this.chatPanel);
+
+        // Browse open games (bottom center, left of History)
+        this.browseButton = new Button({
+            text: '🌐 Browse Games',
+            width: 180,
+            height: 40,
+            fontSize: 15,
+            backgroundColor: 0x4a4a6a,
+            hoverColor: 0x3a3a5a
+        });
+        this.browseButton.x = this.BASE_WIDTH / 2 - 390;  // 210
+        this.browseButton.y = this.BASE_HEIGHT * 0.92;  // 736
+        this.browseButton.onButtonClick = () => this.lobbyBrowser.show();
+        this.addChild(this.browseButton);
+
+        // Past games and career stats (bottom center, left of Leaderboard)
+        this.historyButton = new Button({
+            text: '📚 History',
+            width: 180,
+            height: 40,
+            fontSize: 15,
+            backgroundColor: 0x4a4a6a,
+            hoverColor: 0x3a3a5a
+        });
+        this.historyButton.x = this.BASE_WIDTH / 2 - 190;  // 410
+        this.historyButton.y = this.BASE_HEIGHT * 0.92;  // 736
+        this.historyButton.onButtonClick = () => {
+            eventBus.emit('pixi.scene.change', { scene: 'history' });
+        };
+        this.addChild(this.historyButton);
+
+        // Ratings of everyone played on this device (bottom center)
+        this.leaderboardButton = new Button({
+            text: '🏆 Leaderboard',
+            width: 180,
+            height: 40,
+            fontSize: 15,
+            backgroundColor: 0x4a4a6a,
+            hoverColor: 0x3a3a5a
+        });
+        this.leaderboardButton.x = this.BASE_WIDTH / 2 + 10;  // 610
+        this.leaderboardButton.y = this.BASE_HEIGHT * 0.92;  // 736
+        this.leaderboardButton.onButtonClick = () => this.leaderboardPanel.show();
+        this.addChild(this.leaderboardButton);
+
+        // Load a downloaded replay file (bottom center, right of Leaderboard)
+        this.loadReplayButton = new Button({
+            text: '📂 Load Replay',
+            width: 180,
+            height: 40,
+            fontSize: 15,
+            backgroundColor: 0x4a4a6a,
+            hoverColor: 0x3a3a5a
+        });
+        this.loadReplayButton.x = this.BASE_WIDTH / 2 + 210;  // 810
+        this.loadReplayButton.y = this.BASE_HEIGHT * 0.92;  // 736
+        this.loadReplayButton.onButtonClick = () => this.openReplayFile();
+        this.addChild(this.loadReplayButton);
+
+        // Display name and avatar (top right)
+        this.createProfileButton();
+
+        // Badge gallery (top left)
+        this.achievementsButton = new Button({
+            text: '🏅 Achievements',
+            width: 180,
+            height: 40,
+            fontSize: 15,
+            backgroundColor: 0x4a4a6a,
+            hoverColor: 0x3a3a5a
+        });
+        this.achievementsButton.x = 20;
+        this.achievementsButton.y = 20;
+        this.achievementsButton.onButtonClick = () => this.achievementsPanel.show();
+        this.addChild(this.achievementsButton);
+
+        // Open games list (modal, on top of everything else)
+        this.lobbyBrowser = new LobbyBrowserPanel({
+            canvasWidth: this.BASE_WIDTH,
+            canvasHeight: this.BASE_HEIGHT
+        });
+        this.lobbyBrowser.onJoinGame = (gameId) => {
+            this.lobbyBrowser.hide();
+            this.joinGamePanel.joinGameById(gameId);
+        };
+        this.addChild(this.lobbyBrowser);
+
+        // Rating table (modal)
+        this.leaderboardPanel = new LeaderboardPanel({
+            canvasWidth: this.BASE_WIDTH,
+            canvasHeight: this.BASE_HEIGHT
+        });
+        this.addChild(this.leaderboardPanel);
+
+        // Badge gallery (modal)
+        this.achievementsPanel = new AchievementsPanel({
+            canvasWidth: this.BASE_WIDTH,
+            canvasHeight: this.BASE_HEIGHT
+        });
+        this.addChild(this.achievementsPanel);
+
+        // House rules step before creating a game (modal)
+        this.houseRulesDialog = new HouseRulesDialog({
+            canvasWidth: this.BASE_WIDTH,
+            canvasHeight: this.BASE_HEIGHT
+        });
+        this.createGamePanel.onConfigureRules = (options) => this.houseRulesDialog.show(options);
+        this.addChild(this.houseRulesDialog);
+
+        // Display name and avatar step (modal)
+        this.profileDialog = new ProfileDialog({
+            canvasWidth: this.BASE_WIDTH,
+            canvasHeight: this.BASE_HEIGHT
+        });
+        this.addChild(this.profileDialog);
+
         // Set initial positions for entrance animation
         this.setInitialPositions();
     }
 
+    /**
+     * Avatar plus a button with the display name - opens the profile dialog
+     */
+    createProfileButton() {
+        this.profileAvatar = new Avatar({ size: 40, borderColor: 0xffffff });
+        this.profileAvatar.x = this.BASE_WIDTH - 250;  // 950
+        this.profileAvatar.y = 20;
+        this.profileAvatar.eventMode = 'static';
+        this.profileAvatar.cursor = 'pointer';
+        this.profileAvatar.on('pointerdown', () => this.profileDialog.show());
+        this.addChild(this.profileAvatar);
+
+        this.profileButton = new Button({
+            text: '',
+            width: 180,
+            height: 40,
+            fontSize: 15,
+            backgroundColor: 0x4a4a6a,
+            hoverColor: 0x3a3a5a
+        });
+        this.profileButton.x = this.BASE_WIDTH - 200;  // 1000
+        this.profileButton.y = 20;
+        this.profileButton.onButtonClick = () => this.profileDialog.show();
+        this.addChild(this.profileButton);
+
+        this.updateProfileButton();
+    }
+
+    updateProfileButton() {
+        const profile = PlayerIdentity.getProfile();
+
+        this.profileAvatar.setAvatar(profile?.avatar);
+        this.profileButton.setText(profile ? `✏️ ${profile.displayName}` : '👤 Set Profile');
+    }
+
+    setProfileButtonVisible(visible) {
+        this.profileAvatar.visible = visible;
+        this.profileButton.visible = visible;
+    }
+
     /**
      * Create the title text
      */
@@ -123,6 +330,14 @@ class LobbyScene extends Container { // Refactored inheritance
      * Setup event listeners
      */
     setupEventListeners() {
+        eventBus.subscribe('player.profile.updated', () => {
+            this.updateProfileButton();
+        });
+
+        eventBus.subscribe('lobby.rematch.setup', (data) => {
+            this.pendingRematch = data;
+        });
+
         // Game creation events
         eventBus.subscribe('lobby.game.created', (data) => {
             console.log('🏠 LobbyScene: Game created, showing waiting room');
@@ -131,13 +346,30 @@ class LobbyScene extends Container { // Refactored inheritance
 
         eventBus.subscribe('lobby.game.joined', (data) => {
             console.log('🏠 LobbyScene: Joined game, showing waiting room');
+            this.clearPendingInvite();
             this.showWaitingRoom(data.gameId);
         });
 
+        eventBus.subscribe('lobby.response.game.joined', (response) => {
+            if (this.pendingInviteGameId && !response.success) {
+                this.showInviteError(this.pendingInviteGameId, response.error || response.message);
+            }
+        });
+
+        eventBus.subscribe('game.response', (response) => {
+            if (this.pendingInviteGameId && response.success === false) {
+                this.showInviteError(this.pendingInviteGameId, response.message);
+            }
+        });
+
         // Leave game event
-        eventBus.subscribe('game.left', () => {
+        eventBus.subscribe('game.left', (data) => {
             console.log('🏠 LobbyScene: Player left game, returning to menu');
             this.showMainMenu();
+
+            if (data?.kicked) {
+                this.showError(data.message);
+            }
         });
 
         // Game start event
@@ -150,6 +382,11 @@ class LobbyScene extends Container { // Refactored inheritance
 
         // Error events
         eventBus.subscribe('game.error', (data) => {
+            if (this.pendingInviteGameId) {
+                this.showInviteError(this.pendingInviteGameId, data.error || data.message);
+                return;
+            }
+
             console.log('🏠 LobbyScene: Game error, showing error');
             this.showError(data.error);
         });
@@ -159,6 +396,17 @@ class LobbyScene extends Container { // Refactored inheritance
             console.log('🏠 LobbyScene: Connection lost');
             this.showConnectionLost();
         });
+
+        eventBus.subscribe('game.connection.failed', () => {
+            console.log('🏠 LobbyScene: Reconnect failed');
+            this.showError('Could not reconnect. Please refresh the page.');
+        });
+
+        eventBus.subscribe('game.session.expired', (data) => {
+            console.log('🏠 LobbyScene: Game session expired');
+            this.showMainMenu();
+            this.showError(data?.message || 'That game no longer exists.');
+        });
     }
 
     /**
@@ -168,8 +416,24 @@ class LobbyScene extends Container { // Refactored inheritance
         // Reset to initial state
         this.currentState = 'menu';
         this.waitingRoom.visible = false;
+        this.chatPanel.visible = false;
         this.createGamePanel.visible = true;
         this.joinGamePanel.visible = true;
+        this.loadReplayButton.visible = true;
+        this.browseButton.visible = true;
+        this.historyButton.visible = true;
+        this.leaderboardButton.visible = true;
+        this.achievementsButton.visible = true;
+        this.setProfileButtonVisible(true);
+        this.lobbyBrowser.hide();
+        this.leaderboardPanel.hide();
+        this.achievementsPanel.hide();
+        this.houseRulesDialog.hide();
+
+        if (this.pendingRematch) {
+            this.createGamePanel.setupRematch(this.pendingRematch);
+            this.pendingRematch = null;
+        }
 
         // Set initial positions for animation (NOW, not in constructor)
         this.titleText.y = -100;
@@ -260,6 +524,20 @@ class LobbyScene extends Container { // Refactored inheritance
         // Set waiting room data
         this.waitingRoom.setGameId(gameId);
         this.waitingRoom.visible = true;
+        this.loadReplayButton.visible = false;
+        this.browseButton.visible = false;
+        this.historyButton.visible = false;
+        this.leaderboardButton.visible = false;
+        this.achievementsButton.visible = false;
+        this.setProfileButtonVisible(false);
+        this.lobbyBrowser.hide();
+        this.leaderboardPanel.hide();
+        this.achievementsPanel.hide();
+        this.houseRulesDialog.hide();
+        this.profileDialog.hide();
+        this.chatPanel.reset();
+        this.chatPanel.visible = true;
+        this.chatPanel.alpha = 0;
 
         // Animate transition
         const timeline = gsap.timeline();
@@ -284,17 +562,22 @@ class LobbyScene extends Container { // Refactored inheritance
             this.createGamePanel.visible = false;
             this.joinGamePanel.visible = false;
             this.waitingRoom.alpha = 0;
-            this.waitingRoom.y = this.BASE_HEIGHT * 0.4375; // 350 (start below)
+            this.waitingRoom.y = this.BASE_HEIGHT * 0.35; // 280 (start below)
         });
 
         // Slide in waiting room
         timeline.to(this.waitingRoom, {
             alpha: 1,
-            y: this.BASE_HEIGHT * 0.3125,  // 250
+            y: this.BASE_HEIGHT * 0.225,  // 180
             duration: 0.6,
             ease: "power2.out"
         });
 
+        timeline.to(this.chatPanel, {
+            alpha: 1,
+            duration: 0.4
+        }, "-=0.3");
+
         // Start waiting room animations
         timeline.call(() => {
             this.waitingRoom.startWaitingAnimation();
@@ -310,7 +593,9 @@ class LobbyScene extends Container { // Refactored inheritance
         console.log('🏠 LobbyScene: Returning to main menu');
         this.currentState = 'menu';
 
-        // Hide waiting room
+        // Hide waiting room and its chat
+        this.chatPanel.visible = false;
+        if (this.hostActionDialog) this.hostActionDialog.hide();
         gsap.to(this.waitingRoom, {
             alpha: 0,
             duration: 0.3,
@@ -326,6 +611,12 @@ class LobbyScene extends Container { // Refactored inheritance
         this.createGamePanel.resetToIdle(); // Clear create game code/status
         this.createGamePanel.visible = true;
         this.joinGamePanel.visible = true;
+        this.loadReplayButton.visible = true;
+        this.browseButton.visible = true;
+        this.historyButton.visible = true;
+        this.leaderboardButton.visible = true;
+        this.achievementsButton.visible = true;
+        this.setProfileButtonVisible(true);
 
         // Animate panels back in
         gsap.to(this.createGamePanel, {
@@ -351,11 +642,155 @@ class LobbyScene extends Container { // Refactored inheritance
         
         // Stop all animations
         this.waitingRoom.stopWaitingAnimation();
+        if (this.hostActionDialog) this.hostActionDialog.hide();
         
         // Add exit effects here if needed
         eventBus.emit('pixi.scene.change', { scene: 'game' });
     }
 
+    // =========================================================================
+    // INVITE LINKS
+    // =========================================================================
+
+    /**
+     * Join the game named in the page URL (?game=ID), if any
+     */
+    handleInviteLink() {
+        const gameId = getInviteGameId();
+        if (gameId === null) return;
+
+        // A refresh shouldn't try the same link again
+        clearInviteParam();
+
+        if (!isShareableGameId(gameId)) {
+            console.warn('🏠 LobbyScene: Invalid invite link:', gameId);
+            this.showInviteError(gameId || '?', 'This invite link is not valid. Check the link or ask for a new one.', false);
+            return;
+        }
+
+        console.log('🏠 LobbyScene: Opened from invite link for game', gameId);
+        this.joinFromInvite(gameId);
+    }
+
+    /**
+     * Join a game from an invite once the server connection is up
+     */
+    joinFromInvite(gameId) {
+        this.pendingInviteGameId = gameId;
+        clearTimeout(this.inviteTimer);
+
+        const join = () => {
+            if (this.pendingInviteGameId !== gameId) return;
+
+            this.joinGamePanel.joinGameById(gameId);
+            this.inviteTimer = setTimeout(() => {
+                this.showInviteError(gameId, 'The server did not answer. The game may have ended.');
+            }, INVITE_JOIN_TIMEOUT);
+        };
+
+        if (gameService.getConnectionStatus().isConnected) {
+            join();
+            return;
+        }
+
+        // App connects on startup - wait for it (or retry if it failed)
+        const unsubscribe = eventBus.subscribe('game.connection.established', () => {
+            unsubscribe();
+            join();
+        });
+        gameService.connect();
+    }
+
+    clearPendingInvite() {
+        this.pendingInviteGameId = null;
+        clearTimeout(this.inviteTimer);
+        this.inviteTimer = null;
+    }
+
+    /**
+     * Explain why an invite link didn't work
+     * @param {string} gameId - Game ID from the link
+     * @param {string} message - What went wrong
+     * @param {boolean} canRetry - Offer to try the same game again
+     */
+    showInviteError(gameId, message, canRetry = true) {
+        console.log('🏠 LobbyScene: Invite link failed:', gameId, message);
+
+        this.clearPendingInvite();
+        this.joinGamePanel.resetToIdle();
+
+        if (this.inviteDialog) {
+            this.removeChild(this.inviteDialog);
+            this.inviteDialog.destroy({ children: true });
+        }
+
+        this.inviteDialog = new ConfirmDialog({
+            title: "🔗 Couldn't join game",
+            message: `Game ${gameId}: ${message || 'The game was not found or has already ended.'}`,
+            confirmText: canRetry ? 'Try Again' : 'Enter Game ID',
+            cancelText: 'Back to Lobby',
+            canvasWidth: this.BASE_WIDTH,
+            canvasHeight: this.BASE_HEIGHT,
+            onConfirm: () => {
+                if (canRetry) {
+                    this.joinFromInvite(gameId);
+                } else {
+                    this.joinGamePanel.gameIdInput.focus();
+                }
+            }
+        });
+        this.addChild(this.inviteDialog);
+        this.inviteDialog.show();
+    }
+
+    /**
+     * Confirm a waiting room host action (kick, lock, start early, transfer host)
+     * @param {Object} options - { title, message, confirmText, onConfirm }
+     */
+    showHostActionDialog({ title, message, confirmText, onConfirm }) {
+        if (this.hostActionDialog) {
+            this.removeChild(this.hostActionDialog);
+            this.hostActionDialog.destroy({ children: true });
+        }
+
+        this.hostActionDialog = new ConfirmDialog({
+            title,
+            message,
+            confirmText,
+            cancelText: 'Cancel',
+            canvasWidth: this.BASE_WIDTH,
+            canvasHeight: this.BASE_HEIGHT,
+            onConfirm
+        });
+        this.addChild(this.hostActionDialog);
+        this.hostActionDialog.show();
+    }
+
+    /**
+     * Pick a replay file from disk and open it in the replay scene
+     */
+    openReplayFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.onchange = async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+
+            try {
+                const recording = replayRecorder.parseRecording(await file.text());
+                console.log('🏠 LobbyScene: Opening replay', recording.gameId);
+                replayRecorder.openReplay(recording);
+            } catch (error) {
+                console.error('🏠 LobbyScene: Could not load replay:', error);
+                this.showError(error.message);
+            }
+        };
+
+        input.click();
+    }
+
     /**
      * Show error message
      */
@@ -400,7 +835,7 @@ class LobbyScene extends Container { // Refactored inheritance
      */
     showConnectionLost() {
         console.log('🏠 LobbyScene: Connection lost');
-        this.showError('Connection lost. Please refresh the page.');
+        this.showError('Connection lost. Reconnecting...');
     }
 
     /**
@@ -417,6 +852,22 @@ class LobbyScene extends Container { // Refactored inheritance
         if (this.createGamePanel) this.createGamePanel.destroy();
         if (this.joinGamePanel) this.joinGamePanel.destroy();
         if (this.waitingRoom) this.waitingRoom.destroy();
+        if (this.loadReplayButton) this.loadReplayButton.destroy();
+        if (this.browseButton) this.browseButton.destroy();
+        if (this.historyButton) this.historyButton.destroy();
+        if (this.leaderboardButton) this.leaderboardButton.destroy();
+        if (this.achievementsButton) this.achievementsButton.destroy();
+        if (this.lobbyBrowser) this.lobbyBrowser.destroy();
+        if (this.leaderboardPanel) this.leaderboardPanel.destroy();
+        if (this.achievementsPanel) this.achievementsPanel.destroy();
+        if (this.houseRulesDialog) this.houseRulesDialog.destroy();
+        if (this.profileDialog) this.profileDialog.destroy();
+        if (this.profileButton) this.profileButton.destroy();
+        if (this.profileAvatar) this.profileAvatar.destroy({ children: true });
+        if (this.chatPanel) this.chatPanel.destroy();
+        if (this.inviteDialog) this.inviteDialog.destroy({ children: true });
+        if (this.hostActionDialog) this.hostActionDialog.destroy({ children: true });
+        clearTimeout(this.inviteTimer);
 
         super.destroy();
     }
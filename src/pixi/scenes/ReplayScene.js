@@ -0,0 +1,498 @@
+// src/pixi/scenes/ReplayScene.js
+
+import * as PIXI from 'pixi.js';
+import eventBus from '../../utils/EventBus';
+import replayRecorder from '../../services/ReplayRecorder';
+import LayoutManager from './game-scene/managers/LayoutManager';
+import BoardComponent from '../components/game/BoardComponent';
+import PiecesContainer from '../components/game/PiecesContainer';
+import DiceComponent from '../components/game/DiceComponent';
+import Button from '../components/ui/Button';
+
+// Playback speeds the speed button cycles through
+const SPEEDS = [0.5, 1, 2, 4];
+
+// Recorded gaps are clamped so idle stretches don't stall playback
+// and moves still have time to animate (ms, before speed is applied)
+const MIN_EVENT_DELAY = 200;
+const MAX_EVENT_DELAY = 2500;
+
+const PLAYER_COLORS = {
+  red: '#ff4444',
+  green: '#44ff44',
+  yellow: '#ffff44',
+  blue: '#4444ff'
+};
+
+/**
+ * ReplayScene - Plays back a recorded game (see ReplayRecorder for the format)
+ * Feeds the event log through the board, pieces and dice with
+ * play/pause, step and speed controls
+ */
+class ReplayScene extends PIXI.Container {
+  constructor() {
+    super();
+
+    // Same layout as the game scene so the board sits where players expect
+    this.layout = new LayoutManager({
+      width: 1200,
+      height: 800
+    });
+
+    this.recording = null;
+    this.events = [];
+    this.cursor = 0; // Index of the next event to apply
+    this.playing = false;
+    this.speedIndex = SPEEDS.indexOf(1);
+    this.playTimer = null;
+    this.lastOptions = [];
+
+    console.log('📼 ReplayScene created');
+
+    this.setupScene();
+  }
+
+  // =========================================================================
+  // SCENE SETUP
+  // =========================================================================
+
+  setupScene() {
+    const canvasDims = this.layout.getCanvasDimensions();
+
+    const background = new PIXI.Graphics();
+    background.rect(0, 0, canvasDims.width, canvasDims.height);
+    background.fill({ color: 0x1a1a2e });
+    this.addChild(background);
+
+    this.titleText = new PIXI.Text('📼 REPLAY', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 32,
+      fontWeight: 'bold',
+      fill: '#ffd700'
+    });
+    this.titleText.anchor.set(0.5, 0);
+    this.titleText.x = canvasDims.width / 2;
+    this.titleText.y = 20;
+    this.addChild(this.titleText);
+
+    this.createBoard();
+    this.createDice();
+    this.createInfoPanel();
+    this.createControls();
+  }
+
+  createBoard() {
+    const boardLayout = this.layout.getBoardLayout();
+
+    this.board = new BoardComponent({
+      size: boardLayout.size,
+      gridSize: 15
+    });
+    this.board.x = boardLayout.x;
+    this.board.y = boardLayout.y;
+    this.addChild(this.board);
+
+    this.pieces = new PiecesContainer({
+      boardComponent: this.board,
+      boardSize: boardLayout.size
+    });
+    this.pieces.x = boardLayout.x;
+    this.pieces.y = boardLayout.y;
+    this.addChild(this.pieces);
+  }
+
+  createDice() {
+    const diceLayout = this.layout.getDiceLayout();
+
+    this.dice = new DiceComponent({
+      size: diceLayout.size,
+      interactive: false
+    });
+    this.dice.x = diceLayout.x;
+    this.dice.y = diceLayout.y;
+    this.addChild(this.dice);
+  }
+
+  /**
+   * Game info, current turn and the latest message, left of the board
+   */
+  createInfoPanel() {
+    const textStyle = {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 16,
+      fill: '#ffffff',
+      wordWrap: true,
+      wordWrapWidth: 230
+    };
+
+    this.infoText = new PIXI.Text('', { ...textStyle, fill: '#aaaaaa', fontSize: 14 });
+    this.infoText.x = 40;
+    this.infoText.y = 110;
+    this.addChild(this.infoText);
+
+    this.turnText = new PIXI.Text('', { ...textStyle, fontSize: 20, fontWeight: 'bold' });
+    this.turnText.x = 40;
+    this.turnText.y = 220;
+    this.addChild(this.turnText);
+
+    this.captionText = new PIXI.Text('', textStyle);
+    this.captionText.x = 40;
+    this.captionText.y = 270;
+    this.addChild(this.captionText);
+  }
+
+  /**
+   * Progress bar and playback buttons under the board
+   */
+  createControls() {
+    const canvasDims = this.layout.getCanvasDimensions();
+    const boardLayout = this.layout.getBoardLayout();
+
+    this.progressBar = new PIXI.Graphics();
+    this.progressBar.x = boardLayout.x;
+    this.progressBar.y = boardLayout.y + boardLayout.size + 12;
+    this.progressWidth = boardLayout.size;
+    this.addChild(this.progressBar);
+
+    this.progressText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 14,
+      fill: '#cccccc'
+    });
+    this.progressText.anchor.set(1, 0);
+    this.progressText.x = boardLayout.x + boardLayout.size;
+    this.progressText.y = this.progressBar.y + 12;
+    this.addChild(this.progressText);
+
+    const buttonOptions = { width: 100, height: 40, fontSize: 15 };
+    const buttons = [
+      ['restartButton', '⏮ Restart', () => this.restart()],
+      ['stepBackButton', '◀ Back', () => this.stepBack()],
+      ['playButton', '▶ Play', () => this.togglePlay()],
+      ['stepButton', 'Step ▶', () => this.stepForward()],
+      ['speedButton', this.getSpeedLabel(), () => this.cycleSpeed()]
+    ];
+
+    const spacing = 12;
+    const rowWidth = buttons.length * buttonOptions.width + (buttons.length - 1) * spacing;
+    const startX = (canvasDims.width - rowWidth) / 2;
+
+    buttons.forEach(([name, text, onClick], index) => {
+      const button = new Button({ ...buttonOptions, text });
+      button.x = startX + index * (buttonOptions.width + spacing);
+      button.y = canvasDims.height - 60;
+      button.onButtonClick = onClick;
+      this[name] = button;
+      this.addChild(button);
+    });
+
+    this.backButton = new Button({
+      text: '← Lobby',
+      width: 110,
+      height: 40,
+      fontSize: 15,
+      backgroundColor: 0x666666,
+      hoverColor: 0x555555
+    });
+    this.backButton.x = 30;
+    this.backButton.y = 20;
+    this.backButton.onButtonClick = () => {
+      eventBus.emit('pixi.scene.change', { scene: 'lobby' });
+    };
+    this.addChild(this.backButton);
+  }
+
+  // =========================================================================
+  // SCENE LIFECYCLE
+  // =========================================================================
+
+  async onShow() {
+    this.load(replayRecorder.getPlaybackRecording());
+  }
+
+  async onHide() {
+    this.pause();
+  }
+
+  /**
+   * Load a recording and rewind to its start
+   */
+  load(recording) {
+    this.pause();
+
+    this.recording = recording;
+    this.events = recording?.events || [];
+    this.infoText.text = recording ? this.describeRecording(recording) : 'No replay loaded';
+
+    this.seek(0);
+  }
+
+  // =========================================================================
+  // PLAYBACK CONTROLS
+  // =========================================================================
+
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  play() {
+    if (this.events.length === 0) return;
+
+    // Start over if we're at the end
+    if (this.cursor >= this.events.length) {
+      this.seek(0);
+    }
+
+    this.playing = true;
+    this.playButton.setText('⏸ Pause');
+    this.scheduleNext();
+  }
+
+  pause() {
+    this.playing = false;
+    this.clearPlayTimer();
+    this.playButton?.setText('▶ Play');
+  }
+
+  restart() {
+    this.pause();
+    this.seek(0);
+  }
+
+  /**
+   * Apply events up to and including the next board state
+   */
+  stepForward() {
+    this.pause();
+
+    while (this.cursor < this.events.length) {
+      const event = this.events[this.cursor];
+      this.applyNext(true);
+      if (event.type === 'state') break;
+    }
+  }
+
+  /**
+   * Jump back to the board state before the current one
+   */
+  stepBack() {
+    this.pause();
+
+    const current = this.findStateIndexBefore(this.cursor);
+    const previous = this.findStateIndexBefore(current);
+    this.seek(previous === -1 ? 0 : previous + 1);
+  }
+
+  cycleSpeed() {
+    this.speedIndex = (this.speedIndex + 1) % SPEEDS.length;
+    this.speedButton.setText(this.getSpeedLabel());
+  }
+
+  getSpeedLabel() {
+    return `⏩ ${SPEEDS[this.speedIndex]}x`;
+  }
+
+  scheduleNext() {
+    this.clearPlayTimer();
+
+    if (!this.playing) return;
+
+    if (this.cursor >= this.events.length) {
+      this.pause();
+      return;
+    }
+
+    const previous = this.events[this.cursor - 1];
+    const next = this.events[this.cursor];
+    const gap = previous ? next.t - previous.t : 0;
+    const delay = Math.min(Math.max(gap, MIN_EVENT_DELAY), MAX_EVENT_DELAY) / SPEEDS[this.speedIndex];
+
+    this.playTimer = setTimeout(() => {
+      this.applyNext(true);
+      this.scheduleNext();
+    }, delay);
+  }
+
+  clearPlayTimer() {
+    if (this.playTimer) {
+      clearTimeout(this.playTimer);
+      this.playTimer = null;
+    }
+  }
+
+  // =========================================================================
+  // APPLYING EVENTS
+  // =========================================================================
+
+  /**
+   * Rebuild the board at an event index without animating
+   */
+  seek(index) {
+    this.pieces.finishAnimations();
+    this.resetView();
+
+    this.cursor = 0;
+    while (this.cursor < index && this.cursor < this.events.length) {
+      this.applyNext(false);
+    }
+
+    this.updateProgress();
+  }
+
+  applyNext(animate) {
+    const event = this.events[this.cursor];
+    this.cursor++;
+
+    if (event) {
+      this.applyEvent(event, animate);
+    }
+
+    this.updateProgress();
+  }
+
+  applyEvent(event, animate) {
+    const { data } = event;
+
+    switch (event.type) {
+      case 'state':
+        this.applyState(data, animate);
+        break;
+
+      case 'dice':
+        this.dice.setTargetValues(data.die1, data.die2);
+        if (animate) {
+          this.dice.startRollingAnimation();
+        } else {
+          this.dice.setValue(data.die1, data.die2);
+        }
+        break;
+
+      case 'options':
+        this.lastOptions = data.moves || [];
+        this.captionText.text = `${this.lastOptions.length} move option(s)`;
+        break;
+
+      case 'choice': {
+        const option = this.lastOptions.find(move => move.number === data.choice);
+        this.captionText.text = `Chose: ${option?.description || `option ${data.choice}`}`;
+        break;
+      }
+
+      case 'message':
+        this.captionText.text = data.message;
+        break;
+
+      case 'end':
+        this.turnText.text = data.winnerTeam
+          ? `🎉 ${data.winnerTeam.join(' & ').toUpperCase()} WIN!`
+          : `🎉 ${String(data.winner).toUpperCase()} WINS!`;
+        this.turnText.style.fill = PLAYER_COLORS[String(data.winner).toLowerCase()] || '#ffd700';
+        break;
+
+      default:
+        // 'move' is covered by the state that follows it
+        break;
+    }
+  }
+
+  applyState(state, animate) {
+    if (Array.isArray(state.pieces)) {
+      if (animate) {
+        this.pieces.updatePieces(state.pieces);
+      } else {
+        state.pieces.forEach(pieceData => {
+          const piece = this.pieces.getPiece(pieceData.id);
+          if (piece && pieceData.position) {
+            this.pieces.positionPiece(piece, pieceData.position);
+          }
+        });
+      }
+    }
+
+    if (!state.gameOver) {
+      const player = state.players?.find(p => p.id === state.currentPlayerId);
+      const name = state.currentPlayerName || player?.name || player?.playerName;
+      const color = player?.color?.toLowerCase() || player?.colors?.[0]?.toLowerCase();
+
+      if (name) {
+        this.turnText.text = `${name}'s turn`;
+        this.turnText.style.fill = PLAYER_COLORS[color] || '#ffffff';
+      }
+    }
+  }
+
+  /**
+   * Put every piece back in its home and clear the text
+   */
+  resetView() {
+    this.pieces.pieces.forEach(piece => {
+      this.pieces.positionPiece(piece, piece.homePosition || piece.gridPosition);
+    });
+
+    this.dice.setTargetValues(1, 1);
+    this.dice.setValue(1, 1);
+    this.lastOptions = [];
+    this.turnText.text = '';
+    this.turnText.style.fill = '#ffffff';
+    this.captionText.text = '';
+  }
+
+  updateProgress() {
+    const total = this.events.length;
+    const fraction = total > 0 ? this.cursor / total : 0;
+    const elapsed = this.events[this.cursor - 1]?.t || 0;
+    const duration = this.events[total - 1]?.t || 0;
+
+    this.progressBar.clear();
+    this.progressBar.roundRect(0, 0, this.progressWidth, 8, 4);
+    this.progressBar.fill({ color: 0x333333 });
+    if (fraction > 0) {
+      this.progressBar.roundRect(0, 0, this.progressWidth * fraction, 8, 4);
+      this.progressBar.fill({ color: 0xffd700 });
+    }
+
+    this.progressText.text = `Event ${this.cursor}/${total} · ${formatTime(elapsed)} / ${formatTime(duration)}`;
+  }
+
+  // =========================================================================
+  // HELPERS
+  // =========================================================================
+
+  /**
+   * Index of the last 'state' event before an index, -1 if none
+   */
+  findStateIndexBefore(index) {
+    for (let i = Math.min(index, this.events.length) - 1; i >= 0; i--) {
+      if (this.events[i].type === 'state') return i;
+    }
+    return -1;
+  }
+
+  describeRecording(recording) {
+    const lines = [`Game ${recording.gameId}${recording.local ? ' (offline)' : ''}`];
+    if (recording.startedAt) {
+      lines.push(new Date(recording.startedAt).toLocaleString());
+    }
+    lines.push(`${this.events.length} events`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.pause();
+    super.destroy({ children: true });
+  }
+}
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default ReplayScene;
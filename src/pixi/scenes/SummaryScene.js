@@ -0,0 +1,403 @@
+// src/pixi/scenes/SummaryScene.js
+
+import * as PIXI from 'pixi.js';
+import { gsap } from 'gsap';
+import eventBus from '../../utils/EventBus';
+import gameService from '../../services/GameService';
+import gameStatsTracker from '../../services/GameStatsTracker';
+import replayRecorder from '../../services/ReplayRecorder';
+import matchHistory from '../../services/MatchHistory';
+import Button from '../components/ui/Button';
+import SectionPanel, { createCell } from '../components/ui/SectionPanel';
+import Avatar from '../components/ui/Avatar';
+import { getPlayerAvatar } from '../../utils/playerProfile';
+
+const BASE_WIDTH = 1200;
+const BASE_HEIGHT = 800;
+
+const PLAYER_COLORS = {
+  red: 0xff4444,
+  green: 0x44ff44,
+  yellow: 0xffff44,
+  blue: 0x4444ff
+};
+
+const RANK_LABELS = ['🥇', '🥈', '🥉', '4.'];
+
+// Standings table columns: [label, x, value(stats)]
+const STAT_COLUMNS = [
+  ['Home', 330, stats => `${stats.piecesFinished}`],
+  ['Progress', 400, stats => `${Math.round(stats.progress * 100)}%`],
+  ['Moves', 500, stats => `${stats.moves}`],
+  ['Steps', 580, stats => `${stats.distance}`],
+  ['Captures', 660, stats => `${stats.capturesMade}`],
+  ['Lost', 760, stats => `${stats.capturesSuffered}`],
+  ['Sixes', 830, stats => `${stats.sixes}`],
+  ['Doubles', 900, stats => `${stats.doubles}`],
+  ['Avg turn', 990, stats => stats.averageDecisionTime ? `${(stats.averageDecisionTime / 1000).toFixed(1)}s` : '–']
+];
+
+// Rating change once MatchHistory has rated the game
+const RATING_X = 1060;
+
+const TABLE = { x: 60, y: 110, width: 1080, rowHeight: 46 };
+const CHART = { x: 60, y: 360, width: 700, height: 310 };
+const SWINGS = { x: 790, y: 360, width: 350, height: 310 };
+
+/**
+ * SummaryScene - Post-game standings, per-player stats and rating changes,
+ * a race chart of everyone's progress and the biggest captures
+ * (GameStatsTracker summary)
+ */
+class SummaryScene extends PIXI.Container {
+  constructor() {
+    super();
+
+    this.summary = null;
+    this.content = null;
+
+    console.log('🏁 SummaryScene created');
+
+    this.setupScene();
+
+    // Ratings are saved a moment after the game ends
+    this.unsubscribeRatings = eventBus.subscribe('ratings.updated', (data) => {
+      if (this.summary && data.gameId === this.summary.gameId) {
+        this.render(this.summary);
+      }
+    });
+  }
+
+  // =========================================================================
+  // SCENE SETUP
+  // =========================================================================
+
+  setupScene() {
+    const background = new PIXI.Graphics();
+    background.rect(0, 0, BASE_WIDTH, BASE_HEIGHT);
+    background.fill({ color: 0x1a1a2e });
+    this.addChild(background);
+
+    const title = new PIXI.Text('🏁 GAME SUMMARY', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 32,
+      fontWeight: 'bold',
+      fill: '#ffd700'
+    });
+    title.anchor.set(0.5, 0);
+    title.x = BASE_WIDTH / 2;
+    title.y = 16;
+    this.addChild(title);
+
+    this.createButtons();
+  }
+
+  createButtons() {
+    const buttons = [
+      ['rematchButton', '🔁 Rematch', 0x4caf50, 0x45a049, () => this.rematch()],
+      ['saveReplayButton', '💾 Save Replay', 0x4a4a6a, 0x3a3a5a, () => replayRecorder.downloadRecording()],
+      ['lobbyButton', '← Back to Lobby', 0x666666, 0x555555, () => this.backToLobby()]
+    ];
+
+    const width = 200;
+    const spacing = 20;
+    const startX = (BASE_WIDTH - (buttons.length * width + (buttons.length - 1) * spacing)) / 2;
+
+    buttons.forEach(([name, text, backgroundColor, hoverColor, onClick], index) => {
+      const button = new Button({ text, width, height: 48, fontSize: 16, backgroundColor, hoverColor });
+      button.x = startX + index * (width + spacing);
+      button.y = BASE_HEIGHT - 90;
+      button.onButtonClick = onClick;
+      this[name] = button;
+      this.addChild(button);
+    });
+  }
+
+  // =========================================================================
+  // SCENE LIFECYCLE
+  // =========================================================================
+
+  async onShow() {
+    this.render(gameStatsTracker.getSummary());
+  }
+
+  /**
+   * Rebuild everything below the title from a summary
+   */
+  render(summary) {
+    if (this.content) {
+      gsap.killTweensOf(this.content);
+      this.content.destroy({ children: true });
+    }
+
+    this.summary = summary;
+    this.content = new PIXI.Container();
+    this.addChild(this.content);
+
+    this.createHeadline();
+    this.createStandings();
+    this.createRaceChart();
+    this.createSwings();
+
+    this.saveReplayButton.setEnabled(replayRecorder.hasRecording());
+
+    this.content.alpha = 0;
+    gsap.to(this.content, { alpha: 1, duration: 0.4 });
+  }
+
+  createHeadline() {
+    const [winner] = this.summary.players;
+    const winners = this.summary.winnerTeam
+      ? this.summary.players.filter(stats => stats.colors.some(color => this.summary.winnerTeam.includes(color)))
+      : winner ? [winner] : [];
+
+    const names = winners.map(stats => stats.playerName).join(' & ');
+    const headline = new PIXI.Text(names ? `🎉 ${names} ${winners.length > 1 ? 'win' : 'wins'}!` : 'Game over', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 22,
+      fontWeight: 'bold',
+      fill: winner ? this.getPlayerColor(winner) : 0xffffff
+    });
+    headline.anchor.set(0.5, 0);
+    headline.x = BASE_WIDTH / 2;
+    headline.y = 62;
+    this.content.addChild(headline);
+  }
+
+  // =========================================================================
+  // STANDINGS
+  // =========================================================================
+
+  /**
+   * One row per player in finishing order with their stats
+   */
+  createStandings() {
+    const table = new PIXI.Container();
+    table.x = TABLE.x;
+    table.y = TABLE.y;
+    this.content.addChild(table);
+
+    const headerStyle = { fontFamily: 'Arial, sans-serif', fontSize: 13, fill: '#999999' };
+    table.addChild(createCell('Player', 80, 0, headerStyle));
+    STAT_COLUMNS.forEach(([label, x]) => {
+      table.addChild(createCell(label, x, 0, headerStyle));
+    });
+    table.addChild(createCell('Rating', RATING_X, 0, headerStyle));
+
+    const players = gameService.getCurrentState()?.players || [];
+    const ratingChanges = matchHistory.getRatingChanges(this.summary.gameId) || [];
+
+    this.summary.players.forEach((stats, index) => {
+      const y = 24 + index * TABLE.rowHeight;
+
+      const rowBg = new PIXI.Graphics();
+      rowBg.roundRect(0, y, TABLE.width, TABLE.rowHeight - 6, 8);
+      rowBg.fill({ color: 0x2a2a4a, alpha: index === 0 ? 1 : 0.6 });
+      table.addChild(rowBg);
+
+      const rowStyle = { fontFamily: 'Arial, sans-serif', fontSize: 16, fill: '#ffffff' };
+      table.addChild(createCell(RANK_LABELS[index] || `${index + 1}.`, 10, y + 9, rowStyle));
+
+      const avatar = new Avatar({
+        size: 30,
+        avatar: getPlayerAvatar(players.find(player => player.id === stats.playerId))
+      });
+      avatar.x = 42;
+      avatar.y = y + 5;
+      table.addChild(avatar);
+
+      table.addChild(createCell(stats.playerName, 80, y + 9, {
+        ...rowStyle,
+        fontWeight: 'bold',
+        fill: this.getPlayerColor(stats)
+      }));
+
+      STAT_COLUMNS.forEach(([, x, value]) => {
+        table.addChild(createCell(value(stats), x, y + 9, rowStyle));
+      });
+
+      const change = ratingChanges.find(rating => rating.playerId === stats.playerId);
+      table.addChild(createCell(
+        change ? `${change.after} ${change.delta >= 0 ? '+' : '−'}${Math.abs(change.delta)}` : '–',
+        RATING_X,
+        y + 11,
+        { ...rowStyle, fontSize: 13, fill: !change ? '#ffffff' : change.delta >= 0 ? '#66ff99' : '#ff8888' }
+      ));
+    });
+  }
+
+  // =========================================================================
+  // RACE CHART
+  // =========================================================================
+
+  /**
+   * Each player's progress (0-100%) over the length of the game
+   */
+  createRaceChart() {
+    const chart = new SectionPanel({ title: '📈 Race to home', ...CHART });
+    this.content.addChild(chart);
+
+    const plot = { x: 50, y: 44, width: CHART.width - 70, height: CHART.height - 80 };
+    const timeline = this.summary.timeline;
+    const duration = Math.max(1, (this.summary.endedAt || Date.now()) - (this.summary.startedAt || Date.now()), ...timeline.map(sample => sample.t));
+
+    const axes = new PIXI.Graphics();
+    [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+      const y = plot.y + plot.height * (1 - fraction);
+      axes.moveTo(plot.x, y).lineTo(plot.x + plot.width, y);
+
+      const label = createCell(`${fraction * 100}%`, plot.x - 8, y - 7, {
+        fontFamily: 'Arial, sans-serif', fontSize: 11, fill: '#888888'
+      });
+      label.anchor.x = 1;
+      chart.addChild(label);
+    });
+    axes.stroke({ width: 1, color: 0x44445a });
+    chart.addChild(axes);
+
+    const timeStyle = { fontFamily: 'Arial, sans-serif', fontSize: 11, fill: '#888888' };
+    chart.addChild(createCell('0:00', plot.x, plot.y + plot.height + 6, timeStyle));
+    const endLabel = createCell(formatTime(duration), plot.x + plot.width, plot.y + plot.height + 6, timeStyle);
+    endLabel.anchor.x = 1;
+    chart.addChild(endLabel);
+
+    if (timeline.length === 0) {
+      chart.addChild(this.createEmptyText('No moves recorded', CHART));
+      return;
+    }
+
+    const toPoint = (t, progress) => ({
+      x: plot.x + plot.width * Math.min(1, t / duration),
+      y: plot.y + plot.height * (1 - progress)
+    });
+
+    this.summary.players.forEach((stats, index) => {
+      const line = new PIXI.Graphics();
+      let last = 0;
+
+      // Everyone starts at 0 and ends where the final state left them
+      const points = [toPoint(0, 0)];
+      timeline.forEach(sample => {
+        last = sample.progress[stats.playerId] ?? last;
+        points.push(toPoint(sample.t, last));
+      });
+      points.push(toPoint(duration, stats.progress));
+
+      line.moveTo(points[0].x, points[0].y);
+      points.slice(1).forEach(point => line.lineTo(point.x, point.y));
+      line.stroke({ width: 3, color: this.getPlayerColor(stats), alpha: 0.9 });
+      chart.addChild(line);
+
+      // Legend along the bottom
+      const legend = createCell(`● ${stats.playerName}`, plot.x + 90 + index * 130, CHART.height - 26, {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 12,
+        fill: this.getPlayerColor(stats)
+      });
+      chart.addChild(legend);
+    });
+  }
+
+  // =========================================================================
+  // BIGGEST SWINGS
+  // =========================================================================
+
+  /**
+   * Captures that sent the furthest-travelled pieces home
+   */
+  createSwings() {
+    const section = new SectionPanel({ title: '💥 Biggest swings', ...SWINGS });
+    this.content.addChild(section);
+    const swings = gameStatsTracker.getBiggestSwings(5);
+
+    if (swings.length === 0) {
+      section.addChild(this.createEmptyText('No captures this game', SWINGS));
+      return;
+    }
+
+    const nameOf = (playerId) => this.summary.players.find(stats => stats.playerId === playerId)?.playerName || 'Someone';
+
+    swings.forEach((capture, index) => {
+      const y = 48 + index * 50;
+
+      section.addChild(createCell(`${nameOf(capture.capturerId)} ➜ ${nameOf(capture.victimId)}`, 20, y, {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 15,
+        fontWeight: 'bold',
+        fill: '#ffffff'
+      }));
+
+      section.addChild(createCell(`−${capture.stepsLost} steps · ${formatTime(capture.t)}`, 20, y + 20, {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 12,
+        fill: '#ff8888'
+      }));
+    });
+  }
+
+  // =========================================================================
+  // HELPERS
+  // =========================================================================
+
+  createEmptyText(text, { width, height }) {
+    const empty = createCell(text, width / 2, height / 2, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 15,
+      fill: '#888888'
+    });
+    empty.anchor.set(0.5);
+    return empty;
+  }
+
+  getPlayerColor(stats) {
+    return PLAYER_COLORS[stats.colors[0]] || 0xffffff;
+  }
+
+  // =========================================================================
+  // ACTIONS
+  // =========================================================================
+
+  /**
+   * Same table again: still at the finished game, ask everyone and wait for
+   * the vote on the game screen; otherwise back to the lobby with this game's
+   * rules ready to confirm
+   */
+  rematch() {
+    if (gameService.isGameOver() && !gameService.isSpectating()) {
+      gameService.requestRematch();
+      eventBus.emit('pixi.scene.change', { scene: 'game' });
+      return;
+    }
+
+    eventBus.emit('lobby.rematch.setup', {
+      rules: gameService.getHouseRules(),
+      local: gameService.isLocalGame()
+    });
+    this.backToLobby();
+  }
+
+  backToLobby() {
+    if (gameService.getCurrentGameId()) {
+      gameService.leaveGame();
+    }
+    eventBus.emit('pixi.scene.change', { scene: 'lobby' });
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    if (this.content) {
+      gsap.killTweensOf(this.content);
+    }
+    this.unsubscribeRatings();
+    super.destroy({ children: true });
+  }
+}
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default SummaryScene;
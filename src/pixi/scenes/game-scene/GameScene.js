@@ -11,6 +11,7 @@ import GameBoardContainer from './components/GameBoardContainer';
 import GameControlsContainer from './components/GameControlsContainer';
 import PlayerAreaContainer from './components/PlayerAreaContainer';
 import GameUIContainer from './components/GameUIContainer';
+import ChatPanel from '../../components/game/ChatPanel';
 
 /**
  * GameScene - Refactored main game scene
@@ -35,6 +36,7 @@ class GameScene extends PIXI.Container {
     this.boardContainer = null;
     this.controlsContainer = null;
     this.playerArea = null;
+    this.chatPanel = null;
     
     console.log('🎲 GameScene created with refactored architecture');
     
@@ -65,6 +67,12 @@ class GameScene extends PIXI.Container {
         this.connectionHandler
       );
       this.addChild(this.controlsContainer);
+
+      // Chat sits in the left column between the red and yellow panels
+      this.chatPanel = new ChatPanel({ width: 200, height: 230 });
+      this.chatPanel.x = 50;
+      this.chatPanel.y = 262;
+      this.addChild(this.chatPanel);
       
       console.log('✅ GameScene setup complete');
     } catch (error) {
@@ -81,6 +89,12 @@ class GameScene extends PIXI.Container {
     
     // Request current game state
     this.stateCoordinator.requestGameState();
+
+    // Scene is reused, so switch between playing and watching each time
+    const spectating = this.stateCoordinator.isSpectating();
+    this.controlsContainer.setSpectating(spectating);
+    this.boardContainer.setSpectating(spectating);
+    this.chatPanel.setReadOnly(spectating);
     
     // Animate entrance
     this.gameUI.background.alpha = 0;
@@ -94,6 +108,10 @@ class GameScene extends PIXI.Container {
     
     this.controlsContainer.alpha = 0;
     gsap.to(this.controlsContainer, { alpha: 1, duration: 0.6, delay: 0.4 });
+
+    this.chatPanel.reset();
+    this.chatPanel.alpha = 0;
+    gsap.to(this.chatPanel, { alpha: 1, duration: 0.6, delay: 0.4 });
   }
 
   /**
@@ -130,6 +148,7 @@ class GameScene extends PIXI.Container {
   getGameStatus() {
     return {
       isMyTurn: this.stateCoordinator.isMyTurn(),
+      isSpectating: this.stateCoordinator.isSpectating(),
       gameState: this.stateCoordinator.getCurrentState(),
       connectionStatus: this.connectionHandler.getStatus(),
       layoutMode: this.layoutManager.isSmallScreen() ? 'small' : 
@@ -162,6 +181,7 @@ class GameScene extends PIXI.Container {
     if (this.gameUI) this.gameUI.destroy();
     if (this.boardContainer) this.boardContainer.destroy();
     if (this.playerArea) this.playerArea.destroy();
+    if (this.chatPanel) this.chatPanel.destroy();
     if (this.controlsContainer) this.controlsContainer.destroy();
     
     super.destroy(options);
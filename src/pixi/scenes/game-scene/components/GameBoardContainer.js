@@ -2,6 +2,7 @@ import * as PIXI from 'pixi.js';
 import BoardComponent from '../../../components/game/BoardComponent';
 import PiecesContainer from '../../../components/game/PiecesContainer';
 import MoveManager from '../../../components/game/MoveManager';
+import ThreatOverlay from '../../../components/game/ThreatOverlay';
 
 /**
  * GameBoardContainer - Encapsulates board, pieces, and move visualization
@@ -16,6 +17,8 @@ class GameBoardContainer extends PIXI.Container {
     this.board = null;
     this.pieces = null;
     this.moveManager = null;
+    this.threatOverlay = null;
+    this.spectating = false;
     
     this.createComponents();
     this.setupEventListeners();
@@ -53,6 +56,15 @@ class GameBoardContainer extends PIXI.Container {
     this.pieces.y = boardLayout.y;
     this.addChild(this.pieces);
 
+    // Danger overlay - shades the board, badges go above the pieces
+    this.threatOverlay = new ThreatOverlay({
+      boardComponent: this.board,
+      boardSize: boardLayout.size
+    });
+    this.threatOverlay.x = boardLayout.x;
+    this.threatOverlay.y = boardLayout.y;
+    this.addChild(this.threatOverlay);
+
     // Create move manager
     // Pass an object with selectPiece method so MoveManager can send moves
     const gameSceneProxy = {
@@ -83,12 +95,51 @@ class GameBoardContainer extends PIXI.Container {
       });
     });
 
+    // First state of a game (e.g. a rematch in this scene) - snap pieces to it
+    this.stateCoordinator.on('state:updated', (data) => {
+      if (!data.oldState && data.newState?.pieces) {
+        this.pieces.updatePieces(data.newState.pieces, false);
+      }
+      this.updateThreatOverlay();
+    });
+
+    this.stateCoordinator.on('danger:toggled', () => this.updateThreatOverlay());
+    this.stateCoordinator.on('rules:updated', () => this.updateThreatOverlay());
+
     // Handle move options
     this.stateCoordinator.on('moves:available', (data) => {
+      if (this.spectating) return;
+
       this.moveManager.resetProcessingState();
       this.moveManager.showAvailableMoves(data.moves);
     });
 
+    // Dice picked or dragged in the controls
+    this.stateCoordinator.on('dice:selected', (data) => {
+      if (this.spectating) return;
+
+      this.moveManager.setActiveDie(data.dieUsed);
+    });
+
+    this.stateCoordinator.on('dice:dragged', (data) => {
+      if (this.spectating) return;
+
+      this.pieces.previewDropAt(data.point);
+    });
+
+    this.stateCoordinator.on('dice:dropped', (data) => {
+      if (this.spectating) return;
+
+      this.moveManager.dropDie(data.dieUsed, data.point);
+    });
+
+    // Suggested move from the Hint button
+    this.stateCoordinator.on('hint:show', (data) => {
+      if (this.spectating) return;
+
+      this.pieces.showHint(data.hint.move, data.hint.reason);
+    });
+
     // Handle animation state changes
     this.stateCoordinator.on('pieces:animationStateChanged', (data) => {
       this.moveManager.setAnimationState(data.isAnimating);
@@ -105,6 +156,45 @@ class GameBoardContainer extends PIXI.Container {
     this.stateCoordinator.on('game:ended', () => {
       this.moveManager.hideMoves();
     });
+
+    this.stateCoordinator.on('rematch:started', () => {
+      this.moveManager.resetProcessingState();
+      this.moveManager.hideMoves();
+    });
+  }
+
+  /**
+   * Spectators never get a move panel
+   */
+  setSpectating(spectating) {
+    this.spectating = spectating;
+    if (spectating) {
+      this.moveManager.hideMoves();
+    }
+    this.updateThreatOverlay();
+  }
+
+  /**
+   * Redraw the danger overlay for the colors we play - a spectator sees it
+   * for whoever is on turn
+   */
+  updateThreatOverlay() {
+    if (!this.stateCoordinator.isDangerOverlayOn()) {
+      this.threatOverlay.clear();
+      return;
+    }
+
+    const state = this.stateCoordinator.getCurrentState();
+    const players = state?.players || [];
+    const player = this.spectating
+      ? players.find(p => p.id === state.currentPlayerId)
+      : players.find(p => p.id === this.stateCoordinator.getSessionId());
+
+    const colors = player
+      ? [...new Set([player.color, ...(player.colors || [])].filter(Boolean).map(color => String(color).toLowerCase()))]
+      : [];
+
+    this.threatOverlay.update(state?.pieces, colors, this.stateCoordinator.getHouseRules());
   }
 
   /**
@@ -137,6 +227,11 @@ class GameBoardContainer extends PIXI.Container {
       this.pieces.y = boardLayout.y;
     }
 
+    if (this.threatOverlay) {
+      this.threatOverlay.x = boardLayout.x;
+      this.threatOverlay.y = boardLayout.y;
+    }
+
     this.updateBoardBounds(boardLayout);
   }
 
@@ -151,6 +246,7 @@ class GameBoardContainer extends PIXI.Container {
    * Cleanup
    */
   destroy(options) {
+    if (this.threatOverlay) this.threatOverlay.destroy();
     if (this.board) this.board.destroy();
     if (this.pieces) this.pieces.destroy();
     if (this.moveManager) this.moveManager.destroy();
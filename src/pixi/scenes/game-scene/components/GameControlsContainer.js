@@ -1,11 +1,26 @@
 import * as PIXI from 'pixi.js';
+import { gsap } from 'gsap';
 import DiceComponent from '../../../components/game/DiceComponent';
 import Button from '../../../components/ui/Button';
 import ConfirmDialog from '../../../components/ui/ConfirmDialog';
-import webSocketService from '../../../../services/WebSocketService';
+import { getDieChoices } from '../../../../utils/moveOptions';
+import gameService from '../../../../services/GameService';
+
+// How long "Move taken back" / "Takeback declined" stays up
+const TAKEBACK_STATUS_DURATION = 2.5;
 
 /**
- * GameControlsContainer - Encapsulates dice and turn indicator
+ * GameControlsContainer - Encapsulates dice, turn indicator, takebacks, hints
+ * and the danger overlay toggle
+ * In spectator mode the dice stay disabled and Leave just stops watching
+ *
+ * While we have moves to pick from, each die (and the total) can be picked
+ * or dragged onto a piece - the board plays it through the StateCoordinator.
+ * Hint shows while we have moves to pick from in an unrated game.
+ *
+ * Undo is offered while GameService allows a takeback (a few seconds after
+ * our move online, any time with history in local games); other players
+ * get an Accept / Decline prompt over the board.
  */
 class GameControlsContainer extends PIXI.Container {
   constructor(layout, stateCoordinator, connectionHandler) {
@@ -19,6 +34,19 @@ class GameControlsContainer extends PIXI.Container {
     this.turnText = null;
     this.leaveButton = null;
     this.confirmDialog = null;
+    this.spectatorText = null;
+    this.spectating = false;
+
+    this.undoButton = null;
+    this.takebackStatusText = null;
+    this.takebackPrompt = null;
+    this.takebackTimer = null;
+
+    this.hintButton = null;
+    this.hintMoves = null; // Moves the Hint button ranks
+    this.offeredMoves = null; // Moves the dice can be assigned to
+
+    this.dangerButton = null;
 
     this.createComponents();
     this.setupEventListeners();
@@ -39,6 +67,9 @@ class GameControlsContainer extends PIXI.Container {
     
     this.dice.x = diceLayout.x;
     this.dice.y = diceLayout.y;
+    this.dice.onDieSelected = (dieUsed) => this.stateCoordinator.selectDie(dieUsed);
+    this.dice.onDieDragged = (dieUsed, point) => this.stateCoordinator.dragDie(dieUsed, point);
+    this.dice.onDieDropped = (dieUsed, point) => this.stateCoordinator.dropDie(dieUsed, point);
     this.addChild(this.dice);
     
     // Create turn indicator
@@ -54,6 +85,17 @@ class GameControlsContainer extends PIXI.Container {
     this.turnText.y = uiLayout.turnIndicator.y;
     this.addChild(this.turnText);
 
+    // Spectator count (top right)
+    this.spectatorText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 16,
+      fill: '#cccccc'
+    });
+    this.spectatorText.anchor.set(1, 0);
+    this.spectatorText.x = 1180;
+    this.spectatorText.y = 30;
+    this.addChild(this.spectatorText);
+
     // Create Leave Game button (positioned responsively)
     const scaleFactor = this.layout.getScaleFactor();
     this.leaveButton = new Button({
@@ -83,22 +125,320 @@ class GameControlsContainer extends PIXI.Container {
       canvasHeight: canvasHeight,
       onConfirm: () => {
         console.log('🚪 Leaving game...');
-        webSocketService.leaveGame();
+        gameService.leaveGame();
       },
       onCancel: () => {
         console.log('Cancelled leave');
       }
     });
     this.addChild(this.confirmDialog);
+
+    this.createTakebackControls(scaleFactor, canvasWidth, canvasHeight);
+    this.createHintButton(scaleFactor);
+    this.createDangerButton(scaleFactor);
+  }
+
+  // =========================================================================
+  // HINTS
+  // =========================================================================
+
+  createHintButton(scaleFactor) {
+    this.hintButton = new Button({
+      text: '💡 Hint',
+      width: 120 * scaleFactor,
+      height: 40 * scaleFactor,
+      backgroundColor: 0xff9800,
+      hoverColor: 0xf57c00,
+      pressedColor: 0xc66900,
+      fontSize: Math.max(12, 14 * scaleFactor)
+    });
+    this.hintButton.x = 280 * scaleFactor;
+    this.hintButton.y = 20 * scaleFactor;
+    this.hintButton.visible = false;
+    this.hintButton.onButtonClick = () => {
+      if (this.hintMoves) {
+        this.stateCoordinator.showMoveHint(this.hintMoves);
+      }
+    };
+    this.addChild(this.hintButton);
+  }
+
+  /**
+   * @param {Array|null} moves - Moves on offer, null once they're gone
+   */
+  setHintMoves(moves) {
+    this.hintMoves = moves && moves.length > 1 && !this.spectating && this.stateCoordinator.areHintsAllowed()
+      ? moves
+      : null;
+    this.hintButton.visible = Boolean(this.hintMoves);
+  }
+
+  // =========================================================================
+  // DIE ASSIGNMENT
+  // =========================================================================
+
+  /**
+   * @param {Array|null} moves - Moves on offer, null once they're gone
+   */
+  setOfferedMoves(moves) {
+    this.offeredMoves = moves && !this.spectating ? moves : null;
+    this.dice.setAssignableDice(this.offeredMoves ? getDieChoices(this.offeredMoves) : null);
+  }
+
+  /**
+   * Grey out the die our chosen move plays until the next options arrive
+   */
+  handleMoveChosen(choice) {
+    const move = this.offeredMoves?.find(m => m.number === choice);
+    if (move?.dieUsed) {
+      this.dice.markDieUsed(move.dieUsed);
+    }
+  }
+
+  // =========================================================================
+  // DANGER OVERLAY
+  // =========================================================================
+
+  createDangerButton(scaleFactor) {
+    this.dangerButton = new Button({
+      text: '⚠️ Danger: Off',
+      width: 150 * scaleFactor,
+      height: 40 * scaleFactor,
+      backgroundColor: 0x555555,
+      hoverColor: 0x666666,
+      fontSize: Math.max(12, 14 * scaleFactor)
+    });
+    this.dangerButton.x = 410 * scaleFactor;
+    this.dangerButton.y = 20 * scaleFactor;
+    this.dangerButton.onButtonClick = () => {
+      this.stateCoordinator.setDangerOverlay(!this.stateCoordinator.isDangerOverlayOn());
+      this.updateDangerButton();
+    };
+    this.addChild(this.dangerButton);
+    this.updateDangerButton();
+  }
+
+  updateDangerButton() {
+    const on = this.stateCoordinator.isDangerOverlayOn();
+    this.dangerButton.setText(`⚠️ Danger: ${on ? 'On' : 'Off'}`);
+    if (on) {
+      this.dangerButton.setColors(0xd84315, 0xbf360c);
+    } else {
+      this.dangerButton.setColors(0x555555, 0x666666);
+    }
+  }
+
+  // =========================================================================
+  // TAKEBACK
+  // =========================================================================
+
+  /**
+   * Undo button beside Leave, its status line, and the approval prompt
+   */
+  createTakebackControls(scaleFactor, canvasWidth, canvasHeight) {
+    this.undoButton = new Button({
+      text: '↩️ Undo',
+      width: 120 * scaleFactor,
+      height: 40 * scaleFactor,
+      backgroundColor: 0x5c6bc0,
+      hoverColor: 0x4a59ad,
+      pressedColor: 0x3a4790,
+      fontSize: Math.max(12, 14 * scaleFactor)
+    });
+    this.undoButton.x = 150 * scaleFactor;
+    this.undoButton.y = 20 * scaleFactor;
+    this.undoButton.visible = false;
+    this.undoButton.onButtonClick = () => this.stateCoordinator.requestTakeback();
+    this.addChild(this.undoButton);
+
+    this.takebackStatusText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 14,
+      fill: '#cccccc'
+    });
+    this.takebackStatusText.x = 20 * scaleFactor;
+    this.takebackStatusText.y = 68 * scaleFactor;
+    this.addChild(this.takebackStatusText);
+
+    this.takebackPrompt = this.createTakebackPrompt();
+    this.takebackPrompt.x = canvasWidth / 2 - 210;
+    this.takebackPrompt.y = canvasHeight / 2 - 70;
+    this.addChild(this.takebackPrompt);
+  }
+
+  /**
+   * "Alice wants to take back their last move" with Accept / Decline
+   */
+  createTakebackPrompt() {
+    const prompt = new PIXI.Container();
+    prompt.visible = false;
+
+    const background = new PIXI.Graphics();
+    background.roundRect(0, 0, 420, 140, 12);
+    background.fill({ color: 0x1e1e3a, alpha: 0.95 });
+    background.stroke({ width: 2, color: 0x5c6bc0 });
+    prompt.addChild(background);
+
+    this.takebackPromptText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 17,
+      fill: '#ffffff',
+      align: 'center',
+      wordWrap: true,
+      wordWrapWidth: 380
+    });
+    this.takebackPromptText.anchor.set(0.5, 0);
+    this.takebackPromptText.x = 210;
+    this.takebackPromptText.y = 20;
+    prompt.addChild(this.takebackPromptText);
+
+    const acceptButton = new Button({
+      text: '✅ Accept',
+      width: 180,
+      height: 40,
+      backgroundColor: 0x4caf50,
+      hoverColor: 0x45a049
+    });
+    acceptButton.x = 20;
+    acceptButton.y = 82;
+    acceptButton.onButtonClick = () => this.stateCoordinator.voteTakeback(true);
+    prompt.addChild(acceptButton);
+
+    const declineButton = new Button({
+      text: '❌ Decline',
+      width: 180,
+      height: 40,
+      backgroundColor: 0xf44336,
+      hoverColor: 0xd32f2f
+    });
+    declineButton.x = 220;
+    declineButton.y = 82;
+    declineButton.onButtonClick = () => this.stateCoordinator.voteTakeback(false);
+    prompt.addChild(declineButton);
+
+    return prompt;
+  }
+
+  /**
+   * Show Undo while a takeback is allowed and ask for our vote while one is open
+   */
+  updateTakeback() {
+    if (!this.undoButton) return;
+
+    const takeback = this.stateCoordinator.getTakeback();
+    const myId = this.stateCoordinator.getSessionId();
+    const pending = takeback?.status === 'pending';
+    const canUndo = !this.spectating && this.stateCoordinator.canRequestTakeback();
+
+    this.undoButton.visible = canUndo;
+    if (canUndo) {
+      const deadline = this.stateCoordinator.getTakebackDeadline();
+      const secondsLeft = deadline ? Math.ceil((deadline - Date.now()) / 1000) : null;
+      this.undoButton.setText(secondsLeft ? `↩️ Undo (${secondsLeft})` : '↩️ Undo');
+    }
+
+    this.takebackPrompt.visible = pending && !this.spectating &&
+      takeback.requestedBy !== myId && takeback.votes[myId] === undefined;
+    if (this.takebackPrompt.visible) {
+      this.takebackPromptText.text = `${this.getPlayerName(takeback.requestedBy)} wants to take back their last move`;
+    }
+
+    if (pending && takeback.requestedBy === myId) {
+      this.setTakebackStatus('⏳ Waiting for the others to approve...');
+    }
+
+    this.scheduleTakebackRefresh(canUndo);
+  }
+
+  /**
+   * Count the online window down on the Undo button, and hide it when it closes
+   */
+  scheduleTakebackRefresh(canUndo) {
+    const deadline = canUndo ? this.stateCoordinator.getTakebackDeadline() : null;
+
+    if (!deadline) {
+      clearInterval(this.takebackTimer);
+      this.takebackTimer = null;
+      return;
+    }
+
+    if (!this.takebackTimer) {
+      this.takebackTimer = setInterval(() => this.updateTakeback(), 250);
+    }
+  }
+
+  /**
+   * Decided takebacks leave a short note under the buttons
+   */
+  handleTakebackUpdate(takeback) {
+    if (takeback?.status === 'accepted') {
+      this.setTakebackStatus('↩️ Move taken back', TAKEBACK_STATUS_DURATION);
+    } else if (takeback?.status === 'declined') {
+      this.setTakebackStatus(takeback.message ? `Takeback declined - ${takeback.message}` : 'Takeback declined', TAKEBACK_STATUS_DURATION);
+    } else if (!takeback) {
+      this.setTakebackStatus('');
+    }
+
+    this.updateTakeback();
+  }
+
+  /**
+   * @param {number} duration - Seconds before it fades (stays up if omitted)
+   */
+  setTakebackStatus(text, duration = 0) {
+    gsap.killTweensOf(this.takebackStatusText);
+    this.takebackStatusText.text = text;
+    this.takebackStatusText.alpha = 1;
+
+    if (text && duration) {
+      gsap.to(this.takebackStatusText, { alpha: 0, duration: 0.4, delay: duration });
+    }
+  }
+
+  getPlayerName(playerId) {
+    const player = this.stateCoordinator.getCurrentState()?.players?.find(p => p.id === playerId);
+    return player?.playerName || player?.name || 'A player';
   }
 
   /**
    * Handle leave game button click
    */
   handleLeaveGame() {
+    // Nothing to forfeit when only watching
+    if (this.spectating) {
+      gameService.leaveGame();
+      return;
+    }
+
     this.confirmDialog.show();
   }
 
+  /**
+   * Switch between playing and read-only spectating
+   */
+  setSpectating(spectating) {
+    this.spectating = spectating;
+    this.leaveButton.setText(spectating ? 'Stop Watching' : 'Leave Game');
+
+    if (spectating) {
+      this.dice.setEnabled(false);
+      this.dice.hideYourTurn();
+    }
+
+    this.updateSpectatorCount(this.stateCoordinator.getSpectatorCount());
+    this.updateTakeback();
+    this.setHintMoves(null);
+    this.setOfferedMoves(null);
+  }
+
+  updateSpectatorCount(count) {
+    if (this.spectating) {
+      this.spectatorText.text = `👁️ Spectating · ${count} watching`;
+    } else {
+      this.spectatorText.text = count > 0 ? `👁️ ${count} watching` : '';
+    }
+  }
+
   /**
    * Setup event listeners
    */
@@ -118,10 +458,42 @@ class GameControlsContainer extends PIXI.Container {
       this.handleTurnMessage(message);
     });
 
+    this.stateCoordinator.on('spectators:updated', (data) => {
+      this.updateSpectatorCount(data.count);
+    });
+
+    // Hints for the moves on offer until one is chosen
+    this.stateCoordinator.on('moves:available', (data) => {
+      this.setHintMoves(data.moves);
+      this.setOfferedMoves(data.moves);
+    });
+
+    this.stateCoordinator.on('moves:chosen', (data) => {
+      this.setHintMoves(null);
+      this.handleMoveChosen(data.choice);
+    });
+
+    this.stateCoordinator.on('rematch:started', () => {
+      this.setHintMoves(null);
+      this.setOfferedMoves(null);
+    });
+
+    // Takebacks - local undo history changes with every state
+    this.stateCoordinator.on('takeback:updated', (data) => {
+      this.handleTakebackUpdate(data.takeback);
+    });
+
+    this.stateCoordinator.on('state:updated', () => {
+      this.updateTakeback();
+    });
+
     // Handle game end
     this.stateCoordinator.on('game:ended', () => {
       this.dice.setEnabled(false);
       this.dice.hideYourTurn();
+      this.updateTakeback();
+      this.setHintMoves(null);
+      this.setOfferedMoves(null);
     });
 
     // Handle connection status
@@ -131,6 +503,8 @@ class GameControlsContainer extends PIXI.Container {
         this.dice.hideYourTurn();
         this.turnText.text = data.message;
         this.turnText.style.fill = '#ff4444';
+      } else {
+        this.restoreTurnDisplay(data.message);
       }
     });
   }
@@ -166,8 +540,13 @@ class GameControlsContainer extends PIXI.Container {
   handleTurnChange(data) {
     console.log('GameControls: Turn change', data);
 
+    if (!data.isMyTurn) {
+      this.setHintMoves(null);
+      this.setOfferedMoves(null);
+    }
+
     if (this.dice) {
-      if (data.isMyTurn) {
+      if (data.isMyTurn && !this.spectating) {
         // It's my turn - always enable dice for rolling (new turn)
         if (!this.dice.getIsRolling()) {
           this.dice.setEnabled(true);
@@ -182,7 +561,7 @@ class GameControlsContainer extends PIXI.Container {
 
     // Update turn display
     if (this.turnText) {
-      if (data.isMyTurn) {
+      if (data.isMyTurn && !this.spectating) {
         this.turnText.text = 'YOUR TURN - Click dice to roll!';
         this.turnText.style.fill = '#44ff44';
       } else {
@@ -192,13 +571,30 @@ class GameControlsContainer extends PIXI.Container {
     }
   }
 
+  /**
+   * Re-apply the current turn after the connection comes back
+   */
+  restoreTurnDisplay(message) {
+    const state = this.stateCoordinator.getCurrentState();
+
+    if (state) {
+      this.handleTurnChange({
+        isMyTurn: this.stateCoordinator.isMyTurn(),
+        playerName: state.currentPlayerName
+      });
+    } else if (this.turnText) {
+      this.turnText.text = message;
+      this.turnText.style.fill = '#44ff44';
+    }
+  }
+
   /**
    * Handle turn message
    */
   handleTurnMessage(message) {
     console.log('GameControls: Turn message', message);
     
-    if (this.dice) {
+    if (this.dice && !this.spectating) {
       const currentState = this.stateCoordinator.getCurrentState();
       const diceNotRolled = !currentState?.dice || 
                             (currentState.dice.die1 === 0 && currentState.dice.die2 === 0);
@@ -240,11 +636,46 @@ class GameControlsContainer extends PIXI.Container {
       this.leaveButton.createButton();
     }
 
+    if (this.undoButton) {
+      this.undoButton.x = 150 * scaleFactor;
+      this.undoButton.y = 20 * scaleFactor;
+      this.undoButton.options.width = 120 * scaleFactor;
+      this.undoButton.options.height = 40 * scaleFactor;
+      this.undoButton.options.fontSize = Math.max(12, 14 * scaleFactor);
+      this.undoButton.createButton();
+
+      this.takebackStatusText.x = 20 * scaleFactor;
+      this.takebackStatusText.y = 68 * scaleFactor;
+    }
+
+    if (this.hintButton) {
+      this.hintButton.x = 280 * scaleFactor;
+      this.hintButton.y = 20 * scaleFactor;
+      this.hintButton.options.width = 120 * scaleFactor;
+      this.hintButton.options.height = 40 * scaleFactor;
+      this.hintButton.options.fontSize = Math.max(12, 14 * scaleFactor);
+      this.hintButton.createButton();
+    }
+
+    if (this.dangerButton) {
+      this.dangerButton.x = 410 * scaleFactor;
+      this.dangerButton.y = 20 * scaleFactor;
+      this.dangerButton.options.width = 150 * scaleFactor;
+      this.dangerButton.options.height = 40 * scaleFactor;
+      this.dangerButton.options.fontSize = Math.max(12, 14 * scaleFactor);
+      this.dangerButton.createButton();
+    }
+
     // Update confirm dialog layout
     if (this.confirmDialog) {
       const canvasWidth = this.layout.viewport?.width || window.innerWidth;
       const canvasHeight = this.layout.viewport?.height || window.innerHeight;
       this.confirmDialog.updateLayout(canvasWidth, canvasHeight);
+
+      if (this.takebackPrompt) {
+        this.takebackPrompt.x = canvasWidth / 2 - 210;
+        this.takebackPrompt.y = canvasHeight / 2 - 70;
+      }
     }
   }
 
@@ -252,6 +683,8 @@ class GameControlsContainer extends PIXI.Container {
    * Cleanup
    */
   destroy(options) {
+    clearInterval(this.takebackTimer);
+    if (this.takebackStatusText) gsap.killTweensOf(this.takebackStatusText);
     if (this.dice) this.dice.destroy();
     if (this.leaveButton) this.leaveButton.destroy();
     if (this.confirmDialog) this.confirmDialog.destroy();
@@ -1,9 +1,14 @@
 import * as PIXI from 'pixi.js';
 import { gsap } from 'gsap';
 import { LAYOUT_CONFIG } from '../config/layout.config';
+import Button from '../../../components/ui/Button';
+import eventBus from '../../../../utils/EventBus';
+import replayRecorder from '../../../../services/ReplayRecorder';
+import { describeHouseRules } from '../../../../utils/houseRules';
 
 /**
- * GameUIContainer - Manages UI overlays, messages, and game over screen
+ * GameUIContainer - Manages UI overlays, messages, achievement toasts and
+ * the game over screen (with the rematch vote)
  */
 class GameUIContainer extends PIXI.Container {
   constructor(layout, stateCoordinator) {
@@ -14,10 +19,16 @@ class GameUIContainer extends PIXI.Container {
 
     this.background = null;
     this.titleText = null;
+    this.rulesText = null;
     this.activeMessages = [];
+    this.activeToasts = [];
+    this.gameOverOverlay = null;
+    this.rematchControls = null;
+    this.rotateRematch = false;
 
     this.createBackground();
     this.createTitle();
+    this.createRulesText();
     this.setupEventListeners();
   }
 
@@ -52,10 +63,38 @@ class GameUIContainer extends PIXI.Container {
     this.addChild(this.titleText);
   }
 
+  /**
+   * Create the read-only house rules line under the title
+   */
+  createRulesText() {
+    const uiLayout = this.layout.getUILayout();
+
+    this.rulesText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 13,
+      fill: '#aaaacc',
+      align: 'center'
+    });
+    this.rulesText.anchor.set(0.5);
+    this.rulesText.x = uiLayout.title.x;
+    this.rulesText.y = uiLayout.title.y + 42;
+    this.addChild(this.rulesText);
+
+    this.updateRules(this.stateCoordinator.getHouseRules());
+  }
+
+  updateRules(rules) {
+    this.rulesText.text = rules ? `📜 ${describeHouseRules(rules).join(' · ')}` : '';
+  }
+
   /**
    * Setup event listeners
    */
   setupEventListeners() {
+    this.stateCoordinator.on('rules:updated', (data) => {
+      this.updateRules(data.rules);
+    });
+
     // Handle messages
     this.stateCoordinator.on('ui:message', (data) => {
       this.showMessage(data.message, data.duration);
@@ -63,7 +102,20 @@ class GameUIContainer extends PIXI.Container {
 
     // Handle game over
     this.stateCoordinator.on('game:ended', (data) => {
-      this.showGameOverScreen(data.winner);
+      this.showGameOverScreen(data.winner, data.winnerTeam);
+    });
+
+    this.stateCoordinator.on('rematch:updated', (data) => {
+      this.updateRematch(data.rematch);
+    });
+
+    this.stateCoordinator.on('achievement:unlocked', (data) => {
+      this.showAchievementToast(data.achievement);
+    });
+
+    // Rematch under way in this scene - back to the board
+    this.stateCoordinator.on('rematch:started', () => {
+      this.hideGameOverScreen();
     });
   }
 
@@ -136,21 +188,93 @@ class GameUIContainer extends PIXI.Container {
     }, 16);
   }
 
+  /**
+   * Slide a badge in at the top right, stacked under any still showing
+   */
+  showAchievementToast(achievement) {
+    const canvasDims = this.layout.getCanvasDimensions();
+    const toast = new PIXI.Container();
+
+    const toastBg = new PIXI.Graphics();
+    toastBg.roundRect(0, 0, 300, 64, 12);
+    toastBg.fill({ color: 0x2a2a4a, alpha: 0.95 });
+    toastBg.stroke({ width: 2, color: 0xffd700 });
+    toast.addChild(toastBg);
+
+    const icon = new PIXI.Text(achievement.icon, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 30
+    });
+    icon.anchor.set(0.5);
+    icon.x = 34;
+    icon.y = 32;
+    toast.addChild(icon);
+
+    const heading = new PIXI.Text('Achievement unlocked!', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 12,
+      fill: '#ffd700'
+    });
+    heading.x = 64;
+    heading.y = 12;
+    toast.addChild(heading);
+
+    const title = new PIXI.Text(achievement.title, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 17,
+      fontWeight: 'bold',
+      fill: '#ffffff'
+    });
+    title.x = 64;
+    title.y = 30;
+    toast.addChild(title);
+
+    toast.x = canvasDims.width + 10;
+    toast.y = 20 + this.activeToasts.length * 76;
+    this.addChild(toast);
+    this.activeToasts.push(toast);
+
+    gsap.to(toast, { x: canvasDims.width - 320, duration: 0.4, ease: 'back.out(1.4)' });
+    gsap.to(toast, {
+      alpha: 0,
+      duration: 0.4,
+      delay: 4,
+      onComplete: () => this.removeToast(toast)
+    });
+  }
+
+  removeToast(toast) {
+    gsap.killTweensOf(toast);
+    this.activeToasts = this.activeToasts.filter(active => active !== toast);
+
+    if (!toast.destroyed) {
+      toast.destroy({ children: true });
+    }
+  }
+
   /**
    * Show game over screen
+   * @param {string} winner - Winning color
+   * @param {Array|null} winnerTeam - Both colors of the winning team (team mode)
    */
-  showGameOverScreen(winner) {
+  showGameOverScreen(winner, winnerTeam = null) {
+    this.hideGameOverScreen();
+
     const canvasDims = this.layout.getCanvasDimensions();
 
     const overlay = new PIXI.Graphics();
     overlay.rect(0, 0, canvasDims.width, canvasDims.height);
     overlay.fill({ color: 0x000000, alpha: 0.8 });
 
-    const winText = new PIXI.Text(`🎉 ${winner.toUpperCase()} WINS! 🎉`, {
+    const headline = winnerTeam
+      ? `🎉 ${winnerTeam.join(' & ').toUpperCase()} WIN! 🎉`
+      : `🎉 ${winner.toUpperCase()} WINS! 🎉`;
+
+    const winText = new PIXI.Text(headline, {
       fontFamily: 'Arial, sans-serif',
       fontSize: 48,
       fontWeight: 'bold',
-      fill: this.getPlayerColor(winner),
+      fill: this.getPlayerColor(winnerTeam ? winnerTeam[0] : winner),
       align: 'center'
     });
     winText.anchor.set(0.5);
@@ -158,7 +282,35 @@ class GameUIContainer extends PIXI.Container {
     winText.y = canvasDims.height / 2;
     
     overlay.addChild(winText);
+
+    if (winnerTeam) {
+      const teamText = new PIXI.Text(this.getTeamPlayerNames(winnerTeam), {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: 20,
+        fill: '#dddddd',
+        align: 'center'
+      });
+      teamText.anchor.set(0.5);
+      teamText.x = canvasDims.width / 2;
+      teamText.y = canvasDims.height / 2 + 48;
+      overlay.addChild(teamText);
+    }
+
+    if (replayRecorder.hasRecording()) {
+      overlay.addChild(this.createReplayButtons(canvasDims));
+    }
+
+    overlay.addChild(this.createSummaryButton(canvasDims));
+
+    if (!this.stateCoordinator.isSpectating()) {
+      overlay.addChild(this.createRematchControls(canvasDims));
+    }
+
+    this.gameOverOverlay = overlay;
     this.addChild(overlay);
+
+    // Badges earned by the winning move stay on top
+    this.activeToasts.forEach(toast => this.addChild(toast));
     
     // Animate
     gsap.fromTo(winText, 
@@ -172,6 +324,209 @@ class GameUIContainer extends PIXI.Container {
     );
   }
 
+  /**
+   * Buttons to save or watch the replay of the game that just ended
+   */
+  createReplayButtons(canvasDims) {
+    const buttons = new PIXI.Container();
+
+    const downloadButton = new Button({
+      text: '💾 Download Replay',
+      width: 200,
+      height: 44
+    });
+    downloadButton.onButtonClick = () => replayRecorder.downloadRecording();
+
+    const watchButton = new Button({
+      text: '▶ Watch Replay',
+      width: 200,
+      height: 44,
+      backgroundColor: 0x4caf50,
+      hoverColor: 0x45a049
+    });
+    watchButton.x = 220;
+    watchButton.onButtonClick = () => replayRecorder.openReplay();
+
+    buttons.addChild(downloadButton);
+    buttons.addChild(watchButton);
+    buttons.x = canvasDims.width / 2 - 210;
+    buttons.y = canvasDims.height / 2 + 80;
+
+    return buttons;
+  }
+
+  /**
+   * Standings, stats and charts for the game that just ended
+   */
+  createSummaryButton(canvasDims) {
+    const summaryButton = new Button({
+      text: '📊 Game Summary',
+      width: 420,
+      height: 44,
+      backgroundColor: 0xff9800,
+      hoverColor: 0xf57c00
+    });
+    summaryButton.x = canvasDims.width / 2 - 210;
+    summaryButton.y = canvasDims.height / 2 + 136;
+    summaryButton.onButtonClick = () => {
+      eventBus.emit('pixi.scene.change', { scene: 'summary' });
+    };
+
+    return summaryButton;
+  }
+
+  hideGameOverScreen() {
+    if (!this.gameOverOverlay) return;
+
+    gsap.killTweensOf(this.gameOverOverlay.children);
+    this.gameOverOverlay.destroy({ children: true });
+    this.gameOverOverlay = null;
+    this.rematchControls = null;
+  }
+
+  // =========================================================================
+  // REMATCH
+  // =========================================================================
+
+  /**
+   * Rematch button, rotate toggle and the vote (Accept / Decline when asked)
+   */
+  createRematchControls(canvasDims) {
+    const controls = new PIXI.Container();
+    controls.x = canvasDims.width / 2 - 210;
+    controls.y = canvasDims.height / 2 + 192;
+
+    const rematchButton = new Button({
+      text: '🔁 Rematch',
+      width: 200,
+      height: 44,
+      backgroundColor: 0x4caf50,
+      hoverColor: 0x45a049
+    });
+    rematchButton.onButtonClick = () => {
+      this.stateCoordinator.requestRematch({ rotate: this.rotateRematch });
+    };
+
+    const rotateButton = new Button({
+      text: '',
+      width: 200,
+      height: 44,
+      fontSize: 14
+    });
+    rotateButton.x = 220;
+    rotateButton.onButtonClick = () => {
+      this.rotateRematch = !this.rotateRematch;
+      this.updateRotateButton(rotateButton);
+    };
+    this.updateRotateButton(rotateButton);
+
+    const statusText = new PIXI.Text('', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: 15,
+      fill: '#dddddd',
+      align: 'center',
+      wordWrap: true,
+      wordWrapWidth: 520
+    });
+    statusText.anchor.set(0.5, 0);
+    statusText.x = 210;
+    statusText.y = 54;
+
+    const acceptButton = new Button({
+      text: '✅ Accept',
+      width: 200,
+      height: 40,
+      backgroundColor: 0x4caf50,
+      hoverColor: 0x45a049
+    });
+    acceptButton.y = 96;
+    acceptButton.onButtonClick = () => this.stateCoordinator.voteRematch(true);
+
+    const declineButton = new Button({
+      text: '❌ Decline',
+      width: 200,
+      height: 40,
+      backgroundColor: 0xf44336,
+      hoverColor: 0xd32f2f
+    });
+    declineButton.x = 220;
+    declineButton.y = 96;
+    declineButton.onButtonClick = () => this.stateCoordinator.voteRematch(false);
+
+    controls.addChild(rematchButton);
+    controls.addChild(rotateButton);
+    controls.addChild(statusText);
+    controls.addChild(acceptButton);
+    controls.addChild(declineButton);
+
+    this.rematchControls = { rematchButton, rotateButton, statusText, acceptButton, declineButton };
+    this.updateRematch(this.stateCoordinator.getRematch());
+
+    return controls;
+  }
+
+  updateRotateButton(rotateButton) {
+    rotateButton.setText(`🔄 Rotate colors: ${this.rotateRematch ? 'On' : 'Off'}`);
+    rotateButton.setColors(this.rotateRematch ? 0x9c27b0 : 0x555577, this.rotateRematch ? 0x7b1fa2 : 0x666688);
+  }
+
+  /**
+   * Show the vote and ask for ours while it's open
+   * @param {Object|null} rematch - GameService.getRematch()
+   */
+  updateRematch(rematch) {
+    if (!this.rematchControls) return;
+
+    const { rematchButton, rotateButton, statusText, acceptButton, declineButton } = this.rematchControls;
+    const pending = rematch?.status === 'pending';
+    const needsMyVote = pending && rematch.votes[this.stateCoordinator.getSessionId()] === undefined;
+
+    rematchButton.setEnabled(!pending && rematch?.status !== 'started');
+    rotateButton.setEnabled(!pending);
+    acceptButton.visible = needsMyVote;
+    declineButton.visible = needsMyVote;
+    statusText.text = this.describeRematch(rematch);
+  }
+
+  /**
+   * "Rematch: ✅ Alice  ⏳ Bob  ❌ Carol"
+   */
+  describeRematch(rematch) {
+    if (!rematch) return '';
+
+    if (rematch.status === 'cancelled') {
+      return rematch.message ? `Rematch cancelled - ${rematch.message}` : 'Rematch cancelled';
+    }
+
+    if (rematch.status === 'started') {
+      return 'The rematch started without you';
+    }
+
+    const players = this.stateCoordinator.getCurrentState()?.players || [];
+    const votes = [...new Map(players.map(player => [player.id, player])).values()]
+      .map(player => {
+        const vote = rematch.votes[player.id];
+        const icon = vote === true ? '✅' : vote === false ? '❌' : '⏳';
+        return `${icon} ${player.playerName || player.name}`;
+      });
+
+    return `Rematch${rematch.rotate ? ' (colors rotate)' : ''}: ${votes.join('   ')}`;
+  }
+
+  /**
+   * "Alice & Bob" - whoever played the winning team's colors
+   */
+  getTeamPlayerNames(teamColors) {
+    const players = this.stateCoordinator.getCurrentState()?.players || [];
+    const names = players
+      .filter(player => [player.color, ...(player.colors || [])]
+        .some(color => color && teamColors.includes(String(color).toLowerCase())))
+      .map(player => player.playerName || player.name)
+      .filter(Boolean);
+
+    return [...new Set(names)].join(' & ');
+  }
+
   /**
    * Get player color
    */
@@ -205,6 +560,11 @@ class GameUIContainer extends PIXI.Container {
       this.titleText.y = uiLayout.title.y;
       this.titleText.style.fontSize = uiLayout.title.fontSize;
     }
+
+    if (this.rulesText) {
+      this.rulesText.x = uiLayout.title.x;
+      this.rulesText.y = uiLayout.title.y + 42;
+    }
   }
 
   /**
@@ -219,6 +579,8 @@ class GameUIContainer extends PIXI.Container {
       }
     });
     this.activeMessages = [];
+    [...this.activeToasts].forEach(toast => this.removeToast(toast));
+    this.hideGameOverScreen();
     
     super.destroy(options);
   }
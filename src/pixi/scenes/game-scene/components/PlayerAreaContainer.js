@@ -1,5 +1,18 @@
 import * as PIXI from 'pixi.js';
 import PlayerPanel from '../../../components/game/PlayerPanel';
+import {
+  RULES,
+  TEAMS,
+  countFinishedPieces,
+  getPieceColor,
+  getTeamForColor
+} from '../../../../utils/ludoRules';
+
+// Accent shared by partners' panels in team mode
+const TEAM_ACCENTS = {
+  'red-yellow': 0xffd700,
+  'green-blue': 0x66e0ff
+};
 
 /**
  * PlayerAreaContainer - Manages all player panels
@@ -13,6 +26,8 @@ class PlayerAreaContainer extends PIXI.Container {
     
     this.playerPanels = [];
     this.colors = ['red', 'blue', 'green', 'yellow'];
+    this.teamMode = false;
+    this.teamBrackets = null;
     
     this.createPanels();
     this.setupEventListeners();
@@ -24,6 +39,10 @@ class PlayerAreaContainer extends PIXI.Container {
   createPanels() {
     const panelsLayout = this.layout.getPlayerPanelsLayout();
 
+    // Partners sit in the same column - bracket them together in team mode
+    this.teamBrackets = new PIXI.Graphics();
+    this.addChild(this.teamBrackets);
+
     this.colors.forEach((color, index) => {
       const panelLayout = panelsLayout[index];
 
@@ -42,6 +61,12 @@ class PlayerAreaContainer extends PIXI.Container {
         panel.pivot?.set?.(panelLayout.width * panelLayout.anchor, panelLayout.height * panelLayout.anchor);
       }
 
+      panel.onMuteToggle = (playerData) => {
+        if (playerData?.id) {
+          this.stateCoordinator.toggleMute(playerData.id, playerData.name || playerData.playerName);
+        }
+      };
+
       this.playerPanels.push(panel);
       this.addChild(panel);
     });
@@ -62,19 +87,157 @@ class PlayerAreaContainer extends PIXI.Container {
     this.stateCoordinator.on('turn:changed', (data) => {
       this.highlightCurrentPlayer(data.newPlayer);
     });
+
+    // Quick emotes pop over the sender's panel
+    this.stateCoordinator.on('chat:emote', (data) => {
+      const panel = this.getPanelForPlayer(data.playerId);
+      if (panel) {
+        panel.showEmote(data.text);
+      }
+    });
+
+    this.stateCoordinator.on('chat:muteChanged', () => {
+      this.updateMuteButtons();
+    });
+
+    this.stateCoordinator.on('rules:updated', () => {
+      this.updateTeams();
+    });
+
+    this.stateCoordinator.on('stats:updated', () => {
+      this.updateStats();
+    });
+  }
+
+  /**
+   * Colors a player plays - one, or two for a player running a whole team
+   */
+  getPlayerColors(player) {
+    return [player?.color, ...(player?.colors || [])]
+      .filter(Boolean)
+      .map(color => String(color).toLowerCase());
+  }
+
+  getPlayerForColor(players, color) {
+    return players.find(player => this.getPlayerColors(player).includes(color)) || null;
   }
 
   /**
-   * Update player panels with new data
+   * Update player panels with new data - each panel shows whoever plays its color
    */
   updatePlayerData(players) {
-    players.forEach((playerData, index) => {
-      if (this.playerPanels[index]) {
-        this.playerPanels[index].updatePlayerData(playerData);
+    this.playerPanels.forEach((panel, index) => {
+      const color = this.colors[index];
+      const player = this.getPlayerForColor(players, color);
+      if (!player) return;
+
+      // A two-color player's pieces are split across both panels
+      panel.updatePlayerData({
+        ...player,
+        pieces: player.pieces?.filter(piece => getPieceColor(piece) === color)
+      });
+    });
+
+    this.updateTeams();
+    this.updateStats();
+    this.updateMuteButtons();
+  }
+
+  /**
+   * Feed each panel its player's live statistics
+   */
+  updateStats() {
+    this.playerPanels.forEach(panel => {
+      const stats = panel.playerData?.id && this.stateCoordinator.getPlayerStats(panel.playerData.id);
+      if (stats) {
+        panel.updateStats(stats);
       }
     });
   }
 
+  // =========================================================================
+  // TEAMS
+  // =========================================================================
+
+  /**
+   * Tag partners' panels with their team and its shared score (finished pieces)
+   */
+  updateTeams() {
+    const state = this.stateCoordinator.getCurrentState();
+    const rules = state?.rules || this.stateCoordinator.getHouseRules();
+    const pieces = state?.pieces || (state?.players || []).flatMap(player => player.pieces || []);
+
+    this.teamMode = Boolean(rules?.teamMode);
+
+    this.playerPanels.forEach((panel, index) => {
+      const team = this.teamMode ? getTeamForColor(this.colors[index]) : null;
+
+      panel.setTeam(team && {
+        name: team.name,
+        score: countFinishedPieces(pieces, team.colors),
+        total: team.colors.length * RULES.PIECES_PER_PLAYER,
+        accent: TEAM_ACCENTS[team.id]
+      });
+    });
+
+    this.drawTeamBrackets();
+  }
+
+  /**
+   * Bracket along the outer edge of each team's column of panels
+   */
+  drawTeamBrackets() {
+    this.teamBrackets.clear();
+    if (!this.teamMode) return;
+
+    const panelsLayout = this.layout.getPlayerPanelsLayout();
+    const centerX = this.layout.getCanvasDimensions().width / 2;
+
+    TEAMS.forEach(team => {
+      const [top, bottom] = team.colors
+        .map(color => panelsLayout[this.colors.indexOf(color)])
+        .sort((a, b) => a.y - b.y);
+
+      const onLeft = top.x < centerX;
+      const x = onLeft ? top.x - 10 : top.x + top.width + 10;
+      const tick = onLeft ? 6 : -6;
+
+      this.teamBrackets
+        .moveTo(x + tick, top.y + 10)
+        .lineTo(x, top.y + 10)
+        .lineTo(x, bottom.y + bottom.height - 10)
+        .lineTo(x + tick, bottom.y + bottom.height - 10)
+        .stroke({ width: 3, color: TEAM_ACCENTS[team.id], alpha: 0.7 });
+    });
+  }
+
+  /**
+   * Mute toggles for other human players
+   */
+  updateMuteButtons() {
+    const mySessionId = this.stateCoordinator.getSessionId();
+
+    this.playerPanels.forEach(panel => {
+      const player = panel.playerData;
+      const canMute = Boolean(player?.id) && player.id !== mySessionId && player.human !== false && !player.botLevel;
+
+      panel.setMuteVisible(canMute);
+      if (canMute) {
+        panel.setMuted(this.stateCoordinator.isPlayerMuted(player.id));
+      }
+    });
+  }
+
+  /**
+   * Find the panel for a player by their (first) color in the game state
+   */
+  getPanelForPlayer(playerId) {
+    const player = this.stateCoordinator.getCurrentState()?.players?.find(p => p.id === playerId);
+    const index = this.colors.indexOf(this.getPlayerColors(player)[0]);
+
+    return index > -1 ? this.playerPanels[index] : null;
+  }
+
   /**
    * Highlight the current player's panel
    */
@@ -89,12 +252,12 @@ class PlayerAreaContainer extends PIXI.Container {
   }
 
   /**
-   * Check if player ID matches panel
+   * Check if player ID matches panel - true for any color the player plays
    */
   isPlayerIdMatchingPanel(playerId, panelColor, currentState) {
     if (currentState?.players) {
       const player = currentState.players.find(p => p.id === playerId);
-      return player && player.color === panelColor;
+      return Boolean(player) && this.getPlayerColors(player).includes(panelColor);
     }
     return false;
   }
@@ -110,6 +273,8 @@ class PlayerAreaContainer extends PIXI.Container {
       panel.x = panelLayout.x;
       panel.y = panelLayout.y;
     });
+
+    this.drawTeamBrackets();
   }
 
   /**
@@ -21,8 +21,24 @@ class ConnectionHandler {
       this.handleConnectionLost();
     });
 
-    this.stateCoordinator.on('connection:restored', () => {
-      this.handleConnectionRestored();
+    this.stateCoordinator.on('connection:restored', (data) => {
+      this.handleConnectionRestored(data);
+    });
+
+    this.stateCoordinator.on('connection:reconnecting', (data) => {
+      this.handleReconnecting(data);
+    });
+
+    this.stateCoordinator.on('connection:failed', () => {
+      this.handleReconnectFailed();
+    });
+
+    this.stateCoordinator.on('session:resumed', () => {
+      this.handleSessionResumed();
+    });
+
+    this.stateCoordinator.on('session:expired', (data) => {
+      this.handleSessionExpired(data);
     });
 
     this.stateCoordinator.on('error:game', (data) => {
@@ -64,11 +80,31 @@ class ConnectionHandler {
     });
   }
 
+  /**
+   * Show reconnect progress
+   */
+  handleReconnecting({ attempt, maxAttempts }) {
+    this.isOffline = true;
+    this.stateCoordinator.emit('ui:connectionStatus', { 
+      connected: false,
+      message: `🔌 Connection Lost - Reconnecting (${attempt}/${maxAttempts})...`
+    });
+  }
+
   /**
    * Handle connection restored
    */
-  handleConnectionRestored() {
+  handleConnectionRestored(data) {
     if (!this.isOffline) return;
+
+    // Rejoin is in flight - wait for session:resumed before refreshing
+    if (data?.reconnected && gameService.getCurrentGameId()) {
+      this.stateCoordinator.emit('ui:connectionStatus', { 
+        connected: false,
+        message: '🔄 Reconnected - resuming game...'
+      });
+      return;
+    }
     
     this.isOffline = false;
     this.stateCoordinator.requestGameState();
@@ -78,17 +114,52 @@ class ConnectionHandler {
     });
   }
 
+  /**
+   * Back in the game after a reconnect
+   */
+  handleSessionResumed() {
+    this.isOffline = false;
+    this.stateCoordinator.emit('ui:connectionStatus', { 
+      connected: true,
+      message: '✅ Reconnected - game resumed!'
+    });
+  }
+
+  /**
+   * The game we were in is gone - the scene returns to the lobby
+   */
+  handleSessionExpired(data) {
+    this.clearDiceTimeout();
+    this.stateCoordinator.emit('ui:message', {
+      message: `❌ ${data?.message || 'Game no longer exists'}. Returning to lobby...`,
+      duration: 3000
+    });
+  }
+
+  /**
+   * Out of reconnect attempts - only now ask for a refresh
+   */
+  handleReconnectFailed() {
+    this.clearDiceTimeout();
+    this.stateCoordinator.emit('ui:connectionStatus', { 
+      connected: false,
+      message: '🛠️ Could not reconnect. Try refreshing the page.'
+    });
+  }
+
   /**
    * Handle errors
    */
   handleError(error) {
     this.clearDiceTimeout();
+
+    const text = String(error);
     
-    if (error.includes('timeout') || error.includes('connection')) {
+    if (text.includes('timeout') || text.includes('connection')) {
       this.handleConnectionLost();
     } else {
       this.stateCoordinator.emit('ui:message', {
-        message: `❌ Error: ${error}`,
+        message: `❌ Error: ${text}`,
         duration: 5000
       });
     }
@@ -108,6 +179,9 @@ class ConnectionHandler {
       this.stateCoordinator.requestGameState();
       
       this.connectionTimeout = setTimeout(() => {
+        // The reconnect loop reports its own progress
+        if (gameService.isReconnecting()) return;
+
         if (this.isOffline || !gameService.getConnectionStatus().isConnected) {
           this.stateCoordinator.emit('ui:message', {
             message: '🛠️ Connection issues persist. Try refreshing the page.',
@@ -1,6 +1,8 @@
 import * as PIXI from 'pixi.js';
 import eventBus from '../../../../utils/EventBus';
 import gameService from '../../../../services/GameService';
+import chatService from '../../../../services/ChatService';
+import gameStatsTracker from '../../../../services/GameStatsTracker';
 
 /**
  * StateCoordinator - Central hub for state management and event coordination
@@ -11,6 +13,7 @@ class StateCoordinator extends PIXI.Container {
     super();
     this.eventUnsubscribers = [];
     this.activeAnimations = 0;
+    this.dangerOverlay = false;
     this.setupEventListeners();
   }
 
@@ -59,7 +62,7 @@ class StateCoordinator extends PIXI.Container {
     });
 
     this.subscribe('pieces.moved', (data) => {
-      this.emit('pieces:moved', { movements: data.movements });
+      this.emit('pieces:moved', { movements: data.movements, takeback: Boolean(data.takeback) });
     });
 
     // Move options
@@ -67,13 +70,43 @@ class StateCoordinator extends PIXI.Container {
       this.emit('moves:available', { moves: data.moves });
     });
 
+    this.subscribe('game.choice.made', (data) => {
+      this.emit('moves:chosen', data);
+    });
+
     // Game state events
     this.subscribe('game.state.updated', (data) => {
-      this.emit('state:updated', { newState: data.newState });
+      this.emit('state:updated', { newState: data.newState, oldState: data.oldState });
     });
 
     this.subscribe('game.ended', (data) => {
-      this.emit('game:ended', { winner: data.winner });
+      this.emit('game:ended', { winner: data.winner, winnerTeam: data.winnerTeam });
+    });
+
+    this.subscribe('game.rules.updated', (data) => {
+      this.emit('rules:updated', data);
+    });
+
+    this.subscribe('stats.updated', (data) => {
+      this.emit('stats:updated', data);
+    });
+
+    // Rematch events
+    this.subscribe('rematch.updated', (data) => {
+      this.emit('rematch:updated', data);
+    });
+
+    this.subscribe('game.rematch.started', (data) => {
+      this.emit('rematch:started', data);
+    });
+
+    // Takeback events
+    this.subscribe('takeback.updated', (data) => {
+      this.emit('takeback:updated', data);
+    });
+
+    this.subscribe('achievement.unlocked', (data) => {
+      this.emit('achievement:unlocked', data);
     });
 
     // Error and connection events
@@ -85,8 +118,38 @@ class StateCoordinator extends PIXI.Container {
       this.emit('connection:lost');
     });
 
-    this.subscribe('game.connection.established', () => {
-      this.emit('connection:restored');
+    this.subscribe('game.connection.established', (data) => {
+      this.emit('connection:restored', data);
+    });
+
+    this.subscribe('game.connection.reconnecting', (data) => {
+      this.emit('connection:reconnecting', data);
+    });
+
+    this.subscribe('game.connection.failed', (data) => {
+      this.emit('connection:failed', data);
+    });
+
+    this.subscribe('game.session.resumed', (data) => {
+      this.emit('session:resumed', data);
+    });
+
+    this.subscribe('game.session.expired', (data) => {
+      this.emit('session:expired', data);
+    });
+
+    // Chat events
+    this.subscribe('chat.emote', (data) => {
+      this.emit('chat:emote', data);
+    });
+
+    this.subscribe('chat.mute.changed', (data) => {
+      this.emit('chat:muteChanged', data);
+    });
+
+    // Spectator events
+    this.subscribe('spectators.updated', (data) => {
+      this.emit('spectators:updated', data);
     });
   }
 
@@ -112,6 +175,21 @@ class StateCoordinator extends PIXI.Container {
     return gameService.isMyTurn();
   }
 
+  /**
+   * Check if this client is only watching the game
+   */
+  isSpectating() {
+    return gameService.isSpectating();
+  }
+
+  getSpectatorCount() {
+    return gameService.getSpectatorCount();
+  }
+
+  getHouseRules() {
+    return gameService.getHouseRules();
+  }
+
   /**
    * Get current game state
    */
@@ -119,6 +197,117 @@ class StateCoordinator extends PIXI.Container {
     return gameService.getCurrentState();
   }
 
+  /**
+   * ID this client plays as
+   */
+  getSessionId() {
+    return gameService.getSessionId();
+  }
+
+  /**
+   * Mute or unmute a player's chat
+   */
+  toggleMute(playerId, playerName) {
+    chatService.toggleMute(playerId, playerName);
+  }
+
+  isPlayerMuted(playerId) {
+    return chatService.isMuted(playerId);
+  }
+
+  /**
+   * Live statistics for a player in the current game
+   */
+  getPlayerStats(playerId) {
+    return gameStatsTracker.getPlayerStats(playerId);
+  }
+
+  getRematch() {
+    return gameService.getRematch();
+  }
+
+  /**
+   * Ask the table for a rematch
+   * @param {Object} options - { rotate }
+   */
+  requestRematch(options) {
+    gameService.requestRematch(options);
+  }
+
+  voteRematch(accept) {
+    gameService.voteRematch(accept);
+  }
+
+  getTakeback() {
+    return gameService.getTakeback();
+  }
+
+  canRequestTakeback() {
+    return gameService.canRequestTakeback();
+  }
+
+  getTakebackDeadline() {
+    return gameService.getTakebackDeadline();
+  }
+
+  /**
+   * Ask to undo our last move
+   */
+  requestTakeback() {
+    gameService.requestTakeback();
+  }
+
+  voteTakeback(accept) {
+    gameService.voteTakeback(accept);
+  }
+
+  areHintsAllowed() {
+    return gameService.areHintsAllowed();
+  }
+
+  /**
+   * Rank the moves on offer and highlight the best one on the board
+   * @returns {Object|null} The hint ({ move, reason, ... }), null if not allowed
+   */
+  showMoveHint(moves) {
+    const hint = gameService.getMoveHint(moves);
+    if (hint) {
+      this.emit('hint:show', { hint });
+    }
+    return hint;
+  }
+
+  /**
+   * Show or hide the danger overlay (cells opponents can reach next roll)
+   */
+  setDangerOverlay(enabled) {
+    this.dangerOverlay = enabled;
+    this.emit('danger:toggled', { enabled });
+  }
+
+  isDangerOverlayOn() {
+    return this.dangerOverlay;
+  }
+
+  /**
+   * A die picked (or dropped back) in the dice - the board only offers its moves
+   * @param {string|null} dieUsed - 'die1', 'die2', 'sum' or null for all
+   */
+  selectDie(dieUsed) {
+    this.emit('dice:selected', { dieUsed });
+  }
+
+  dragDie(dieUsed, point) {
+    this.emit('dice:dragged', { dieUsed, point });
+  }
+
+  /**
+   * A die released over the board - the piece under it moves if it can
+   */
+  dropDie(dieUsed, point) {
+    this.emit('dice:dropped', { dieUsed, point });
+  }
+
   /**
    * Select a piece
    */
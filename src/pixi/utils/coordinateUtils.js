@@ -591,6 +591,48 @@ export function getColorPath(color) {
   return COLOR_PATHS[color];
 }
 
+/**
+ * Find where a cell sits along a color's path
+ * @param {string} color - Player color
+ * @param {Object} position - {row, col} cell (backend format)
+ * @returns {number} Path index, or -1 if the cell is not on that color's path
+ */
+export function getPathIndex(color, position) {
+  const colorPath = getColorPath(color);
+  if (!colorPath || !position) return -1;
+
+  for (const [pathPos, coords] of colorPath.entries()) {
+    if (coords.row === position.row && coords.col === position.col) {
+      return pathPos;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Get the cell at a given index along a color's path
+ * @param {string} color - Player color
+ * @param {number} pathIndex - Index along the path (0 = entry point)
+ * @returns {Object|null} {row, col} cell, or null if out of range
+ */
+export function getPathPosition(color, pathIndex) {
+  const colorPath = getColorPath(color);
+  if (!colorPath) return null;
+
+  const coords = colorPath.get(pathIndex);
+  return coords ? { ...coords } : null;
+}
+
+/**
+ * Get the index of the finish cell on a color's path
+ * @param {string} color - Player color
+ * @returns {number} Last path index (the center finish point)
+ */
+export function getFinishIndex(color) {
+  const colorPath = getColorPath(color);
+  return colorPath ? colorPath.size - 1 : -1;
+}
+
 /**
  * Get the game path coordinates in order (kept for compatibility)
  * @returns {Array} Array of {row, col} coordinates
@@ -604,7 +646,7 @@ export function getGamePath() {
  * Generate step-by-step movement path using actual board cells
  * @param {string} color - Player color (red, green, yellow, blue)
  * @param {Object} fromPosition - Starting position {row, col}
- * @param {Object} toPosition - Ending position {row, col}
+ * @param {Object} toPosition - Ending position {row, col} (behind the start when undoing a move)
  * @param {number} boardSize - Board size in pixels
  * @returns {Array} Array of {x, y} pixel coordinates for each step
  */
@@ -638,14 +680,11 @@ export function generateStepByStepPath(color, fromPosition, toPosition, boardSiz
   // Generate pixel coordinates for each step along the path
   const pixelPath = [];
 
-  // Handle wraparound if end position is before start (shouldn't happen in normal gameplay)
-  if (endPathPos < startPathPos) {
-    console.warn('End position before start in path - unusual case');
-    return generateMovementPath(fromPosition, toPosition, boardSize);
-  }
+  // End before start is a move being taken back - walk the same cells in reverse
+  const direction = endPathPos < startPathPos ? -1 : 1;
 
   // Include each cell from start to end
-  for (let pathPos = startPathPos; pathPos <= endPathPos; pathPos++) {
+  for (let pathPos = startPathPos; pathPos !== endPathPos + direction; pathPos += direction) {
     const cellCoords = colorPath.get(pathPos);
     if (cellCoords) {
       const pixelCoords = backendToPixel(cellCoords.row, cellCoords.col, boardSize);
@@ -663,6 +702,10 @@ const coordinateUtils = {
   pixelToBackend,
   gridToPixel,
   getGamePath,
+  getColorPath,
+  getPathIndex,
+  getPathPosition,
+  getFinishIndex,
   isHomePosition,
   isSafePosition,
   getHomeColor,
@@ -0,0 +1,327 @@
+// src/services/AchievementTracker.js
+
+import eventBus from '../utils/EventBus';
+import gameService from './GameService';
+import PlayerIdentity from '../utils/PlayerIdentity';
+import { ACHIEVEMENTS, getAchievement } from '../utils/achievements';
+import { TakebackHistory, RollFilter } from '../utils/trackerHistory';
+
+const ACHIEVEMENTS_KEY = 'ludo_achievements';
+
+// Last place only counts once the leader is this far ahead (share of the way home)
+const COMEBACK_MIN_GAP = 0.1;
+
+/**
+ * AchievementTracker - Unlocks badges (utils/achievements.js) for this
+ * device's player from the game's eventBus traffic
+ *
+ * Saved next to the player ID (PlayerIdentity storage):
+ * {
+ *   unlocked: { achievementId: timestamp },
+ *   counters: { gamesFinished, wins, captures }
+ * }
+ *
+ * Spectated games don't count. A takeback restores the counters (and
+ * badges) from before the moves it reverses, so undo can't farm them.
+ *
+ * Emits:
+ * - achievement.unlocked  { achievement, unlockedAt }
+ */
+class AchievementTracker {
+  constructor() {
+    this.data = this.load();
+    this.active = false;
+    this.resetGame();
+
+    this.setupListeners();
+
+    console.log('🏅 AchievementTracker initialized');
+  }
+
+  // =========================================================================
+  // EVENT LISTENER SETUP
+  // =========================================================================
+
+  setupListeners() {
+    eventBus.subscribe('lobby.game.created', () => this.startGame());
+    eventBus.subscribe('lobby.game.joined', () => this.startGame());
+    eventBus.subscribe('game.rematch.started', () => this.startGame());
+    eventBus.subscribe('lobby.game.watching', () => {
+      this.active = false;
+    });
+
+    eventBus.subscribe('dice.updated', (data) => this.handleDice(data.new));
+
+    eventBus.subscribe('pieces.moved', (data) => {
+      this.game.rolls.reset();
+      // A takeback plays moves backwards - put the counts back as they were
+      if (data.takeback) {
+        this.restoreSnapshot(gameService.getCurrentState()?.pieces);
+      } else {
+        this.saveSnapshot();
+        this.handleMovements(data.movements);
+      }
+    });
+
+    eventBus.subscribe('turn.changed', () => this.game.rolls.reset());
+
+    eventBus.subscribe('game.state.updated', (data) => {
+      if (data.newState) {
+        this.handleStateUpdate(data.newState);
+      }
+    });
+
+    eventBus.subscribe('stats.updated', (data) => this.handleStats(data.players));
+
+    eventBus.subscribe('game.ended', (data) => this.handleGameEnded(data));
+  }
+
+  startGame() {
+    this.active = true;
+    this.resetGame();
+  }
+
+  resetGame() {
+    this.game = {
+      myId: null,
+      myColors: [],
+      turnPlayerId: null,
+      lastPieces: null, // Board before the state being processed
+      history: new TakebackHistory(),
+      rolls: new RollFilter(),
+      doubleSixes: 0,
+      captures: 0,
+      piecesLost: 0,
+      wasLast: false,
+      ended: false
+    };
+  }
+
+  // =========================================================================
+  // TRACKING
+  // =========================================================================
+
+  /**
+   * Our seat is whoever this client plays as when the game is first seen
+   */
+  handleStateUpdate(state) {
+    if (!this.active) return;
+
+    if (!this.game.myId) {
+      const me = (state.players || []).find(player => player.id === gameService.getSessionId());
+      if (me) {
+        this.game.myId = me.id;
+        this.game.myColors = [me.color, ...(me.colors || [])]
+          .filter(Boolean)
+          .map(color => String(color).toLowerCase());
+      }
+    }
+
+    // Rolls shown by the next state belong to whoever is on turn now
+    this.game.turnPlayerId = state.currentPlayerId;
+    this.game.lastPieces = state.pieces || null;
+  }
+
+  handleDice(dice) {
+    if (!this.isTracking() || !dice) return;
+
+    // Dice cleared between rolls
+    if (!(dice.die1 > 0 && dice.die2 > 0)) {
+      this.game.rolls.reset();
+      return;
+    }
+
+    if (!this.game.rolls.isNewRoll(dice)) return;
+
+    if (dice.die1 !== 6 || dice.die2 !== 6 || this.game.turnPlayerId !== this.game.myId) return;
+
+    this.game.doubleSixes += 1;
+    if (this.game.doubleSixes >= 3) {
+      this.unlock('boxcars');
+    }
+  }
+
+  /**
+   * Pieces knocked back home are captures by whoever moved
+   */
+  handleMovements(movements = []) {
+    if (!this.isTracking()) return;
+
+    const isSentHome = (movement) => movement.toState?.atHome && !movement.fromState?.atHome;
+    const captured = movements.filter(isSentHome);
+    if (captured.length === 0) return;
+
+    const mover = movements.find(movement => !isSentHome(movement));
+    const capturedByMe = mover ? this.isMine(mover.color) : this.game.turnPlayerId === this.game.myId;
+
+    captured.forEach(movement => {
+      if (this.isMine(movement.color)) {
+        this.game.piecesLost += 1;
+      } else if (capturedByMe) {
+        this.game.captures += 1;
+        this.addToCounter('captures', 1);
+      }
+    });
+
+    if (this.game.captures > 0) this.unlock('first-capture');
+    if (this.game.captures >= 3) this.unlock('hat-trick');
+    this.checkMilestones();
+  }
+
+  /**
+   * Remember if we've been clearly last at any point
+   */
+  handleStats(players = []) {
+    if (!this.isTracking() || this.game.wasLast || players.length < 2) return;
+
+    const mine = players.find(stats => stats.playerId === this.game.myId);
+    if (!mine) return;
+
+    const others = players.filter(stats => stats !== mine);
+    const isLast = others.every(stats => stats.progress > mine.progress);
+    const leader = Math.max(...others.map(stats => stats.progress));
+
+    if (isLast && leader - mine.progress >= COMEBACK_MIN_GAP) {
+      this.game.wasLast = true;
+    }
+  }
+
+  handleGameEnded({ winner, winnerTeam }) {
+    if (!this.isTracking()) return;
+
+    this.game.ended = true;
+
+    const winnerColors = winnerTeam || (winner ? [String(winner).toLowerCase()] : []);
+    const won = this.game.myColors.some(color => winnerColors.includes(color));
+
+    this.addToCounter('gamesFinished', 1);
+
+    if (won) {
+      this.addToCounter('wins', 1);
+      this.unlock('first-win');
+      if (this.game.piecesLost === 0) this.unlock('untouchable');
+      if (this.game.wasLast) this.unlock('comeback');
+    }
+
+    this.checkMilestones();
+  }
+
+  isTracking() {
+    return this.active && !this.game.ended && Boolean(this.game.myId) && !gameService.isSpectating();
+  }
+
+  isMine(color) {
+    return this.game.myColors.includes(String(color).toLowerCase());
+  }
+
+  // =========================================================================
+  // TAKEBACKS
+  // =========================================================================
+
+  /**
+   * Copy this game's counts and the saved badges before a move
+   */
+  saveSnapshot() {
+    if (!this.isTracking() || !this.game.lastPieces) return;
+
+    this.game.history.save(this.game.lastPieces, {
+      captures: this.game.captures,
+      piecesLost: this.game.piecesLost,
+      counters: { ...this.data.counters },
+      unlocked: { ...this.data.unlocked }
+    });
+  }
+
+  /**
+   * Back to the counts and badges of the board the takeback returned to
+   */
+  restoreSnapshot(pieces) {
+    if (!this.isTracking() || !pieces) return;
+
+    const snapshot = this.game.history.restore(pieces);
+    if (!snapshot) return;
+
+    this.game.captures = snapshot.captures;
+    this.game.piecesLost = snapshot.piecesLost;
+    this.data.counters = snapshot.counters;
+    this.data.unlocked = snapshot.unlocked;
+    this.save();
+  }
+
+  // =========================================================================
+  // UNLOCKING
+  // =========================================================================
+
+  addToCounter(name, amount) {
+    this.data.counters[name] = (this.data.counters[name] || 0) + amount;
+    this.save();
+  }
+
+  checkMilestones() {
+    ACHIEVEMENTS
+      .filter(achievement => achievement.counter)
+      .forEach(achievement => {
+        if ((this.data.counters[achievement.counter] || 0) >= achievement.goal) {
+          this.unlock(achievement.id);
+        }
+      });
+  }
+
+  unlock(id) {
+    if (this.data.unlocked[id]) return;
+
+    const achievement = getAchievement(id);
+    if (!achievement) return;
+
+    const unlockedAt = Date.now();
+    this.data.unlocked[id] = unlockedAt;
+    this.save();
+
+    console.log('🏅 Achievement unlocked:', achievement.title);
+    eventBus.emit('achievement.unlocked', { achievement, unlockedAt });
+  }
+
+  // =========================================================================
+  // STORAGE
+  // =========================================================================
+
+  load() {
+    try {
+      const saved = JSON.parse(PlayerIdentity.getStorage().getItem(ACHIEVEMENTS_KEY));
+      return {
+        unlocked: { ...saved?.unlocked },
+        counters: { ...saved?.counters }
+      };
+    } catch (error) {
+      return { unlocked: {}, counters: {} };
+    }
+  }
+
+  save() {
+    PlayerIdentity.getStorage().setItem(ACHIEVEMENTS_KEY, JSON.stringify(this.data));
+  }
+
+  // =========================================================================
+  // QUERIES
+  // =========================================================================
+
+  /**
+   * Every achievement with when it was unlocked (or null) and milestone progress
+   */
+  getAchievements() {
+    return ACHIEVEMENTS.map(achievement => ({
+      ...achievement,
+      unlockedAt: this.data.unlocked[achievement.id] || null,
+      progress: achievement.counter
+        ? Math.min(achievement.goal, this.data.counters[achievement.counter] || 0)
+        : null
+    }));
+  }
+
+  getUnlockedCount() {
+    return ACHIEVEMENTS.filter(achievement => this.data.unlocked[achievement.id]).length;
+  }
+}
+
+const achievementTracker = new AchievementTracker();
+export default achievementTracker;
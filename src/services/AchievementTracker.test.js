@@ -0,0 +1,153 @@
+// src/services/AchievementTracker.test.js
+
+import eventBus from '../utils/EventBus';
+import achievementTracker from './AchievementTracker';
+
+jest.mock('./GameService', () => ({
+  __esModule: true,
+  default: {
+    getSessionId: () => 'me',
+    isSpectating: () => false,
+    getCurrentState: () => mockGame.state
+  }
+}));
+
+const mockGame = { state: null };
+
+const PLAYERS = [
+  { id: 'me', color: 'RED' },
+  { id: 'them', color: 'GREEN' }
+];
+
+function updateState(currentPlayerId = 'me', pieces = []) {
+  mockGame.state = { players: PLAYERS, currentPlayerId, pieces };
+  eventBus.emit('game.state.updated', { newState: mockGame.state });
+}
+
+function roll(die1, die2) {
+  eventBus.emit('dice.updated', { new: { die1, die2 } });
+}
+
+function capture(moverColor, victimColor) {
+  eventBus.emit('pieces.moved', {
+    movements: [
+      { color: moverColor, fromState: { atHome: false }, toState: { atHome: false } },
+      { color: victimColor, fromState: { atHome: false }, toState: { atHome: true } }
+    ]
+  });
+}
+
+function endGame(winner) {
+  eventBus.emit('game.ended', { winner });
+}
+
+function unlocked() {
+  return Object.keys(achievementTracker.data.unlocked);
+}
+
+beforeEach(() => {
+  achievementTracker.data = { unlocked: {}, counters: {} };
+  eventBus.emit('lobby.game.created');
+  updateState();
+});
+
+describe('AchievementTracker', () => {
+  it('unlocks First Blood and Hat Trick for our captures', () => {
+    const toasts = [];
+    const unsubscribe = eventBus.subscribe('achievement.unlocked', data => toasts.push(data.achievement.id));
+
+    capture('RED', 'GREEN');
+    expect(unlocked()).toEqual(['first-capture']);
+
+    capture('RED', 'GREEN');
+    capture('RED', 'GREEN');
+    expect(unlocked()).toContain('hat-trick');
+    expect(toasts).toEqual(['first-capture', 'hat-trick']);
+    expect(achievementTracker.data.counters.captures).toBe(3);
+
+    unsubscribe();
+  });
+
+  it('does not count captures made by opponents', () => {
+    capture('GREEN', 'RED');
+
+    expect(unlocked()).toEqual([]);
+    expect(achievementTracker.game.piecesLost).toBe(1);
+  });
+
+  it('unlocks Boxcars for three double sixes on our turns, counting each roll once', () => {
+    roll(6, 6);
+    roll(6, 6); // Same roll seen again through the state diff
+    eventBus.emit('turn.changed');
+    roll(6, 6);
+    expect(unlocked()).toEqual([]);
+
+    eventBus.emit('turn.changed');
+    updateState('them');
+    roll(6, 6);
+    expect(unlocked()).toEqual([]);
+
+    updateState('me');
+    eventBus.emit('turn.changed');
+    roll(6, 6);
+    expect(unlocked()).toEqual(['boxcars']);
+  });
+
+  it('unlocks Untouchable for a win without losing a piece', () => {
+    endGame('RED');
+
+    expect(unlocked()).toEqual(expect.arrayContaining(['first-win', 'untouchable']));
+    expect(achievementTracker.data.counters).toMatchObject({ gamesFinished: 1, wins: 1 });
+  });
+
+  it('only counts the finished game after a loss', () => {
+    capture('GREEN', 'RED');
+    endGame('GREEN');
+
+    expect(unlocked()).toEqual([]);
+    expect(achievementTracker.data.counters).toEqual({ gamesFinished: 1 });
+  });
+
+  it('unlocks Comeback Kid for winning after being clearly last', () => {
+    eventBus.emit('stats.updated', {
+      players: [{ playerId: 'me', progress: 0.1 }, { playerId: 'them', progress: 0.5 }]
+    });
+    capture('GREEN', 'RED');
+    endGame('RED');
+
+    expect(unlocked()).toContain('comeback');
+    expect(unlocked()).not.toContain('untouchable');
+  });
+
+  it('unlocks milestones once their counter reaches the goal', () => {
+    achievementTracker.data.counters = { wins: 9, gamesFinished: 9 };
+
+    endGame('RED');
+
+    expect(unlocked()).toEqual(expect.arrayContaining(['champion', 'veteran']));
+    expect(achievementTracker.getAchievements().find(a => a.id === 'champion').progress).toBe(10);
+  });
+
+  it('takes back the counts and badges of an undone capture', () => {
+    const board = [{ id: 'R1', color: 'RED', position: { row: 6, col: 1 } }];
+    updateState('me', board);
+
+    capture('RED', 'GREEN');
+    expect(unlocked()).toEqual(['first-capture']);
+
+    mockGame.state = { ...mockGame.state, pieces: board };
+    eventBus.emit('pieces.moved', { takeback: true, movements: [] });
+
+    expect(unlocked()).toEqual([]);
+    expect(achievementTracker.data.counters.captures).toBeUndefined();
+    expect(achievementTracker.game.captures).toBe(0);
+  });
+
+  it('ignores games we only watch', () => {
+    eventBus.emit('lobby.game.watching');
+    capture('RED', 'GREEN');
+    endGame('RED');
+
+    expect(unlocked()).toEqual([]);
+  });
+});
@@ -0,0 +1,194 @@
+// src/services/ChatService.js
+
+import eventBus from '../utils/EventBus';
+import gameService from './GameService';
+import { getPlayerAvatar, normalizeAvatar } from '../utils/playerProfile';
+
+// Limits applied before anything is sent
+const CHAT_CONFIG = {
+  maxLength: 120,       // Characters per message
+  maxMessages: 5,       // Messages allowed...
+  windowMs: 10000,      // ...within this window
+  emoteCooldown: 2000,  // Minimum gap between quick emotes
+  historySize: 50       // Messages kept for panels that open later
+};
+
+export const QUICK_EMOTES = ['Nice!', 'Ouch', 'GG'];
+
+/**
+ * ChatService - In-game chat and quick emotes
+ *
+ * Sends through GameService (STOMP /app/game.chat and /app/game.emote, or
+ * the local engine), rate limits outgoing messages, drops messages from
+ * muted players and keeps a short history for the chat panels.
+ *
+ * Emits:
+ * - chat.message       { id, type, playerId, playerName, avatar, text, own, timestamp }
+ * - chat.emote         same shape, for quick emotes (also sent as chat.message)
+ * - chat.rate.limited  { message }
+ * - chat.mute.changed  { playerId, playerName, muted }
+ * - chat.cleared
+ */
+class ChatService {
+  constructor() {
+    this.history = [];
+    this.sentTimestamps = [];
+    this.lastEmoteAt = 0;
+    this.mutedPlayerIds = new Set();
+    this.nextId = 1;
+
+    this.setupListeners();
+
+    console.log('💬 ChatService initialized');
+  }
+
+  // =========================================================================
+  // EVENT LISTENER SETUP
+  // =========================================================================
+
+  setupListeners() {
+    eventBus.subscribe('chat.received', (data) => this.handleIncoming(data));
+
+    // Each game starts with an empty chat
+    eventBus.subscribe('lobby.game.created', () => this.clear());
+    eventBus.subscribe('lobby.game.joined', () => this.clear());
+    eventBus.subscribe('game.left', () => this.clear());
+  }
+
+  // =========================================================================
+  // SENDING
+  // =========================================================================
+
+  /**
+   * Send a chat line
+   * @returns {boolean} True if it was sent
+   */
+  sendMessage(text) {
+    const message = String(text || '').trim().slice(0, CHAT_CONFIG.maxLength);
+    if (!message || !gameService.getCurrentGameId()) return false;
+
+    if (this.isRateLimited()) {
+      eventBus.emit('chat.rate.limited', {
+        message: 'Slow down! Try again in a few seconds.'
+      });
+      return false;
+    }
+
+    this.sentTimestamps.push(Date.now());
+    gameService.sendChatMessage(message);
+    return true;
+  }
+
+  /**
+   * Send one of the QUICK_EMOTES
+   * @returns {boolean} True if it was sent
+   */
+  sendEmote(emote) {
+    if (!QUICK_EMOTES.includes(emote) || !gameService.getCurrentGameId()) return false;
+
+    const now = Date.now();
+    if (now - this.lastEmoteAt < CHAT_CONFIG.emoteCooldown || this.isRateLimited()) {
+      eventBus.emit('chat.rate.limited', {
+        message: 'Slow down! Try again in a few seconds.'
+      });
+      return false;
+    }
+
+    this.lastEmoteAt = now;
+    this.sentTimestamps.push(now);
+    gameService.sendEmote(emote);
+    return true;
+  }
+
+  /**
+   * Sliding window over the messages and emotes sent recently
+   */
+  isRateLimited() {
+    const cutoff = Date.now() - CHAT_CONFIG.windowMs;
+    this.sentTimestamps = this.sentTimestamps.filter(time => time > cutoff);
+    return this.sentTimestamps.length >= CHAT_CONFIG.maxMessages;
+  }
+
+  // =========================================================================
+  // RECEIVING
+  // =========================================================================
+
+  handleIncoming(data) {
+    if (!data || !data.text) return;
+    if (this.isMuted(data.playerId)) return;
+
+    const entry = {
+      id: this.nextId++,
+      type: data.type === 'emote' ? 'emote' : 'message',
+      playerId: data.playerId,
+      playerName: data.playerName || 'Player',
+      avatar: normalizeAvatar(data.avatar) || this.getSenderAvatar(data.playerId),
+      text: String(data.text).slice(0, CHAT_CONFIG.maxLength),
+      own: data.playerId === gameService.getSessionId(),
+      timestamp: data.timestamp || Date.now()
+    };
+
+    this.history.push(entry);
+    if (this.history.length > CHAT_CONFIG.historySize) {
+      this.history.shift();
+    }
+
+    eventBus.emit('chat.message', entry);
+    if (entry.type === 'emote') {
+      eventBus.emit('chat.emote', entry);
+    }
+  }
+
+  /**
+   * Avatar of the sender as listed in the game state (bots and unknowns get a default)
+   */
+  getSenderAvatar(playerId) {
+    const player = gameService.getCurrentState()?.players?.find(p => p.id === playerId);
+    return getPlayerAvatar(player);
+  }
+
+  // =========================================================================
+  // MUTING
+  // =========================================================================
+
+  isMuted(playerId) {
+    return this.mutedPlayerIds.has(playerId);
+  }
+
+  setMuted(playerId, muted, playerName = '') {
+    if (!playerId || playerId === gameService.getSessionId()) return;
+
+    if (muted) {
+      this.mutedPlayerIds.add(playerId);
+      // Hide what they already said too
+      this.history = this.history.filter(entry => entry.playerId !== playerId);
+    } else {
+      this.mutedPlayerIds.delete(playerId);
+    }
+
+    console.log(`💬 ${muted ? 'Muted' : 'Unmuted'} player:`, playerName || playerId);
+    eventBus.emit('chat.mute.changed', { playerId, playerName, muted });
+  }
+
+  toggleMute(playerId, playerName = '') {
+    this.setMuted(playerId, !this.isMuted(playerId), playerName);
+  }
+
+  // =========================================================================
+  // HISTORY
+  // =========================================================================
+
+  getHistory() {
+    return [...this.history];
+  }
+
+  clear() {
+    this.history = [];
+    this.sentTimestamps = [];
+    this.lastEmoteAt = 0;
+    eventBus.emit('chat.cleared');
+  }
+}
+
+const chatService = new ChatService();
+export default chatService;
@@ -1,7 +1,20 @@
 // src/services/GameService.js
 
 import webSocketService from './WebSocketService';
+import localGameEngine from './LocalGameEngine';
 import eventBus from '../utils/EventBus';
+import { DEFAULT_HOUSE_RULES, normalizeHouseRules } from '../utils/houseRules';
+import {
+  extractMoveOptions,
+  normalizeMoveOption,
+  createMoveOptionFromText,
+  resolveMoveOptions
+} from '../utils/moveOptions';
+import { areOpponents } from '../utils/ludoRules';
+import { getBestMove } from '../utils/moveHints';
+
+// Online, a takeback can be asked for this long after our own move
+const TAKEBACK_WINDOW_MS = 5000;
 
 /**
  * GameService - Game state manager and diff calculator
@@ -10,14 +23,30 @@ import eventBus from '../utils/EventBus';
  * - Store current game state (single source of truth)
  * - Calculate diffs between state changes
  * - Emit granular events (pieces.moved, dice.updated, etc.)
- * - Parse move options with animation delay
+ * - Build structured move options (payload data or text fallback) with animation delay
  * - Provide action methods for UI components
+ * - Route actions to the server or the in-browser LocalGameEngine
+ * - Watch server games read-only as a spectator
+ * - Collect rematch votes and reset in place when the rematch starts
+ * - Ask to take back our last move (approved by the table online, instant
+ *   and multi-step in local games)
+ * - Suggest the best move on offer (unrated games only)
  */
 class GameService {
   constructor() {
     this.currentState = null;
     this.isConnected = false;
     this.currentGameId = null;
+    this.currentMoveOptions = [];
+    this.spectatorCount = 0;
+    this.houseRules = null; // Rules of the current game, once known
+    this.rematch = null; // { status, requestedBy, rotate, votes: { playerId: accepted } }
+    this.takeback = null; // { status, requestedBy, votes: { playerId: accepted }, message }
+    this.lastChoiceAt = null; // When we last sent a move (opens the takeback window)
+    this.rollingBack = false; // The next state undoes a move
+
+    // Server by default; swapped for localGameEngine during offline games
+    this.transport = webSocketService;
     
     this.initializeWebSocketListeners();
     
@@ -37,13 +66,47 @@ class GameService {
     });
 
     eventBus.subscribe('websocket.disconnected', () => {
+      if (this.isLocalGame()) return;
+
       this.isConnected = false;
       this.currentState = null;
       this.currentGameId = null;
+      this.currentMoveOptions = [];
       console.log('🎮 GameService: WebSocket disconnected');
       eventBus.emit('game.connection.lost');
     });
 
+    // Reconnection events - state is kept so the game can be resumed
+    eventBus.subscribe('websocket.connection.dropped', (data) => {
+      if (this.isLocalGame()) return;
+
+      this.isConnected = false;
+      console.log('🎮 GameService: Connection dropped, keeping state for resume');
+      eventBus.emit('game.connection.lost', data);
+    });
+
+    eventBus.subscribe('websocket.reconnecting', (data) => {
+      if (this.isLocalGame()) return;
+      eventBus.emit('game.connection.reconnecting', data);
+    });
+
+    eventBus.subscribe('websocket.reconnect.failed', (data) => {
+      if (this.isLocalGame()) return;
+      eventBus.emit('game.connection.failed', data);
+    });
+
+    eventBus.subscribe('websocket.session.resumed', (data) => {
+      this.handleSessionResumed(data);
+    });
+
+    eventBus.subscribe('websocket.session.expired', (data) => {
+      this.currentState = null;
+      this.currentGameId = null;
+      this.currentMoveOptions = [];
+      console.log('🎮 GameService: Game session expired:', data.gameId);
+      eventBus.emit('game.session.expired', data);
+    });
+
     eventBus.subscribe('websocket.error', (data) => {
       console.error('🎮 GameService: WebSocket error', data);
       eventBus.emit('game.error', data);
@@ -83,6 +146,42 @@ class GameService {
       console.log('🎮 GameService: Joined game:', data.gameId);
       eventBus.emit('lobby.game.joined', data);
     });
+
+    eventBus.subscribe('game.watching', (data) => {
+      this.handleWatchingGame(data);
+    });
+
+    eventBus.subscribe('game.spectators', (data) => {
+      this.setSpectatorCount(data.count);
+    });
+
+    eventBus.subscribe('game.countdown', (data) => {
+      console.log('🎮 GameService: Start countdown:', data.seconds);
+      eventBus.emit('lobby.countdown', { seconds: data.seconds });
+    });
+
+    eventBus.subscribe('game.rematch', (data) => {
+      this.handleRematch(data);
+    });
+
+    eventBus.subscribe('game.takeback', (data) => {
+      this.handleTakeback(data);
+    });
+
+    eventBus.subscribe('game.left', () => {
+      this.currentState = null;
+      this.currentGameId = null;
+      this.currentMoveOptions = [];
+      this.spectatorCount = 0;
+      this.setHouseRules(null);
+      this.setRematch(null);
+      this.resetTakeback();
+
+      // Offline game over - go back to the server for the next one
+      if (this.isLocalGame()) {
+        this.useTransport(webSocketService);
+      }
+    });
   }
 
   // =========================================================================
@@ -95,7 +194,7 @@ class GameService {
   handlePersonalResponse(response) {
     console.log('🎮 GameService: Personal response:', response.type);
 
-    if (response.success && response.data) {
+    if (response.success && this.isGameStatePayload(response.data)) {
       this.updateGameState(response.data);
     }
 
@@ -110,11 +209,13 @@ class GameService {
       case 'GAME_MESSAGE':
         eventBus.emit('game.message', response);
         break;
-      case 'MOVE_OPTIONS':
-        // Parse move options with delay for animations
-        if (this.isMoveOptionsMessage(response.message)) {
-          const moveOptions = this.parseMoveOptions(response.message);
-          
+      case 'MOVE_OPTIONS': {
+        // Build move options with delay for animations
+        const moveOptions = this.buildMoveOptions(response);
+
+        if (moveOptions.length > 0) {
+          this.currentMoveOptions = moveOptions;
+
           console.log('🎮 GameService: Delaying move options for animation');
           setTimeout(() => {
             console.log('🎮 GameService: Emitting move options after delay');
@@ -128,6 +229,7 @@ class GameService {
           eventBus.emit('game.input.required', response);
         }
         break;
+      }
       default:
         eventBus.emit('game.response', response);
     }
@@ -195,6 +297,130 @@ class GameService {
     eventBus.emit('game.player.update', event);
   }
 
+  /**
+   * Back in the game after a reconnect - refresh state from the server
+   */
+  handleSessionResumed({ gameId, response }) {
+    console.log('🎮 GameService: Game session resumed:', gameId);
+
+    // Options offered before the drop are no longer valid
+    this.currentMoveOptions = [];
+
+    if (response?.success && this.isGameStatePayload(response.data)) {
+      this.updateGameState(response.data);
+    } else {
+      this.requestGameState();
+    }
+
+    eventBus.emit('game.session.resumed', { gameId, message: response?.message });
+  }
+
+  /**
+   * Server accepted us as a spectator - show the game as it is now
+   */
+  handleWatchingGame({ gameId, response }) {
+    this.currentGameId = gameId;
+    this.currentMoveOptions = [];
+    console.log('🎮 GameService: Watching game:', gameId);
+
+    const data = response?.data;
+    const state = this.isGameStatePayload(data?.gameState) ? data.gameState : data;
+
+    if (typeof data?.spectatorCount === 'number') {
+      this.setSpectatorCount(data.spectatorCount);
+    }
+
+    eventBus.emit('lobby.game.watching', { gameId, response });
+
+    if (this.isGameStatePayload(state)) {
+      this.updateGameState(state);
+    } else {
+      this.requestGameState();
+    }
+  }
+
+  /**
+   * Rematch votes changed - once it starts, everyone who accepted is moved
+   * to the new game without leaving the scene
+   */
+  handleRematch(rematch) {
+    console.log('🎮 GameService: Rematch', rematch.status, rematch.gameId);
+
+    if (rematch.status !== 'started' || !rematch.joined) {
+      this.setRematch(rematch);
+      return;
+    }
+
+    const previousGameId = this.currentGameId;
+
+    // The first state of the new game arrives with no old state to diff against
+    this.currentState = null;
+    this.currentGameId = rematch.gameId;
+    this.currentMoveOptions = [];
+    this.setRematch(null);
+    this.resetTakeback();
+
+    eventBus.emit('game.rematch.started', {
+      gameId: rematch.gameId,
+      previousGameId,
+      rotate: Boolean(rematch.rotate)
+    });
+  }
+
+  setRematch(rematch) {
+    if (!rematch && !this.rematch) return;
+
+    this.rematch = rematch ? { ...rematch, votes: { ...(rematch.votes || {}) } } : null;
+    eventBus.emit('rematch.updated', { rematch: this.getRematch() });
+  }
+
+  /**
+   * Takeback votes changed - once accepted, the state that follows is the
+   * rolled-back one
+   */
+  handleTakeback(takeback) {
+    console.log('🎮 GameService: Takeback', takeback.status);
+
+    if (takeback.status === 'accepted') {
+      this.rollingBack = true;
+      this.lastChoiceAt = null;
+      this.currentMoveOptions = [];
+    }
+
+    this.setTakeback(takeback);
+  }
+
+  setTakeback(takeback) {
+    if (!takeback && !this.takeback) return;
+
+    this.takeback = takeback ? { ...takeback, votes: { ...(takeback.votes || {}) } } : null;
+    eventBus.emit('takeback.updated', { takeback: this.getTakeback() });
+  }
+
+  resetTakeback() {
+    this.lastChoiceAt = null;
+    this.rollingBack = false;
+    this.setTakeback(null);
+  }
+
+  setSpectatorCount(count) {
+    if (count === this.spectatorCount) return;
+
+    this.spectatorCount = count;
+    eventBus.emit('spectators.updated', { count });
+  }
+
+  /**
+   * Remember the current game's house rules and tell the UI when they change
+   */
+  setHouseRules(rules) {
+    const next = rules ? normalizeHouseRules(rules) : null;
+    if (JSON.stringify(next) === JSON.stringify(this.houseRules)) return;
+
+    this.houseRules = next;
+    eventBus.emit('game.rules.updated', { rules: next });
+  }
+
   // =========================================================================
   // STATE MANAGEMENT
   // =========================================================================
@@ -204,7 +430,17 @@ class GameService {
    */
   updateGameState(newState) {
     const oldState = this.currentState;
+    const takeback = this.rollingBack;
     this.currentState = newState;
+    this.rollingBack = false;
+
+    if (typeof newState.spectatorCount === 'number') {
+      this.setSpectatorCount(newState.spectatorCount);
+    }
+
+    if (newState.rules) {
+      this.setHouseRules(newState.rules);
+    }
 
     console.log('🎮 GameService: Shared state updated', {
       currentPlayer: newState.currentPlayerName,
@@ -213,20 +449,22 @@ class GameService {
     });
 
     // Emit granular state change events
-    this.emitStateChangeEvents(oldState, newState);
+    this.emitStateChangeEvents(oldState, newState, takeback);
 
     // Emit general state update
     eventBus.emit('game.state.updated', {
       oldState,
       newState,
+      takeback,
       timestamp: Date.now()
     });
   }
 
   /**
    * Emit specific events for different types of state changes
+   * @param {boolean} takeback - The new state undoes a move (pieces move backwards)
    */
-  emitStateChangeEvents(oldState, newState) {
+  emitStateChangeEvents(oldState, newState, takeback = false) {
     // Dice changes
     if (!oldState || 
         oldState.dice.die1 !== newState.dice.die1 || 
@@ -244,6 +482,7 @@ class GameService {
       if (movements.length > 0) {
         eventBus.emit('pieces.moved', {
           movements,
+          takeback,
           timestamp: Date.now()
         });
       }
@@ -263,6 +502,7 @@ class GameService {
     if (newState.gameOver && (!oldState || !oldState.gameOver)) {
       eventBus.emit('game.ended', {
         winner: newState.winner,
+        winnerTeam: newState.winnerTeam?.map(color => String(color).toLowerCase()) || null,
         gameStatus: newState.gameStatus,
         timestamp: Date.now()
       });
@@ -307,6 +547,32 @@ class GameService {
   // MOVE OPTIONS PARSING
   // =========================================================================
 
+  /**
+   * Build structured move options for a MOVE_OPTIONS response
+   * Prefers the payload's data, falls back to parsing the message text
+   */
+  buildMoveOptions(response) {
+    const structuredOptions = extractMoveOptions(response.data);
+    let moveOptions = [];
+
+    if (structuredOptions) {
+      moveOptions = structuredOptions.map((option, index) => normalizeMoveOption(option, index));
+    } else if (this.isMoveOptionsMessage(response.message)) {
+      moveOptions = this.parseMoveOptions(response.message);
+    }
+
+    const houseRules = this.houseRules || DEFAULT_HOUSE_RULES;
+    return resolveMoveOptions(moveOptions, this.currentState,
+      (moverColor, color) => areOpponents(moverColor, color, houseRules));
+  }
+
+  /**
+   * Check if response data is a full game state (not just move options)
+   */
+  isGameStatePayload(data) {
+    return Boolean(data && !Array.isArray(data) && (Array.isArray(data.pieces) || data.dice));
+  }
+
   /**
    * Check if message contains move options
    */
@@ -336,22 +602,14 @@ class GameService {
       console.log(`DEBUG: Creating ${end - start + 1} generic options`);
       
       for (let i = start; i <= end; i++) {
-        moves.push({
-          number: i,
-          description: `Game option ${i}`,
-          originalLine: `${i}. Game option ${i}`
-        });
+        moves.push(createMoveOptionFromText(i, `Game option ${i}`, `${i}. Game option ${i}`));
       }
     } else {
       // Detailed format - parse numbered lines
       lines.forEach((line) => {
         const match = line.match(/^(\d+)\.\s*(.+)/);
         if (match) {
-          moves.push({
-            number: parseInt(match[1]),
-            description: match[2].trim(),
-            originalLine: line.trim()
-          });
+          moves.push(createMoveOptionFromText(parseInt(match[1]), match[2].trim(), line.trim()));
         }
       });
     }
@@ -366,27 +624,51 @@ class GameService {
 
   async connect() {
     try {
-      await webSocketService.connect();
+      await this.transport.connect();
       return true;
     } catch (error) {
+      // Already reported through websocket.error -> game.error
       console.error('🎮 GameService: Connection failed', error);
-      eventBus.emit('game.error', { error: 'Connection failed' });
       return false;
     }
   }
 
-  createGame() {
+  /**
+   * Create a game on the server
+   * @param {Object} options - { botLevel, playerCount } to fill seats with bots,
+   *   { rules } house rules for the table
+   */
+  createGame(options = {}) {
+    this.useTransport(webSocketService);
+
     if (!this.isConnected) {
       console.error('🎮 GameService: Cannot create game - not connected');
       eventBus.emit('game.error', { error: 'Not connected to server' });
       return;
     }
 
-    console.log('🎮 GameService: Creating game...');
-    webSocketService.createGame();
+    console.log('🎮 GameService: Creating game...', options.rules);
+
+    // The server echoes rules in its state; until then show what we asked for
+    this.setHouseRules(options.rules || null);
+    webSocketService.createGame(options);
+  }
+
+  /**
+   * Start a pass-and-play game on the in-browser engine (no server needed)
+   * @param {Object} options - { playerCount: 2-4, botLevel, rules }
+   */
+  async createLocalGame(options = {}) {
+    console.log('🎮 GameService: Creating local game...', options);
+
+    this.useTransport(localGameEngine);
+    await localGameEngine.connect();
+    localGameEngine.createGame(options);
   }
 
   joinGame(gameId) {
+    this.useTransport(webSocketService);
+
     if (!this.isConnected) {
       console.error('🎮 GameService: Cannot join game - not connected');
       eventBus.emit('game.error', { error: 'Not connected to server' });
@@ -400,10 +682,41 @@ class GameService {
     }
 
     console.log('🎮 GameService: Joining game:', gameId);
-    webSocketService.joinGame(gameId);
+    this.setHouseRules(null);
+    this.transport.joinGame(gameId);
+  }
+
+  /**
+   * Watch a server game without taking a seat
+   */
+  watchGame(gameId) {
+    this.useTransport(webSocketService);
+
+    if (!this.isConnected) {
+      console.error('🎮 GameService: Cannot watch game - not connected');
+      eventBus.emit('game.error', { error: 'Not connected to server' });
+      return;
+    }
+
+    if (!gameId || gameId.trim() === '') {
+      console.error('🎮 GameService: Cannot watch game - invalid gameId');
+      eventBus.emit('game.error', { error: 'Invalid game ID' });
+      return;
+    }
+
+    console.log('🎮 GameService: Watching game:', gameId);
+    this.currentState = null;
+    this.spectatorCount = 0;
+    this.setHouseRules(null);
+    webSocketService.watchGame(gameId);
   }
 
   rollDice() {
+    if (this.isSpectating()) {
+      console.warn('🎮 GameService: Spectators cannot roll dice');
+      return;
+    }
+
     if (!this.isConnected || !this.currentGameId) {
       console.error('🎮 GameService: Cannot roll dice - not in game');
       eventBus.emit('game.error', { error: 'Not in an active game' });
@@ -411,10 +724,15 @@ class GameService {
     }
 
     console.log('🎮 GameService: Rolling dice...');
-    webSocketService.rollDice();
+    this.transport.rollDice();
   }
 
   selectPiece(pieceIndex) {
+    if (this.isSpectating()) {
+      console.warn('🎮 GameService: Spectators cannot move pieces');
+      return;
+    }
+
     if (!this.isConnected || !this.currentGameId) {
       console.error('🎮 GameService: Cannot select piece - not in game');
       eventBus.emit('game.error', { error: 'Not in an active game' });
@@ -428,7 +746,36 @@ class GameService {
     }
 
     console.log('🎮 GameService: Selecting piece:', pieceIndex);
-    webSocketService.makeChoice(pieceIndex);
+    this.currentMoveOptions = [];
+    this.transport.makeChoice(pieceIndex);
+    this.lastChoiceAt = Date.now();
+    eventBus.emit('game.choice.made', { choice: pieceIndex });
+    eventBus.emit('takeback.updated', { takeback: this.getTakeback() });
+  }
+
+  /**
+   * Send a chat line (rate limiting and mutes live in ChatService)
+   */
+  sendChatMessage(message) {
+    if (this.isSpectating()) return;
+
+    if (!this.isConnected || !this.currentGameId) {
+      console.error('🎮 GameService: Cannot chat - not in game');
+      return;
+    }
+
+    this.transport.sendChatMessage(message);
+  }
+
+  sendEmote(emote) {
+    if (this.isSpectating()) return;
+
+    if (!this.isConnected || !this.currentGameId) {
+      console.error('🎮 GameService: Cannot send emote - not in game');
+      return;
+    }
+
+    this.transport.sendEmote(emote);
   }
 
   requestGameState() {
@@ -438,17 +785,225 @@ class GameService {
     }
 
     console.log('🎮 GameService: Requesting game state...');
-    webSocketService.getGameState();
+    this.transport.getGameState();
+  }
+
+  leaveGame() {
+    if (this.isSpectating()) {
+      webSocketService.stopWatching();
+      return;
+    }
+
+    console.log('🎮 GameService: Leaving game...');
+    this.transport.leaveGame();
   }
 
   disconnect() {
     console.log('🎮 GameService: Disconnecting...');
+    localGameEngine.disconnect();
     webSocketService.disconnect();
+    this.transport = webSocketService;
     this.currentState = null;
     this.currentGameId = null;
+    this.currentMoveOptions = [];
     this.isConnected = false;
   }
 
+  /**
+   * Switch where actions are sent
+   */
+  useTransport(transport) {
+    if (this.transport === transport) return;
+
+    if (this.transport === localGameEngine) {
+      localGameEngine.disconnect();
+    }
+
+    this.transport = transport;
+    this.isConnected = transport.isConnected();
+    console.log(`🎮 GameService: Using ${this.isLocalGame() ? 'local engine' : 'server'}`);
+  }
+
+  // =========================================================================
+  // WAITING ROOM
+  // =========================================================================
+
+  /**
+   * Pick a free color/seat before the game starts
+   * @param {string} color - 'RED', 'GREEN', 'YELLOW' or 'BLUE'
+   */
+  chooseColor(color) {
+    if (this.isSpectating() || this.isLocalGame()) return;
+
+    if (!this.isConnected || !this.currentGameId) {
+      console.error('🎮 GameService: Cannot choose color - not in game');
+      return;
+    }
+
+    console.log('🎮 GameService: Choosing color:', color);
+    this.transport.chooseColor(color);
+  }
+
+  /**
+   * Mark this player ready (or not) - the game starts once every seat is ready
+   */
+  setReady(ready) {
+    if (this.isSpectating() || this.isLocalGame()) return;
+
+    if (!this.isConnected || !this.currentGameId) {
+      console.error('🎮 GameService: Cannot set ready - not in game');
+      return;
+    }
+
+    console.log('🎮 GameService: Ready:', ready);
+    this.transport.setReady(ready);
+  }
+
+  // =========================================================================
+  // HOST CONTROLS
+  // =========================================================================
+
+  /**
+   * Run a host-only waiting room action on the server
+   */
+  sendHostAction(name, send) {
+    if (this.isSpectating() || this.isLocalGame()) return;
+
+    if (!this.isConnected || !this.currentGameId) {
+      console.error(`🎮 GameService: Cannot ${name} - not in game`);
+      return;
+    }
+
+    console.log(`🎮 GameService: Host action: ${name}`);
+    send();
+  }
+
+  kickPlayer(targetId) {
+    this.sendHostAction('kick player', () => this.transport.kickPlayer(targetId));
+  }
+
+  setRoomLocked(locked) {
+    this.sendHostAction(locked ? 'lock room' : 'unlock room', () => this.transport.setRoomLocked(locked));
+  }
+
+  /**
+   * @param {string} botLevel - Level for the bots that fill empty seats
+   */
+  startGameEarly(botLevel) {
+    this.sendHostAction('start early', () => this.transport.startGameEarly(botLevel));
+  }
+
+  transferHost(targetId) {
+    this.sendHostAction('transfer host', () => this.transport.transferHost(targetId));
+  }
+
+  // =========================================================================
+  // REMATCH
+  // =========================================================================
+
+  /**
+   * Ask everyone at the finished game for a rematch (counts as our accept)
+   * @param {Object} options - { rotate } move every player one seat clockwise
+   */
+  requestRematch(options = {}) {
+    if (this.isSpectating()) return;
+
+    if (!this.isConnected || !this.currentGameId || !this.isGameOver()) {
+      console.error('🎮 GameService: Cannot request rematch - game is not over');
+      return;
+    }
+
+    console.log('🎮 GameService: Requesting rematch', options);
+    this.transport.requestRematch(options);
+  }
+
+  voteRematch(accept) {
+    if (this.isSpectating()) return;
+
+    if (!this.isConnected || this.rematch?.status !== 'pending') {
+      console.error('🎮 GameService: Cannot vote - no rematch requested');
+      return;
+    }
+
+    console.log('🎮 GameService: Rematch vote:', accept);
+    this.transport.voteRematch(accept);
+  }
+
+  // =========================================================================
+  // TAKEBACK
+  // =========================================================================
+
+  /**
+   * Ask to undo our last move - local games undo straight away
+   */
+  requestTakeback() {
+    if (!this.canRequestTakeback()) {
+      console.error('🎮 GameService: Cannot request takeback right now');
+      return;
+    }
+
+    console.log('🎮 GameService: Requesting takeback');
+    this.transport.requestTakeback();
+  }
+
+  voteTakeback(accept) {
+    if (this.isSpectating()) return;
+
+    if (!this.isConnected || this.takeback?.status !== 'pending') {
+      console.error('🎮 GameService: Cannot vote - no takeback requested');
+      return;
+    }
+
+    console.log('🎮 GameService: Takeback vote:', accept);
+    this.transport.voteTakeback(accept);
+  }
+
+  /**
+   * Local games can undo any move still in the engine's history; online
+   * only our own last move, inside the takeback window, with no vote open
+   */
+  canRequestTakeback() {
+    if (this.isSpectating() || !this.isConnected || !this.currentGameId || this.isGameOver()) {
+      return false;
+    }
+
+    if (this.isLocalGame()) {
+      return localGameEngine.canUndo();
+    }
+
+    const deadline = this.getTakebackDeadline();
+    return Boolean(deadline && Date.now() < deadline && this.takeback?.status !== 'pending');
+  }
+
+  /**
+   * When the online takeback window closes (null if there's none, or offline)
+   */
+  getTakebackDeadline() {
+    if (this.isLocalGame() || !this.lastChoiceAt) return null;
+    return this.lastChoiceAt + TAKEBACK_WINDOW_MS;
+  }
+
+  // =========================================================================
+  // HINTS
+  // =========================================================================
+
+  /**
+   * Hints are for players in unrated games (house rule) only
+   */
+  areHintsAllowed() {
+    return Boolean(this.houseRules) && !this.houseRules.rated && !this.isSpectating();
+  }
+
+  /**
+   * Best of the moves on offer by the moveHints heuristic
+   * @returns {Object|null} { move, score, reasons, reason }
+   */
+  getMoveHint(moves = this.getAvailableMoves()) {
+    if (!this.areHintsAllowed() || !this.currentState?.pieces) return null;
+
+    return getBestMove(moves, this.currentState.pieces, this.houseRules);
+  }
+
   // =========================================================================
   // GETTERS
   // =========================================================================
@@ -461,6 +1016,10 @@ class GameService {
     return this.currentGameId;
   }
 
+  isReconnecting() {
+    return this.transport.isReconnecting();
+  }
+
   getConnectionStatus() {
     return {
       isConnected: this.isConnected,
@@ -468,22 +1027,71 @@ class GameService {
     };
   }
 
+  /**
+   * ID this client plays as (matches players[].id in the game state)
+   */
+  getSessionId() {
+    return this.transport.getSessionId();
+  }
+
   isMyTurn() {
-    if (!this.currentState) {
+    if (!this.currentState || this.isSpectating()) {
       return false;
     }
     
-    const mySessionId = webSocketService.getSessionId();
+    const mySessionId = this.getSessionId();
     return this.currentState.currentPlayerId === mySessionId;
   }
 
+  /**
+   * Get the structured move options currently offered to this player
+   */
   getAvailableMoves() {
+    if (this.currentMoveOptions.length > 0) {
+      return this.currentMoveOptions;
+    }
     return this.currentState?.availableMoves || [];
   }
 
+  isLocalGame() {
+    return this.transport === localGameEngine;
+  }
+
+  /**
+   * True while watching a game instead of playing in it
+   */
+  isSpectating() {
+    return !this.isLocalGame() && webSocketService.isSpectating();
+  }
+
+  getSpectatorCount() {
+    return this.spectatorCount;
+  }
+
+  /**
+   * House rules of the current game (null if unknown)
+   */
+  getHouseRules() {
+    return this.houseRules;
+  }
+
   isGameOver() {
     return this.currentState?.gameOver || false;
   }
+
+  /**
+   * Rematch being voted on (or cancelled) for the finished game, or null
+   */
+  getRematch() {
+    return this.rematch ? { ...this.rematch, votes: { ...this.rematch.votes } } : null;
+  }
+
+  /**
+   * Takeback being voted on (or just decided), or null
+   */
+  getTakeback() {
+    return this.takeback ? { ...this.takeback, votes: { ...this.takeback.votes } } : null;
+  }
 }
 
 // Create singleton instance
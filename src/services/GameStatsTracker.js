@@ -0,0 +1,398 @@
+// src/services/GameStatsTracker.js
+
+import eventBus from '../utils/EventBus';
+import gameService from './GameService';
+import { RULES, countFinishedPieces, getPieceColor, getPiecePathIndex } from '../utils/ludoRules';
+import { TakebackHistory, RollFilter } from '../utils/trackerHistory';
+import { getFinishIndex } from '../pixi/utils/coordinateUtils';
+
+/**
+ * GameStatsTracker - Per-player statistics built from GameService's state diffs
+ *
+ * Counts are kept for the current game until the next one starts, so they
+ * can be read after game over:
+ * {
+ *   playerId, playerName, colors: ['red'],
+ *   moves,              // Pieces moved (a roll using both dice is two moves)
+ *   capturesMade,       // Opponent pieces sent home
+ *   capturesSuffered,   // Own pieces sent home
+ *   rolls, sixes,       // Dice rolled / dice showing a six
+ *   doubles,            // Rolls with both dice equal
+ *   piecesFinished,     // Pieces at the finish right now
+ *   distance,           // Steps travelled along COLOR_PATHS
+ *   decisions,          // Moves timed from the roll (or previous move)...
+ *   averageDecisionTime,// ...and their average in ms, null until the first
+ *   progress            // 0-1, share of the way home across all their pieces
+ * }
+ *
+ * For the post-game summary it also keeps a progress timeline
+ * ({ t, progress: { playerId: 0-1 } } after every move, t in ms since the
+ * start) and a log of captures with how far the captured piece had come.
+ *
+ * A takeback puts everything back as it was before the moves it reverses.
+ *
+ * Emits:
+ * - stats.updated  { gameId, players: [stats] }
+ */
+class GameStatsTracker {
+  constructor() {
+    this.gameId = null;
+    this.startedAt = null;
+    this.endedAt = null;
+    this.players = new Map(); // playerId -> stats
+    this.timeline = [];
+    this.captures = [];
+    this.winner = null;
+    this.winnerTeam = null;
+
+    // Player on turn as of the last processed state - rolls are theirs
+    this.turnPlayerId = null;
+    this.rolls = new RollFilter();
+    this.pendingDecision = null; // { playerId, since }
+    this.history = new TakebackHistory(); // Stats before each move
+
+    this.setupListeners();
+
+    console.log('📊 GameStatsTracker initialized');
+  }
+
+  // =========================================================================
+  // EVENT LISTENER SETUP
+  // =========================================================================
+
+  setupListeners() {
+    eventBus.subscribe('lobby.game.created', (data) => this.start(data.gameId));
+    eventBus.subscribe('lobby.game.joined', (data) => this.start(data.gameId));
+    eventBus.subscribe('lobby.game.watching', (data) => this.start(data.gameId));
+    eventBus.subscribe('game.rematch.started', (data) => this.start(data.gameId));
+
+    // GameService emits dice/moves/turn diffs before the full state update
+    eventBus.subscribe('dice.updated', (data) => this.handleDice(data.new));
+
+    eventBus.subscribe('pieces.moved', () => this.rolls.reset());
+
+    eventBus.subscribe('turn.changed', () => {
+      this.rolls.reset();
+      this.pendingDecision = null;
+    });
+
+    eventBus.subscribe('game.state.updated', (data) => {
+      if (data.newState) {
+        this.handleStateUpdate(data.oldState, data.newState, data.takeback);
+      }
+    });
+
+    // game.ended comes before the state that ends the game - that state's
+    // moves still count, so the stats freeze in handleStateUpdate
+    eventBus.subscribe('game.ended', (data) => {
+      this.winner = data.winner ? String(data.winner).toLowerCase() : null;
+      this.winnerTeam = data.winnerTeam || null;
+    });
+  }
+
+  /**
+   * Fresh counters for a game
+   */
+  start(gameId) {
+    this.gameId = gameId;
+    this.startedAt = Date.now();
+    this.endedAt = null;
+    this.players.clear();
+    this.timeline = [];
+    this.captures = [];
+    this.winner = null;
+    this.winnerTeam = null;
+    this.turnPlayerId = null;
+    this.rolls.reset();
+    this.pendingDecision = null;
+    this.history.clear();
+
+    this.emitUpdate();
+  }
+
+  // =========================================================================
+  // TRACKING
+  // =========================================================================
+
+  /**
+   * A roll counts for whoever was on turn before the state that shows it
+   */
+  handleDice(dice) {
+    if (!dice || !(dice.die1 > 0 && dice.die2 > 0) || this.endedAt) return;
+    if (!this.rolls.isNewRoll(dice)) return;
+
+    const stats = this.players.get(this.turnPlayerId);
+    if (!stats) return;
+
+    stats.rolls += 1;
+    stats.sixes += (dice.die1 === 6 ? 1 : 0) + (dice.die2 === 6 ? 1 : 0);
+    if (dice.die1 === dice.die2) {
+      stats.doubles += 1;
+    }
+
+    this.pendingDecision = { playerId: stats.playerId, since: Date.now() };
+    this.emitUpdate();
+  }
+
+  /**
+   * @param {boolean} takeback - The new state undoes moves - their counts are restored
+   */
+  handleStateUpdate(oldState, newState, takeback = false) {
+    if (takeback && newState.pieces && !this.endedAt) {
+      this.restoreSnapshot(newState.pieces);
+      // The seat picks again from the same roll
+      this.pendingDecision = { playerId: newState.currentPlayerId, since: Date.now() };
+    }
+
+    this.syncPlayers(newState);
+
+    if (oldState?.pieces && newState.pieces && !this.endedAt) {
+      const movements = gameService.calculatePieceMovements(oldState.pieces, newState.pieces);
+      if (!takeback && movements.length > 0) {
+        this.saveSnapshot(oldState.pieces);
+        this.recordMovements(movements);
+      }
+
+      if (movements.length > 0 || this.timeline.length === 0) {
+        this.recordProgress();
+      }
+    }
+
+    this.turnPlayerId = newState.currentPlayerId;
+    if (newState.gameOver && !this.endedAt) {
+      this.endedAt = Date.now();
+      this.pendingDecision = null;
+    }
+    this.emitUpdate();
+  }
+
+  /**
+   * Add players as they appear and refresh names and finished pieces
+   */
+  syncPlayers(state) {
+    (state.players || []).forEach(player => {
+      if (!player.id) return;
+
+      const colors = [player.color, ...(player.colors || [])]
+        .filter(Boolean)
+        .map(color => String(color).toLowerCase());
+
+      const stats = this.players.get(player.id) || this.createStats(player.id);
+      stats.playerName = player.playerName || player.name || stats.playerName;
+      stats.colors = [...new Set(colors)];
+      stats.piecesFinished = countFinishedPieces(state.pieces || [], stats.colors);
+      stats.progress = this.getProgress(state.pieces || [], stats.colors);
+
+      this.players.set(player.id, stats);
+    });
+  }
+
+  /**
+   * Moved pieces belong to their color's player; pieces knocked back home
+   * are captures by whoever moved
+   */
+  recordMovements(movements) {
+    if (movements.length === 0) return;
+
+    const isSentHome = (movement) => movement.toState?.atHome && !movement.fromState?.atHome;
+    const captured = movements.filter(isSentHome);
+    const moved = movements.filter(movement => !isSentHome(movement));
+
+    moved.forEach(movement => {
+      const stats = this.getStatsForColor(movement.color);
+      if (!stats) return;
+
+      stats.moves += 1;
+      stats.distance += this.getDistance(movement);
+      this.recordDecision(stats);
+    });
+
+    const capturer = moved.length > 0
+      ? this.getStatsForColor(moved[0].color)
+      : this.players.get(this.turnPlayerId);
+
+    captured.forEach(movement => {
+      const victim = this.getStatsForColor(movement.color);
+      if (victim) victim.capturesSuffered += 1;
+      if (capturer && capturer !== victim) capturer.capturesMade += 1;
+
+      this.captures.push({
+        t: Date.now() - this.startedAt,
+        capturerId: capturer?.playerId || null,
+        victimId: victim?.playerId || null,
+        color: getPieceColor(movement),
+        stepsLost: Math.max(0, getPiecePathIndex({ color: movement.color, position: movement.from, ...movement.fromState }))
+      });
+    });
+  }
+
+  // =========================================================================
+  // TAKEBACKS
+  // =========================================================================
+
+  /**
+   * Copy every player's stats (and how far the timeline got) before a move
+   */
+  saveSnapshot(pieces) {
+    this.history.save(pieces, {
+      players: [...this.players.values()].map(stats => ({ ...stats, colors: [...stats.colors] })),
+      timelineLength: this.timeline.length,
+      capturesLength: this.captures.length
+    });
+  }
+
+  /**
+   * Back to the counts of the board the takeback returned to
+   */
+  restoreSnapshot(pieces) {
+    const snapshot = this.history.restore(pieces);
+    if (!snapshot) return;
+
+    this.players = new Map(snapshot.players.map(stats => [stats.playerId, stats]));
+    this.timeline = this.timeline.slice(0, snapshot.timelineLength);
+    this.captures = this.captures.slice(0, snapshot.capturesLength);
+  }
+
+  /**
+   * Share of the way home across a player's pieces - finished pieces count in full
+   */
+  getProgress(pieces, colors) {
+    const own = pieces.filter(piece => colors.includes(getPieceColor(piece)));
+    if (own.length === 0) return 0;
+
+    const total = own.reduce((sum, piece) => {
+      const finishIndex = getFinishIndex(getPieceColor(piece));
+      if (piece.finished || piece.isFinished) return sum + 1;
+      return sum + Math.max(0, getPiecePathIndex(piece)) / finishIndex;
+    }, 0);
+
+    return total / Math.max(own.length, RULES.PIECES_PER_PLAYER);
+  }
+
+  recordProgress() {
+    const progress = {};
+    this.players.forEach((stats, playerId) => {
+      progress[playerId] = stats.progress;
+    });
+
+    this.timeline.push({ t: Date.now() - this.startedAt, progress });
+  }
+
+  /**
+   * Steps along the color's path - leaving home counts from the entry cell
+   */
+  getDistance(movement) {
+    const from = getPiecePathIndex({ color: movement.color, position: movement.from, ...movement.fromState });
+    const to = getPiecePathIndex({ color: movement.color, position: movement.to, ...movement.toState });
+    if (to < 0) return 0;
+
+    return Math.max(0, to - Math.max(0, from));
+  }
+
+  /**
+   * Time since the roll (or the same player's previous move this roll)
+   */
+  recordDecision(stats) {
+    if (!this.pendingDecision || this.pendingDecision.playerId !== stats.playerId) return;
+
+    const now = Date.now();
+    stats.decisions += 1;
+    stats.totalDecisionTime += now - this.pendingDecision.since;
+    this.pendingDecision.since = now;
+  }
+
+  createStats(playerId) {
+    return {
+      playerId,
+      playerName: 'Player',
+      colors: [],
+      moves: 0,
+      capturesMade: 0,
+      capturesSuffered: 0,
+      rolls: 0,
+      sixes: 0,
+      doubles: 0,
+      piecesFinished: 0,
+      distance: 0,
+      decisions: 0,
+      totalDecisionTime: 0,
+      progress: 0
+    };
+  }
+
+  getStatsForColor(color) {
+    const key = String(color).toLowerCase();
+    return [...this.players.values()].find(stats => stats.colors.includes(key)) || null;
+  }
+
+  emitUpdate() {
+    eventBus.emit('stats.updated', {
+      gameId: this.gameId,
+      players: this.getAllStats()
+    });
+  }
+
+  // =========================================================================
+  // QUERIES
+  // =========================================================================
+
+  /**
+   * Copy of one player's stats with the average decision time filled in
+   */
+  getPlayerStats(playerId) {
+    const stats = this.players.get(playerId);
+    if (!stats) return null;
+
+    return {
+      ...stats,
+      colors: [...stats.colors],
+      averageDecisionTime: stats.decisions > 0 ? Math.round(stats.totalDecisionTime / stats.decisions) : null
+    };
+  }
+
+  getAllStats() {
+    return [...this.players.keys()].map(playerId => this.getPlayerStats(playerId));
+  }
+
+  /**
+   * Winners first, then by pieces home and progress
+   */
+  getStandings() {
+    const winnerColors = this.winnerTeam || (this.winner ? [this.winner] : []);
+    const isWinner = (stats) => stats.colors.some(color => winnerColors.includes(color));
+
+    return this.getAllStats().sort((a, b) =>
+      (isWinner(b) - isWinner(a)) ||
+      (b.piecesFinished - a.piecesFinished) ||
+      (b.progress - a.progress)
+    );
+  }
+
+  /**
+   * Captures that cost the most progress, biggest first
+   */
+  getBiggestSwings(limit = 5) {
+    return [...this.captures]
+      .sort((a, b) => b.stepsLost - a.stepsLost)
+      .slice(0, limit);
+  }
+
+  /**
+   * Everything tracked for the current (or just finished) game
+   */
+  getSummary() {
+    return {
+      gameId: this.gameId,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      winner: this.winner,
+      winnerTeam: this.winnerTeam ? [...this.winnerTeam] : null,
+      players: this.getStandings(),
+      timeline: this.timeline.map(sample => ({ t: sample.t, progress: { ...sample.progress } })),
+      captures: this.captures.map(capture => ({ ...capture }))
+    };
+  }
+}
+
+const gameStatsTracker = new GameStatsTracker();
+export default gameStatsTracker;
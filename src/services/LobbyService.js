@@ -0,0 +1,189 @@
+// src/services/LobbyService.js
+
+import eventBus from '../utils/EventBus';
+import webSocketService from './WebSocketService';
+
+export const MAX_SEATS = 4;
+
+// Display names for the server's game modes
+export const GAME_MODE_LABELS = {
+  classic: 'Classic',
+  bots: 'vs Bots'
+};
+
+/**
+ * Label for a game mode key
+ */
+export function getModeLabel(mode) {
+  return GAME_MODE_LABELS[mode] || mode.charAt(0).toUpperCase() + mode.slice(1);
+}
+
+/**
+ * LobbyService - Live list of open games for the lobby browser
+ *
+ * While browsing, listens to the lobby topic (/topic/lobby) and keeps a
+ * map of open games. The server sends either a full snapshot
+ * (LOBBY_GAMES, also the answer to /app/lobby.list) or single changes
+ * (GAME_LISTED, GAME_UPDATED, GAME_UNLISTED).
+ *
+ * Emits:
+ * - lobby.games.updated { games } - every open game, newest first
+ */
+class LobbyService {
+  constructor() {
+    this.games = new Map();
+    this.browsing = false;
+
+    this.setupListeners();
+
+    console.log('🌐 LobbyService initialized');
+  }
+
+  // =========================================================================
+  // EVENT LISTENER SETUP
+  // =========================================================================
+
+  setupListeners() {
+    eventBus.subscribe('websocket.lobby.event', (event) => this.handleLobbyEvent(event));
+
+    // Subscriptions die with the socket - pick the list back up
+    eventBus.subscribe('websocket.connected', () => {
+      if (this.browsing) {
+        this.subscribe();
+      }
+    });
+  }
+
+  // =========================================================================
+  // BROWSING
+  // =========================================================================
+
+  /**
+   * Start listening for open games (lobby browser opened)
+   */
+  startBrowsing() {
+    this.browsing = true;
+    if (webSocketService.isConnected()) {
+      this.subscribe();
+    }
+  }
+
+  /**
+   * Stop listening (lobby browser closed)
+   */
+  stopBrowsing() {
+    this.browsing = false;
+    webSocketService.unsubscribeFromLobby();
+  }
+
+  /**
+   * Ask for a fresh snapshot
+   */
+  refresh() {
+    if (webSocketService.isConnected()) {
+      webSocketService.requestLobbyGames();
+    }
+  }
+
+  subscribe() {
+    webSocketService.subscribeToLobby();
+    webSocketService.requestLobbyGames();
+  }
+
+  // =========================================================================
+  // LOBBY EVENTS
+  // =========================================================================
+
+  handleLobbyEvent(event) {
+    switch (event.type) {
+      case 'LOBBY_GAMES': {
+        const games = Array.isArray(event.data) ? event.data : event.data?.games || [];
+        this.games.clear();
+        games.forEach(game => this.addGame(game));
+        break;
+      }
+
+      case 'GAME_LISTED':
+      case 'GAME_UPDATED':
+        this.addGame(event.data);
+        break;
+
+      case 'GAME_UNLISTED':
+        this.games.delete(event.data?.gameId || event.data?.id);
+        break;
+
+      default:
+        console.log('❓ Unhandled lobby event:', event.type);
+        return;
+    }
+
+    eventBus.emit('lobby.games.updated', { games: this.getGames() });
+  }
+
+  /**
+   * Store a game, dropping it once it has started
+   */
+  addGame(data) {
+    const game = this.normalizeGame(data);
+    if (!game) return;
+
+    if (game.status && game.status !== 'WAITING_FOR_PLAYERS') {
+      this.games.delete(game.gameId);
+    } else {
+      this.games.set(game.gameId, game);
+    }
+  }
+
+  /**
+   * Server listing → { gameId, hostName, seatsFilled, maxSeats, createdAt, mode, status }
+   */
+  normalizeGame(data) {
+    const gameId = data?.gameId || data?.id;
+    if (!gameId) return null;
+
+    const seatsFilled = Array.isArray(data.players)
+      ? data.players.length
+      : Number(data.playerCount ?? data.seatsFilled ?? 1);
+
+    return {
+      gameId: String(gameId),
+      hostName: data.hostName || data.host || 'Unknown',
+      seatsFilled,
+      maxSeats: Number(data.maxPlayers ?? data.maxSeats ?? MAX_SEATS),
+      createdAt: data.createdAt ? new Date(data.createdAt).getTime() : Date.now(),
+      mode: data.mode || data.gameMode || 'classic',
+      status: data.status || data.gameStatus || null
+    };
+  }
+
+  // =========================================================================
+  // GETTERS
+  // =========================================================================
+
+  /**
+   * Open games, newest first
+   * @param {Object} filters - { minFreeSeats, mode } ('all' or a mode key)
+   */
+  getGames(filters = {}) {
+    const { minFreeSeats = 0, mode = 'all' } = filters;
+
+    return [...this.games.values()]
+      .filter(game => game.maxSeats - game.seatsFilled >= minFreeSeats)
+      .filter(game => mode === 'all' || game.mode === mode)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Modes present in the current list (for the mode filter)
+   */
+  getModes() {
+    return [...new Set([...this.games.values()].map(game => game.mode))];
+  }
+
+  isBrowsing() {
+    return this.browsing;
+  }
+}
+
+const lobbyService = new LobbyService();
+export default lobbyService;
@@ -0,0 +1,802 @@
+// src/services/LocalGameEngine.js
+
+import eventBus from '../utils/EventBus';
+import {
+  RULES,
+  SEATS_BY_PLAYER_COUNT,
+  TEAMS,
+  createInitialPieces,
+  getPieceColor,
+  hasColorFinished,
+  getTeamForColor,
+  hasTeamFinished,
+  getLegalMoves,
+  applyMove,
+  consumeDie,
+  isDoubles,
+  isDoubleSix,
+  rollDie
+} from '../utils/ludoRules';
+import { normalizeHouseRules, getColorsPerPlayer, getSeatCount } from '../utils/houseRules';
+import PlayerIdentity from '../utils/PlayerIdentity';
+import {
+  BOT_LEVEL_LABELS,
+  BOT_THINK_TIME,
+  chooseBotMove,
+  normalizeBotLevel
+} from '../utils/botStrategies';
+
+// Simulated network latency so components see the same async flow as STOMP
+const RESPONSE_DELAY = 150;
+
+// Waiting room countdown before a local game starts
+const START_COUNTDOWN_SECONDS = 3;
+
+// Human moves that can be undone, most recent first
+const UNDO_HISTORY_LIMIT = 20;
+
+/**
+ * LocalGameEngine - In-browser replacement for WebSocketService
+ *
+ * Exposes the same interface (connect, createGame, joinGame, rollDice,
+ * makeChoice, getGameState, leaveGame, requestRematch, requestTakeback, ...)
+ * and emits the same eventBus messages the STOMP handlers do, so GameService
+ * and every scene and component run unchanged without the backend.
+ *
+ * Human seats are played on this device (pass-and-play), so the session ID
+ * follows whichever human seat is currently taking its turn. Empty seats can
+ * be filled with bots that roll and move on their own.
+ *
+ * Takebacks need no approval: every human move can be undone, newest first,
+ * until the game is over.
+ */
+class LocalGameEngine {
+  constructor() {
+    this.connected = false;
+    this.game = null;
+    this.timers = new Set();
+    this.sessionId = 'local-player';
+
+    console.log('🏠 LocalGameEngine initialized');
+  }
+
+  // =========================================================================
+  // CONNECTION MANAGEMENT
+  // =========================================================================
+
+  connect() {
+    this.connected = true;
+    eventBus.emit('websocket.connected', { sessionId: this.sessionId, local: true });
+    return Promise.resolve();
+  }
+
+  disconnect() {
+    this.clearTimers();
+    this.game = null;
+
+    if (this.connected) {
+      this.connected = false;
+      eventBus.emit('websocket.disconnected');
+    }
+  }
+
+  // =========================================================================
+  // OUTGOING MESSAGES
+  // =========================================================================
+
+  /**
+   * Create a local game
+   * @param {Object} options - { playerCount: 2-4, botLevel, humanPlayers, rules }
+   *   With a botLevel, seats after the first `humanPlayers` (default 1) are bots.
+   *   `rules` are house rules (houseRules.js); rules.playerCount wins over playerCount
+   */
+  createGame(options = {}) {
+    const rules = normalizeHouseRules({ playerCount: options.playerCount, ...options.rules });
+    const playerCount = Math.min(
+      RULES.MAX_PLAYERS,
+      Math.max(RULES.MIN_PLAYERS, rules.playerCount)
+    );
+    const gameRules = { ...rules, playerCount };
+    // Team mode always uses all four corners
+    const colors = SEATS_BY_PLAYER_COUNT[getSeatCount(gameRules)];
+    const botLevel = options.botLevel ? normalizeBotLevel(options.botLevel) : null;
+    const humanPlayers = botLevel ? Math.max(1, options.humanPlayers || 1) : playerCount;
+    const gameId = this.generateGameId();
+
+    const seats = colors.map((color, index) => {
+      // Two players in team mode each play both of a team's colors
+      const owner = getColorsPerPlayer(gameRules) === 2 ? TEAMS.indexOf(getTeamForColor(color)) : index;
+      return this.createSeat(color, owner, owner < humanPlayers ? null : botLevel, rules.teamMode);
+    });
+
+    this.clearTimers();
+    this.game = this.createGameObject(gameId, seats, gameRules);
+
+    console.log('🏠 Local game created:', gameId, colors);
+
+    this.deliver(() => {
+      eventBus.emit('game.created', {
+        gameId,
+        response: {
+          type: 'GAME_CREATED',
+          success: true,
+          message: `Game ${gameId} created`
+        }
+      });
+      this.broadcastState();
+    });
+
+    // All seats are filled and ready locally - count down in the waiting room, then start
+    this.deliver(() => {
+      eventBus.emit('game.countdown', { seconds: START_COUNTDOWN_SECONDS });
+    });
+    this.deliver(() => this.startGame(), RESPONSE_DELAY + START_COUNTDOWN_SECONDS * 1000);
+  }
+
+  /**
+   * Local games can only be joined before they start, from this device
+   */
+  joinGame(gameId) {
+    const game = this.game;
+
+    if (!game || game.gameId !== gameId) {
+      this.sendError(`Game ${gameId} not found`);
+      return;
+    }
+
+    if (game.status !== 'WAITING_FOR_PLAYERS') {
+      this.sendError('Game already started');
+      return;
+    }
+
+    this.deliver(() => {
+      eventBus.emit('game.joined', {
+        gameId,
+        response: { type: 'JOINED_GAME', success: true, message: `Joined game ${gameId}` }
+      });
+      this.broadcastState();
+    });
+  }
+
+  rollDice() {
+    if (!this.isPlaying() || this.game.remainingDice || !this.getCurrentSeat().human) {
+      this.sendError('You cannot roll right now');
+      return;
+    }
+
+    this.performRoll();
+  }
+
+  makeChoice(choice) {
+    const game = this.game;
+    const move = game?.moveOptions.find(option => option.number === parseInt(choice, 10));
+
+    if (!this.isPlaying() || !move || !this.getCurrentSeat().human) {
+      this.deliver(() => {
+        eventBus.emit('game.error', {
+          message: 'Invalid choice',
+          type: 'INVALID_CHOICE'
+        });
+      });
+      return;
+    }
+
+    this.saveUndoSnapshot();
+    this.performMove(move);
+  }
+
+  sendChoice(choice) {
+    this.makeChoice(choice);
+  }
+
+  getGameState() {
+    if (!this.game) return;
+
+    this.deliver(() => {
+      eventBus.emit('websocket.personal.response', {
+        type: 'GAME_STATE',
+        success: true,
+        data: this.toGameState()
+      });
+    });
+  }
+
+  leaveGame() {
+    this.clearTimers();
+    this.game = null;
+
+    this.deliver(() => {
+      eventBus.emit('game.left', { message: 'Left local game' });
+    });
+  }
+
+  /**
+   * Chat is echoed back as the seat currently using the device
+   */
+  sendChatMessage(message) {
+    this.broadcastChat('message', message);
+  }
+
+  sendEmote(emote) {
+    this.broadcastChat('emote', emote);
+  }
+
+  // =========================================================================
+  // REMATCH
+  // =========================================================================
+
+  /**
+   * Every seat is on this device or a bot, so a rematch needs no votes -
+   * it's accepted straight away and starts without the waiting room
+   * @param {Object} options - { rotate } move every player one seat clockwise
+   */
+  requestRematch(options = {}) {
+    const game = this.game;
+
+    if (!game || game.status !== 'FINISHED') {
+      this.sendError('The game is not over yet');
+      return;
+    }
+
+    const rotate = Boolean(options.rotate);
+    const votes = Object.fromEntries(game.seats.map(seat => [seat.id, true]));
+
+    this.deliver(() => {
+      eventBus.emit('game.rematch', {
+        status: 'pending',
+        gameId: game.gameId,
+        requestedBy: this.getSessionId(),
+        rotate,
+        votes
+      });
+    });
+    this.deliver(() => this.startRematch(rotate), RESPONSE_DELAY * 2);
+  }
+
+  voteRematch() {
+    // Local seats accept as soon as the rematch is requested
+  }
+
+  /**
+   * Same table and house rules with fresh pieces. Rotating moves each
+   * player (name, avatar, bot level) to the next color; seat IDs stay with
+   * their color like the server's.
+   */
+  startRematch(rotate) {
+    const previous = this.game;
+    if (!previous || previous.status !== 'FINISHED') return;
+
+    const count = previous.seats.length;
+    const seats = previous.seats.map((seat, index) => {
+      const player = rotate ? previous.seats[(index - 1 + count) % count] : seat;
+      return {
+        ...seat,
+        playerId: player.playerId,
+        name: player.name,
+        avatar: player.avatar,
+        human: player.human,
+        botLevel: player.botLevel
+      };
+    });
+    const gameId = this.generateGameId();
+
+    this.clearTimers();
+    this.game = this.createGameObject(gameId, seats, previous.rules);
+
+    console.log('🏠 Local rematch:', previous.gameId, '->', gameId, rotate ? '(rotated)' : '');
+
+    this.deliver(() => {
+      eventBus.emit('game.rematch', {
+        status: 'started',
+        gameId,
+        previousGameId: previous.gameId,
+        rotate,
+        players: seats.map(seat => seat.id),
+        joined: true
+      });
+      this.startGame();
+    });
+  }
+
+  // =========================================================================
+  // TAKEBACK
+  // =========================================================================
+
+  /**
+   * Roll back to just before the last human move (and any bot moves after
+   * it) - that seat picks again from the same roll
+   */
+  requestTakeback() {
+    const game = this.game;
+
+    if (!this.canUndo()) {
+      this.sendError('There is no move to take back');
+      return;
+    }
+
+    const snapshot = game.history.pop();
+    const requestedBy = this.getSessionId();
+
+    this.clearTimers();
+    Object.assign(game, {
+      pieces: snapshot.pieces,
+      currentSeatIndex: snapshot.currentSeatIndex,
+      dice: snapshot.dice,
+      remainingDice: snapshot.remainingDice,
+      doublesCount: snapshot.doublesCount,
+      doubleSixCount: snapshot.doubleSixCount,
+      moveOptions: []
+    });
+
+    console.log(`🏠 Took back ${this.getCurrentSeat().name}'s move (${game.history.length} more available)`);
+
+    this.deliver(() => {
+      eventBus.emit('game.takeback', {
+        status: 'accepted',
+        gameId: game.gameId,
+        requestedBy,
+        votes: { [requestedBy]: true }
+      });
+      this.broadcastState();
+      this.offerMovesOrEndRoll();
+    });
+  }
+
+  voteTakeback() {
+    // Local takebacks are applied as soon as they're requested
+  }
+
+  canUndo() {
+    return this.isPlaying() && this.game.history.length > 0;
+  }
+
+  /**
+   * Remember the game as it is before a human move is applied
+   */
+  saveUndoSnapshot() {
+    const game = this.game;
+
+    game.history.push({
+      pieces: game.pieces.map(piece => ({ ...piece, position: { ...piece.position } })),
+      currentSeatIndex: game.currentSeatIndex,
+      dice: { ...game.dice },
+      remainingDice: game.remainingDice ? { ...game.remainingDice } : null,
+      doublesCount: game.doublesCount,
+      doubleSixCount: game.doubleSixCount
+    });
+
+    if (game.history.length > UNDO_HISTORY_LIMIT) {
+      game.history.shift();
+    }
+  }
+
+  // =========================================================================
+  // TURN FLOW
+  // =========================================================================
+
+  /**
+   * Roll both dice for the current seat
+   */
+  performRoll() {
+    const game = this.game;
+    const dice = { die1: rollDie(), die2: rollDie() };
+    game.dice = dice;
+    game.remainingDice = { ...dice };
+    if (isDoubles(dice)) game.doublesCount++;
+    game.doubleSixCount = isDoubleSix(dice) ? game.doubleSixCount + 1 : 0;
+
+    const seat = this.getCurrentSeat();
+    console.log(`🏠 ${seat.name} rolled ${dice.die1} + ${dice.die2}`);
+
+    this.deliver(() => {
+      this.broadcast({ type: 'DICE_ROLLED', success: true, message: `${dice.die1}${dice.die2}` }, 'game.dice');
+      this.broadcastState();
+
+      if (game.rules.tripleSixPenalty && game.doubleSixCount >= 3) {
+        this.applyTripleSixPenalty();
+        return;
+      }
+
+      this.offerMovesOrEndRoll();
+    });
+  }
+
+  /**
+   * Third double six in a row - the roll is void and the turn passes
+   */
+  applyTripleSixPenalty() {
+    this.broadcast({
+      type: 'GAME_MESSAGE',
+      success: true,
+      message: `🚫 Three double sixes! ${this.getCurrentSeat().name} loses the turn`
+    }, 'game.message');
+
+    this.endRoll(true);
+  }
+
+  /**
+   * Apply a chosen move for the current seat
+   */
+  performMove(move) {
+    const game = this.game;
+    const result = applyMove(game.pieces, move, game.rules);
+    game.pieces = result.pieces;
+    game.remainingDice = consumeDie(game.remainingDice, move.dieUsed);
+    game.moveOptions = [];
+
+    this.deliver(() => {
+      this.broadcastState();
+      this.announceMoveResult(move, result);
+
+      const won = game.rules.teamMode
+        ? hasTeamFinished(game.pieces, move.color)
+        : hasColorFinished(game.pieces, move.color);
+
+      if (won) {
+        this.endGame(this.getCurrentSeat());
+        return;
+      }
+
+      this.offerMovesOrEndRoll();
+    });
+  }
+
+  startGame() {
+    const game = this.game;
+    if (!game) return;
+
+    game.status = 'IN_PROGRESS';
+    console.log('🏠 Local game started');
+
+    eventBus.emit('game.started', {
+      message: 'Game started!',
+      gameState: this.toGameState()
+    });
+    this.broadcastState();
+    this.startTurn();
+  }
+
+  startTurn() {
+    const seat = this.getCurrentSeat();
+
+    if (!seat.human) {
+      this.broadcast({
+        type: 'GAME_MESSAGE',
+        success: true,
+        message: `${seat.name} is thinking...`
+      }, 'game.message');
+
+      this.deliver(() => this.performRoll(), BOT_THINK_TIME[seat.botLevel]);
+      return;
+    }
+
+    this.broadcast({
+      type: 'GAME_MESSAGE',
+      success: true,
+      message: `${seat.name}'s turn - roll the dice`
+    }, 'game.message');
+
+    // Same 500ms delay WebSocketService uses for YOUR_TURN
+    this.deliver(() => {
+      eventBus.emit('turn.changed', {
+        isMyTurn: true,
+        message: `${seat.name}, it's your turn!`,
+        timestamp: Date.now()
+      });
+    }, 500);
+  }
+
+  /**
+   * Offer moves for the unused dice, or finish the roll if none remain
+   */
+  offerMovesOrEndRoll() {
+    const game = this.game;
+    const seat = this.getCurrentSeat();
+    const hasDiceLeft = game.remainingDice && (game.remainingDice.die1 || game.remainingDice.die2);
+    const moves = hasDiceLeft ? getLegalMoves(game.pieces, seat.color, game.remainingDice, game.rules) : [];
+
+    if (moves.length === 0) {
+      if (hasDiceLeft) {
+        this.broadcast({
+          type: 'GAME_MESSAGE',
+          success: true,
+          message: `${seat.name} has no legal moves`
+        }, 'game.message');
+      }
+      this.endRoll();
+      return;
+    }
+
+    game.moveOptions = moves;
+
+    if (!seat.human) {
+      this.playBotMove(seat, moves);
+      return;
+    }
+
+    eventBus.emit('websocket.personal.response', {
+      type: 'MOVE_OPTIONS',
+      success: true,
+      message: ['Available moves:', ...moves.map(move => `${move.number}. ${move.description}`)].join('\n'),
+      data: { moveOptions: moves }
+    });
+  }
+
+  /**
+   * Roll is used up - roll again on doubles (if the house allows), otherwise pass the turn
+   * @param {boolean} forfeit - Pass the turn no matter what was rolled
+   */
+  endRoll(forfeit = false) {
+    const game = this.game;
+    const rolledDoubles = isDoubles(game.dice);
+
+    game.remainingDice = null;
+    game.moveOptions = [];
+
+    if (!forfeit && game.rules.bonusTurnOnDoubles && rolledDoubles && game.doublesCount < RULES.MAX_DOUBLES) {
+      this.broadcast({
+        type: 'GAME_MESSAGE',
+        success: true,
+        message: `Doubles! ${this.getCurrentSeat().name} rolls again`
+      }, 'game.message');
+    } else {
+      game.doublesCount = 0;
+      game.doubleSixCount = 0;
+      game.currentSeatIndex = this.getNextSeatIndex();
+    }
+
+    game.dice = { die1: 0, die2: 0 };
+
+    this.deliver(() => {
+      this.broadcastState();
+      this.startTurn();
+    }, 600);
+  }
+
+  /**
+   * Let a bot pick from the legal moves after a short pause
+   */
+  playBotMove(seat, moves) {
+    this.deliver(() => {
+      const move = chooseBotMove(seat.botLevel, moves, this.game.pieces, this.game.rules);
+      console.log(`🤖 ${seat.name} plays: ${move.description}`);
+      this.performMove(move);
+    }, BOT_THINK_TIME[seat.botLevel]);
+  }
+
+  announceMoveResult(move, result) {
+    const seat = this.getCurrentSeat();
+
+    if (result.capturedPieceIds.length > 0) {
+      this.broadcast({
+        type: 'GAME_MESSAGE',
+        success: true,
+        message: `💥 ${seat.name} captured ${result.capturedPieceIds.join(', ')}!`
+      }, 'game.message');
+    }
+
+    if (result.finishedPieceId) {
+      this.broadcast({
+        type: 'GAME_MESSAGE',
+        success: true,
+        message: `🏁 ${result.finishedPieceId} reached home!`
+      }, 'game.message');
+    }
+  }
+
+  endGame(winnerSeat) {
+    const game = this.game;
+
+    game.status = 'FINISHED';
+    game.winner = winnerSeat.color;
+    game.winnerTeam = game.rules.teamMode ? getTeamForColor(winnerSeat.color).colors : null;
+    game.remainingDice = null;
+    game.moveOptions = [];
+
+    console.log('🏠 Local game over, winner:', game.winnerTeam ? game.winnerTeam.join(' & ') : winnerSeat.name);
+    this.broadcastState();
+  }
+
+  // =========================================================================
+  // MESSAGE DELIVERY
+  // =========================================================================
+
+  /**
+   * Emit a broadcast event the way WebSocketService.handleBroadcastEvent does
+   */
+  broadcast(event, eventName) {
+    eventBus.emit(eventName, event);
+  }
+
+  broadcastState() {
+    if (!this.game) return;
+
+    this.broadcast({
+      type: 'GAME_STATE_UPDATE',
+      success: true,
+      message: 'Game state updated',
+      data: this.toGameState()
+    }, 'game.event');
+  }
+
+  broadcastChat(type, text) {
+    if (!this.game) return;
+
+    const seat = this.game.seats.find(s => s.id === this.getSessionId());
+
+    this.deliver(() => {
+      eventBus.emit('chat.received', {
+        type,
+        playerId: seat ? seat.id : this.sessionId,
+        playerName: seat ? seat.name : 'You',
+        avatar: seat?.avatar,
+        text,
+        timestamp: Date.now()
+      });
+    });
+  }
+
+  sendError(error) {
+    this.deliver(() => {
+      eventBus.emit('game.error', { error });
+    });
+  }
+
+  /**
+   * Run a callback asynchronously, like a message arriving from the server
+   */
+  deliver(callback, delay = RESPONSE_DELAY) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  // =========================================================================
+  // STATE
+  // =========================================================================
+
+  /**
+   * Snapshot in the same shape the backend sends in GAME_STATE_UPDATE
+   */
+  toGameState() {
+    const game = this.game;
+    const currentSeat = this.getCurrentSeat();
+    const winnerSeats = game.seats.filter(seat =>
+      game.winnerTeam ? game.winnerTeam.includes(seat.color) : seat.color === game.winner
+    );
+
+    return {
+      gameId: game.gameId,
+      gameStatus: game.status,
+      players: game.seats.map(seat => ({
+        id: seat.id,
+        playerId: seat.playerId,
+        name: seat.name,
+        playerName: seat.name,
+        avatar: seat.avatar,
+        color: seat.color,
+        colors: [seat.color.toUpperCase()],
+        human: seat.human,
+        botLevel: seat.botLevel,
+        ready: true,
+        team: seat.team,
+        pieces: game.pieces.filter(piece => getPieceColor(piece) === seat.color)
+      })),
+      currentPlayerId: currentSeat.id,
+      currentPlayerName: currentSeat.name,
+      dice: { ...game.dice },
+      pieces: game.pieces.map(piece => ({ ...piece, position: { ...piece.position } })),
+      rules: { ...game.rules },
+      gameOver: game.status === 'FINISHED',
+      winner: game.winner,
+      winnerTeam: game.winnerTeam ? [...game.winnerTeam] : null,
+      winnerName: winnerSeats.length > 0 ? [...new Set(winnerSeats.map(seat => seat.name))].join(' & ') : null
+    };
+  }
+
+  /**
+   * Fresh game (waiting for players) for the given seats
+   */
+  createGameObject(gameId, seats, rules) {
+    return {
+      gameId,
+      status: 'WAITING_FOR_PLAYERS',
+      seats,
+      pieces: createInitialPieces(seats.map(seat => seat.color)),
+      rules: { ...rules },
+      currentSeatIndex: 0,
+      dice: { die1: 0, die2: 0 },
+      remainingDice: null,
+      doublesCount: 0,
+      doubleSixCount: 0,
+      moveOptions: [],
+      history: [], // Undo snapshots, oldest first
+      winner: null,
+      winnerTeam: null
+    };
+  }
+
+  /**
+   * The first human player's seats are this device's player, named from
+   * their profile and carrying their identity for ratings - the other
+   * pass-and-play humans are guests with no identity
+   */
+  createSeat(color, index, botLevel = null, teamMode = false) {
+    const profile = !botLevel && index === 0 ? PlayerIdentity.getProfile() : null;
+
+    return {
+      id: `local-${color}`,
+      playerId: profile ? PlayerIdentity.getPlayerId() : null,
+      color,
+      name: botLevel ? `🤖 ${BOT_LEVEL_LABELS[botLevel]} Bot` : (profile?.displayName || `Player ${index + 1}`),
+      avatar: profile?.avatar || null,
+      human: !botLevel,
+      botLevel,
+      team: teamMode ? getTeamForColor(color).id : null
+    };
+  }
+
+  /**
+   * Next seat in turn order, skipping colors already home (team mode plays on)
+   */
+  getNextSeatIndex() {
+    const { seats, pieces, currentSeatIndex } = this.game;
+
+    for (let step = 1; step <= seats.length; step++) {
+      const index = (currentSeatIndex + step) % seats.length;
+      if (!hasColorFinished(pieces, seats[index].color)) return index;
+    }
+    return currentSeatIndex;
+  }
+
+  getCurrentSeat() {
+    return this.game.seats[this.game.currentSeatIndex];
+  }
+
+  isPlaying() {
+    return Boolean(this.game && this.game.status === 'IN_PROGRESS');
+  }
+
+  generateGameId() {
+    return `LOCAL${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
+  }
+
+  // =========================================================================
+  // GETTERS
+  // =========================================================================
+
+  isConnected() {
+    return this.connected;
+  }
+
+  isReconnecting() {
+    return false;
+  }
+
+  getCurrentGameId() {
+    return this.game?.gameId || null;
+  }
+
+  /**
+   * In pass-and-play the device acts for whichever human seat is on turn
+   */
+  getSessionId() {
+    if (!this.game) return this.sessionId;
+
+    const currentSeat = this.getCurrentSeat();
+    if (this.isPlaying() && currentSeat.human) return currentSeat.id;
+
+    const firstHuman = this.game.seats.find(seat => seat.human);
+    return firstHuman ? firstHuman.id : this.sessionId;
+  }
+}
+
+const localGameEngine = new LocalGameEngine();
+export default localGameEngine;
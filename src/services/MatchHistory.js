@@ -0,0 +1,322 @@
+// src/services/MatchHistory.js
+
+import eventBus from '../utils/EventBus';
+import gameService from './GameService';
+import gameStatsTracker from './GameStatsTracker';
+import replayRecorder from './ReplayRecorder';
+import PlayerIdentity from '../utils/PlayerIdentity';
+import { getPlayerAvatar, isBotPlayer } from '../utils/playerProfile';
+import { calculateRatingChanges, getRatingKey, getRatingPlacings } from '../utils/rating';
+
+const DB_NAME = 'ludo_history';
+const DB_VERSION = 2;
+const STORE_NAME = 'games';
+const RATINGS_STORE_NAME = 'ratings';
+
+// Pruning after every save - oldest entries go first
+const HISTORY_LIMITS = {
+  maxGames: 200,
+  maxAgeDays: 180,
+  maxReplays: 25   // Older entries keep their stats but drop the replay log
+};
+
+/**
+ * MatchHistory - Every finished game this device played, kept in IndexedDB
+ *
+ * Saved once the game-over state has been processed (so GameStatsTracker
+ * has the final numbers), keyed by gameId:
+ * {
+ *   gameId, startedAt, endedAt,  // ms timestamps
+ *   local, rules,
+ *   playerId, colors: ['red'],   // Who this device played as...
+ *   result: 'win' | 'loss',
+ *   position,                    // ...and where they finished (1 = won)
+ *   stats,                       // Their GameStatsTracker stats
+ *   players: [{ playerId, identityId, playerName, colors, avatar, bot, botLevel, position, won, stats }],
+ *   ratingChanges: [{ playerId, key, before, after, delta }],
+ *   replay                       // ReplayRecorder log, or null
+ * }
+ *
+ * Every saved rated game (house rule) also updates everyone's Elo rating
+ * (utils/rating.js), kept in a second store keyed by rating key:
+ * { key, name, avatar, bot, rating, games, wins, updatedAt }
+ *
+ * Spectated games aren't saved.
+ *
+ * Emits:
+ * - history.updated  { gameId }  after a game is saved or the history cleared
+ * - ratings.updated  { gameId, changes: ratingChanges }
+ */
+class MatchHistory {
+  constructor() {
+    this.dbPromise = null;
+    this.savedGameIds = new Set();
+    this.lastRatingChanges = null; // { gameId, changes }
+
+    this.setupListeners();
+
+    console.log('📚 MatchHistory initialized');
+  }
+
+  // =========================================================================
+  // EVENT LISTENER SETUP
+  // =========================================================================
+
+  setupListeners() {
+    // game.ended comes before the final state reaches the stats tracker
+    eventBus.subscribe('game.state.updated', (data) => {
+      if (data.newState?.gameOver) {
+        this.saveFinishedGame(data.newState);
+      }
+    });
+  }
+
+  // =========================================================================
+  // SAVING
+  // =========================================================================
+
+  async saveFinishedGame(state) {
+    const gameId = gameService.getCurrentGameId();
+    if (!gameId || this.savedGameIds.has(gameId) || gameService.isSpectating()) return;
+
+    // Joined after the end (e.g. a resumed session) - nothing was tracked
+    if (gameStatsTracker.gameId !== gameId || gameStatsTracker.players.size === 0) return;
+
+    const entry = this.buildEntry(gameId, state);
+    if (!entry) return;
+
+    this.savedGameIds.add(gameId);
+
+    try {
+      entry.ratingChanges = entry.rules?.rated === false ? [] : await this.updateRatings(entry);
+      await this.run('readwrite', store => store.put(entry));
+      await this.prune();
+      console.log('📚 Game saved to history:', gameId, entry.result);
+      eventBus.emit('history.updated', { gameId });
+    } catch (error) {
+      console.error('📚 MatchHistory: Could not save game', error);
+    }
+  }
+
+  /**
+   * History entry for the game that just ended, from this device's seat
+   */
+  buildEntry(gameId, state) {
+    const summary = gameStatsTracker.getSummary();
+    const winnerColors = summary.winnerTeam || (summary.winner ? [summary.winner] : []);
+
+    const players = summary.players.map((stats, index) => {
+      const player = (state.players || []).find(p => p.id === stats.playerId);
+      const won = stats.colors.some(color => winnerColors.includes(color));
+
+      return {
+        playerId: stats.playerId,
+        identityId: this.getIdentityId(stats.playerId, player),
+        playerName: stats.playerName,
+        colors: stats.colors,
+        avatar: getPlayerAvatar(player),
+        bot: isBotPlayer(player),
+        botLevel: player?.botLevel || player?.difficulty || null,
+        // Both members of a winning team finished first
+        position: won ? 1 : index + 1,
+        won,
+        stats
+      };
+    });
+
+    const me = players.find(player => player.playerId === gameService.getSessionId());
+    if (!me) return null;
+
+    const recording = replayRecorder.getRecording();
+
+    return {
+      gameId,
+      startedAt: summary.startedAt,
+      endedAt: summary.endedAt || Date.now(),
+      local: gameService.isLocalGame(),
+      rules: gameService.getHouseRules(),
+      playerId: me.playerId,
+      colors: me.colors,
+      result: me.won ? 'win' : 'loss',
+      position: me.position,
+      stats: me.stats,
+      players,
+      replay: replayRecorder.hasRecording() && recording.gameId === gameId
+        ? JSON.parse(JSON.stringify(recording))
+        : null
+    };
+  }
+
+  /**
+   * Stable ID of the person in a seat: ours from PlayerIdentity, others' if
+   * the server sends it with the player (the ID they joined with). Local
+   * games set it on every seat this device's player plays - the session
+   * seat there can be a pass-and-play guest's.
+   */
+  getIdentityId(seatId, player) {
+    if (gameService.isLocalGame()) return player?.playerId || null;
+    if (seatId === gameService.getSessionId()) return PlayerIdentity.getPlayerId();
+    return player?.playerId || null;
+  }
+
+  /**
+   * Rate the game from its final places and store everyone's new rating
+   * @returns {Array} [{ playerId, key, before, after, delta }] in entry.players order,
+   *   unrated seats (humans with no identity) left out
+   */
+  async updateRatings(entry) {
+    const stored = await this.getRatings();
+    const ratings = new Map(stored.map(record => [record.key, record]));
+
+    const placings = getRatingPlacings(
+      entry.players,
+      Object.fromEntries(stored.map(record => [record.key, record.rating]))
+    );
+    if (placings.length < 2) return [];
+
+    const deltas = calculateRatingChanges(placings);
+
+    await this.run('readwrite', store => {
+      placings.forEach(({ id, rating, player }) => {
+        const previous = ratings.get(id);
+        store.put({
+          key: id,
+          name: player.playerName,
+          avatar: player.avatar,
+          bot: player.bot,
+          rating: rating + deltas[id],
+          games: (previous?.games || 0) + 1,
+          wins: (previous?.wins || 0) + (player.won ? 1 : 0),
+          updatedAt: entry.endedAt
+        });
+      });
+    }, RATINGS_STORE_NAME);
+
+    const changes = entry.players
+      .filter(player => getRatingKey(player))
+      .map(player => {
+        const key = getRatingKey(player);
+        const { rating } = placings.find(placing => placing.id === key);
+        return { playerId: player.playerId, key, before: rating, after: rating + deltas[key], delta: deltas[key] };
+      });
+
+    this.lastRatingChanges = { gameId: entry.gameId, changes };
+    eventBus.emit('ratings.updated', this.lastRatingChanges);
+
+    return changes;
+  }
+
+  /**
+   * Drop games past the count or age limit and replays past their limit
+   */
+  async prune() {
+    const games = await this.getGames();
+    const cutoff = Date.now() - HISTORY_LIMITS.maxAgeDays * 24 * 60 * 60 * 1000;
+
+    const expired = games.filter((game, index) => index >= HISTORY_LIMITS.maxGames || game.endedAt < cutoff);
+    const stale = games
+      .slice(HISTORY_LIMITS.maxReplays)
+      .filter(game => game.replay && !expired.includes(game));
+
+    if (expired.length === 0 && stale.length === 0) return;
+
+    await this.run('readwrite', store => {
+      expired.forEach(game => store.delete(game.gameId));
+      stale.forEach(game => store.put({ ...game, replay: null }));
+    });
+
+    console.log(`📚 Pruned ${expired.length} games and ${stale.length} replays from history`);
+  }
+
+  // =========================================================================
+  // QUERIES
+  // =========================================================================
+
+  /**
+   * All saved games, newest first
+   */
+  async getGames() {
+    const games = await this.run('readonly', store => store.getAll());
+    return games.sort((a, b) => b.endedAt - a.endedAt);
+  }
+
+  async clear() {
+    await this.run('readwrite', store => store.clear());
+    eventBus.emit('history.updated', { gameId: null });
+  }
+
+  /**
+   * Everyone ever rated, best first
+   */
+  async getRatings() {
+    const ratings = await this.run('readonly', store => store.getAll(), RATINGS_STORE_NAME);
+    return ratings.sort((a, b) => b.rating - a.rating);
+  }
+
+  /**
+   * Rating changes from a saved game (the last one is kept in memory)
+   */
+  getRatingChanges(gameId) {
+    return this.lastRatingChanges?.gameId === gameId ? this.lastRatingChanges.changes : null;
+  }
+
+  // =========================================================================
+  // INDEXEDDB
+  // =========================================================================
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'gameId' });
+            store.createIndex('endedAt', 'endedAt');
+          }
+
+          if (!db.objectStoreNames.contains(RATINGS_STORE_NAME)) {
+            db.createObjectStore(RATINGS_STORE_NAME, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let the next call try again
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run work against a store in one transaction
+   * @param {Function} work - (store) => IDBRequest whose result is resolved
+   * @returns {Promise} Request result once the transaction completes
+   */
+  async run(mode, work, storeName = STORE_NAME) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = work(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+const matchHistory = new MatchHistory();
+export default matchHistory;
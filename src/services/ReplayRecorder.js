@@ -0,0 +1,243 @@
+// src/services/ReplayRecorder.js
+
+import eventBus from '../utils/EventBus';
+import { RollFilter } from '../utils/trackerHistory';
+
+export const REPLAY_FORMAT = 'ludo-replay';
+export const REPLAY_VERSION = 1;
+
+/**
+ * ReplayRecorder - Records each game as a timestamped event log
+ *
+ * Replay file format (JSON):
+ * {
+ *   "format": "ludo-replay",
+ *   "version": 1,
+ *   "gameId": "ABC123",
+ *   "startedAt": "2026-01-01T12:00:00.000Z",  // ISO time recording began
+ *   "endedAt": "2026-01-01T12:20:00.000Z",    // null if the game didn't finish
+ *   "local": false,                           // true for offline games
+ *   "events": [
+ *     { "t": 0,    "type": "state",   "data": { ...GAME_STATE_UPDATE data } },
+ *     { "t": 1520, "type": "dice",    "data": { "die1": 3, "die2": 5 } },
+ *     { "t": 2610, "type": "options", "data": { "moves": [{ "number", "pieceId", "dieUsed", "steps", "description" }] } },
+ *     { "t": 3400, "type": "choice",  "data": { "choice": 2 } },
+ *     { "t": 3550, "type": "move",    "data": { "movements": [{ "pieceId", "color", "from", "to" }] } },
+ *     { "t": 3600, "type": "message", "data": { "message": "..." } },
+ *     { "t": 9000, "type": "end",     "data": { "winner": "red", "winnerTeam": null } }
+ *   ]
+ * }
+ *
+ * `t` is milliseconds since recording began. "state" events carry the full
+ * game state, so playback only needs them for the board; the other events
+ * add dice rolls, what was offered/chosen and the game messages.
+ */
+class ReplayRecorder {
+  constructor() {
+    this.recording = null;
+    this.startTime = 0;
+    this.rolls = new RollFilter(); // Each roll is logged once
+    this.pendingEnd = null; // Result waiting for the game's final state
+
+    // Recording chosen for the replay scene
+    this.playbackRecording = null;
+
+    this.setupListeners();
+
+    console.log('📼 ReplayRecorder initialized');
+  }
+
+  // =========================================================================
+  // EVENT LISTENER SETUP
+  // =========================================================================
+
+  setupListeners() {
+    eventBus.subscribe('lobby.game.created', (data) => this.start(data.gameId));
+    eventBus.subscribe('lobby.game.joined', (data) => this.start(data.gameId));
+    eventBus.subscribe('lobby.game.watching', (data) => this.start(data.gameId));
+    eventBus.subscribe('game.rematch.started', (data) => this.start(data.gameId));
+
+    eventBus.subscribe('game.state.updated', (data) => {
+      if (data.newState) {
+        this.record('state', data.newState);
+      }
+      // Close only once the final position is in
+      if (this.pendingEnd && data.newState?.gameOver) {
+        this.finish();
+      }
+    });
+
+    eventBus.subscribe('dice.updated', (data) => {
+      const dice = data.new;
+      if (!dice || !(dice.die1 > 0 && dice.die2 > 0)) return;
+      if (!this.rolls.isNewRoll(dice)) return;
+
+      this.record('dice', { die1: dice.die1, die2: dice.die2 });
+    });
+
+    eventBus.subscribe('moves.available', (data) => {
+      this.record('options', {
+        moves: data.moves.map(move => ({
+          number: move.number,
+          pieceId: move.pieceId,
+          dieUsed: move.dieUsed,
+          steps: move.steps,
+          description: move.description
+        }))
+      });
+    });
+
+    eventBus.subscribe('game.choice.made', (data) => {
+      this.rolls.reset();
+      this.record('choice', { choice: data.choice });
+    });
+
+    eventBus.subscribe('pieces.moved', (data) => {
+      this.record('move', {
+        movements: data.movements.map(({ pieceId, color, from, to }) => ({ pieceId, color, from, to }))
+      });
+    });
+
+    eventBus.subscribe('game.message', (data) => {
+      if (data.message) {
+        this.record('message', { message: data.message });
+      }
+    });
+
+    // Comes before the state that ends the game (often holding the last move)
+    eventBus.subscribe('game.ended', (data) => {
+      this.pendingEnd = { winner: data.winner, winnerTeam: data.winnerTeam || null };
+    });
+  }
+
+  // =========================================================================
+  // RECORDING
+  // =========================================================================
+
+  /**
+   * Start a fresh log for a game
+   */
+  start(gameId) {
+    this.startTime = Date.now();
+    this.rolls.reset();
+    this.pendingEnd = null;
+    this.recording = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      gameId,
+      startedAt: new Date(this.startTime).toISOString(),
+      endedAt: null,
+      local: String(gameId).startsWith('LOCAL'),
+      events: []
+    };
+
+    console.log('📼 Recording game:', gameId);
+  }
+
+  /**
+   * Log the result and stop recording
+   */
+  finish() {
+    this.record('end', this.pendingEnd);
+    this.pendingEnd = null;
+
+    if (this.recording) {
+      this.recording.endedAt = new Date().toISOString();
+    }
+  }
+
+  record(type, data) {
+    if (!this.recording || this.recording.endedAt) return;
+
+    this.recording.events.push({
+      t: Date.now() - this.startTime,
+      type,
+      // Copy so later state changes can't rewrite history
+      data: JSON.parse(JSON.stringify(data))
+    });
+  }
+
+  // =========================================================================
+  // EXPORT / IMPORT
+  // =========================================================================
+
+  getRecording() {
+    return this.recording;
+  }
+
+  hasRecording() {
+    return Boolean(this.recording && this.recording.events.length > 0);
+  }
+
+  /**
+   * Save the current recording as a .json file
+   */
+  downloadRecording() {
+    if (!this.hasRecording()) {
+      console.warn('📼 Nothing recorded yet');
+      return;
+    }
+
+    const json = JSON.stringify(this.recording, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ludo-replay-${this.recording.gameId}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    console.log('📼 Replay downloaded:', link.download);
+  }
+
+  /**
+   * Parse and validate a replay file's contents
+   * @param {string} text - File contents
+   * @returns {Object} Recording
+   * @throws {Error} If the file isn't a replay this version understands
+   */
+  parseRecording(text) {
+    let recording;
+    try {
+      recording = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Replay file is not valid JSON');
+    }
+
+    if (recording?.format !== REPLAY_FORMAT) {
+      throw new Error('Not a Ludo replay file');
+    }
+    if (recording.version > REPLAY_VERSION) {
+      throw new Error(`Replay version ${recording.version} is newer than this app supports`);
+    }
+    if (!Array.isArray(recording.events) || !recording.events.some(event => event.type === 'state')) {
+      throw new Error('Replay has no game states to play');
+    }
+
+    return recording;
+  }
+
+  // =========================================================================
+  // PLAYBACK
+  // =========================================================================
+
+  /**
+   * Open a recording in the replay scene
+   */
+  openReplay(recording = this.recording) {
+    if (!recording) return;
+
+    this.playbackRecording = recording;
+    eventBus.emit('pixi.scene.change', { scene: 'replay' });
+  }
+
+  getPlaybackRecording() {
+    return this.playbackRecording;
+  }
+}
+
+const replayRecorder = new ReplayRecorder();
+export default replayRecorder;
@@ -5,11 +5,20 @@ import { Client } from '@stomp/stompjs';
 import eventBus from '../utils/EventBus';
 import PlayerIdentity from '../utils/PlayerIdentity';
 
+// Reconnection settings (exponential backoff with jitter)
+const RECONNECT_CONFIG = {
+  baseDelay: 1000,      // First retry after ~1s
+  maxDelay: 30000,      // Never wait more than 30s between retries
+  maxAttempts: 8,       // Give up after this many failed retries
+  rejoinTimeout: 8000   // How long to wait for the server to confirm a rejoin
+};
+
 /**
  * WebSocketService - Pure STOMP communication layer
  * 
  * Responsibilities:
  * - Manage STOMP connection lifecycle
+ * - Reconnect with backoff and resume the current game session
  * - Subscribe to server channels (broadcast + personal)
  * - Parse incoming messages
  * - Emit raw events to EventBus
@@ -27,6 +36,21 @@ class WebSocketService {
     this.sessionId = null;
     this.currentGameId = null;
     this.subscriptions = new Map();
+
+    // Watching a game read-only instead of playing in it
+    this.spectating = false;
+    this.pendingWatchGameId = null;
+
+    // Reconnection state
+    this.intentionalDisconnect = false;
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.rejoinTimer = null;
+    this.pendingRejoinGameId = null;
+    this.hasConnected = false;   // A connect() attempt got through at least once
+    this.lastSocketError = null; // Reported when the socket closes
+    this.pendingConnection = null; // Shared by connect() callers until the attempt settles
     
     // Generate session ID
     this.sessionId = 'user-' + Math.floor(Math.random() * 10000);
@@ -38,63 +62,93 @@ class WebSocketService {
   // =========================================================================
 
   connect() {
-    if (this.connected || this.connecting) {
-      console.log('⚠️ Already connected or connecting');
+    if (this.connected) {
+      console.log('⚠️ Already connected');
       return Promise.resolve();
     }
 
-    return new Promise((resolve, reject) => {
-      console.log('🔗 Connecting to STOMP...');
-      console.log('🌐 WebSocket URL:', process.env.REACT_APP_WS_URL);
-      console.log('🏷️ Environment:', process.env.REACT_APP_ENV);
-      this.connecting = true;
-
-      this.stompClient = new Client({
-        webSocketFactory: () => new SockJS(process.env.REACT_APP_WS_URL),
-        connectHeaders: {
-          login: this.sessionId
-        },
-        debug: (str) => {
-          console.log('🔍 STOMP Debug:', str);
-        },
+    // Wait for the attempt in flight (first connect or a reconnect) to settle
+    if (this.connecting || this.reconnecting) {
+      console.log('⚠️ Already connecting');
+      return this.waitForConnection();
+    }
+
+    const connection = this.waitForConnection();
+
+    console.log('🔗 Connecting to STOMP...');
+    console.log('🌐 WebSocket URL:', process.env.REACT_APP_WS_URL);
+    console.log('🏷️ Environment:', process.env.REACT_APP_ENV);
+    this.connecting = true;
+    this.intentionalDisconnect = false;
+    this.hasConnected = false;
+
+    this.stompClient = new Client({
+      webSocketFactory: () => new SockJS(process.env.REACT_APP_WS_URL),
+      connectHeaders: {
+        login: this.sessionId
+      },
+      debug: (str) => {
+        console.log('🔍 STOMP Debug:', str);
+      },
+
+      // Reconnection is handled by scheduleReconnect() so we can resume the game
+      reconnectDelay: 0,
+      
+      onConnect: (frame) => {
+        console.log('✅ Connected to STOMP!');
+        console.log('Session ID:', frame.headers['user-name'] || this.sessionId);
         
-        onConnect: (frame) => {
-          console.log('✅ Connected to STOMP!');
-          console.log('Session ID:', frame.headers['user-name'] || this.sessionId);
-          
-          this.connected = true;
-          this.connecting = false;
-          
-          this.subscribeToPersonalQueue();
-          eventBus.emit('websocket.connected', { sessionId: this.sessionId });
-          
-          resolve();
-        },
+        const isReconnect = this.reconnecting;
+
+        this.connected = true;
+        this.connecting = false;
+        this.hasConnected = true;
+        this.reconnecting = false;
+        this.reconnectAttempts = 0;
         
-        onStompError: (frame) => {
-          console.error('❌ STOMP Error:', frame);
-          this.connected = false;
-          this.connecting = false;
-          
-          eventBus.emit('websocket.error', { error: frame });
-          reject(frame);
-        },
-
-        onWebSocketError: (error) => {
-          console.error('❌ WebSocket Error:', error);
-          this.connected = false;
-          this.connecting = false;
-          
-          eventBus.emit('websocket.error', { error });
-          reject(error);
+        this.subscribeToPersonalQueue();
+        eventBus.emit('websocket.connected', { sessionId: this.sessionId, reconnected: isReconnect });
+
+        if (isReconnect) {
+          this.resumeGameSession();
         }
-      });
+        
+        this.settleConnection();
+      },
 
-      this.stompClient.activate();
+      onWebSocketClose: (event) => {
+        this.handleConnectionClosed(event);
+      },
+      
+      onStompError: (frame) => {
+        console.error('❌ STOMP Error:', frame);
+        this.connected = false;
+        this.connecting = false;
+        
+        eventBus.emit('websocket.error', { error: frame });
+        this.settleConnection(frame);
+      },
+
+      onWebSocketError: (error) => {
+        console.error('❌ WebSocket Error:', error);
+        this.connected = false;
+        this.connecting = false;
+
+        // The socket closes next - handleConnectionClosed() decides whether to report or retry
+        this.lastSocketError = error;
+      }
     });
+
+    this.stompClient.activate();
+
+    return connection;
   }
 
   disconnect() {
+    this.intentionalDisconnect = true;
+    this.cancelReconnect();
+    this.settleConnection(new Error('Disconnected'));
+
     if (this.stompClient && this.connected) {
       console.log('👋 Disconnecting from STOMP...');
       
@@ -106,18 +160,233 @@ class WebSocketService {
       this.stompClient.deactivate();
       this.connected = false;
       this.currentGameId = null;
+      this.spectating = false;
+      this.pendingWatchGameId = null;
       
       eventBus.emit('websocket.disconnected');
     }
   }
 
+  /**
+   * Promise for the connection attempt in flight, shared by every connect()
+   * caller until it connects or fails for good
+   */
+  waitForConnection() {
+    if (!this.pendingConnection) {
+      let settle;
+      const promise = new Promise((resolve, reject) => {
+        settle = (error) => (error ? reject(error) : resolve());
+      });
+      this.pendingConnection = { promise, settle };
+    }
+    return this.pendingConnection.promise;
+  }
+
+  /**
+   * Resolve the pending connect() promise, or reject it with `error`
+   */
+  settleConnection(error = null) {
+    const pending = this.pendingConnection;
+    if (!pending) return;
+
+    this.pendingConnection = null;
+    pending.settle(error);
+  }
+
+  // =========================================================================
+  // RECONNECTION
+  // =========================================================================
+
+  /**
+   * Handle the underlying socket closing
+   * Anything we didn't ask for is retried once we've been connected (or have
+   * a game to resume) - a first attempt that fails is reported as an error
+   */
+  handleConnectionClosed(event) {
+    const wasConnected = this.connected;
+    const error = this.lastSocketError || event;
+    this.lastSocketError = null;
+
+    this.connected = false;
+    this.connecting = false;
+
+    // Old subscriptions died with the socket
+    this.subscriptions.clear();
+
+    if (this.intentionalDisconnect) return;
+
+    if (wasConnected) {
+      console.warn('🔌 Connection dropped, game:', this.currentGameId);
+      eventBus.emit('websocket.connection.dropped', { gameId: this.currentGameId });
+    }
+
+    if (!this.hasConnected && !this.reconnecting && !this.currentGameId) {
+      console.error('❌ Could not connect to the server');
+      eventBus.emit('websocket.error', { error: 'Could not connect to the server', cause: error });
+      this.settleConnection(error);
+      return;
+    }
+
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Schedule the next reconnection attempt
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    if (this.reconnectAttempts >= RECONNECT_CONFIG.maxAttempts) {
+      this.giveUpReconnecting();
+      return;
+    }
+
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.reconnecting = true;
+
+    console.log(`🔄 Reconnect attempt ${this.reconnectAttempts}/${RECONNECT_CONFIG.maxAttempts} in ${delay}ms`);
+    eventBus.emit('websocket.reconnecting', {
+      attempt: this.reconnectAttempts,
+      maxAttempts: RECONNECT_CONFIG.maxAttempts,
+      delay
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+
+      // Reset the client so activate() opens a fresh socket
+      this.stompClient.deactivate().then(() => {
+        if (this.intentionalDisconnect) return;
+
+        this.connecting = true;
+        this.stompClient.activate();
+      });
+    }, delay);
+  }
+
+  /**
+   * Exponential backoff with "equal jitter": half fixed, half random
+   */
+  getReconnectDelay(attempt) {
+    const exponential = Math.min(
+      RECONNECT_CONFIG.maxDelay,
+      RECONNECT_CONFIG.baseDelay * Math.pow(2, attempt)
+    );
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  /**
+   * Stop retrying - the UI falls back to asking for a refresh
+   */
+  giveUpReconnecting() {
+    console.error(`❌ Could not reconnect after ${this.reconnectAttempts} attempts`);
+
+    const gameId = this.currentGameId;
+    this.cancelReconnect();
+    this.currentGameId = null;
+    this.settleConnection(new Error('Could not reconnect to the server'));
+
+    eventBus.emit('websocket.reconnect.failed', {
+      attempts: RECONNECT_CONFIG.maxAttempts,
+      gameId
+    });
+    eventBus.emit('websocket.disconnected');
+  }
+
+  /**
+   * Cancel any pending reconnect or rejoin
+   */
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.clearRejoinTimer();
+
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.pendingRejoinGameId = null;
+  }
+
+  /**
+   * After reconnecting, re-subscribe to the game and ask the server to
+   * put this player (by persistent playerId) back into it
+   */
+  resumeGameSession() {
+    const gameId = this.currentGameId;
+    if (!gameId) return;
+
+    // Spectators have no seat to rejoin - just watch again
+    if (this.spectating) {
+      console.log('🔄 Resuming spectating:', gameId);
+      this.subscribeToGameEvents(gameId);
+      this.send('/app/game.watch', { gameId, playerId: PlayerIdentity.getPlayerId() });
+      return;
+    }
+
+    console.log('🔄 Resuming game session:', gameId);
+    this.subscribeToGameEvents(gameId);
+
+    this.pendingRejoinGameId = gameId;
+    this.send('/app/game.rejoin', {
+      gameId,
+      playerId: PlayerIdentity.getPlayerId()
+    });
+
+    this.clearRejoinTimer();
+    this.rejoinTimer = setTimeout(() => {
+      if (this.pendingRejoinGameId === gameId) {
+        this.handleRejoinFailed({ message: 'The server did not confirm the rejoin' });
+      }
+    }, RECONNECT_CONFIG.rejoinTimeout);
+  }
+
+  /**
+   * Server confirmed we're back in the game
+   */
+  handleRejoined(response) {
+    const gameId = this.pendingRejoinGameId || this.currentGameId;
+    this.pendingRejoinGameId = null;
+    this.clearRejoinTimer();
+
+    console.log('✅ Game session resumed:', gameId);
+    eventBus.emit('websocket.session.resumed', { gameId, response });
+  }
+
+  /**
+   * Server says the game is gone (finished, expired, or we were dropped)
+   */
+  handleRejoinFailed(response) {
+    const gameId = this.pendingRejoinGameId || this.currentGameId;
+    this.pendingRejoinGameId = null;
+    this.clearRejoinTimer();
+
+    console.warn('❌ Could not resume game:', gameId, response.message);
+
+    this.unsubscribeFromGameEvents(gameId);
+    this.currentGameId = null;
+
+    eventBus.emit('websocket.session.expired', {
+      gameId,
+      message: response.message || 'Game no longer exists'
+    });
+  }
+
+  clearRejoinTimer() {
+    if (this.rejoinTimer) {
+      clearTimeout(this.rejoinTimer);
+      this.rejoinTimer = null;
+    }
+  }
+
   // =========================================================================
   // SUBSCRIPTION MANAGEMENT
   // =========================================================================
 
   /**
    * Subscribe to personal response queue
-   * Receives: GAME_CREATED, JOINED_GAME, YOUR_TURN, MOVE_OPTIONS, INPUT_REQUIRED, INVALID_CHOICE
+   * Receives: GAME_CREATED, JOINED_GAME, WATCHING_GAME, LOBBY_GAMES, YOUR_TURN, MOVE_OPTIONS, INPUT_REQUIRED, INVALID_CHOICE
    */
   subscribeToPersonalQueue() {
     const subscription = this.stompClient.subscribe('/user/queue/response', (message) => {
@@ -132,8 +401,11 @@ class WebSocketService {
   }
 
   /**
-   * Subscribe to game broadcast events
-   * Receives: GAME_STARTED, GAME_STATE_UPDATE, GAME_MESSAGE
+   * Subscribe to game broadcast events and the game's chat channel
+   * Receives: GAME_STARTED, GAME_STATE_UPDATE, GAME_MESSAGE, SPECTATOR_COUNT,
+   *           REMATCH_REQUESTED/VOTE/CANCELLED/STARTED,
+   *           TAKEBACK_REQUESTED/VOTE/DECLINED/ACCEPTED (events)
+   *           CHAT_MESSAGE, EMOTE (chat)
    */
   subscribeToGameEvents(gameId) {
     console.log('🔔 Subscribing to game events for:', gameId);
@@ -146,9 +418,50 @@ class WebSocketService {
     });
 
     this.subscriptions.set(`game.${gameId}.events`, eventsSubscription);
+
+    const chatSubscription = this.stompClient.subscribe(`/topic/game/${gameId}/chat`, (message) => {
+      this.handleChatEvent(JSON.parse(message.body));
+    });
+
+    this.subscriptions.set(`game.${gameId}.chat`, chatSubscription);
     console.log('✅ Subscribed to broadcast events for:', gameId);
   }
 
+  /**
+   * Subscribe to the lobby topic (open games being listed/updated/removed)
+   */
+  subscribeToLobby() {
+    if (this.subscriptions.has('lobby')) return;
+
+    const subscription = this.stompClient.subscribe('/topic/lobby', (message) => {
+      eventBus.emit('websocket.lobby.event', JSON.parse(message.body));
+    });
+
+    this.subscriptions.set('lobby', subscription);
+    console.log('✅ Subscribed to lobby');
+  }
+
+  unsubscribeFromLobby() {
+    const subscription = this.subscriptions.get('lobby');
+    if (subscription) {
+      subscription.unsubscribe();
+      this.subscriptions.delete('lobby');
+    }
+  }
+
+  /**
+   * Drop a game's broadcast and chat subscriptions
+   */
+  unsubscribeFromGameEvents(gameId) {
+    [`game.${gameId}.events`, `game.${gameId}.chat`].forEach(key => {
+      const subscription = this.subscriptions.get(key);
+      if (subscription) {
+        subscription.unsubscribe();
+        this.subscriptions.delete(key);
+      }
+    });
+  }
+
   // =========================================================================
   // MESSAGE HANDLERS
   // =========================================================================
@@ -165,7 +478,38 @@ class WebSocketService {
         break;
 
       case 'JOINED_GAME':
-        this.handleJoinedGame(response);
+        // Some servers answer a rejoin with a plain JOINED_GAME
+        if (this.pendingRejoinGameId) {
+          this.handleRejoined(response);
+        } else {
+          this.handleJoinedGame(response);
+        }
+        break;
+
+      case 'REJOINED_GAME':
+        this.handleRejoined(response);
+        break;
+
+      case 'LOBBY_GAMES':
+        eventBus.emit('websocket.lobby.event', response);
+        break;
+
+      case 'WATCHING_GAME':
+        this.handleWatchingGame(response);
+        break;
+
+      case 'REJOIN_FAILED':
+      case 'GAME_NOT_FOUND':
+        if (this.pendingRejoinGameId) {
+          this.handleRejoinFailed(response);
+        } else if (this.pendingWatchGameId) {
+          this.handleWatchFailed(response);
+        } else {
+          eventBus.emit('game.error', {
+            error: response.message || 'Game not found',
+            type: response.type
+          });
+        }
         break;
 
       case 'YOUR_TURN':
@@ -203,11 +547,35 @@ class WebSocketService {
         });
         break;
 
+      case 'KICKED':
+        this.handleKicked(response);
+        break;
+
+      case 'NOT_HOST':
+        eventBus.emit('game.error', {
+          message: response.message || 'Only the host can do that',
+          type: 'NOT_HOST'
+        });
+        break;
+
+      case 'COLOR_TAKEN':
+        eventBus.emit('game.error', {
+          message: response.message || 'That color is already taken',
+          type: 'COLOR_TAKEN'
+        });
+        break;
+
       case 'CHOICE_RECEIVED':
         console.log('✅ Choice acknowledged by server');
         // No action needed - just acknowledgment
         break;
 
+      case 'CHAT_RATE_LIMITED':
+        eventBus.emit('chat.rate.limited', {
+          message: response.message || 'You are sending messages too fast'
+        });
+        break;
+
       case 'LEFT_GAME':
         console.log('👋 Left game successfully');
         eventBus.emit('game.left', {
@@ -257,12 +625,63 @@ class WebSocketService {
       case 'DICE_ROLLED':
         eventBus.emit('game.dice', event);
         break; 
+      case 'SPECTATOR_COUNT':
+        eventBus.emit('game.spectators', {
+          count: event.data?.count ?? event.data?.spectatorCount ?? 0
+        });
+        break;
+      case 'GAME_COUNTDOWN':
+        // Everyone seated is ready - the server starts the game when it runs out
+        eventBus.emit('game.countdown', {
+          seconds: event.data?.seconds ?? 3
+        });
+        break;
+      case 'COUNTDOWN_CANCELLED':
+        eventBus.emit('game.countdown', { seconds: 0 });
+        break;
+      case 'REMATCH_REQUESTED':
+      case 'REMATCH_VOTE':
+        eventBus.emit('game.rematch', { status: 'pending', ...event.data });
+        break;
+      case 'REMATCH_CANCELLED':
+        eventBus.emit('game.rematch', { status: 'cancelled', ...event.data, message: event.message });
+        break;
+      case 'REMATCH_STARTED':
+        this.handleRematchStarted(event);
+        break;
+      case 'TAKEBACK_REQUESTED':
+      case 'TAKEBACK_VOTE':
+        eventBus.emit('game.takeback', { status: 'pending', ...event.data });
+        break;
+      case 'TAKEBACK_DECLINED':
+        eventBus.emit('game.takeback', { status: 'declined', ...event.data, message: event.message });
+        break;
+      case 'TAKEBACK_ACCEPTED':
+        // The rolled-back GAME_STATE_UPDATE follows
+        eventBus.emit('game.takeback', { status: 'accepted', ...event.data });
+        break;
       default:
         console.log('❓ Unhandled broadcast event:', event.type);
         eventBus.emit('game.event', event);
     }
   }
 
+  /**
+   * Handle chat channel messages (chat lines and quick emotes)
+   */
+  handleChatEvent(event) {
+    const data = event.data || event;
+
+    eventBus.emit('chat.received', {
+      type: event.type === 'EMOTE' ? 'emote' : 'message',
+      playerId: data.playerId,
+      playerName: data.playerName,
+      avatar: data.avatar,
+      text: data.emote || data.message,
+      timestamp: data.timestamp || Date.now()
+    });
+  }
+
   /**
    * Handle game creation
    */
@@ -291,6 +710,70 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Server accepted us as a spectator - response.data carries the game state
+   */
+  handleWatchingGame(response) {
+    const gameId = this.pendingWatchGameId || this.currentGameId;
+    this.pendingWatchGameId = null;
+
+    console.log('👁️ Watching game:', gameId);
+    eventBus.emit('game.watching', { gameId, response });
+  }
+
+  /**
+   * Game to watch doesn't exist (or won't take spectators)
+   */
+  handleWatchFailed(response) {
+    const gameId = this.pendingWatchGameId;
+    console.warn('❌ Could not watch game:', gameId, response.message);
+
+    this.unsubscribeFromGameEvents(gameId);
+    this.pendingWatchGameId = null;
+    this.spectating = false;
+    this.currentGameId = null;
+
+    eventBus.emit('game.error', {
+      error: response.message || 'Game not found',
+      type: response.type
+    });
+  }
+
+  /**
+   * The host removed us from the waiting room
+   */
+  handleKicked(response) {
+    const gameId = this.currentGameId;
+    console.warn('👢 Removed from game by the host:', gameId);
+
+    this.unsubscribeFromGameEvents(gameId);
+    this.currentGameId = null;
+
+    eventBus.emit('game.left', {
+      message: response.message || 'The host removed you from the game',
+      kicked: true
+    });
+  }
+
+  /**
+   * Everyone who accepted moves to the rematch (event.data.gameId) - the
+   * old game's subscriptions are swapped for the new one's. Spectators follow
+   * along; players who declined stay behind to leave on their own.
+   */
+  handleRematchStarted(event) {
+    const { gameId, players = [] } = event.data || {};
+    const following = this.spectating || players.includes(this.sessionId);
+
+    if (gameId && following) {
+      console.log('🔁 Rematch started, moving to:', gameId);
+      this.unsubscribeFromGameEvents(this.currentGameId);
+      this.currentGameId = gameId;
+      this.subscribeToGameEvents(gameId);
+    }
+
+    eventBus.emit('game.rematch', { status: 'started', ...event.data, joined: Boolean(gameId && following) });
+  }
+
   /**
    * Extract game ID from message string
    */
@@ -317,15 +800,77 @@ class WebSocketService {
     });
   }
 
-  createGame() {
+  /**
+   * Create a game on the server
+   * @param {Object} options - { botLevel, playerCount } to fill empty seats with bots,
+   *   { rules } house rules for the table (see houseRules.js)
+   */
+  createGame(options = {}) {
     const playerId = PlayerIdentity.getPlayerId();
-    this.send('/app/game.create', { playerId });
+    const payload = { playerId, ...this.getProfilePayload() };
+
+    if (options.rules) {
+      payload.rules = options.rules;
+      payload.maxPlayers = options.rules.playerCount;
+    }
+
+    if (options.botLevel) {
+      payload.bots = {
+        level: options.botLevel,
+        count: Math.max(1, (options.playerCount || 2) - 1)
+      };
+    }
+
+    this.send('/app/game.create', payload);
   }
 
   joinGame(gameId) {
     this.currentGameId = gameId;
     const playerId = PlayerIdentity.getPlayerId();
-    this.send('/app/game.join', { gameId, playerId });
+    this.send('/app/game.join', { gameId, playerId, ...this.getProfilePayload() });
+  }
+
+  /**
+   * Display name and avatar for create/join - omitted until the player sets one
+   */
+  getProfilePayload() {
+    const profile = PlayerIdentity.getProfile();
+    return profile ? { profile, playerName: profile.displayName } : {};
+  }
+
+  /**
+   * Ask for the current list of open games (answered with LOBBY_GAMES)
+   */
+  requestLobbyGames() {
+    this.send('/app/lobby.list');
+  }
+
+  /**
+   * Watch a game read-only: listen to its broadcasts and ask for its state
+   */
+  watchGame(gameId) {
+    this.currentGameId = gameId;
+    this.spectating = true;
+    this.pendingWatchGameId = gameId;
+
+    this.subscribeToGameEvents(gameId);
+    this.send('/app/game.watch', { gameId, playerId: PlayerIdentity.getPlayerId() });
+  }
+
+  /**
+   * Stop watching and drop the game's subscriptions
+   */
+  stopWatching() {
+    const gameId = this.currentGameId;
+
+    this.send('/app/game.unwatch', { gameId, playerId: PlayerIdentity.getPlayerId() });
+    this.unsubscribeFromGameEvents(gameId);
+    this.spectating = false;
+    this.pendingWatchGameId = null;
+    this.currentGameId = null;
+
+    console.log('👋 Stopped watching game:', gameId);
+    eventBus.emit('game.left', { message: 'Stopped watching', spectator: true });
   }
 
   rollDice() {
@@ -341,13 +886,135 @@ class WebSocketService {
   }
 
   getGameState() {
-    this.send('/app/game.state');
+    // Spectators aren't seated, so the server needs to know which game
+    if (this.spectating) {
+      this.send('/app/game.state', { gameId: this.currentGameId });
+    } else {
+      this.send('/app/game.state');
+    }
   }
 
   leaveGame() {
     this.send('/app/game.leave');
   }
 
+  /**
+   * Ask for a free color/seat in the waiting room
+   */
+  chooseColor(color) {
+    this.send('/app/game.seat', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      color
+    });
+  }
+
+  setReady(ready) {
+    this.send('/app/game.ready', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      ready
+    });
+  }
+
+  // =========================================================================
+  // HOST CONTROLS (waiting room, host only - the server checks)
+  // =========================================================================
+
+  kickPlayer(targetId) {
+    this.send('/app/game.kick', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      targetId
+    });
+  }
+
+  setRoomLocked(locked) {
+    this.send('/app/game.lock', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      locked
+    });
+  }
+
+  /**
+   * Start without waiting - empty seats get bots
+   */
+  startGameEarly(botLevel) {
+    this.send('/app/game.start', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      fillWithBots: true,
+      botLevel
+    });
+  }
+
+  transferHost(targetId) {
+    this.send('/app/game.host', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      targetId
+    });
+  }
+
+  // =========================================================================
+  // TAKEBACK (undo the last move once the other players approve)
+  // =========================================================================
+
+  requestTakeback() {
+    this.send('/app/game.takeback', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId()
+    });
+  }
+
+  voteTakeback(accept) {
+    this.send('/app/game.takeback.vote', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      accept
+    });
+  }
+
+  // =========================================================================
+  // REMATCH (after game over)
+  // =========================================================================
+
+  /**
+   * @param {Object} options - { rotate } shift every player one seat clockwise
+   */
+  requestRematch(options = {}) {
+    this.send('/app/game.rematch', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      rotate: Boolean(options.rotate)
+    });
+  }
+
+  voteRematch(accept) {
+    this.send('/app/game.rematch.vote', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      accept
+    });
+  }
+
+  sendChatMessage(message) {
+    this.send('/app/game.chat', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      message
+    });
+  }
+
+  sendEmote(emote) {
+    this.send('/app/game.emote', {
+      gameId: this.currentGameId,
+      playerId: PlayerIdentity.getPlayerId(),
+      emote
+    });
+  }
+
   // =========================================================================
   // GETTERS
   // =========================================================================
@@ -356,6 +1023,10 @@ class WebSocketService {
     return this.connected;
   }
 
+  isReconnecting() {
+    return this.reconnecting;
+  }
+
   getCurrentGameId() {
     return this.currentGameId;
   }
@@ -363,6 +1034,10 @@ class WebSocketService {
   getSessionId() {
     return this.sessionId;
   }
+
+  isSpectating() {
+    return this.spectating;
+  }
 }
 
 const webSocketService = new WebSocketService();
@@ -13,13 +13,21 @@
  * Production Mode:
  * - Uses localStorage (persistent per device/browser)
  * - Player keeps same ID even after browser close
+ *
+ * The player's display name and avatar (playerProfile.js) are kept in the
+ * same storage, so a profile always belongs to the ID it was made with.
  */
 
+import eventBus from './EventBus';
+import { normalizeProfile } from './playerProfile';
+
 const PLAYER_ID_KEY = 'ludo_player_id';
+const PLAYER_PROFILE_KEY = 'ludo_player_profile';
 
 class PlayerIdentity {
   constructor() {
     this.playerId = null;
+    this.profile = null;
     this.isTestingMode = window.location.hostname === 'localhost';
     this.initialize();
   }
@@ -28,9 +36,10 @@ class PlayerIdentity {
    * Initialize player ID from storage or generate new one
    */
   initialize() {
-    const storage = this.isTestingMode ? sessionStorage : localStorage;
+    const storage = this.getStorage();
 
     this.playerId = storage.getItem(PLAYER_ID_KEY);
+    this.profile = this.loadProfile(storage);
 
     if (!this.playerId) {
       this.playerId = this.generatePlayerId();
@@ -43,6 +52,22 @@ class PlayerIdentity {
     console.log('🧪 Testing mode:', this.isTestingMode ? 'ON (sessionStorage)' : 'OFF (localStorage)');
   }
 
+  getStorage() {
+    return this.isTestingMode ? sessionStorage : localStorage;
+  }
+
+  /**
+   * Read the saved profile, ignoring anything unparseable
+   */
+  loadProfile(storage) {
+    try {
+      return normalizeProfile(JSON.parse(storage.getItem(PLAYER_PROFILE_KEY)));
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid player profile:', error);
+      return null;
+    }
+  }
+
   /**
    * Generate a unique player ID
    */
@@ -72,12 +97,46 @@ class PlayerIdentity {
    * Clear player ID (for testing/logout)
    */
   clearPlayerId() {
-    const storage = this.isTestingMode ? sessionStorage : localStorage;
+    const storage = this.getStorage();
     storage.removeItem(PLAYER_ID_KEY);
+    storage.removeItem(PLAYER_PROFILE_KEY);
     this.playerId = null;
+    this.profile = null;
     console.log('🗑️ Cleared player ID');
   }
 
+  // =========================================================================
+  // PROFILE
+  // =========================================================================
+
+  /**
+   * Saved display name and avatar, or null before the player has set one
+   * @returns {Object|null} { displayName, avatar }
+   */
+  getProfile() {
+    return this.profile ? { ...this.profile, avatar: { ...this.profile.avatar } } : null;
+  }
+
+  hasProfile() {
+    return this.profile !== null;
+  }
+
+  /**
+   * Validate and persist a profile
+   * @returns {Object|null} The saved profile, or null if it was invalid
+   */
+  saveProfile(profile) {
+    const normalized = normalizeProfile(profile);
+    if (!normalized) return null;
+
+    this.profile = normalized;
+    this.getStorage().setItem(PLAYER_PROFILE_KEY, JSON.stringify(normalized));
+    console.log('👤 Saved player profile:', normalized.displayName);
+
+    eventBus.emit('player.profile.updated', this.getProfile());
+    return this.getProfile();
+  }
+
   /**
    * Check if in testing mode
    */
@@ -0,0 +1,30 @@
+// src/utils/achievements.js
+
+/**
+ * Achievements - Badges unlocked by AchievementTracker
+ *
+ * One-game feats are checked as the game is played; milestones (`counter`
+ * and `goal`) count up across every game on this device.
+ */
+export const ACHIEVEMENTS = [
+  { id: 'first-win', icon: '🏆', title: 'First Victory', description: 'Win a game' },
+  { id: 'first-capture', icon: '⚔️', title: 'First Blood', description: 'Capture an opponent piece' },
+  { id: 'hat-trick', icon: '🎩', title: 'Hat Trick', description: 'Capture three pieces in one game' },
+  { id: 'untouchable', icon: '🛡️', title: 'Untouchable', description: 'Win without losing a piece' },
+  { id: 'boxcars', icon: '🎲', title: 'Boxcars', description: 'Roll double six three times in one game' },
+  { id: 'comeback', icon: '🚀', title: 'Comeback Kid', description: 'Win after being in last place' },
+  { id: 'veteran', icon: '🎖️', title: 'Veteran', description: 'Finish 10 games', counter: 'gamesFinished', goal: 10 },
+  { id: 'hunter', icon: '🐺', title: 'Hunter', description: 'Capture 25 pieces', counter: 'captures', goal: 25 },
+  { id: 'champion', icon: '👑', title: 'Champion', description: 'Win 10 games', counter: 'wins', goal: 10 }
+];
+
+export function getAchievement(id) {
+  return ACHIEVEMENTS.find(achievement => achievement.id === id) || null;
+}
+
+const achievements = {
+  ACHIEVEMENTS,
+  getAchievement
+};
+
+export default achievements;
@@ -0,0 +1,159 @@
+// src/utils/botStrategies.js
+
+import { getFinishIndex, getPathIndex } from '../pixi/utils/coordinateUtils';
+import { applyMove, getPiecePathIndex, getThreatsTo } from './ludoRules';
+import { DEFAULT_HOUSE_RULES } from './houseRules';
+
+/**
+ * Bot Strategies - Move pickers for computer players
+ *
+ * Each level picks one of the legal move options (see moveOptions.js):
+ * - easy:   any legal move at random
+ * - normal: greedy - capture, finish, leave home, otherwise advance
+ * - hard:   normal's priorities weighed against what the opponents can
+ *           hit next roll (ludoRules.getThreatsTo)
+ */
+
+export const BOT_LEVELS = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard'
+};
+
+export const BOT_LEVEL_LABELS = {
+  easy: 'Easy',
+  normal: 'Normal',
+  hard: 'Hard'
+};
+
+// How long a bot "thinks" before acting (ms) - long enough for moves to animate
+export const BOT_THINK_TIME = {
+  easy: 900,
+  normal: 1100,
+  hard: 1300
+};
+
+const SCORES = {
+  CAPTURE: 50,
+  FINISH: 40,
+  LEAVE_HOME: 25,
+  PER_STEP: 0.5,
+  SAFE_LANDING: 10,
+  THREAT: 15,
+  ESCAPE: 12
+};
+
+/**
+ * Pick a move for a bot
+ * @param {string} level - One of BOT_LEVELS
+ * @param {Array} moves - Legal move options
+ * @param {Array} pieces - Current pieces
+ * @param {Object} houseRules - Rules in play (affects captures and threats)
+ * @returns {Object|null} Chosen move option
+ */
+export function chooseBotMove(level, moves, pieces, houseRules = DEFAULT_HOUSE_RULES) {
+  if (!moves || moves.length === 0) return null;
+
+  switch (level) {
+    case BOT_LEVELS.EASY:
+      return moves[Math.floor(Math.random() * moves.length)];
+    case BOT_LEVELS.HARD:
+      return pickBest(moves, move => scoreHard(move, pieces, houseRules));
+    case BOT_LEVELS.NORMAL:
+    default:
+      return pickBest(moves, move => scoreNormal(move, pieces));
+  }
+}
+
+/**
+ * Check a level name, falling back to normal
+ */
+export function normalizeBotLevel(level) {
+  const value = String(level || '').toLowerCase();
+  return Object.values(BOT_LEVELS).includes(value) ? value : BOT_LEVELS.NORMAL;
+}
+
+// ===========================================================================
+// SCORING
+// ===========================================================================
+
+function scoreNormal(move, pieces) {
+  const piece = pieces.find(p => p.id === move.pieceId);
+  const fromIndex = piece ? getPiecePathIndex(piece) : -1;
+  const toIndex = getPathIndex(move.color, move.to);
+  let score = 0;
+
+  if (move.captures) score += SCORES.CAPTURE;
+  if (toIndex === getFinishIndex(move.color)) score += SCORES.FINISH;
+  if (fromIndex === -1) score += SCORES.LEAVE_HOME;
+
+  // Prefer pushing the piece that is furthest along
+  score += (toIndex - Math.max(fromIndex, 0)) * SCORES.PER_STEP;
+  score += Math.max(fromIndex, 0) * 0.1;
+
+  return score;
+}
+
+function scoreHard(move, pieces, houseRules) {
+  let score = scoreNormal(move, pieces);
+
+  // Bigger prize for sending back an opponent who was far along
+  if (move.capturedPieceId) {
+    const victim = pieces.find(p => p.id === move.capturedPieceId);
+    score += victim ? Math.max(getPiecePathIndex(victim), 0) * 0.5 : 0;
+  }
+
+  // Look at the board after the move, so a capture removes its threat
+  const { pieces: after } = applyMove(pieces, move, houseRules);
+  const piece = pieces.find(p => p.id === move.pieceId);
+
+  const threatsBefore = piece ? getThreatWeight(pieces, move.color, piece.position, houseRules, piece) : 0;
+  const threatsAfter = getThreatWeight(after, move.color, move.to, houseRules);
+
+  if (threatsAfter === 0 && getPathIndex(move.color, move.to) !== getFinishIndex(move.color)) {
+    score += SCORES.SAFE_LANDING;
+  }
+
+  score -= threatsAfter * SCORES.THREAT;
+  score += threatsBefore * SCORES.ESCAPE;
+
+  return score;
+}
+
+/**
+ * Weighted count of threats - closer attackers hit more often
+ * (a single die reaches 1-6, only the sum reaches 7-12)
+ * Also used by the move hints. A `piece` still at home is never threatened.
+ */
+export function getThreatWeight(pieces, color, position, houseRules, piece) {
+  if (piece && (piece.atHome || piece.isAtHome)) return 0;
+
+  return getThreatsTo(pieces, color, position, houseRules)
+    .reduce((total, threat) => total + (threat.distance <= 6 ? 1 : 0.4), 0);
+}
+
+function pickBest(moves, score) {
+  let best = moves[0];
+  let bestScore = -Infinity;
+
+  moves.forEach(move => {
+    const value = score(move);
+    if (value > bestScore) {
+      best = move;
+      bestScore = value;
+    }
+  });
+
+  return best;
+}
+
+const botStrategies = {
+  BOT_LEVELS,
+  BOT_LEVEL_LABELS,
+  BOT_THINK_TIME,
+  chooseBotMove,
+  normalizeBotLevel,
+  getThreatWeight
+};
+
+export default botStrategies;
@@ -0,0 +1,103 @@
+// src/utils/botStrategies.test.js
+
+import { getFinishIndex, getPathPosition } from '../pixi/utils/coordinateUtils';
+import { createInitialPieces, getLegalMoves } from './ludoRules';
+import { BOT_LEVELS, chooseBotMove, normalizeBotLevel, getThreatWeight } from './botStrategies';
+
+function piece(id, color, position) {
+  return { id, color: color.toUpperCase(), position, atHome: false, isAtHome: false };
+}
+
+// `pathIndex` steps along red's path, whatever the piece's color
+function onRedPath(pathIndex) {
+  return getPathPosition('red', pathIndex);
+}
+
+function pick(level, pieces, dice) {
+  const moves = getLegalMoves(pieces, 'red', dice);
+  const move = chooseBotMove(level, moves, pieces);
+  return [move.pieceId, move.dieUsed];
+}
+
+describe('chooseBotMove', () => {
+  it('has nothing to pick without moves', () => {
+    expect(chooseBotMove(BOT_LEVELS.HARD, [], [])).toBeNull();
+    expect(chooseBotMove(BOT_LEVELS.NORMAL, null, [])).toBeNull();
+  });
+
+  it('plays any legal move on easy', () => {
+    const pieces = [piece('R1', 'red', onRedPath(10))];
+    const moves = getLegalMoves(pieces, 'red', { die1: 2, die2: 3 });
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0.99);
+
+    expect(chooseBotMove(BOT_LEVELS.EASY, moves, pieces)).toBe(moves[moves.length - 1]);
+
+    random.mockRestore();
+  });
+
+  it('captures first on normal', () => {
+    const pieces = [
+      piece('R1', 'red', onRedPath(10)),
+      piece('R2', 'red', onRedPath(30)),
+      piece('G1', 'green', onRedPath(14))
+    ];
+
+    expect(pick(BOT_LEVELS.NORMAL, pieces, { die1: 4, die2: 1 })).toEqual(['R1', 'die1']);
+  });
+
+  it('brings a piece home before advancing another on normal', () => {
+    const pieces = [
+      piece('R1', 'red', onRedPath(getFinishIndex('red') - 3)),
+      piece('R2', 'red', onRedPath(20))
+    ];
+
+    expect(pick(BOT_LEVELS.NORMAL, pieces, { die1: 3, die2: 5 })).toEqual(['R1', 'die1']);
+  });
+
+  it('gets a piece out of home on normal', () => {
+    const pieces = [...createInitialPieces(['red']).slice(0, 1), piece('R2', 'red', onRedPath(10))];
+
+    expect(pick(BOT_LEVELS.NORMAL, pieces, { die1: 6, die2: 1 })).toEqual(['R1', 'die1']);
+  });
+
+  it('runs a threatened piece on hard where normal pushes the leader', () => {
+    const pieces = [
+      piece('R1', 'red', onRedPath(10)),
+      piece('R2', 'red', onRedPath(30)),
+      piece('G1', 'green', onRedPath(8))
+    ];
+    const dice = { die1: 1, die2: 2 };
+
+    expect(pick(BOT_LEVELS.NORMAL, pieces, dice)).toEqual(['R2', 'sum']);
+    expect(pick(BOT_LEVELS.HARD, pieces, dice)).toEqual(['R1', 'sum']);
+  });
+});
+
+describe('getThreatWeight', () => {
+  const pieces = [
+    piece('G1', 'green', onRedPath(20)),
+    piece('G2', 'green', onRedPath(14))
+  ];
+
+  it('counts attackers in single-die reach fully and sum-only ones less', () => {
+    expect(getThreatWeight(pieces, 'red', onRedPath(24))).toBeCloseTo(1.4);
+  });
+
+  it('never threatens a piece still at home', () => {
+    const home = { ...piece('R1', 'red', onRedPath(24)), atHome: true, isAtHome: true };
+
+    expect(getThreatWeight(pieces, 'red', home.position, undefined, home)).toBe(0);
+  });
+});
+
+describe('normalizeBotLevel', () => {
+  it('accepts the known levels in any case', () => {
+    expect(normalizeBotLevel('HARD')).toBe(BOT_LEVELS.HARD);
+    expect(normalizeBotLevel('easy')).toBe(BOT_LEVELS.EASY);
+  });
+
+  it('falls back to normal', () => {
+    expect(normalizeBotLevel('impossible')).toBe(BOT_LEVELS.NORMAL);
+    expect(normalizeBotLevel(null)).toBe(BOT_LEVELS.NORMAL);
+  });
+});
@@ -0,0 +1,83 @@
+// src/utils/careerStats.js
+
+/**
+ * Career Stats - Totals across MatchHistory entries
+ *
+ * {
+ *   games, wins, losses,
+ *   winRate,                 // 0-1, null without games
+ *   averagePosition,         // Mean finishing place, null without games
+ *   currentStreak: { result: 'win' | 'loss', length },  // null without games
+ *   bestWinStreak,
+ *   byColor: { red: { games, wins, winRate, averagePosition }, ... }
+ * }
+ *
+ * A game played with two colors (2-player team mode) counts for both.
+ */
+
+export const HISTORY_COLORS = ['red', 'green', 'yellow', 'blue'];
+
+/**
+ * @param {Array} games - MatchHistory entries, newest first
+ */
+export function getCareerStats(games = []) {
+  const wins = games.filter(game => game.result === 'win').length;
+
+  const byColor = {};
+  HISTORY_COLORS.forEach(color => {
+    byColor[color] = summarize(games.filter(game => (game.colors || []).includes(color)));
+  });
+
+  return {
+    ...summarize(games),
+    losses: games.length - wins,
+    currentStreak: getCurrentStreak(games),
+    bestWinStreak: getBestWinStreak(games),
+    byColor
+  };
+}
+
+function summarize(games) {
+  const wins = games.filter(game => game.result === 'win').length;
+  const positions = games.map(game => game.position).filter(position => position > 0);
+
+  return {
+    games: games.length,
+    wins,
+    winRate: games.length > 0 ? wins / games.length : null,
+    averagePosition: positions.length > 0
+      ? positions.reduce((sum, position) => sum + position, 0) / positions.length
+      : null
+  };
+}
+
+/**
+ * Same result as the latest game, counted back from it
+ */
+function getCurrentStreak(games) {
+  if (games.length === 0) return null;
+
+  const result = games[0].result;
+  const length = games.findIndex(game => game.result !== result);
+
+  return { result, length: length === -1 ? games.length : length };
+}
+
+function getBestWinStreak(games) {
+  let best = 0;
+  let run = 0;
+
+  games.forEach(game => {
+    run = game.result === 'win' ? run + 1 : 0;
+    best = Math.max(best, run);
+  });
+
+  return best;
+}
+
+const careerStats = {
+  HISTORY_COLORS,
+  getCareerStats
+};
+
+export default careerStats;
@@ -0,0 +1,64 @@
+// src/utils/careerStats.test.js
+
+import { getCareerStats } from './careerStats';
+
+function game(result, position, colors = ['red']) {
+  return { result, position, colors };
+}
+
+describe('getCareerStats', () => {
+  it('is empty without games', () => {
+    const stats = getCareerStats([]);
+
+    expect(stats).toMatchObject({
+      games: 0,
+      wins: 0,
+      losses: 0,
+      winRate: null,
+      averagePosition: null,
+      currentStreak: null,
+      bestWinStreak: 0
+    });
+    expect(stats.byColor.red).toEqual({ games: 0, wins: 0, winRate: null, averagePosition: null });
+  });
+
+  it('totals wins, losses and places', () => {
+    const stats = getCareerStats([game('win', 1), game('loss', 3), game('loss', 2), game('win', 1)]);
+
+    expect(stats.games).toBe(4);
+    expect(stats.wins).toBe(2);
+    expect(stats.losses).toBe(2);
+    expect(stats.winRate).toBe(0.5);
+    expect(stats.averagePosition).toBe(1.75);
+  });
+
+  it('counts the current streak back from the newest game', () => {
+    expect(getCareerStats([game('loss', 2), game('loss', 3), game('win', 1)]).currentStreak)
+      .toEqual({ result: 'loss', length: 2 });
+    expect(getCareerStats([game('win', 1), game('win', 1)]).currentStreak)
+      .toEqual({ result: 'win', length: 2 });
+  });
+
+  it('finds the best run of wins anywhere in the history', () => {
+    const games = [game('win', 1), game('loss', 2), game('win', 1), game('win', 1), game('win', 1), game('loss', 4)];
+
+    expect(getCareerStats(games).bestWinStreak).toBe(3);
+  });
+
+  it('splits by color, counting two-color games for both', () => {
+    const stats = getCareerStats([
+      game('win', 1, ['red', 'yellow']),
+      game('loss', 2, ['red']),
+      game('loss', 4, ['green'])
+    ]);
+
+    expect(stats.byColor.red).toEqual({ games: 2, wins: 1, winRate: 0.5, averagePosition: 1.5 });
+    expect(stats.byColor.yellow).toMatchObject({ games: 1, wins: 1 });
+    expect(stats.byColor.green).toMatchObject({ games: 1, wins: 0, winRate: 0 });
+    expect(stats.byColor.blue.games).toBe(0);
+  });
+
+  it('leaves unknown places out of the average', () => {
+    expect(getCareerStats([game('win', 1), game('loss', null)]).averagePosition).toBe(1);
+  });
+});
@@ -0,0 +1,119 @@
+// src/utils/houseRules.js
+
+/**
+ * House Rules - Per-game rule options chosen when creating a game
+ *
+ * Sent with /app/game.create as `rules`, echoed back by the server in the
+ * game state (state.rules) and applied by ludoRules for local games.
+ *
+ * {
+ *   playerCount: 2-4,           // Seats at the table
+ *   sixToLeaveHome: true,       // A die must show 6 to bring a piece out
+ *   bonusTurnOnDoubles: true,   // Doubles roll again
+ *   tripleSixPenalty: false,    // Third double six in a row loses the turn
+ *   mandatoryCapture: false,    // If a capture is possible it must be taken
+ *   safeCells: true,            // Pieces on safe cells can't be captured
+ *   teamMode: false,            // 2v2 - partners in opposite corners win together
+ *   rated: true                 // Counts toward Elo ratings - no move hints
+ * }
+ *
+ * Team mode needs all four corners: with 2 players each one plays both of
+ * a team's colors, with 4 players partners share a team. 3 becomes 4.
+ */
+
+export const DEFAULT_HOUSE_RULES = {
+  playerCount: 4,
+  sixToLeaveHome: true,
+  bonusTurnOnDoubles: true,
+  tripleSixPenalty: false,
+  mandatoryCapture: false,
+  safeCells: true,
+  teamMode: false,
+  rated: true
+};
+
+export const PLAYER_COUNT_OPTIONS = [2, 3, 4];
+
+// On/off options in the order the settings dialog lists them
+export const HOUSE_RULE_TOGGLES = [
+  { key: 'sixToLeaveHome', label: 'Six needed to leave home' },
+  { key: 'bonusTurnOnDoubles', label: 'Bonus roll on doubles' },
+  { key: 'tripleSixPenalty', label: 'Triple double-six loses the turn' },
+  { key: 'mandatoryCapture', label: 'Captures are mandatory' },
+  { key: 'safeCells', label: 'Safe cells protect pieces' },
+  { key: 'teamMode', label: '2v2 teams (partners opposite)' },
+  { key: 'rated', label: 'Rated (no move hints)' }
+];
+
+/**
+ * Fill in missing options and clamp the player count
+ * @param {Object} rules - Partial rules (e.g. from the server)
+ * @returns {Object} Complete rules
+ */
+export function normalizeHouseRules(rules = {}) {
+  const normalized = { ...DEFAULT_HOUSE_RULES };
+
+  const playerCount = parseInt(rules.playerCount ?? rules.maxPlayers, 10);
+  if (PLAYER_COUNT_OPTIONS.includes(playerCount)) {
+    normalized.playerCount = playerCount;
+  }
+
+  HOUSE_RULE_TOGGLES.forEach(({ key }) => {
+    if (typeof rules[key] === 'boolean') {
+      normalized[key] = rules[key];
+    }
+  });
+
+  // Two teams of two - no odd seat out
+  if (normalized.teamMode && normalized.playerCount === 3) {
+    normalized.playerCount = 4;
+  }
+
+  return normalized;
+}
+
+/**
+ * Colors each player plays - two in a 2-player team game (both of a team's)
+ */
+export function getColorsPerPlayer(rules) {
+  const r = normalizeHouseRules(rules);
+  return r.teamMode && r.playerCount === 2 ? 2 : 1;
+}
+
+/**
+ * Seats (colors) at the table - playerCount × colors per player
+ */
+export function getSeatCount(rules) {
+  return normalizeHouseRules(rules).playerCount * getColorsPerPlayer(rules);
+}
+
+/**
+ * Short read-only labels, one per option
+ * @returns {Array<string>} e.g. ['4 players', '6 to leave home', ...]
+ */
+export function describeHouseRules(rules) {
+  const r = normalizeHouseRules(rules);
+
+  return [
+    `${r.playerCount} players`,
+    r.sixToLeaveHome ? '6 to leave home' : 'Any die leaves home',
+    r.bonusTurnOnDoubles ? 'Doubles roll again' : 'No doubles bonus',
+    r.tripleSixPenalty ? 'Triple 6s lose turn' : 'No triple-6 penalty',
+    r.mandatoryCapture ? 'Captures mandatory' : 'Captures optional',
+    r.safeCells ? 'Safe cells on' : 'No safe cells',
+    r.teamMode ? '2v2 teams' : 'Free for all',
+    r.rated ? 'Rated' : 'Unrated, hints on'
+  ];
+}
+
+const houseRules = {
+  DEFAULT_HOUSE_RULES,
+  PLAYER_COUNT_OPTIONS,
+  HOUSE_RULE_TOGGLES,
+  normalizeHouseRules,
+  getColorsPerPlayer,
+  getSeatCount,
+  describeHouseRules
+};
+
+export default houseRules;
@@ -0,0 +1,76 @@
+// src/utils/houseRules.test.js
+
+import {
+  DEFAULT_HOUSE_RULES,
+  HOUSE_RULE_TOGGLES,
+  normalizeHouseRules,
+  getColorsPerPlayer,
+  getSeatCount,
+  describeHouseRules
+} from './houseRules';
+
+describe('normalizeHouseRules', () => {
+  it('fills in the defaults', () => {
+    expect(normalizeHouseRules()).toEqual(DEFAULT_HOUSE_RULES);
+    expect(normalizeHouseRules({ safeCells: false })).toEqual({ ...DEFAULT_HOUSE_RULES, safeCells: false });
+  });
+
+  it('reads the player count from playerCount or maxPlayers', () => {
+    expect(normalizeHouseRules({ playerCount: 2 }).playerCount).toBe(2);
+    expect(normalizeHouseRules({ maxPlayers: '3' }).playerCount).toBe(3);
+  });
+
+  it('ignores unsupported player counts', () => {
+    expect(normalizeHouseRules({ playerCount: 5 }).playerCount).toBe(DEFAULT_HOUSE_RULES.playerCount);
+    expect(normalizeHouseRules({ playerCount: 'many' }).playerCount).toBe(DEFAULT_HOUSE_RULES.playerCount);
+  });
+
+  it('only takes booleans for the toggles', () => {
+    const rules = normalizeHouseRules({ mandatoryCapture: 'yes', safeCells: false });
+
+    expect(rules.mandatoryCapture).toBe(false);
+    expect(rules.safeCells).toBe(false);
+  });
+
+  it('drops unknown options', () => {
+    expect(normalizeHouseRules({ cheats: true })).not.toHaveProperty('cheats');
+  });
+
+  it('seats four for team mode instead of three', () => {
+    expect(normalizeHouseRules({ teamMode: true, playerCount: 3 }).playerCount).toBe(4);
+    expect(normalizeHouseRules({ teamMode: true, playerCount: 2 }).playerCount).toBe(2);
+  });
+});
+
+describe('getSeatCount', () => {
+  it('seats one color per player', () => {
+    expect(getSeatCount({ playerCount: 3 })).toBe(3);
+    expect(getColorsPerPlayer({ playerCount: 2 })).toBe(1);
+  });
+
+  it('gives each of two team players both of a team\'s colors', () => {
+    expect(getColorsPerPlayer({ playerCount: 2, teamMode: true })).toBe(2);
+    expect(getSeatCount({ playerCount: 2, teamMode: true })).toBe(4);
+    expect(getSeatCount({ playerCount: 4, teamMode: true })).toBe(4);
+  });
+});
+
+describe('describeHouseRules', () => {
+  it('gives one label per option', () => {
+    const labels = describeHouseRules({ playerCount: 2, safeCells: false });
+
+    expect(labels).toHaveLength(HOUSE_RULE_TOGGLES.length + 1);
+    expect(labels[0]).toBe('2 players');
+    expect(labels).toContain('No safe cells');
+  });
+
+  it('labels team play', () => {
+    expect(describeHouseRules({ teamMode: true })).toContain('2v2 teams');
+    expect(describeHouseRules({})).toContain('Free for all');
+  });
+
+  it('labels unrated games as having hints', () => {
+    expect(describeHouseRules({})).toContain('Rated');
+    expect(describeHouseRules({ rated: false })).toContain('Unrated, hints on');
+  });
+});
@@ -0,0 +1,111 @@
+// src/utils/inviteLinks.js
+
+/**
+ * Invite Links - Shareable ?game=ABC123 URLs
+ *
+ * WaitingRoom copies a link built from the current page URL; LobbyScene
+ * reads the parameter on startup and joins that game once connected.
+ */
+
+export const INVITE_PARAM = 'game';
+
+// Server game IDs are short alphanumeric codes
+const GAME_ID_PATTERN = /^[A-Z0-9]{4,12}$/;
+
+// Offline games (LocalGameEngine) only exist on this device
+const LOCAL_GAME_PREFIX = 'LOCAL';
+
+/**
+ * Trim and uppercase a game ID the way JoinGamePanel's input does
+ */
+export function normalizeGameId(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+/**
+ * True if a game ID looks like a server game other players can join
+ */
+export function isShareableGameId(gameId) {
+  const id = normalizeGameId(gameId);
+  return GAME_ID_PATTERN.test(id) && !id.startsWith(LOCAL_GAME_PREFIX);
+}
+
+/**
+ * Invite URL for a game, based on the page the app is served from
+ * @param {string} gameId - Game ID
+ * @returns {string} e.g. https://example.com/?game=ABC123
+ */
+export function buildInviteLink(gameId) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(INVITE_PARAM, normalizeGameId(gameId));
+  return url.toString();
+}
+
+/**
+ * Game ID from the page URL, if the app was opened from an invite
+ * @returns {string|null} Normalized ID (may be invalid), or null if absent
+ */
+export function getInviteGameId() {
+  const value = new URLSearchParams(window.location.search).get(INVITE_PARAM);
+  return value === null ? null : normalizeGameId(value);
+}
+
+/**
+ * Drop the invite parameter so a refresh doesn't join again
+ */
+export function clearInviteParam() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(INVITE_PARAM)) return;
+
+  url.searchParams.delete(INVITE_PARAM);
+  window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Copy text to the clipboard
+ * Falls back to a hidden textarea where the async Clipboard API is
+ * unavailable (older browsers, non-HTTPS pages)
+ * @returns {Promise<boolean>} True if the text was copied
+ */
+export async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      console.warn('📋 Clipboard API failed, using fallback:', error);
+    }
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (error) {
+    copied = false;
+  }
+
+  document.body.removeChild(textarea);
+  return copied;
+}
+
+const inviteLinks = {
+  INVITE_PARAM,
+  normalizeGameId,
+  isShareableGameId,
+  buildInviteLink,
+  getInviteGameId,
+  clearInviteParam,
+  copyToClipboard
+};
+
+export default inviteLinks;
@@ -0,0 +1,62 @@
+// src/utils/inviteLinks.test.js
+
+import {
+  normalizeGameId,
+  isShareableGameId,
+  buildInviteLink,
+  getInviteGameId,
+  clearInviteParam
+} from './inviteLinks';
+
+describe('game IDs', () => {
+  it('trims and uppercases', () => {
+    expect(normalizeGameId('  abc123 ')).toBe('ABC123');
+    expect(normalizeGameId(null)).toBe('');
+  });
+
+  it('accepts short alphanumeric server codes', () => {
+    expect(isShareableGameId('ABC123')).toBe(true);
+    expect(isShareableGameId(' abcd ')).toBe(true);
+    expect(isShareableGameId('ABCDEF123456')).toBe(true);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(isShareableGameId('')).toBe(false);
+    expect(isShareableGameId('ABC')).toBe(false);
+    expect(isShareableGameId('ABCDEF1234567')).toBe(false);
+    expect(isShareableGameId('AB-123')).toBe(false);
+    expect(isShareableGameId('<script>')).toBe(false);
+  });
+
+  it('rejects offline games', () => {
+    expect(isShareableGameId('LOCAL1234')).toBe(false);
+  });
+});
+
+describe('invite URLs', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('builds a link from the current page without its query or hash', () => {
+    window.history.replaceState(null, '', '/play?foo=1#lobby');
+
+    expect(buildInviteLink('abc123')).toBe(`${window.location.origin}/play?game=ABC123`);
+  });
+
+  it('reads the game from the page URL', () => {
+    expect(getInviteGameId()).toBeNull();
+
+    window.history.replaceState(null, '', '/?game=xyz789');
+    expect(getInviteGameId()).toBe('XYZ789');
+  });
+
+  it('clears only the invite parameter', () => {
+    window.history.replaceState(null, '', '/?game=XYZ789&debug=1');
+
+    clearInviteParam();
+
+    expect(getInviteGameId()).toBeNull();
+    expect(window.location.search).toBe('?debug=1');
+  });
+});
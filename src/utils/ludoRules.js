@@ -0,0 +1,472 @@
+// src/utils/ludoRules.js
+
+import {
+  BOARD_CONFIG,
+  getPathIndex,
+  getPathPosition,
+  getFinishIndex,
+  isSafePosition
+} from '../pixi/utils/coordinateUtils';
+import { DIE_CHOICES, createMoveOption, describeMoveOption } from './moveOptions';
+import { DEFAULT_HOUSE_RULES } from './houseRules';
+
+/**
+ * Ludo Rules - Pure two-dice rules used by the local game engine
+ *
+ * - Both dice are rolled together; each die moves one piece, or the sum
+ *   moves a single piece
+ * - A piece leaves home onto its entry cell (path index 0) with a die showing 6
+ * - Pieces follow their color path from coordinateUtils and need an exact
+ *   count to reach the finish cell
+ * - Landing on an opponent outside a safe cell sends it back home
+ *   (partners don't capture each other in team mode)
+ * - Doubles earn another roll (up to MAX_DOUBLES in a row)
+ * - In team mode partners sit in opposite corners (TEAMS) and win together
+ *   once both of their colors are home
+ *
+ * Functions that depend on house rules (houseRules.js) take them as their
+ * last argument and default to DEFAULT_HOUSE_RULES: leaving home without a
+ * six, safe cells switched off and mandatory captures change the moves.
+ *
+ * Pieces use the backend shape: { id, color, position: {row, col}, atHome,
+ * inSafeZone, finished } plus the isAtHome/isInSafeZone/isFinished aliases
+ * the components read. Nothing here mutates its input.
+ */
+
+export const RULES = {
+  EXIT_VALUE: 6,
+  PIECES_PER_PLAYER: 4,
+  MAX_DOUBLES: 3,
+  MIN_PLAYERS: 2,
+  MAX_PLAYERS: 4
+};
+
+// Clockwise around the board, starting top-left
+export const TURN_ORDER = ['red', 'green', 'yellow', 'blue'];
+
+// Seats used for each player count - two players sit opposite each other
+export const SEATS_BY_PLAYER_COUNT = {
+  2: ['red', 'yellow'],
+  3: ['red', 'green', 'yellow'],
+  4: ['red', 'green', 'yellow', 'blue']
+};
+
+// 2v2 partnerships - partners sit in opposite corners
+export const TEAMS = [
+  { id: 'red-yellow', name: 'Red & Yellow', colors: ['red', 'yellow'] },
+  { id: 'green-blue', name: 'Green & Blue', colors: ['green', 'blue'] }
+];
+
+// Furthest a piece can travel in one roll (sum of two sixes)
+const MAX_REACH = 12;
+
+const COLOR_LETTERS = {
+  red: 'R',
+  green: 'G',
+  yellow: 'Y',
+  blue: 'B'
+};
+
+// ===========================================================================
+// PIECES
+// ===========================================================================
+
+/**
+ * Create the starting pieces for the given colors (all at home)
+ * @param {Array} colors - Colors in play (lowercase)
+ * @returns {Array} Pieces
+ */
+export function createInitialPieces(colors) {
+  const pieces = [];
+
+  colors.forEach(color => {
+    BOARD_CONFIG.INITIAL_PIECE_POSITIONS[color].forEach((homePosition, index) => {
+      pieces.push(createPiece(`${COLOR_LETTERS[color]}${index + 1}`, color, homePosition, {
+        atHome: true
+      }));
+    });
+  });
+
+  return pieces;
+}
+
+/**
+ * Get the lowercase color of a piece (backend sends uppercase)
+ */
+export function getPieceColor(piece) {
+  return String(piece.color).toLowerCase();
+}
+
+/**
+ * Index of a piece along its color path, -1 while at home
+ */
+export function getPiecePathIndex(piece) {
+  if (isAtHome(piece)) return -1;
+  return getPathIndex(getPieceColor(piece), piece.position);
+}
+
+/**
+ * Compact key of where every piece stands - boards with the same pieces in
+ * the same places get the same key (used to match a takeback to its move)
+ */
+export function getBoardKey(pieces) {
+  return [...pieces]
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+    .map(piece => `${piece.id}@${piece.position?.row},${piece.position?.col}${isAtHome(piece) ? 'h' : ''}${isFinished(piece) ? 'f' : ''}`)
+    .join('|');
+}
+
+/**
+ * True once every piece of a color has reached the finish
+ */
+export function hasColorFinished(pieces, color) {
+  const own = pieces.filter(piece => getPieceColor(piece) === color);
+  return own.length > 0 && own.every(isFinished);
+}
+
+// ===========================================================================
+// TEAMS
+// ===========================================================================
+
+/**
+ * The team a color plays for (team mode)
+ * @returns {Object|null} Entry from TEAMS
+ */
+export function getTeamForColor(color) {
+  const key = String(color).toLowerCase();
+  return TEAMS.find(team => team.colors.includes(key)) || null;
+}
+
+/**
+ * True if pieces of the two colors can capture each other -
+ * any other color, except a partner in team mode
+ */
+export function areOpponents(color, otherColor, houseRules = DEFAULT_HOUSE_RULES) {
+  if (color === otherColor) return false;
+  if (!houseRules.teamMode) return true;
+
+  const team = getTeamForColor(color);
+  return !team || team !== getTeamForColor(otherColor);
+}
+
+/**
+ * True once both colors of the given color's team are home
+ */
+export function hasTeamFinished(pieces, color) {
+  const team = getTeamForColor(color);
+  return Boolean(team) && team.colors.every(teamColor => hasColorFinished(pieces, teamColor));
+}
+
+/**
+ * Pieces of the given colors that have reached the finish
+ */
+export function countFinishedPieces(pieces, colors) {
+  return pieces.filter(piece => colors.includes(getPieceColor(piece)) && isFinished(piece)).length;
+}
+
+/**
+ * True if pieces on the cell can't be captured (safe cells rule)
+ */
+export function isProtectedCell(position, houseRules = DEFAULT_HOUSE_RULES) {
+  return Boolean(houseRules.safeCells && isSafePosition(position.col, position.row));
+}
+
+/**
+ * Opponent pieces that could land on a cell with their next roll
+ * (one die, the sum of both, or leaving home onto their entry cell)
+ * @param {Array} pieces - Current pieces
+ * @param {string} color - Color of the piece that would be at risk
+ * @param {Object} position - {row, col} cell
+ * @param {Object} houseRules - Rules in play
+ * @returns {Array} [{ pieceId, distance, fromHome }] - distance is steps needed
+ */
+export function getThreatsTo(pieces, color, position, houseRules = DEFAULT_HOUSE_RULES) {
+  if (!position || isProtectedCell(position, houseRules)) return [];
+
+  const threats = [];
+
+  pieces.forEach(piece => {
+    const opponentColor = getPieceColor(piece);
+    if (!areOpponents(color, opponentColor, houseRules) || isFinished(piece)) return;
+
+    // Pieces on the finish cell can't be captured
+    const targetIndex = getPathIndex(opponentColor, position);
+    if (targetIndex === -1 || targetIndex === getFinishIndex(opponentColor)) return;
+
+    if (isAtHome(piece)) {
+      if (targetIndex === 0) {
+        threats.push({ pieceId: piece.id, distance: houseRules.sixToLeaveHome ? RULES.EXIT_VALUE : 1, fromHome: true });
+      }
+      return;
+    }
+
+    const distance = targetIndex - getPiecePathIndex(piece);
+    if (distance >= 1 && distance <= MAX_REACH) {
+      threats.push({ pieceId: piece.id, distance, fromHome: false });
+    }
+  });
+
+  return threats;
+}
+
+/**
+ * Chance that some opponent's next roll could land on a cell - each
+ * opponent color rolls once before the cell's owner moves again
+ * (bonus rolls on doubles aren't counted)
+ * @returns {number} 0-1, 0 on protected cells
+ */
+export function getCaptureChance(pieces, color, position, houseRules = DEFAULT_HOUSE_RULES) {
+  const threatsByColor = new Map();
+
+  getThreatsTo(pieces, color, position, houseRules).forEach(threat => {
+    const attacker = pieces.find(piece => piece.id === threat.pieceId);
+    const attackerColor = getPieceColor(attacker);
+    threatsByColor.set(attackerColor, [...(threatsByColor.get(attackerColor) || []), threat]);
+  });
+
+  let safe = 1;
+  threatsByColor.forEach(threats => {
+    safe *= 1 - getHitChance(threats, houseRules);
+  });
+
+  return 1 - safe;
+}
+
+// ===========================================================================
+// MOVES
+// ===========================================================================
+
+/**
+ * List every legal move for a color with the dice still unused
+ * @param {Array} pieces - Current pieces
+ * @param {string} color - Color to move (lowercase)
+ * @param {Object} remainingDice - {die1, die2}, null for a die already used
+ * @param {Object} houseRules - Rules in play
+ * @returns {Array} Move options (see moveOptions.js), numbered from 1
+ */
+export function getLegalMoves(pieces, color, remainingDice, houseRules = DEFAULT_HOUSE_RULES) {
+  const choices = getDieChoices(remainingDice);
+  let moves = [];
+
+  pieces
+    .filter(piece => getPieceColor(piece) === color && !isFinished(piece))
+    .forEach(piece => {
+      choices.forEach(({ dieUsed, value }) => {
+        const target = getMoveTarget(piece, dieUsed, value, houseRules);
+        if (!target) return;
+
+        const captured = findCapturablePieces(pieces, color, target, houseRules);
+
+        moves.push(createMoveOption({
+          pieceId: piece.id,
+          color,
+          dieUsed,
+          steps: value,
+          from: piece.position,
+          to: target,
+          captures: captured.length > 0,
+          capturedPieceId: captured[0]?.id
+        }));
+      });
+    });
+
+  // With mandatory captures, a capture (if any) is the only choice
+  if (houseRules.mandatoryCapture && moves.some(move => move.captures)) {
+    moves = moves.filter(move => move.captures);
+  }
+
+  return moves.map((move, index) => {
+    const numbered = { ...move, number: index + 1 };
+    return { ...numbered, description: describeMoveOption(numbered) };
+  });
+}
+
+/**
+ * Apply a move to the pieces
+ * @param {Array} pieces - Current pieces
+ * @param {Object} move - Move option from getLegalMoves()
+ * @param {Object} houseRules - Rules in play
+ * @returns {Object} { pieces, capturedPieceIds, finishedPieceId }
+ */
+export function applyMove(pieces, move, houseRules = DEFAULT_HOUSE_RULES) {
+  const captured = findCapturablePieces(pieces, move.color, move.to, houseRules).map(piece => piece.id);
+  const finishIndex = getFinishIndex(move.color);
+  let finishedPieceId = null;
+
+  const nextPieces = pieces.map(piece => {
+    if (piece.id === move.pieceId) {
+      const pathIndex = getPathIndex(move.color, move.to);
+      const finished = pathIndex === finishIndex;
+      if (finished) finishedPieceId = piece.id;
+
+      return createPiece(piece.id, move.color, move.to, {
+        finished,
+        inSafeZone: !finished && isSafePosition(move.to.col, move.to.row)
+      });
+    }
+
+    if (captured.includes(piece.id)) {
+      return sendHome(piece);
+    }
+
+    return piece;
+  });
+
+  return { pieces: nextPieces, capturedPieceIds: captured, finishedPieceId };
+}
+
+/**
+ * Mark a die choice as used
+ * @returns {Object} Remaining dice after the move
+ */
+export function consumeDie(remainingDice, dieUsed) {
+  if (dieUsed === DIE_CHOICES.SUM) {
+    return { die1: null, die2: null };
+  }
+  return { ...remainingDice, [dieUsed]: null };
+}
+
+export function isDoubles(dice) {
+  return dice.die1 > 0 && dice.die1 === dice.die2;
+}
+
+export function isDoubleSix(dice) {
+  return dice.die1 === 6 && dice.die2 === 6;
+}
+
+export function rollDie() {
+  return Math.floor(Math.random() * 6) + 1;
+}
+
+// ===========================================================================
+// INTERNAL HELPERS
+// ===========================================================================
+
+function createPiece(id, color, position, flags = {}) {
+  const atHome = Boolean(flags.atHome);
+  const inSafeZone = Boolean(flags.inSafeZone);
+  const finished = Boolean(flags.finished);
+
+  return {
+    id,
+    color: color.toUpperCase(),
+    position: { row: position.row, col: position.col },
+    atHome,
+    isAtHome: atHome,
+    inSafeZone,
+    isInSafeZone: inSafeZone,
+    finished,
+    isFinished: finished
+  };
+}
+
+function sendHome(piece) {
+  const color = getPieceColor(piece);
+  const index = parseInt(piece.id.slice(1), 10) - 1;
+  const homePosition = BOARD_CONFIG.INITIAL_PIECE_POSITIONS[color][index];
+
+  return createPiece(piece.id, color, homePosition, { atHome: true });
+}
+
+function isAtHome(piece) {
+  return Boolean(piece.atHome || piece.isAtHome);
+}
+
+function isFinished(piece) {
+  return Boolean(piece.finished || piece.isFinished);
+}
+
+/**
+ * Die choices available with the remaining dice
+ * Doubles only offer one die so the same move isn't listed twice - the
+ * dice on screen let either of the pair play it
+ */
+function getDieChoices(remainingDice) {
+  const { die1, die2 } = remainingDice;
+  const choices = [];
+
+  if (die1) choices.push({ dieUsed: DIE_CHOICES.DIE1, value: die1 });
+  if (die2 && die2 !== die1) choices.push({ dieUsed: DIE_CHOICES.DIE2, value: die2 });
+  if (die1 && die2) choices.push({ dieUsed: DIE_CHOICES.SUM, value: die1 + die2 });
+
+  return choices;
+}
+
+function getMoveTarget(piece, dieUsed, value, houseRules) {
+  const color = getPieceColor(piece);
+
+  if (isAtHome(piece)) {
+    // Leaving home takes a single die (showing the exit value, unless the house says otherwise)
+    if (dieUsed === DIE_CHOICES.SUM) return null;
+    if (houseRules.sixToLeaveHome && value !== RULES.EXIT_VALUE) return null;
+    return getPathPosition(color, 0);
+  }
+
+  const currentIndex = getPiecePathIndex(piece);
+  if (currentIndex === -1) return null;
+
+  const targetIndex = currentIndex + value;
+  if (targetIndex > getFinishIndex(color)) return null;
+
+  return getPathPosition(color, targetIndex);
+}
+
+/**
+ * Share of the 36 two-dice rolls that let one of the threats land
+ */
+function getHitChance(threats, houseRules) {
+  let hits = 0;
+
+  for (let die1 = 1; die1 <= 6; die1++) {
+    for (let die2 = 1; die2 <= 6; die2++) {
+      const lands = threats.some(threat => {
+        if (threat.fromHome) {
+          return !houseRules.sixToLeaveHome || die1 === RULES.EXIT_VALUE || die2 === RULES.EXIT_VALUE;
+        }
+        return die1 === threat.distance || die2 === threat.distance || die1 + die2 === threat.distance;
+      });
+      if (lands) hits++;
+    }
+  }
+
+  return hits / 36;
+}
+
+function findCapturablePieces(pieces, moverColor, target, houseRules) {
+  if (isProtectedCell(target, houseRules)) return [];
+
+  return pieces.filter(piece =>
+    areOpponents(moverColor, getPieceColor(piece), houseRules) &&
+    !isAtHome(piece) &&
+    !isFinished(piece) &&
+    piece.position.row === target.row &&
+    piece.position.col === target.col
+  );
+}
+
+const ludoRules = {
+  RULES,
+  TURN_ORDER,
+  SEATS_BY_PLAYER_COUNT,
+  TEAMS,
+  createInitialPieces,
+  getPieceColor,
+  getPiecePathIndex,
+  getBoardKey,
+  hasColorFinished,
+  getTeamForColor,
+  areOpponents,
+  hasTeamFinished,
+  countFinishedPieces,
+  isProtectedCell,
+  getThreatsTo,
+  getCaptureChance,
+  getLegalMoves,
+  applyMove,
+  consumeDie,
+  isDoubles,
+  isDoubleSix,
+  rollDie
+};
+
+export default ludoRules;
@@ -0,0 +1,181 @@
+// src/utils/ludoRules.test.js
+
+import { getFinishIndex, getPathIndex, getPathPosition } from '../pixi/utils/coordinateUtils';
+import { DEFAULT_HOUSE_RULES } from './houseRules';
+import {
+  createInitialPieces,
+  getLegalMoves,
+  applyMove,
+  consumeDie,
+  hasColorFinished,
+  hasTeamFinished,
+  areOpponents
+} from './ludoRules';
+
+function piece(id, color, pathIndex, flags = {}) {
+  return {
+    id,
+    color: color.toUpperCase(),
+    position: getPathPosition(color, pathIndex),
+    atHome: false,
+    isAtHome: false,
+    ...flags
+  };
+}
+
+// A piece of `color` standing on the cell `pathIndex` steps along red's path
+function pieceOnRedPath(id, color, pathIndex) {
+  return { ...piece(id, color, 0), position: getPathPosition('red', pathIndex) };
+}
+
+function moveFor(pieces, pieceId, dice, houseRules = DEFAULT_HOUSE_RULES) {
+  const color = pieces.find(p => p.id === pieceId).color.toLowerCase();
+  return getLegalMoves(pieces, color, dice, houseRules).filter(move => move.pieceId === pieceId);
+}
+
+describe('getLegalMoves', () => {
+  it('needs a six to leave home', () => {
+    const pieces = createInitialPieces(['red', 'yellow']);
+
+    expect(getLegalMoves(pieces, 'red', { die1: 3, die2: 4 })).toEqual([]);
+
+    const moves = getLegalMoves(pieces, 'red', { die1: 6, die2: 2 });
+    expect(moves).toHaveLength(4);
+    expect(moves.every(move => move.dieUsed === 'die1')).toBe(true);
+    expect(moves[0].to).toEqual(getPathPosition('red', 0));
+  });
+
+  it('lets any die leave home when the house says so', () => {
+    const pieces = createInitialPieces(['red']);
+    const rules = { ...DEFAULT_HOUSE_RULES, sixToLeaveHome: false };
+
+    expect(getLegalMoves(pieces, 'red', { die1: 3, die2: 4 }, rules)).toHaveLength(8);
+  });
+
+  it('offers each die and the sum, numbered from 1', () => {
+    const moves = moveFor([piece('R1', 'red', 10)], 'R1', { die1: 2, die2: 3 });
+
+    expect(moves.map(move => [move.number, move.dieUsed, move.steps])).toEqual([
+      [1, 'die1', 2],
+      [2, 'die2', 3],
+      [3, 'sum', 5]
+    ]);
+  });
+
+  it('needs an exact count to finish', () => {
+    const finishIndex = getFinishIndex('red');
+    const moves = moveFor([piece('R1', 'red', finishIndex - 2)], 'R1', { die1: 2, die2: 5 });
+
+    expect(moves.map(move => move.dieUsed)).toEqual(['die1']);
+  });
+
+  it('keeps only captures when they are mandatory', () => {
+    const pieces = [piece('R1', 'red', 10), pieceOnRedPath('G1', 'green', 14)];
+    const rules = { ...DEFAULT_HOUSE_RULES, mandatoryCapture: true };
+
+    const moves = getLegalMoves(pieces, 'red', { die1: 4, die2: 1 }, rules);
+    expect(moves).toHaveLength(1);
+    expect(moves[0]).toMatchObject({ dieUsed: 'die1', captures: true, capturedPieceId: 'G1' });
+  });
+});
+
+describe('applyMove', () => {
+  it('moves the piece without touching the input', () => {
+    const pieces = [piece('R1', 'red', 10)];
+    const [move] = moveFor(pieces, 'R1', { die1: 4, die2: 1 });
+
+    const result = applyMove(pieces, move);
+
+    expect(result.pieces[0].position).toEqual(getPathPosition('red', 14));
+    expect(result.capturedPieceIds).toEqual([]);
+    expect(pieces[0].position).toEqual(getPathPosition('red', 10));
+  });
+
+  it('sends a captured opponent home', () => {
+    const pieces = [piece('R1', 'red', 10), pieceOnRedPath('G2', 'green', 14)];
+    const [move] = moveFor(pieces, 'R1', { die1: 4, die2: 1 });
+
+    const result = applyMove(pieces, move);
+    const captured = result.pieces.find(p => p.id === 'G2');
+
+    expect(move.captures).toBe(true);
+    expect(result.capturedPieceIds).toEqual(['G2']);
+    expect(captured.atHome).toBe(true);
+    expect(captured.isAtHome).toBe(true);
+  });
+
+  it('does not capture on a safe cell', () => {
+    const greenEntry = getPathPosition('green', 0);
+    const safeIndex = getPathIndex('red', greenEntry);
+    const pieces = [piece('R1', 'red', safeIndex - 3), piece('G1', 'green', 0)];
+    const [move] = moveFor(pieces, 'R1', { die1: 3, die2: 1 });
+
+    expect(move.captures).toBe(false);
+    expect(applyMove(pieces, move).capturedPieceIds).toEqual([]);
+  });
+
+  it('captures on a safe cell once safe cells are off', () => {
+    const greenEntry = getPathPosition('green', 0);
+    const safeIndex = getPathIndex('red', greenEntry);
+    const pieces = [piece('R1', 'red', safeIndex - 3), piece('G1', 'green', 0)];
+    const rules = { ...DEFAULT_HOUSE_RULES, safeCells: false };
+    const [move] = moveFor(pieces, 'R1', { die1: 3, die2: 1 }, rules);
+
+    expect(applyMove(pieces, move, rules).capturedPieceIds).toEqual(['G1']);
+  });
+
+  it('does not capture a partner in team mode', () => {
+    const pieces = [piece('R1', 'red', 10), pieceOnRedPath('Y1', 'yellow', 14)];
+    const teams = { ...DEFAULT_HOUSE_RULES, teamMode: true };
+    const [move] = moveFor(pieces, 'R1', { die1: 4, die2: 1 }, teams);
+
+    expect(move.captures).toBe(false);
+    expect(applyMove(pieces, move, teams).capturedPieceIds).toEqual([]);
+    expect(applyMove(pieces, move).capturedPieceIds).toEqual(['Y1']);
+  });
+
+  it('marks a piece that reaches the finish', () => {
+    const finishIndex = getFinishIndex('red');
+    const pieces = [piece('R1', 'red', finishIndex - 2)];
+    const [move] = moveFor(pieces, 'R1', { die1: 2, die2: 5 });
+
+    const result = applyMove(pieces, move);
+
+    expect(result.finishedPieceId).toBe('R1');
+    expect(result.pieces[0].finished).toBe(true);
+  });
+});
+
+describe('consumeDie', () => {
+  it('uses one die, or both for the sum', () => {
+    expect(consumeDie({ die1: 2, die2: 5 }, 'die1')).toEqual({ die1: null, die2: 5 });
+    expect(consumeDie({ die1: 2, die2: 5 }, 'sum')).toEqual({ die1: null, die2: null });
+  });
+});
+
+describe('teams', () => {
+  const finished = { finished: true, isFinished: true };
+
+  function finishedPieces(color) {
+    return [1, 2, 3, 4].map(n => piece(`${color[0].toUpperCase()}${n}`, color, getFinishIndex(color), finished));
+  }
+
+  it('wins once both partners are home', () => {
+    const redHome = [...finishedPieces('red'), piece('Y1', 'yellow', 5), ...createInitialPieces(['green'])];
+    const bothHome = [...finishedPieces('red'), ...finishedPieces('yellow'), ...createInitialPieces(['green'])];
+
+    expect(hasColorFinished(redHome, 'red')).toBe(true);
+    expect(hasTeamFinished(redHome, 'red')).toBe(false);
+    expect(hasTeamFinished(bothHome, 'yellow')).toBe(true);
+    expect(hasTeamFinished(bothHome, 'green')).toBe(false);
+  });
+
+  it('treats partners as opponents only outside team mode', () => {
+    const teams = { ...DEFAULT_HOUSE_RULES, teamMode: true };
+
+    expect(areOpponents('red', 'yellow', teams)).toBe(false);
+    expect(areOpponents('red', 'green', teams)).toBe(true);
+    expect(areOpponents('red', 'yellow')).toBe(true);
+    expect(areOpponents('red', 'red')).toBe(false);
+  });
+});
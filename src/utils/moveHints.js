@@ -0,0 +1,144 @@
+// src/utils/moveHints.js
+
+import { getFinishIndex, getPathIndex } from '../pixi/utils/coordinateUtils';
+import { applyMove, areOpponents, getPieceColor, getPiecePathIndex, getThreatsTo } from './ludoRules';
+import { DEFAULT_HOUSE_RULES } from './houseRules';
+import { getThreatWeight } from './botStrategies';
+
+/**
+ * Move Hints - Ranks the legal move options (moveOptions.js) for the Hint
+ * button, with the reasons behind each score
+ *
+ * - Captures:  sending an opponent home, more for one that was far along
+ * - Safety:    where the piece can be hit next roll, before and after
+ * - Progress:  steps along the color path, finishing, leaving home
+ * - Blocking:  landing behind opponents so they have to run from us
+ */
+
+const WEIGHTS = {
+  CAPTURE: 50,
+  PER_VICTIM_STEP: 0.5,
+  FINISH: 40,
+  LEAVE_HOME: 25,
+  PER_STEP: 0.5,
+  SAFE_LANDING: 10,
+  THREAT: 15,
+  ESCAPE: 12,
+  BLOCK: 6
+};
+
+/**
+ * Score every move, best first
+ * @param {Array} moves - Legal move options
+ * @param {Array} pieces - Current pieces
+ * @param {Object} houseRules - Rules in play
+ * @returns {Array} [{ move, score, reasons: ['Captures Y2', ...] }]
+ */
+export function rankMoves(moves, pieces, houseRules = DEFAULT_HOUSE_RULES) {
+  if (!moves || !pieces) return [];
+
+  return moves
+    .map(move => scoreMove(move, pieces, houseRules))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Best move with a one-line reason, or null without options
+ */
+export function getBestMove(moves, pieces, houseRules = DEFAULT_HOUSE_RULES) {
+  const [best] = rankMoves(moves, pieces, houseRules);
+  if (!best) return null;
+
+  return { ...best, reason: describeReasons(best.reasons) };
+}
+
+export function describeReasons(reasons) {
+  return reasons.length > 0 ? reasons.slice(0, 2).join(' · ') : 'Keeps your options open';
+}
+
+// ===========================================================================
+// SCORING
+// ===========================================================================
+
+/**
+ * Moves the server didn't describe fully (no target cell) only score their capture
+ */
+function scoreMove(move, pieces, houseRules) {
+  const reasons = [];
+  let score = 0;
+
+  if (move.captures) {
+    const victim = pieces.find(p => p.id === move.capturedPieceId);
+    score += WEIGHTS.CAPTURE + (victim ? Math.max(getPiecePathIndex(victim), 0) * WEIGHTS.PER_VICTIM_STEP : 0);
+    reasons.push(move.capturedPieceId ? `Captures ${move.capturedPieceId}` : 'Captures a piece');
+  }
+
+  const piece = pieces.find(p => p.id === move.pieceId);
+  if (!piece || !move.to || !move.color) {
+    return { move, score, reasons };
+  }
+
+  const fromIndex = getPiecePathIndex(piece);
+  const toIndex = getPathIndex(move.color, move.to);
+  const finishes = toIndex === getFinishIndex(move.color);
+
+  // Progress
+  if (finishes) {
+    score += WEIGHTS.FINISH;
+    reasons.push('Brings a piece home');
+  }
+  if (fromIndex === -1) {
+    score += WEIGHTS.LEAVE_HOME;
+    reasons.push('Gets a new piece out');
+  }
+  score += (toIndex - Math.max(fromIndex, 0)) * WEIGHTS.PER_STEP;
+
+  // Safety - look at the board after the move, so a capture removes its threat
+  const { pieces: after } = applyMove(pieces, move, houseRules);
+  const threatsBefore = fromIndex === -1 ? 0 : getThreatWeight(pieces, move.color, piece.position, houseRules);
+  const threatsAfter = finishes ? 0 : getThreatWeight(after, move.color, move.to, houseRules);
+
+  if (threatsBefore > 0 && threatsAfter < threatsBefore) {
+    score += threatsBefore * WEIGHTS.ESCAPE;
+    reasons.push('Escapes a threat');
+  }
+  if (threatsAfter > 0) {
+    score -= threatsAfter * WEIGHTS.THREAT;
+  } else if (!finishes) {
+    score += WEIGHTS.SAFE_LANDING;
+    reasons.push('Lands out of reach');
+  }
+
+  // Blocking
+  const pressured = finishes ? [] : getPressuredPieces(after, move, houseRules);
+  if (pressured.length > 0) {
+    score += pressured.length * WEIGHTS.BLOCK;
+    reasons.push(`Blocks ${pressured.join(', ')}`);
+  }
+
+  // The risk goes last - good news first
+  if (threatsAfter > 0) {
+    reasons.push('Lands within reach of an opponent');
+  }
+
+  return { move, score, reasons };
+}
+
+/**
+ * Opponent pieces the moved piece could hit next roll
+ */
+function getPressuredPieces(pieces, move, houseRules) {
+  return pieces
+    .filter(piece => areOpponents(move.color, getPieceColor(piece), houseRules))
+    .filter(piece => getThreatsTo(pieces, getPieceColor(piece), piece.position, houseRules)
+      .some(threat => threat.pieceId === move.pieceId))
+    .map(piece => piece.id);
+}
+
+const moveHints = {
+  rankMoves,
+  getBestMove,
+  describeReasons
+};
+
+export default moveHints;
@@ -0,0 +1,104 @@
+// src/utils/moveHints.test.js
+
+import { getFinishIndex, getPathPosition } from '../pixi/utils/coordinateUtils';
+import { DEFAULT_HOUSE_RULES } from './houseRules';
+import { getLegalMoves } from './ludoRules';
+import { createMoveOption } from './moveOptions';
+import { rankMoves, getBestMove, describeReasons } from './moveHints';
+
+function piece(id, color, position) {
+  return { id, color: color.toUpperCase(), position, atHome: false, isAtHome: false };
+}
+
+// `pathIndex` steps along red's path, whatever the piece's color
+function onRedPath(pathIndex) {
+  return getPathPosition('red', pathIndex);
+}
+
+function best(pieces, dice, houseRules = DEFAULT_HOUSE_RULES) {
+  return getBestMove(getLegalMoves(pieces, 'red', dice, houseRules), pieces, houseRules);
+}
+
+describe('rankMoves', () => {
+  it('puts a capture first', () => {
+    const pieces = [piece('R1', 'red', onRedPath(10)), piece('G1', 'green', onRedPath(14))];
+    const ranked = rankMoves(getLegalMoves(pieces, 'red', { die1: 4, die2: 1 }), pieces);
+
+    expect(ranked[0].move.dieUsed).toBe('die1');
+    expect(ranked[0].reasons[0]).toBe('Captures G1');
+    expect(ranked.map(entry => entry.score)).toEqual([...ranked.map(entry => entry.score)].sort((a, b) => b - a));
+  });
+
+  it('ranks landing in reach of an opponent last', () => {
+    const pieces = [piece('R1', 'red', onRedPath(10)), piece('G1', 'green', onRedPath(14))];
+    const ranked = rankMoves(getLegalMoves(pieces, 'red', { die1: 4, die2: 1 }), pieces);
+    const last = ranked[ranked.length - 1];
+
+    expect(last.move.dieUsed).toBe('sum');
+    expect(last.reasons).toEqual(['Lands within reach of an opponent']);
+  });
+
+  it('only scores the capture of a move without a target cell', () => {
+    const pieces = [piece('R1', 'red', onRedPath(10))];
+    const [entry] = rankMoves([createMoveOption({ number: 1, pieceId: 'R1', captures: true })], pieces);
+
+    expect(entry.reasons).toEqual(['Captures a piece']);
+  });
+
+  it('has nothing to rank without moves or pieces', () => {
+    expect(rankMoves(null, [])).toEqual([]);
+    expect(getBestMove([], [])).toBeNull();
+  });
+});
+
+describe('getBestMove', () => {
+  it('runs from a threat rather than pushing the leader', () => {
+    const pieces = [
+      piece('R1', 'red', onRedPath(10)),
+      piece('R2', 'red', onRedPath(30)),
+      piece('G1', 'green', onRedPath(8))
+    ];
+    const hint = best(pieces, { die1: 1, die2: 2 });
+
+    expect(hint.move.pieceId).toBe('R1');
+    expect(hint.reason).toBe('Escapes a threat · Lands out of reach');
+  });
+
+  it('brings a piece home', () => {
+    const pieces = [
+      piece('R1', 'red', onRedPath(getFinishIndex('red') - 3)),
+      piece('R2', 'red', onRedPath(20))
+    ];
+    const hint = best(pieces, { die1: 3, die2: 5 });
+
+    expect(hint.move.pieceId).toBe('R1');
+    expect(hint.reasons).toContain('Brings a piece home');
+  });
+
+  it('blocks opponents from behind', () => {
+    const pieces = [
+      piece('R1', 'red', onRedPath(10)),
+      piece('G1', 'green', onRedPath(16)),
+      piece('Y1', 'yellow', onRedPath(16))
+    ];
+
+    expect(best(pieces, { die1: 2, die2: 1 }).reasons).toContain('Blocks G1, Y1');
+  });
+
+  it('does not count a partner as blocked in team mode', () => {
+    const pieces = [piece('R1', 'red', onRedPath(10)), piece('Y1', 'yellow', onRedPath(16))];
+    const teams = { ...DEFAULT_HOUSE_RULES, teamMode: true };
+
+    expect(best(pieces, { die1: 2, die2: 1 }, teams).reasons).toEqual(['Lands out of reach']);
+  });
+});
+
+describe('describeReasons', () => {
+  it('joins the top two reasons', () => {
+    expect(describeReasons(['A', 'B', 'C'])).toBe('A · B');
+  });
+
+  it('has a fallback for moves without reasons', () => {
+    expect(describeReasons([])).toBe('Keeps your options open');
+  });
+});
@@ -0,0 +1,352 @@
+// src/utils/moveOptions.js
+
+import { getPathIndex, getPathPosition, isSafePosition } from '../pixi/utils/coordinateUtils';
+
+/**
+ * Move Options - Structured move-option model
+ *
+ * Every option offered to the player is normalized into:
+ * {
+ *   number,          // Choice number sent back with /app/game.choice
+ *   pieceId,         // Backend piece ID (R1, G2, ...) or null if unknown
+ *   color,           // Piece color (red, green, yellow, blue) or null
+ *   dieUsed,         // 'die1', 'die2', 'sum' or null if unknown
+ *   steps,           // Cells moved along the color path, or null
+ *   from,            // {row, col} source cell, or null
+ *   to,              // {row, col} target cell, or null
+ *   captures,        // True if the move lands on an opponent piece
+ *   capturedPieceId, // ID of the captured piece, or null
+ *   description,     // Human readable text (server text or generated)
+ *   originalLine     // Raw line from the server message, if any
+ * }
+ *
+ * Options come from the payload's data when the server sends them,
+ * otherwise from GameService's text parser, and are then resolved against
+ * the current game state to fill in positions and captures.
+ */
+
+export const DIE_CHOICES = {
+  DIE1: 'die1',
+  DIE2: 'die2',
+  SUM: 'sum'
+};
+
+const PIECE_ID_PATTERN = /\b([RGBY][1-4])\b/g;
+const GENERIC_DESCRIPTION = /^Game option \d+$/;
+
+const COLOR_BY_LETTER = {
+  R: 'red',
+  G: 'green',
+  B: 'blue',
+  Y: 'yellow'
+};
+
+/**
+ * Create a move option with every field present
+ * @param {Object} fields - Known fields (missing ones default to null/false)
+ * @returns {Object} Move option
+ */
+export function createMoveOption(fields = {}) {
+  const pieceId = fields.pieceId || null;
+
+  return {
+    number: fields.number,
+    pieceId,
+    color: normalizeColor(fields.color) || getColorForPieceId(pieceId),
+    dieUsed: normalizeDieChoice(fields.dieUsed),
+    steps: Number.isInteger(fields.steps) ? fields.steps : null,
+    from: normalizePosition(fields.from),
+    to: normalizePosition(fields.to),
+    captures: Boolean(fields.captures || fields.capturedPieceId),
+    capturedPieceId: fields.capturedPieceId || null,
+    description: fields.description || '',
+    originalLine: fields.originalLine || ''
+  };
+}
+
+/**
+ * Pull raw move options out of a response payload's data
+ * @param {Object|Array} data - Response data
+ * @returns {Array|null} Raw options, or null if the payload has none
+ */
+export function extractMoveOptions(data) {
+  if (!data) return null;
+
+  if (Array.isArray(data)) {
+    return data.length > 0 ? data : null;
+  }
+
+  const candidates = [data.moveOptions, data.options, data.availableMoves];
+  const options = candidates.find(candidate => Array.isArray(candidate) && candidate.length > 0);
+  return options || null;
+}
+
+/**
+ * Normalize one structured option from the server payload
+ * Accepts the field names the backend has used so far
+ * @param {Object} raw - Raw option from the payload
+ * @param {number} index - Position in the list (used when no number is given)
+ * @returns {Object} Move option
+ */
+export function normalizeMoveOption(raw, index) {
+  const number = raw.number ?? raw.choice ?? raw.optionNumber ?? index + 1;
+
+  return createMoveOption({
+    number: parseInt(number, 10),
+    pieceId: raw.pieceId || raw.piece?.id,
+    color: raw.color || raw.piece?.color,
+    dieUsed: raw.dieUsed ?? raw.die ?? raw.dice,
+    steps: raw.steps ?? raw.distance,
+    from: raw.from || raw.fromPosition,
+    to: raw.to || raw.toPosition || raw.targetPosition,
+    captures: raw.captures ?? raw.isCapture,
+    capturedPieceId: raw.capturedPieceId || raw.capturedPiece?.id,
+    description: raw.description || raw.text,
+    originalLine: raw.originalLine
+  });
+}
+
+/**
+ * Build a move option from a parsed line of MOVE_OPTIONS text
+ * Picks out piece IDs, die references, step counts and captures if the
+ * server mentioned them (e.g. "Move R1 with die 1 (3) - captures G2")
+ * @param {number} number - Option number
+ * @param {string} description - Text after the number
+ * @param {string} originalLine - Full line as received
+ * @returns {Object} Move option
+ */
+export function createMoveOptionFromText(number, description, originalLine) {
+  const pieceIds = description.match(PIECE_ID_PATTERN) || [];
+  const captures = /captur/i.test(description);
+  const stepsMatch = description.match(/\((\d+)\)/) || description.match(/\bby (\d+)\b/i);
+
+  return createMoveOption({
+    number,
+    pieceId: pieceIds[0],
+    dieUsed: parseDieChoice(description),
+    steps: stepsMatch ? parseInt(stepsMatch[1], 10) : null,
+    captures,
+    capturedPieceId: captures ? pieceIds[1] : null,
+    description,
+    originalLine
+  });
+}
+
+/**
+ * Fill in steps, source/target cells and captures from the game state
+ * Fields the server already provided are kept as-is
+ * @param {Array} options - Move options
+ * @param {Object} gameState - Current game state (pieces + dice)
+ * @param {Function} isOpponent - (moverColor, color) => true if capturable,
+ *   defaults to any other color (see ludoRules.areOpponents for team mode)
+ * @returns {Array} Resolved move options
+ */
+export function resolveMoveOptions(options, gameState, isOpponent = isOtherColor) {
+  if (!gameState || !Array.isArray(gameState.pieces)) return options;
+
+  return options.map(option => {
+    const piece = gameState.pieces.find(p => p.id === option.pieceId);
+    if (!piece) return option;
+
+    const resolved = { ...option };
+    resolved.color = resolved.color || normalizeColor(piece.color);
+
+    if (resolved.steps === null && resolved.dieUsed && gameState.dice) {
+      resolved.steps = getStepsForDieChoice(resolved.dieUsed, gameState.dice);
+    }
+
+    if (!resolved.from && piece.position) {
+      resolved.from = { row: piece.position.row, col: piece.position.col };
+    }
+
+    if (!resolved.to && resolved.steps !== null) {
+      resolved.to = getTargetPosition(resolved.color, piece, resolved.steps);
+    }
+
+    if (!resolved.captures && resolved.to) {
+      const captured = findCapturedPiece(gameState.pieces, resolved.color, resolved.to, isOpponent);
+      if (captured) {
+        resolved.captures = true;
+        resolved.capturedPieceId = captured.id;
+      }
+    }
+
+    return resolved;
+  });
+}
+
+/**
+ * Human readable label for a move option
+ * Keeps the server's text unless it's the generic "Game option N"
+ * @param {Object} option - Move option
+ * @returns {string} Label
+ */
+export function describeMoveOption(option) {
+  if (option.description && !GENERIC_DESCRIPTION.test(option.description)) {
+    return option.description;
+  }
+
+  if (!option.pieceId) {
+    return option.description || `Game option ${option.number}`;
+  }
+
+  let label = `Move ${option.pieceId}`;
+
+  if (option.dieUsed) {
+    const dieLabels = {
+      die1: 'die 1',
+      die2: 'die 2',
+      sum: 'both dice'
+    };
+    label += ` with ${dieLabels[option.dieUsed]}`;
+  }
+
+  if (option.steps !== null) {
+    label += ` (${option.steps})`;
+  }
+
+  if (option.captures) {
+    label += option.capturedPieceId ? ` - captures ${option.capturedPieceId}` : ' - capture!';
+  }
+
+  return label;
+}
+
+/**
+ * Get the IDs of all pieces that have at least one option
+ * @param {Array} options - Move options
+ * @returns {Array} Unique piece IDs
+ */
+export function getMovablePieceIds(options) {
+  return [...new Set(options.map(option => option.pieceId).filter(Boolean))];
+}
+
+/**
+ * Get all options that move a given piece
+ * @param {Array} options - Move options
+ * @param {string} pieceId - Piece ID
+ * @returns {Array} Matching options
+ */
+export function getMoveOptionsForPiece(options, pieceId) {
+  return options.filter(option => option.pieceId === pieceId);
+}
+
+/**
+ * Get the die choices that at least one option plays
+ * @param {Array} options - Move options
+ * @returns {Array} 'die1', 'die2' and/or 'sum' (options without dieUsed are skipped)
+ */
+export function getDieChoices(options) {
+  return [...new Set(options.map(option => option.dieUsed).filter(Boolean))];
+}
+
+/**
+ * Get all options that play a given die choice
+ * @param {Array} options - Move options
+ * @param {string} dieUsed - 'die1', 'die2' or 'sum'
+ * @returns {Array} Matching options
+ */
+export function getMoveOptionsForDie(options, dieUsed) {
+  return options.filter(option => option.dieUsed === dieUsed);
+}
+
+/**
+ * Number of cells a die choice moves, given the rolled dice
+ * @param {string} dieUsed - 'die1', 'die2' or 'sum'
+ * @param {Object} dice - {die1, die2}
+ * @returns {number|null} Steps, or null if unknown
+ */
+export function getStepsForDieChoice(dieUsed, dice) {
+  switch (dieUsed) {
+    case DIE_CHOICES.DIE1:
+      return dice.die1;
+    case DIE_CHOICES.DIE2:
+      return dice.die2;
+    case DIE_CHOICES.SUM:
+      return dice.die1 + dice.die2;
+    default:
+      return null;
+  }
+}
+
+// ===========================================================================
+// INTERNAL HELPERS
+// ===========================================================================
+
+function getColorForPieceId(pieceId) {
+  return pieceId ? COLOR_BY_LETTER[pieceId.charAt(0)] || null : null;
+}
+
+function normalizeColor(color) {
+  return typeof color === 'string' ? color.toLowerCase() : null;
+}
+
+function normalizePosition(position) {
+  if (!position || position.row === undefined || position.col === undefined) {
+    return null;
+  }
+  return { row: position.row, col: position.col };
+}
+
+function normalizeDieChoice(value) {
+  if (value === null || value === undefined) return null;
+  if (value === 1 || value === '1') return DIE_CHOICES.DIE1;
+  if (value === 2 || value === '2') return DIE_CHOICES.DIE2;
+  return parseDieChoice(String(value));
+}
+
+function parseDieChoice(text) {
+  if (/\b(sum|total|both dice|combined)\b/i.test(text)) return DIE_CHOICES.SUM;
+  if (/\b(die\s*1|dice\s*1|first die)\b/i.test(text)) return DIE_CHOICES.DIE1;
+  if (/\b(die\s*2|dice\s*2|second die)\b/i.test(text)) return DIE_CHOICES.DIE2;
+  return null;
+}
+
+function isPieceAtHome(piece) {
+  return Boolean(piece.atHome || piece.isAtHome);
+}
+
+function getTargetPosition(color, piece, steps) {
+  // Pieces leaving home land on their entry point (path index 0)
+  if (isPieceAtHome(piece)) {
+    return getPathPosition(color, 0);
+  }
+
+  const currentIndex = getPathIndex(color, piece.position);
+  if (currentIndex === -1) return null;
+
+  return getPathPosition(color, currentIndex + steps);
+}
+
+function isOtherColor(moverColor, color) {
+  return color !== moverColor;
+}
+
+function findCapturedPiece(pieces, moverColor, target, isOpponent) {
+  if (isSafePosition(target.col, target.row)) return null;
+
+  return pieces.find(p =>
+    p.position &&
+    isOpponent(moverColor, normalizeColor(p.color)) &&
+    !isPieceAtHome(p) &&
+    p.position.row === target.row &&
+    p.position.col === target.col
+  ) || null;
+}
+
+const moveOptions = {
+  DIE_CHOICES,
+  createMoveOption,
+  extractMoveOptions,
+  normalizeMoveOption,
+  createMoveOptionFromText,
+  resolveMoveOptions,
+  describeMoveOption,
+  getMovablePieceIds,
+  getMoveOptionsForPiece,
+  getDieChoices,
+  getMoveOptionsForDie,
+  getStepsForDieChoice
+};
+
+export default moveOptions;
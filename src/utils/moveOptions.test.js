@@ -0,0 +1,176 @@
+// src/utils/moveOptions.test.js
+
+import { getPathPosition } from '../pixi/utils/coordinateUtils';
+import {
+  DIE_CHOICES,
+  createMoveOption,
+  extractMoveOptions,
+  normalizeMoveOption,
+  createMoveOptionFromText,
+  resolveMoveOptions,
+  describeMoveOption,
+  getMovablePieceIds,
+  getDieChoices,
+  getMoveOptionsForDie,
+  getStepsForDieChoice
+} from './moveOptions';
+
+function piece(id, color, pathIndex) {
+  return { id, color, position: getPathPosition(color, pathIndex), atHome: false, isAtHome: false };
+}
+
+describe('createMoveOptionFromText', () => {
+  it('picks out the piece, die, steps and capture', () => {
+    const option = createMoveOptionFromText(2, 'Move R1 with die 1 (3) - captures G2', '2. Move R1 with die 1 (3) - captures G2');
+
+    expect(option).toMatchObject({
+      number: 2,
+      pieceId: 'R1',
+      color: 'red',
+      dieUsed: DIE_CHOICES.DIE1,
+      steps: 3,
+      captures: true,
+      capturedPieceId: 'G2'
+    });
+  });
+
+  it('reads the sum and "by N" steps', () => {
+    const option = createMoveOptionFromText(1, 'Move Y3 by 8 using both dice', '');
+
+    expect(option.dieUsed).toBe(DIE_CHOICES.SUM);
+    expect(option.steps).toBe(8);
+    expect(option.captures).toBe(false);
+  });
+
+  it('keeps unknown fields null for generic text', () => {
+    const option = createMoveOptionFromText(4, 'Game option 4', '');
+
+    expect(option).toMatchObject({ pieceId: null, color: null, dieUsed: null, steps: null });
+  });
+});
+
+describe('structured options', () => {
+  it('finds the options under any known key', () => {
+    const options = [{ pieceId: 'B1' }];
+
+    expect(extractMoveOptions(options)).toBe(options);
+    expect(extractMoveOptions({ moveOptions: options })).toBe(options);
+    expect(extractMoveOptions({ availableMoves: options })).toBe(options);
+    expect(extractMoveOptions({ moveOptions: [] })).toBeNull();
+    expect(extractMoveOptions(null)).toBeNull();
+  });
+
+  it('normalizes the backend field names', () => {
+    const option = normalizeMoveOption({
+      choice: '3',
+      piece: { id: 'G4', color: 'GREEN' },
+      die: 2,
+      distance: 5,
+      toPosition: { row: 6, col: 2 },
+      capturedPiece: { id: 'B2' }
+    }, 0);
+
+    expect(option).toMatchObject({
+      number: 3,
+      pieceId: 'G4',
+      color: 'green',
+      dieUsed: DIE_CHOICES.DIE2,
+      steps: 5,
+      to: { row: 6, col: 2 },
+      captures: true,
+      capturedPieceId: 'B2'
+    });
+  });
+
+  it('numbers options by position when the server does not', () => {
+    expect(normalizeMoveOption({ pieceId: 'R2' }, 1).number).toBe(2);
+  });
+});
+
+describe('resolveMoveOptions', () => {
+  it('fills in steps, cells and captures from the game state', () => {
+    const mover = piece('R1', 'red', 10);
+    const target = piece('G1', 'green', 0);
+    target.position = getPathPosition('red', 14);
+
+    const [option] = resolveMoveOptions(
+      [createMoveOption({ number: 1, pieceId: 'R1', dieUsed: 'sum' })],
+      { pieces: [mover, target], dice: { die1: 1, die2: 3 } }
+    );
+
+    expect(option.steps).toBe(4);
+    expect(option.from).toEqual(mover.position);
+    expect(option.to).toEqual(getPathPosition('red', 14));
+    expect(option.captures).toBe(true);
+    expect(option.capturedPieceId).toBe('G1');
+  });
+
+  it('leaves pieces the check does not count as opponents', () => {
+    const mover = piece('R1', 'red', 10);
+    const partner = piece('Y1', 'yellow', 0);
+    partner.position = getPathPosition('red', 14);
+
+    const [option] = resolveMoveOptions(
+      [createMoveOption({ number: 1, pieceId: 'R1', steps: 4 })],
+      { pieces: [mover, partner], dice: { die1: 1, die2: 3 } },
+      (moverColor, color) => moverColor !== color && color !== 'yellow'
+    );
+
+    expect(option.captures).toBe(false);
+  });
+
+  it('returns the options untouched without pieces', () => {
+    const options = [createMoveOption({ number: 1 })];
+    expect(resolveMoveOptions(options, null)).toBe(options);
+  });
+});
+
+describe('describeMoveOption', () => {
+  it('keeps server text', () => {
+    expect(describeMoveOption(createMoveOption({ number: 1, pieceId: 'R1', description: 'Bring R1 out' })))
+      .toBe('Bring R1 out');
+  });
+
+  it('builds a label for generic text', () => {
+    const option = createMoveOption({
+      number: 1,
+      pieceId: 'R1',
+      dieUsed: 'sum',
+      steps: 7,
+      capturedPieceId: 'B3',
+      description: 'Game option 1'
+    });
+
+    expect(describeMoveOption(option)).toBe('Move R1 with both dice (7) - captures B3');
+  });
+});
+
+describe('option lookups', () => {
+  const options = [
+    createMoveOption({ number: 1, pieceId: 'R1', dieUsed: 'die1' }),
+    createMoveOption({ number: 2, pieceId: 'R1', dieUsed: 'sum' }),
+    createMoveOption({ number: 3, pieceId: 'R2', dieUsed: 'die1' }),
+    createMoveOption({ number: 4 })
+  ];
+
+  it('lists movable pieces once each', () => {
+    expect(getMovablePieceIds(options)).toEqual(['R1', 'R2']);
+  });
+
+  it('lists the die choices once each', () => {
+    expect(getDieChoices(options)).toEqual(['die1', 'sum']);
+  });
+
+  it('filters by die choice', () => {
+    expect(getMoveOptionsForDie(options, 'die1').map(option => option.number)).toEqual([1, 3]);
+  });
+
+  it('turns a die choice into steps', () => {
+    const dice = { die1: 2, die2: 5 };
+
+    expect(getStepsForDieChoice('die1', dice)).toBe(2);
+    expect(getStepsForDieChoice('die2', dice)).toBe(5);
+    expect(getStepsForDieChoice('sum', dice)).toBe(7);
+    expect(getStepsForDieChoice(null, dice)).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+// src/utils/playerProfile.js
+
+/**
+ * Player Profile - Display name and avatar shown to other players
+ *
+ * Stored by PlayerIdentity next to the player ID, sent with
+ * /app/game.create and /app/game.join as `profile`, and echoed back by the
+ * server on each player (players[].playerName, players[].avatar).
+ *
+ * {
+ *   displayName: 'Alice',                 // 1-16 characters
+ *   avatar: {
+ *     emoji: '🦊',                        // Picked avatar...
+ *     pixels: '3c7effdbff7e2418',         // ...or a drawn 8x8 grid, one bit per cell
+ *     background: '#4a9eff'
+ *   }
+ * }
+ */
+
+export const MAX_DISPLAY_NAME_LENGTH = 16;
+
+// Letters (any script), digits, spaces and a little punctuation
+export const DISPLAY_NAME_CHAR_PATTERN = /[\p{L}\p{N} _.'-]/u;
+
+export const AVATAR_EMOJIS = ['🦊', '🐼', '🐸', '🐯', '🦁', '🐙', '🐧', '🦄', '🐲', '👾', '🎩', '🌟'];
+
+export const AVATAR_BACKGROUNDS = ['#4a9eff', '#ff6b6b', '#51cf66', '#ffd43b', '#b197fc', '#ff922b'];
+
+// Drawn avatars are a square grid of on/off cells
+export const PIXEL_GRID_SIZE = 8;
+
+export const DEFAULT_AVATAR = { emoji: '🦊', background: '#4a9eff' };
+
+// Shown for bots and players who never set a profile
+export const BOT_AVATAR = { emoji: '🤖', background: '#6a5acd' };
+
+const PIXELS_PATTERN = new RegExp(`^[0-9a-f]{${PIXEL_GRID_SIZE * PIXEL_GRID_SIZE / 4}}$`);
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Trim, collapse whitespace and drop characters the name input wouldn't accept
+ * @returns {string} Possibly empty name
+ */
+export function normalizeDisplayName(name) {
+  return Array.from(String(name || ''))
+    .filter(char => DISPLAY_NAME_CHAR_PATTERN.test(char))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_DISPLAY_NAME_LENGTH);
+}
+
+/**
+ * Validate an avatar, falling back to a picked emoji
+ * @param {Object} avatar - Partial avatar (e.g. from storage or the server)
+ * @returns {Object|null} Complete avatar, or null if there isn't one
+ */
+export function normalizeAvatar(avatar) {
+  if (!avatar || typeof avatar !== 'object') return null;
+
+  const background = COLOR_PATTERN.test(avatar.background) ? avatar.background : DEFAULT_AVATAR.background;
+  const pixels = String(avatar.pixels || '').toLowerCase();
+
+  if (PIXELS_PATTERN.test(pixels)) {
+    return { pixels, background };
+  }
+
+  if (AVATAR_EMOJIS.includes(avatar.emoji) || avatar.emoji === BOT_AVATAR.emoji) {
+    return { emoji: avatar.emoji, background };
+  }
+
+  return null;
+}
+
+/**
+ * Complete profile, or null if the name is missing
+ */
+export function normalizeProfile(profile = {}) {
+  const displayName = normalizeDisplayName(profile?.displayName);
+  if (!displayName) return null;
+
+  return {
+    displayName,
+    avatar: normalizeAvatar(profile.avatar) || { ...DEFAULT_AVATAR }
+  };
+}
+
+/**
+ * Pack a drawn grid into hex, four cells per digit
+ * @param {Array<boolean>} cells - Row-major, PIXEL_GRID_SIZE² long
+ */
+export function encodePixels(cells) {
+  let hex = '';
+
+  for (let i = 0; i < PIXEL_GRID_SIZE * PIXEL_GRID_SIZE; i += 4) {
+    const nibble = [0, 1, 2, 3].reduce((value, bit) => (value << 1) | (cells[i + bit] ? 1 : 0), 0);
+    hex += nibble.toString(16);
+  }
+
+  return hex;
+}
+
+/**
+ * Unpack hex into row-major cells - empty grid for invalid input
+ */
+export function decodePixels(pixels) {
+  const hex = PIXELS_PATTERN.test(pixels || '') ? pixels : '';
+  const cells = new Array(PIXEL_GRID_SIZE * PIXEL_GRID_SIZE).fill(false);
+
+  Array.from(hex).forEach((digit, index) => {
+    const nibble = parseInt(digit, 16);
+    [0, 1, 2, 3].forEach(bit => {
+      cells[index * 4 + bit] = Boolean(nibble & (8 >> bit));
+    });
+  });
+
+  return cells;
+}
+
+/**
+ * True for a computer player - flagged human: false and/or carrying a bot
+ * level. Works on state players and history entry players alike.
+ */
+export function isBotPlayer(player) {
+  return Boolean(player?.bot || player?.botLevel || player?.difficulty || player?.human === false);
+}
+
+/**
+ * Avatar to draw for a player from the game state
+ */
+export function getPlayerAvatar(player) {
+  if (!player) return { ...DEFAULT_AVATAR };
+  if (isBotPlayer(player)) return { ...BOT_AVATAR };
+
+  return normalizeAvatar(player.avatar) || { ...DEFAULT_AVATAR };
+}
+
+const playerProfile = {
+  MAX_DISPLAY_NAME_LENGTH,
+  AVATAR_EMOJIS,
+  AVATAR_BACKGROUNDS,
+  PIXEL_GRID_SIZE,
+  DEFAULT_AVATAR,
+  BOT_AVATAR,
+  normalizeDisplayName,
+  normalizeAvatar,
+  normalizeProfile,
+  encodePixels,
+  decodePixels,
+  isBotPlayer,
+  getPlayerAvatar
+};
+
+export default playerProfile;
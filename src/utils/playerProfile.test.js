@@ -0,0 +1,106 @@
+// src/utils/playerProfile.test.js
+
+import {
+  MAX_DISPLAY_NAME_LENGTH,
+  PIXEL_GRID_SIZE,
+  DEFAULT_AVATAR,
+  BOT_AVATAR,
+  normalizeDisplayName,
+  normalizeAvatar,
+  normalizeProfile,
+  encodePixels,
+  decodePixels,
+  isBotPlayer,
+  getPlayerAvatar
+} from './playerProfile';
+
+describe('normalizeDisplayName', () => {
+  it('trims and collapses whitespace', () => {
+    expect(normalizeDisplayName('  Ada   Lovelace ')).toBe('Ada Lovelace');
+  });
+
+  it('drops characters the input would not accept', () => {
+    expect(normalizeDisplayName('<b>Zoë</b>!')).toBe('bZoëb');
+  });
+
+  it('caps the length', () => {
+    expect(normalizeDisplayName('x'.repeat(40))).toHaveLength(MAX_DISPLAY_NAME_LENGTH);
+    expect(normalizeDisplayName(null)).toBe('');
+  });
+});
+
+describe('normalizeAvatar', () => {
+  it('keeps a known emoji with a valid background', () => {
+    expect(normalizeAvatar({ emoji: '🐼', background: '#FF6B6B' })).toEqual({ emoji: '🐼', background: '#FF6B6B' });
+  });
+
+  it('falls back to the default background', () => {
+    expect(normalizeAvatar({ emoji: '🐼', background: 'red' }).background).toBe(DEFAULT_AVATAR.background);
+  });
+
+  it('prefers a drawn grid over the emoji', () => {
+    const pixels = 'F'.repeat(PIXEL_GRID_SIZE * PIXEL_GRID_SIZE / 4);
+    expect(normalizeAvatar({ emoji: '🐼', pixels })).toEqual({ pixels: pixels.toLowerCase(), background: DEFAULT_AVATAR.background });
+  });
+
+  it('rejects anything else', () => {
+    expect(normalizeAvatar({ emoji: '💩' })).toBeNull();
+    expect(normalizeAvatar({ pixels: 'abc' })).toBeNull();
+    expect(normalizeAvatar('🦊')).toBeNull();
+  });
+});
+
+describe('normalizeProfile', () => {
+  it('needs a name', () => {
+    expect(normalizeProfile({ displayName: '   ' })).toBeNull();
+    expect(normalizeProfile(null)).toBeNull();
+  });
+
+  it('gives a named profile the default avatar', () => {
+    expect(normalizeProfile({ displayName: 'Ada' })).toEqual({ displayName: 'Ada', avatar: DEFAULT_AVATAR });
+  });
+});
+
+describe('pixels', () => {
+  it('round-trips a drawn grid', () => {
+    const cells = Array.from({ length: PIXEL_GRID_SIZE * PIXEL_GRID_SIZE }, (_, index) => index % 3 === 0);
+
+    expect(decodePixels(encodePixels(cells))).toEqual(cells);
+  });
+
+  it('packs four cells per hex digit, first cell highest', () => {
+    const cells = new Array(PIXEL_GRID_SIZE * PIXEL_GRID_SIZE).fill(false);
+    cells[0] = true;
+    cells[7] = true;
+
+    expect(encodePixels(cells).slice(0, 2)).toBe('81');
+  });
+
+  it('decodes invalid input as an empty grid', () => {
+    expect(decodePixels('zz').every(cell => !cell)).toBe(true);
+  });
+});
+
+describe('isBotPlayer', () => {
+  it('spots bots from state players and history entries alike', () => {
+    expect(isBotPlayer({ botLevel: 'easy' })).toBe(true);
+    expect(isBotPlayer({ difficulty: 'hard' })).toBe(true);
+    expect(isBotPlayer({ human: false })).toBe(true);
+    expect(isBotPlayer({ bot: true })).toBe(true);
+    expect(isBotPlayer({ human: true })).toBe(false);
+    expect(isBotPlayer(undefined)).toBe(false);
+  });
+});
+
+describe('getPlayerAvatar', () => {
+  it('uses the robot for bots', () => {
+    expect(getPlayerAvatar({ botLevel: 'hard', avatar: { emoji: '🐼' } })).toEqual(BOT_AVATAR);
+    expect(getPlayerAvatar({ human: false })).toEqual(BOT_AVATAR);
+  });
+
+  it('uses the player avatar, or the default', () => {
+    expect(getPlayerAvatar({ avatar: { emoji: '🐼', background: '#51cf66' } })).toEqual({ emoji: '🐼', background: '#51cf66' });
+    expect(getPlayerAvatar({ avatar: null })).toEqual(DEFAULT_AVATAR);
+    expect(getPlayerAvatar(null)).toEqual(DEFAULT_AVATAR);
+  });
+});
@@ -0,0 +1,103 @@
+// src/utils/rating.js
+
+/**
+ * Rating - Elo for multi-player Ludo
+ *
+ * A finished game is scored as every pair of players playing each other:
+ * the better placed one wins the pair (equal places draw). Each player's
+ * change is K / (players - 1) times the sum of (actual - expected) over
+ * their pairs, so a 2-player game is plain Elo and bigger tables don't move
+ * ratings faster.
+ *
+ * Humans are rated by their PlayerIdentity ID (bots by level), since seat
+ * IDs change from game to game and display names aren't unique. Humans
+ * without one aren't rated.
+ */
+
+import { isBotPlayer } from './playerProfile';
+
+export const DEFAULT_RATING = 1200;
+export const K_FACTOR = 32;
+
+/**
+ * Chance `rating` beats `opponentRating` (0-1)
+ */
+export function getExpectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * @param {Array} placings - [{ id, rating, position }] - position 1 is best
+ * @returns {Object} id -> whole-point rating change
+ */
+export function calculateRatingChanges(placings) {
+  const changes = {};
+  const opponents = Math.max(1, placings.length - 1);
+
+  placings.forEach(player => {
+    const total = placings
+      .filter(other => other !== player)
+      .reduce((sum, other) => {
+        const actual = player.position < other.position ? 1 : player.position === other.position ? 0.5 : 0;
+        return sum + actual - getExpectedScore(player.rating, other.rating);
+      }, 0);
+
+    changes[player.id] = Math.round((K_FACTOR / opponents) * total);
+  });
+
+  return changes;
+}
+
+/**
+ * Who a rating belongs to: 'bot:hard', 'player:player-1a2b...'
+ * Humans whose identity isn't known aren't rated - seat IDs are reused
+ * (local seats are 'local-<color>'), so keying by seat would pool strangers
+ * @param {Object} player - { playerId, identityId, botLevel, bot }
+ * @returns {string|null} Null for a human with no identity
+ */
+export function getRatingKey(player) {
+  if (isBotPlayer(player)) {
+    return `bot:${player.botLevel || player.difficulty || 'bot'}`;
+  }
+
+  return player.identityId ? `player:${player.identityId}` : null;
+}
+
+/**
+ * One placing per rated person - two seats (2-player team mode) count at
+ * the better place, and humans with no identity are left out
+ * @param {Array} players - History entry players
+ * @param {Object} ratings - key -> current rating, DEFAULT_RATING if missing
+ * @returns {Array} [{ id, rating, position, player }] for calculateRatingChanges
+ */
+export function getRatingPlacings(players, ratings = {}) {
+  const placings = new Map();
+
+  players.forEach(player => {
+    const key = getRatingKey(player);
+    if (!key) return;
+
+    const placing = placings.get(key);
+    if (!placing || player.position < placing.position) {
+      placings.set(key, {
+        id: key,
+        rating: ratings[key] ?? DEFAULT_RATING,
+        position: player.position,
+        player
+      });
+    }
+  });
+
+  return [...placings.values()];
+}
+
+const rating = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  getExpectedScore,
+  calculateRatingChanges,
+  getRatingKey,
+  getRatingPlacings
+};
+
+export default rating;
@@ -0,0 +1,114 @@
+// src/utils/rating.test.js
+
+import {
+  K_FACTOR,
+  getExpectedScore,
+  calculateRatingChanges,
+  getRatingKey,
+  getRatingPlacings
+} from './rating';
+
+describe('getExpectedScore', () => {
+  it('is even between equal ratings', () => {
+    expect(getExpectedScore(1200, 1200)).toBe(0.5);
+  });
+
+  it('favours the higher rating', () => {
+    expect(getExpectedScore(1600, 1200)).toBeCloseTo(10 / 11);
+    expect(getExpectedScore(1200, 1600) + getExpectedScore(1600, 1200)).toBeCloseTo(1);
+  });
+});
+
+describe('calculateRatingChanges', () => {
+  it('is plain Elo for two players', () => {
+    const changes = calculateRatingChanges([
+      { id: 'a', rating: 1200, position: 1 },
+      { id: 'b', rating: 1200, position: 2 }
+    ]);
+
+    expect(changes).toEqual({ a: K_FACTOR / 2, b: -K_FACTOR / 2 });
+  });
+
+  it('moves less for an expected win than an upset', () => {
+    const expected = calculateRatingChanges([
+      { id: 'strong', rating: 1600, position: 1 },
+      { id: 'weak', rating: 1200, position: 2 }
+    ]);
+    const upset = calculateRatingChanges([
+      { id: 'strong', rating: 1600, position: 2 },
+      { id: 'weak', rating: 1200, position: 1 }
+    ]);
+
+    expect(expected.strong).toBe(3);
+    expect(upset.weak).toBe(29);
+    expect(upset.strong).toBe(-29);
+  });
+
+  it('scores equal places as draws', () => {
+    const changes = calculateRatingChanges([
+      { id: 'a', rating: 1200, position: 1 },
+      { id: 'b', rating: 1200, position: 1 }
+    ]);
+
+    expect(changes.a).toBe(0);
+    expect(changes.b).toBe(0);
+  });
+
+  it('spreads K over the table for four players', () => {
+    const changes = calculateRatingChanges([
+      { id: 'a', rating: 1200, position: 1 },
+      { id: 'b', rating: 1200, position: 2 },
+      { id: 'c', rating: 1200, position: 3 },
+      { id: 'd', rating: 1200, position: 4 }
+    ]);
+
+    expect(changes).toEqual({ a: 16, b: 5, c: -5, d: -16 });
+  });
+});
+
+describe('getRatingKey', () => {
+  it('rates humans by identity, not by name', () => {
+    const alice = { playerId: 'seat-1', identityId: 'player-1', playerName: 'Player' };
+    const bob = { playerId: 'seat-2', identityId: 'player-2', playerName: 'Player' };
+
+    expect(getRatingKey(alice)).toBe('player:player-1');
+    expect(getRatingKey(alice)).not.toBe(getRatingKey(bob));
+  });
+
+  it('leaves humans without an identity unrated', () => {
+    expect(getRatingKey({ playerId: 'local-green', playerName: 'Player 2' })).toBeNull();
+  });
+
+  it('rates bots by level', () => {
+    expect(getRatingKey({ playerId: 'seat-4', botLevel: 'hard' })).toBe('bot:hard');
+    expect(getRatingKey({ playerId: 'seat-5', human: false })).toBe('bot:bot');
+    expect(getRatingKey({ playerId: 'seat-6', difficulty: 'easy' })).toBe('bot:easy');
+  });
+});
+
+describe('getRatingPlacings', () => {
+  it('rates both seats of a 2-player team game as one person', () => {
+    const placings = getRatingPlacings([
+      { playerId: 'local-red', identityId: 'player-1', position: 1 },
+      { playerId: 'local-green', identityId: 'player-2', position: 2 },
+      { playerId: 'local-yellow', identityId: 'player-1', position: 1 },
+      { playerId: 'local-blue', identityId: 'player-2', position: 4 }
+    ], { 'player:player-1': 1250 });
+
+    expect(placings.map(({ id, rating, position }) => [id, rating, position])).toEqual([
+      ['player:player-1', 1250, 1],
+      ['player:player-2', 1200, 2]
+    ]);
+  });
+
+  it('skips pass-and-play guests rather than pooling them by seat', () => {
+    const placings = getRatingPlacings([
+      { playerId: 'local-red', identityId: 'player-1', position: 2 },
+      { playerId: 'local-green', identityId: null, position: 1 },
+      { playerId: 'local-yellow', identityId: null, position: 3 },
+      { playerId: 'local-blue', botLevel: 'easy', position: 4 }
+    ]);
+
+    expect(placings.map(placing => placing.id)).toEqual(['player:player-1', 'bot:easy']);
+  });
+});
@@ -0,0 +1,78 @@
+// src/utils/trackerHistory.js
+
+import { getBoardKey } from './ludoRules';
+
+// Moves remembered for takebacks - a local undo can also reverse the bot
+// moves that followed, so this covers well past the engine's 20 steps
+export const UNDO_SNAPSHOT_LIMIT = 100;
+
+/**
+ * TakebackHistory - Whatever a tracker counted before each move, keyed by
+ * the board the move was played from, so a takeback can put it back
+ */
+class TakebackHistory {
+  constructor(limit = UNDO_SNAPSHOT_LIMIT) {
+    this.limit = limit;
+    this.snapshots = [];
+  }
+
+  /**
+   * @param {Array} pieces - Board the move is played from
+   * @param {Object} data - The tracker's counts at that point
+   */
+  save(pieces, data) {
+    this.snapshots.push({ key: getBoardKey(pieces), data });
+
+    if (this.snapshots.length > this.limit) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Counts for the board a takeback returned to, forgetting every later
+   * move - a local undo can reverse several at once
+   * @returns {Object|null} The saved data, null if that board wasn't seen
+   */
+  restore(pieces) {
+    const key = getBoardKey(pieces);
+    const index = this.snapshots.map(snapshot => snapshot.key).lastIndexOf(key);
+    if (index === -1) return null;
+
+    const [snapshot] = this.snapshots.splice(index);
+    return snapshot.data;
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
+
+/**
+ * RollFilter - Rolls arrive twice (DICE_ROLLED and the state diff); this
+ * lets one through. reset() once the roll is used - the next roll is a new
+ * one even if it repeats the last values.
+ */
+class RollFilter {
+  constructor() {
+    this.lastDice = null;
+  }
+
+  /**
+   * @param {Object} dice - { die1, die2 }
+   * @returns {boolean} False for a repeat of the roll already seen
+   */
+  isNewRoll(dice) {
+    if (this.lastDice && this.lastDice.die1 === dice.die1 && this.lastDice.die2 === dice.die2) {
+      return false;
+    }
+
+    this.lastDice = { die1: dice.die1, die2: dice.die2 };
+    return true;
+  }
+
+  reset() {
+    this.lastDice = null;
+  }
+}
+
+export { TakebackHistory, RollFilter };
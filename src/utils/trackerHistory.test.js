@@ -0,0 +1,60 @@
+// src/utils/trackerHistory.test.js
+
+import { getPathPosition } from '../pixi/utils/coordinateUtils';
+import { TakebackHistory, RollFilter } from './trackerHistory';
+
+function board(pathIndex) {
+  return [{ id: 'R1', color: 'RED', position: getPathPosition('red', pathIndex) }];
+}
+
+describe('TakebackHistory', () => {
+  it('gives back the data saved for a board', () => {
+    const history = new TakebackHistory();
+    history.save(board(0), { moves: 0 });
+    history.save(board(4), { moves: 1 });
+
+    expect(history.restore(board(4))).toEqual({ moves: 1 });
+  });
+
+  it('forgets every later move when undoing several at once', () => {
+    const history = new TakebackHistory();
+    history.save(board(0), { moves: 0 });
+    history.save(board(4), { moves: 1 });
+    history.save(board(9), { moves: 2 });
+
+    expect(history.restore(board(0))).toEqual({ moves: 0 });
+    expect(history.restore(board(4))).toBeNull();
+  });
+
+  it('returns null for a board it never saw', () => {
+    expect(new TakebackHistory().restore(board(3))).toBeNull();
+  });
+
+  it('keeps only the most recent moves', () => {
+    const history = new TakebackHistory(2);
+    history.save(board(0), { moves: 0 });
+    history.save(board(4), { moves: 1 });
+    history.save(board(9), { moves: 2 });
+
+    expect(history.restore(board(0))).toBeNull();
+    expect(history.restore(board(4))).toEqual({ moves: 1 });
+  });
+});
+
+describe('RollFilter', () => {
+  it('lets a repeated roll through once', () => {
+    const rolls = new RollFilter();
+
+    expect(rolls.isNewRoll({ die1: 3, die2: 5 })).toBe(true);
+    expect(rolls.isNewRoll({ die1: 3, die2: 5 })).toBe(false);
+    expect(rolls.isNewRoll({ die1: 5, die2: 3 })).toBe(true);
+  });
+
+  it('treats the same values as a new roll after a reset', () => {
+    const rolls = new RollFilter();
+    rolls.isNewRoll({ die1: 6, die2: 6 });
+    rolls.reset();
+
+    expect(rolls.isNewRoll({ die1: 6, die2: 6 })).toBe(true);
+  });
+});